@@ -0,0 +1,1093 @@
+// Application shell shared by the GPU (main.js) and CPU (main-stable.js) simulations
+// Owns the canvas, the control panel and the animation loop, and swaps the GPU simulation for
+// the CPU one if the GPU fails underneath it
+
+import { INTEGRATORS } from './integrators.js';
+import { DiagnosticsGraph } from './diagnostics-graph.js';
+import { ColorLegend } from './color-legend.js';
+import { FLOATS_PER_PARTICLE, SCENARIOS, clampScenarioParam } from './initial-conditions.js';
+import { parseSeed, randomSeed } from './random.js';
+import { SNAPSHOT_EXTENSION, decodeSnapshot, encodeSnapshot } from './snapshot.js';
+import { DEFAULT_COLUMN_MAPPING, PARTICLE_FIELDS, parseParticleFile, tableToParticles } from './particle-import.js';
+import { SPECIES_LABELS } from './particle-attributes.js';
+import { COLLISION_MODES } from './collisions.js';
+import { BOUNDARY_MODES } from './boundaries.js';
+import { SOFTENING_KERNELS } from './softening.js';
+import { TIMESTEP_MODES } from './timestepping.js';
+import { DEFAULT_FORCE_KERNEL, DEFAULT_FORCE_WORKGROUP_SIZE, FORCE_KERNELS, FORCE_WORKGROUP_SIZES } from './force-kernels.js';
+import { BACKENDS } from './backend.js';
+import { TIMED_PASSES } from './gpu-profiler.js';
+import { TRAIL_SUBSETS, parseTrailSelection } from './trails.js';
+import { TONE_MAPPERS } from './post-processing.js';
+import { COLORMAPS, COLOR_QUANTITIES, displayValue } from './color-mapping.js';
+import { SIZING_MODES } from './sprite-sizing.js';
+import { TRANSPARENCY_MODES } from './particle-renderer.js';
+
+// Settings carried over to the CPU simulation on a fallback, as [property, setter]
+const TRANSFERRED_SETTINGS = [
+    ['integrator', 'setIntegrator'],
+    ['softeningKernel', 'setSofteningKernel'],
+    ['softeningLength', 'setSofteningLength'],
+    ['collisionMode', 'setCollisionMode'],
+    ['collisionDensity', 'setCollisionDensity'],
+    ['boundaryMode', 'setBoundaryMode'],
+    ['boundarySize', 'setBoundarySize'],
+    ['restitution', 'setRestitution'],
+    ['transparencyMode', 'setTransparencyMode'],
+    ['timestepMode', 'setTimestepMode'],
+    ['maxTimestep', 'setMaxTimestep'],
+    ['timestepAccuracy', 'setTimestepAccuracy'],
+    ['timestepLevels', 'setTimestepLevels'],
+];
+
+// A GPU that failed may never answer the readback of its particles
+const STATE_READBACK_TIMEOUT = 1000; // ms
+
+export class App {
+    // simulations maps each BACKENDS key to a factory taking the canvas;
+    // selection is the { backend, reason, features } chooseBackend picked
+    constructor(simulations, selection) {
+        this.simulations = simulations;
+        this.backend = selection.backend;
+        this.backendReason = selection.reason;
+        this.adapterFeatures = selection.features ?? [];
+        this.canvas = null;
+        this.simulation = null;
+        this.fallingBack = false;
+        this.animationId = null;
+        this.diagnosticsGraph = null;
+        this.lastDiagnosticsSample = null;
+        this.colorLegend = null;
+    }
+
+    async init() {
+        const canvas = this.canvas = document.getElementById('canvas');
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+        const controls = document.getElementById('controls');
+
+        try {
+            this.resizeCanvas(canvas);
+            window.addEventListener('resize', () => this.resizeCanvas(canvas));
+
+            // ?seed=N reproduces a run; it has to be set before the first particles are generated
+            const urlSeed = parseSeed(new URLSearchParams(location.search).get('seed'));
+            const configure = (simulation) => {
+                if (urlSeed !== null) {
+                    simulation.seed = urlSeed;
+                }
+            };
+
+            try {
+                await this.startSimulation(this.backend, configure);
+            } catch (err) {
+                if (this.backend !== 'gpu') throw err;
+                console.warn('GPU simulation failed to initialize, using the CPU backend:', err);
+                this.backend = 'cpu';
+                this.backendReason = `GPU initialization failed: ${err.message}`;
+                await this.startSimulation(this.backend, configure);
+            }
+
+            loading.style.display = 'none';
+            controls.style.display = 'block';
+
+            this.setupControls();
+            this.diagnosticsGraph = new DiagnosticsGraph(document.getElementById('diagnosticsGraph'));
+            this.colorLegend = new ColorLegend(document.getElementById('colorLegend'));
+            this.animate();
+
+        } catch (err) {
+            console.error('Failed to initialize:', err);
+            loading.style.display = 'none';
+            error.style.display = 'block';
+        }
+    }
+
+    // Create and initialize the simulation for a backend; configure(simulation) runs before init,
+    // for what has to be in place before the first particles are generated
+    async startSimulation(backend, configure) {
+        const simulation = this.simulations[backend](this.canvas);
+        configure(simulation);
+
+        try {
+            await simulation.init();
+        } catch (err) {
+            simulation.device?.destroy();
+            throw err;
+        }
+
+        this.simulation = simulation;
+        this.backend = backend;
+        simulation.onFailure = (reason) => this.fallBack(reason);
+    }
+
+    // Replace a failing GPU simulation with the CPU one, keeping its particles if they can still be
+    // read back and its settings either way. The CPU simulation has nothing to fall back to, so its
+    // failures are only shown.
+    async fallBack(reason) {
+        if (this.backend !== 'gpu') {
+            this.showFailure(reason);
+            return;
+        }
+        if (this.fallingBack) return;
+        this.fallingBack = true;
+        console.warn('Switching to the CPU backend:', reason);
+
+        cancelAnimationFrame(this.animationId);
+        const previous = this.simulation;
+
+        const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('readback timed out')), STATE_READBACK_TIMEOUT));
+        const state = await Promise.race([previous.getState(), timeout]).catch((err) => {
+            console.warn('Could not read the particles back from the GPU:', err);
+            return null;
+        });
+
+        try {
+            await this.startSimulation('cpu', (simulation) => {
+                simulation.seed = previous.seed;
+                simulation.scenario = previous.scenario;
+                simulation.scenarioParams = previous.scenarioParams;
+                simulation.hiddenSpecies = previous.hiddenSpecies;
+                simulation.trailSettings = { ...previous.trailSettings };
+                simulation.postSettings = { ...previous.postSettings };
+                simulation.sizingSettings = { ...previous.sizingSettings };
+            });
+        } catch (err) {
+            console.error('CPU simulation failed to initialize:', err);
+            document.getElementById('controls').style.display = 'none';
+            document.getElementById('error').style.display = 'block';
+            return;
+        }
+        this.backendReason = `GPU compute failed: ${reason}`;
+        previous.device?.destroy();
+
+        const simulation = this.simulation;
+        for (const [property, setter] of TRANSFERRED_SETTINGS) {
+            simulation[setter](previous[property]);
+        }
+        simulation.setTimeScale(previous.timeScale);
+        simulation.setDamping(previous.damping);
+        simulation.setMaxSubsteps(previous.clock.maxSubsteps);
+        simulation.setColorMapping({ ...previous.colorSettings });
+
+        let loaded = false;
+        if (state) {
+            try {
+                await simulation.loadState(state);
+                loaded = true;
+            } catch (err) {
+                console.warn('Could not carry the particles over, starting again:', err);
+            }
+        }
+        if (!loaded) {
+            simulation.setGravityStrength(previous.gravityStrength);
+            simulation.setParticleCount(Math.min(previous.particleCount, simulation.getMaxParticles()));
+        }
+
+        this.updateBackendControls();
+        this.syncControls();
+        this.animate();
+    }
+
+    resizeCanvas(canvas) {
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = rect.width * devicePixelRatio;
+        canvas.height = rect.height * devicePixelRatio;
+
+        if (this.simulation) {
+            this.simulation.camera.aspect = canvas.width / canvas.height;
+        }
+    }
+
+    setupControls() {
+        const particleCountSlider = document.getElementById('particleCount');
+        const gravitySlider = document.getElementById('gravity');
+        const timeScaleSlider = document.getElementById('timeScale');
+        const dampingSlider = document.getElementById('damping');
+        const integratorSelect = document.getElementById('integrator');
+        const resetBtn = document.getElementById('resetBtn');
+
+        const particleCountValue = document.getElementById('particleCountValue');
+        const gravityValue = document.getElementById('gravityValue');
+        const timeScaleValue = document.getElementById('timeScaleValue');
+        const dampingValue = document.getElementById('dampingValue');
+
+        particleCountSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            particleCountValue.textContent = value;
+            this.simulation.setParticleCount(value);
+        });
+
+        gravitySlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            gravityValue.textContent = value.toFixed(1);
+            this.simulation.setGravityStrength(value);
+        });
+
+        timeScaleSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            timeScaleValue.textContent = value.toFixed(1);
+            this.simulation.setTimeScale(value);
+        });
+
+        dampingSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            dampingValue.textContent = value.toFixed(3);
+            this.simulation.setDamping(value);
+        });
+
+        for (const [name, integrator] of Object.entries(INTEGRATORS)) {
+            integratorSelect.add(new Option(integrator.label, name));
+        }
+        integratorSelect.value = this.simulation.integrator;
+
+        integratorSelect.addEventListener('change', (e) => {
+            this.simulation.setIntegrator(e.target.value);
+        });
+
+        resetBtn.addEventListener('click', () => {
+            this.simulation.resetSimulation();
+        });
+
+        this.setupPlaybackControls();
+        this.setupScenarioControls();
+        this.setupSeedControls();
+        this.setupSpeciesControls();
+        this.setupColorControls();
+        this.setupSizingControls();
+        this.setupTransparencyControls();
+        this.setupPostProcessingControls();
+        this.setupTrailControls();
+        this.setupTimestepControls();
+        this.setupSofteningControls();
+        this.setupCollisionControls();
+        this.setupBoundaryControls();
+        this.setupSnapshotControls();
+        this.setupImportControls();
+        this.setupForceSolverControls();
+        this.setupForceKernelControls();
+        this.updateBackendControls();
+    }
+
+    // Controls whose range, options or visibility depend on the simulation, refreshed when it's replaced
+    updateBackendControls() {
+        const simulation = this.simulation;
+        const particleCountSlider = document.getElementById('particleCount');
+        const modeSelect = document.getElementById('timestepMode');
+        const backendLabel = document.getElementById('backend');
+
+        particleCountSlider.max = simulation.getMaxParticles();
+        particleCountSlider.value = simulation.particleCount;
+        document.getElementById('particleCountValue').textContent = simulation.particleCount;
+
+        // Block steps are CPU-only
+        modeSelect.length = 0;
+        for (const mode of simulation.getTimestepModes()) {
+            modeSelect.add(new Option(TIMESTEP_MODES[mode].label, mode));
+        }
+        modeSelect.value = simulation.timestepMode;
+        document.getElementById('timestepAccuracyGroup').style.display = simulation.timestepMode === 'fixed' ? 'none' : 'block';
+
+        // Barnes-Hut and the WebAssembly kernel are CPU-only, the force kernels GPU-only
+        document.getElementById('forceSolverGroup').style.display = simulation.forceSolver ? 'block' : 'none';
+        document.getElementById('thetaGroup').style.display = simulation.forceSolver === 'barnes-hut' ? 'block' : 'none';
+        document.getElementById('forceAccuracyGroup').style.display =
+            simulation.forceSolver && simulation.forceSolver !== 'direct' ? 'block' : 'none';
+        if (simulation.forceSolver) {
+            const solverSelect = document.getElementById('forceSolver');
+            for (const option of solverSelect.options) {
+                option.disabled = !simulation.getForceSolvers().includes(option.value);
+            }
+            solverSelect.value = simulation.forceSolver;
+        }
+        document.getElementById('forceKernelGroup').style.display = simulation.forceKernel ? 'block' : 'none';
+
+        backendLabel.textContent = BACKENDS[this.backend].label;
+        backendLabel.title = this.backendReason;
+        document.getElementById('adapterFeatures').textContent =
+            this.adapterFeatures.length > 0 ? this.adapterFeatures.join(', ') : '--';
+    }
+
+    // Pause, single steps and scrubbing back through the clock's recorded states, from the
+    // buttons or the keyboard: Space pauses, the arrow keys (or , and .) step, Shift steps 10 at a time
+    setupPlaybackControls() {
+        const rewindSlider = document.getElementById('rewind');
+
+        document.getElementById('pauseBtn').addEventListener('click', () => this.simulation.clock.togglePause());
+        document.getElementById('stepBackBtn').addEventListener('click', () => this.stepBackward(1));
+        document.getElementById('stepBtn').addEventListener('click', () => this.stepForward(1));
+
+        // The slider reads minus the steps back from the newest recorded state
+        rewindSlider.addEventListener('input', (e) => {
+            this.simulation.seek(parseInt(e.target.value) + this.simulation.clock.rewindOffset);
+        });
+
+        window.addEventListener('keydown', (e) => {
+            // Typing, sliders and dropdowns keep their keys, and a focused button keeps Space
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest?.('input, select, textarea')) return;
+            if (e.code === 'Space' && e.target.closest?.('button')) return;
+
+            const count = e.shiftKey ? 10 : 1;
+            switch (e.code) {
+                case 'Space':
+                    this.simulation.clock.togglePause();
+                    break;
+                case 'ArrowRight':
+                case 'Period':
+                    this.stepForward(count);
+                    break;
+                case 'ArrowLeft':
+                case 'Comma':
+                    this.stepBackward(count);
+                    break;
+                default:
+                    return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    // Replay the recorded states ahead of a rewound one first, then step the physics
+    stepForward(count) {
+        const clock = this.simulation.clock;
+        const replay = Math.min(count, clock.rewindOffset);
+        if (replay > 0) {
+            this.simulation.seek(replay);
+        }
+        for (let i = replay; i < count; i++) {
+            clock.stepOnce();
+        }
+    }
+
+    stepBackward(count) {
+        this.simulation.seek(-count);
+    }
+
+    updatePlayback() {
+        const clock = this.simulation.clock;
+        const rewindSlider = document.getElementById('rewind');
+
+        document.getElementById('simTime').textContent = this.simulation.simTime.toFixed(3);
+        document.getElementById('stepCount').textContent = this.simulation.stepCount;
+        document.getElementById('pauseBtn').textContent = clock.paused ? 'Resume' : 'Pause';
+        document.getElementById('rewindValue').textContent = clock.rewindOffset;
+        rewindSlider.min = -Math.max(clock.history.size - 1, 0);
+        rewindSlider.value = -clock.rewindOffset;
+    }
+
+    // Scenario dropdown plus one number input per parameter of the selected scenario
+    setupScenarioControls() {
+        const scenarioSelect = document.getElementById('scenario');
+        const paramsContainer = document.getElementById('scenarioParams');
+
+        for (const [name, scenario] of Object.entries(SCENARIOS)) {
+            scenarioSelect.add(new Option(scenario.label, name));
+        }
+        scenarioSelect.value = this.simulation.scenario;
+
+        const buildParamInputs = () => {
+            paramsContainer.innerHTML = '';
+
+            for (const [key, param] of Object.entries(SCENARIOS[this.simulation.scenario].params)) {
+                const group = document.createElement('div');
+                group.className = 'scenario-param';
+
+                const label = document.createElement('label');
+                label.textContent = param.label;
+
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                input.value = this.simulation.scenarioParams[key];
+
+                input.addEventListener('change', (e) => {
+                    const value = clampScenarioParam(this.simulation.scenario, key, parseFloat(e.target.value));
+                    if (Number.isNaN(value)) return;
+                    e.target.value = value;
+                    this.simulation.setScenario(this.simulation.scenario, {
+                        ...this.simulation.scenarioParams,
+                        [key]: value,
+                    });
+                });
+
+                group.append(label, input);
+                paramsContainer.append(group);
+            }
+        };
+
+        scenarioSelect.addEventListener('change', (e) => {
+            this.simulation.setScenario(e.target.value);
+            buildParamInputs();
+        });
+
+        buildParamInputs();
+    }
+
+    setupSeedControls() {
+        const seedInput = document.getElementById('seed');
+        const newSeedBtn = document.getElementById('newSeedBtn');
+
+        const applySeed = (seed) => {
+            seedInput.value = seed;
+            this.simulation.setSeed(seed);
+
+            // Keep the address bar shareable
+            const url = new URL(location.href);
+            url.searchParams.set('seed', seed);
+            history.replaceState(null, '', url);
+        };
+
+        seedInput.value = this.simulation.seed;
+
+        seedInput.addEventListener('change', (e) => {
+            const seed = parseSeed(e.target.value);
+            if (seed === null) {
+                seedInput.value = this.simulation.seed;
+                return;
+            }
+            applySeed(seed);
+        });
+
+        newSeedBtn.addEventListener('click', () => applySeed(randomSeed()));
+    }
+
+    // One checkbox per species; hidden species are skipped by the vertex shader
+    setupSpeciesControls() {
+        const container = document.getElementById('speciesVisibility');
+
+        SPECIES_LABELS.forEach((labelText, species) => {
+            const group = document.createElement('div');
+            group.className = 'scenario-param';
+
+            const label = document.createElement('label');
+            label.textContent = labelText;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.addEventListener('change', (e) => {
+                this.simulation.setSpeciesVisible(species, e.target.checked);
+            });
+
+            group.append(label, checkbox);
+            container.append(group);
+        });
+    }
+
+    // Colour by a quantity through a colormap, over the values' own range or a fixed one
+    setupColorControls() {
+        const quantitySelect = document.getElementById('colorQuantity');
+        const colormapSelect = document.getElementById('colormap');
+        const autoRangeCheckbox = document.getElementById('colorAutoRange');
+        const rangeGroup = document.getElementById('colorRangeGroup');
+        const minInput = document.getElementById('colorMin');
+        const maxInput = document.getElementById('colorMax');
+        const densityLengthGroup = document.getElementById('densityLengthGroup');
+        const densityLengthInput = document.getElementById('densityLength');
+
+        for (const [name, quantity] of Object.entries(COLOR_QUANTITIES)) {
+            quantitySelect.add(new Option(quantity.label, name));
+        }
+        for (const [name, colormap] of Object.entries(COLORMAPS)) {
+            colormapSelect.add(new Option(colormap.label, name));
+        }
+
+        const showSettings = () => {
+            const settings = this.simulation.colorSettings;
+            const ramp = settings.quantity !== 'species';
+            quantitySelect.value = settings.quantity;
+            colormapSelect.value = settings.colormap;
+            colormapSelect.style.display = ramp ? 'block' : 'none';
+            autoRangeCheckbox.checked = settings.autoRange;
+            autoRangeCheckbox.parentElement.style.display = ramp ? 'flex' : 'none';
+            rangeGroup.style.display = ramp && !settings.autoRange ? 'block' : 'none';
+            minInput.value = settings.min;
+            maxInput.value = settings.max;
+            densityLengthGroup.style.display = settings.quantity === 'density' ? 'flex' : 'none';
+            densityLengthInput.value = settings.densityLength;
+        };
+        const apply = (changes) => {
+            this.simulation.setColorMapping(changes);
+            showSettings();
+        };
+        showSettings();
+
+        // A fixed range of one quantity means nothing for another
+        quantitySelect.addEventListener('change', (e) => apply({ quantity: e.target.value, autoRange: true }));
+        colormapSelect.addEventListener('change', (e) => apply({ colormap: e.target.value }));
+
+        // Fixing the range starts from the current one, so the colours don't jump
+        autoRangeCheckbox.addEventListener('change', (e) => {
+            const { quantity } = this.simulation.colorSettings;
+            const range = this.simulation.colorRange;
+            const changes = { autoRange: e.target.checked };
+            if (!e.target.checked && range && Number.isFinite(range.min) && Number.isFinite(range.max)) {
+                changes.min = Number(displayValue(quantity, range.min).toPrecision(3));
+                changes.max = Number(displayValue(quantity, range.max).toPrecision(3));
+            }
+            apply(changes);
+        });
+
+        for (const [input, name] of [[minInput, 'min'], [maxInput, 'max']]) {
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) apply({ [name]: value });
+                else showSettings();
+            });
+        }
+        densityLengthInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) apply({ densityLength: value });
+            else showSettings();
+        });
+    }
+
+    // The pixel size only applies to the pixel and attenuated modes
+    setupSizingControls() {
+        const modeSelect = document.getElementById('sizingMode');
+        const pixelSizeGroup = document.getElementById('pixelSizeGroup');
+        const sliders = ['pixelSize', 'minPixels', 'maxPixels'];
+
+        for (const [name, mode] of Object.entries(SIZING_MODES)) {
+            modeSelect.add(new Option(mode.label, name));
+        }
+        const showSettings = () => {
+            pixelSizeGroup.style.display = this.simulation.sizingSettings.mode === 'world' ? 'none' : 'block';
+        };
+        modeSelect.value = this.simulation.sizingSettings.mode;
+        showSettings();
+        modeSelect.addEventListener('change', (e) => {
+            this.simulation.setSpriteSizing({ mode: e.target.value });
+            showSettings();
+        });
+
+        // Each slider sets the sizingSettings entry of its id
+        for (const name of sliders) {
+            const slider = document.getElementById(name);
+            const valueDisplay = document.getElementById(`${name}Value`);
+            slider.value = this.simulation.sizingSettings[name];
+            valueDisplay.textContent = this.simulation.sizingSettings[name].toFixed(1);
+
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                valueDisplay.textContent = value.toFixed(1);
+                this.simulation.setSpriteSizing({ [name]: value });
+            });
+        }
+    }
+
+    setupTransparencyControls() {
+        const modeSelect = document.getElementById('transparencyMode');
+
+        for (const [name, mode] of Object.entries(TRANSPARENCY_MODES)) {
+            modeSelect.add(new Option(mode.label, name));
+        }
+        modeSelect.value = this.simulation.transparencyMode;
+        modeSelect.addEventListener('change', (e) => {
+            this.simulation.setTransparencyMode(e.target.value);
+        });
+    }
+
+    setupPostProcessingControls() {
+        const toneMapperSelect = document.getElementById('toneMapper');
+        const sliders = [
+            ['exposure', 1],
+            ['bloomStrength', 2],
+            ['bloomThreshold', 1],
+        ];
+
+        for (const [name, toneMapper] of Object.entries(TONE_MAPPERS)) {
+            toneMapperSelect.add(new Option(toneMapper.label, name));
+        }
+        toneMapperSelect.value = this.simulation.postSettings.toneMapper;
+        toneMapperSelect.addEventListener('change', (e) => {
+            this.simulation.setPostProcessing({ toneMapper: e.target.value });
+        });
+
+        // Each slider sets the postSettings entry of its id, shown with the given decimals
+        for (const [name, decimals] of sliders) {
+            const slider = document.getElementById(name);
+            const valueDisplay = document.getElementById(`${name}Value`);
+            slider.value = this.simulation.postSettings[name];
+            valueDisplay.textContent = this.simulation.postSettings[name].toFixed(decimals);
+
+            slider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                valueDisplay.textContent = value.toFixed(decimals);
+                this.simulation.setPostProcessing({ [name]: value });
+            });
+        }
+    }
+
+    // Trails are drawn for all, every Nth or the listed particles
+    setupTrailControls() {
+        const enabledCheckbox = document.getElementById('trailsEnabled');
+        const options = document.getElementById('trailOptions');
+        const lengthSlider = document.getElementById('trailLength');
+        const lengthValue = document.getElementById('trailLengthValue');
+        const subsetSelect = document.getElementById('trailSubset');
+        const everyGroup = document.getElementById('trailEveryGroup');
+        const everyInput = document.getElementById('trailEvery');
+        const selectedGroup = document.getElementById('trailSelectedGroup');
+        const selectedInput = document.getElementById('trailSelected');
+
+        for (const [name, subset] of Object.entries(TRAIL_SUBSETS)) {
+            subsetSelect.add(new Option(subset.label, name));
+        }
+
+        const showSettings = () => {
+            const settings = this.simulation.trailSettings;
+            enabledCheckbox.checked = settings.enabled;
+            options.style.display = settings.enabled ? 'block' : 'none';
+            lengthSlider.value = settings.length;
+            lengthValue.textContent = settings.length;
+            subsetSelect.value = settings.subset;
+            everyGroup.style.display = settings.subset === 'every' ? 'flex' : 'none';
+            everyInput.value = settings.every;
+            selectedGroup.style.display = settings.subset === 'selected' ? 'flex' : 'none';
+        };
+        const apply = (changes) => {
+            this.simulation.setTrails(changes);
+            showSettings();
+        };
+        showSettings();
+
+        enabledCheckbox.addEventListener('change', (e) => apply({ enabled: e.target.checked }));
+        lengthSlider.addEventListener('input', (e) => apply({ length: parseInt(e.target.value) }));
+        subsetSelect.addEventListener('change', (e) => apply({ subset: e.target.value }));
+        everyInput.addEventListener('change', (e) => apply({ every: Math.max(parseInt(e.target.value) || 1, 1) }));
+        selectedInput.addEventListener('change', (e) => apply({ selected: parseTrailSelection(e.target.value) }));
+    }
+
+    setupTimestepControls() {
+        const modeSelect = document.getElementById('timestepMode');
+        const maxSlider = document.getElementById('maxTimestep');
+        const maxValue = document.getElementById('maxTimestepValue');
+        const accuracyGroup = document.getElementById('timestepAccuracyGroup');
+        const accuracySlider = document.getElementById('timestepAccuracy');
+        const accuracyValue = document.getElementById('timestepAccuracyValue');
+        const levelsSlider = document.getElementById('timestepLevels');
+        const levelsValue = document.getElementById('timestepLevelsValue');
+        const substepsSlider = document.getElementById('maxSubsteps');
+        const substepsValue = document.getElementById('maxSubstepsValue');
+
+        maxSlider.value = this.simulation.maxTimestep;
+        maxValue.textContent = this.simulation.maxTimestep.toFixed(3);
+        accuracySlider.value = this.simulation.timestepAccuracy;
+        accuracyValue.textContent = this.simulation.timestepAccuracy.toFixed(2);
+        levelsSlider.value = this.simulation.timestepLevels;
+        levelsValue.textContent = this.simulation.timestepLevels;
+        substepsSlider.value = this.simulation.clock.maxSubsteps;
+        substepsValue.textContent = this.simulation.clock.maxSubsteps;
+
+        // The accuracy and levels only shape adaptive and block steps
+        modeSelect.addEventListener('change', (e) => {
+            this.simulation.setTimestepMode(e.target.value);
+            accuracyGroup.style.display = e.target.value === 'fixed' ? 'none' : 'block';
+        });
+
+        maxSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            maxValue.textContent = value.toFixed(3);
+            this.simulation.setMaxTimestep(value);
+        });
+
+        accuracySlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            accuracyValue.textContent = value.toFixed(2);
+            this.simulation.setTimestepAccuracy(value);
+        });
+
+        levelsSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            levelsValue.textContent = value;
+            this.simulation.setTimestepLevels(value);
+        });
+
+        substepsSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            substepsValue.textContent = value;
+            this.simulation.setMaxSubsteps(value);
+        });
+    }
+
+    setupSofteningControls() {
+        const kernelSelect = document.getElementById('softeningKernel');
+        const lengthGroup = document.getElementById('softeningLengthGroup');
+        const lengthSlider = document.getElementById('softeningLength');
+        const lengthValue = document.getElementById('softeningLengthValue');
+
+        for (const [name, kernel] of Object.entries(SOFTENING_KERNELS)) {
+            kernelSelect.add(new Option(kernel.label, name));
+        }
+        kernelSelect.value = this.simulation.softeningKernel;
+
+        lengthSlider.value = this.simulation.softeningLength;
+        lengthValue.textContent = this.simulation.softeningLength.toFixed(2);
+        lengthGroup.style.display = this.simulation.softeningKernel === 'none' ? 'none' : 'block';
+
+        kernelSelect.addEventListener('change', (e) => {
+            this.simulation.setSofteningKernel(e.target.value);
+            lengthGroup.style.display = e.target.value === 'none' ? 'none' : 'block';
+        });
+
+        lengthSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            lengthValue.textContent = value.toFixed(2);
+            this.simulation.setSofteningLength(value);
+        });
+    }
+
+    setupCollisionControls() {
+        const modeSelect = document.getElementById('collisionMode');
+        const densityGroup = document.getElementById('collisionDensityGroup');
+        const densitySlider = document.getElementById('collisionDensity');
+        const densityValue = document.getElementById('collisionDensityValue');
+
+        for (const [name, mode] of Object.entries(COLLISION_MODES)) {
+            modeSelect.add(new Option(mode.label, name));
+        }
+        modeSelect.value = this.simulation.collisionMode;
+
+        densitySlider.value = this.simulation.collisionDensity;
+        densityValue.textContent = this.simulation.collisionDensity;
+
+        modeSelect.addEventListener('change', (e) => {
+            this.simulation.setCollisionMode(e.target.value);
+            densityGroup.style.display = e.target.value === 'none' ? 'none' : 'block';
+        });
+
+        densitySlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            densityValue.textContent = value;
+            this.simulation.setCollisionDensity(value);
+        });
+    }
+
+    setupBoundaryControls() {
+        const modeSelect = document.getElementById('boundaryMode');
+        const sizeGroup = document.getElementById('boundarySizeGroup');
+        const sizeSlider = document.getElementById('boundarySize');
+        const sizeValue = document.getElementById('boundarySizeValue');
+        const restitutionGroup = document.getElementById('restitutionGroup');
+        const restitutionSlider = document.getElementById('restitution');
+        const restitutionValue = document.getElementById('restitutionValue');
+
+        for (const [name, mode] of Object.entries(BOUNDARY_MODES)) {
+            modeSelect.add(new Option(mode.label, name));
+        }
+
+        // Open space has no size; only reflective walls have a restitution
+        const showParameters = (mode) => {
+            sizeGroup.style.display = mode === 'open' ? 'none' : 'block';
+            restitutionGroup.style.display = mode === 'reflective' ? 'block' : 'none';
+        };
+
+        modeSelect.value = this.simulation.boundaryMode;
+        sizeSlider.value = this.simulation.boundarySize;
+        sizeValue.textContent = this.simulation.boundarySize;
+        restitutionSlider.value = this.simulation.restitution;
+        restitutionValue.textContent = this.simulation.restitution.toFixed(2);
+        showParameters(this.simulation.boundaryMode);
+
+        modeSelect.addEventListener('change', (e) => {
+            this.simulation.setBoundaryMode(e.target.value);
+            showParameters(e.target.value);
+        });
+
+        sizeSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            sizeValue.textContent = value;
+            this.simulation.setBoundarySize(value);
+        });
+
+        restitutionSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            restitutionValue.textContent = value.toFixed(2);
+            this.simulation.setRestitution(value);
+        });
+    }
+
+    // Show the simulation's current parameters after they changed underneath the controls
+    syncControls() {
+        const simulation = this.simulation;
+
+        document.getElementById('particleCount').value = simulation.particleCount;
+        document.getElementById('particleCountValue').textContent = simulation.particleCount;
+        document.getElementById('gravity').value = simulation.gravityStrength;
+        document.getElementById('gravityValue').textContent = simulation.gravityStrength.toFixed(1);
+        document.getElementById('timeScale').value = simulation.timeScale;
+        document.getElementById('timeScaleValue').textContent = simulation.timeScale.toFixed(1);
+        document.getElementById('damping').value = simulation.damping;
+        document.getElementById('dampingValue').textContent = simulation.damping.toFixed(3);
+        document.getElementById('seed').value = simulation.seed;
+    }
+
+    // Save to a download, load from the file picker or by dropping a file on the page
+    setupSnapshotControls() {
+        const saveBtn = document.getElementById('saveSnapshotBtn');
+        const loadBtn = document.getElementById('loadSnapshotBtn');
+        const fileInput = document.getElementById('snapshotFile');
+        const status = document.getElementById('fileStatus');
+
+        saveBtn.addEventListener('click', async () => {
+            const state = await this.simulation.getState();
+            const blob = new Blob([encodeSnapshot(state)], { type: 'application/octet-stream' });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `nbody-${state.seed}-t${state.simTime.toFixed(2)}${SNAPSHOT_EXTENSION}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+            status.textContent = `Saved ${state.particles.length / FLOATS_PER_PARTICLE} particles at t=${state.simTime.toFixed(2)}`;
+        });
+
+        loadBtn.addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.loadFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        window.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            document.body.classList.add('drop-target');
+        });
+
+        window.addEventListener('dragleave', () => {
+            document.body.classList.remove('drop-target');
+        });
+
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('drop-target');
+            if (e.dataTransfer.files.length > 0) {
+                this.loadFile(e.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    // Column mapping inputs, one per particle field; the rest of the import options are static inputs
+    setupImportControls() {
+        const mappingContainer = document.getElementById('importMapping');
+        const importBtn = document.getElementById('importBtn');
+        const fileInput = document.getElementById('importFile');
+
+        for (const field of PARTICLE_FIELDS) {
+            const group = document.createElement('div');
+            group.className = 'scenario-param';
+
+            const label = document.createElement('label');
+            label.textContent = `${field} column`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `importColumn-${field}`;
+            input.value = DEFAULT_COLUMN_MAPPING[field];
+
+            group.append(label, input);
+            mappingContainer.append(group);
+        }
+
+        importBtn.addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.loadFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    getImportOptions() {
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : 1;
+        };
+
+        const mapping = {};
+        for (const field of PARTICLE_FIELDS) {
+            mapping[field] = document.getElementById(`importColumn-${field}`).value.trim();
+        }
+
+        return {
+            mapping,
+            lengthScale: number('importLengthScale'),
+            velocityScale: number('importVelocityScale'),
+            massScale: number('importMassScale'),
+            recenter: document.getElementById('importRecenter').checked,
+        };
+    }
+
+    // Snapshots by extension, anything else goes through the CSV/JSON importer
+    async loadFile(file) {
+        const status = document.getElementById('fileStatus');
+
+        try {
+            if (file.name.toLowerCase().endsWith(SNAPSHOT_EXTENSION)) {
+                await this.simulation.loadState(decodeSnapshot(await file.arrayBuffer()));
+            } else {
+                const table = parseParticleFile(file.name, await file.text());
+                await this.simulation.loadParticles(tableToParticles(table, this.getImportOptions()));
+            }
+            this.syncControls();
+            status.textContent = `Loaded ${file.name} (${this.simulation.particleCount} particles)`;
+        } catch (err) {
+            console.error(`Failed to load ${file.name}:`, err);
+            status.textContent = err.message;
+        }
+    }
+
+    // CPU force solver, Barnes-Hut and accuracy controls, only shown for the CPU simulation
+    setupForceSolverControls() {
+        const particleCountSlider = document.getElementById('particleCount');
+        const particleCountValue = document.getElementById('particleCountValue');
+        const forceSolverSelect = document.getElementById('forceSolver');
+        const thetaSlider = document.getElementById('theta');
+        const accuracyBtn = document.getElementById('accuracyBtn');
+        const thetaValue = document.getElementById('thetaValue');
+        const thetaGroup = document.getElementById('thetaGroup');
+        const accuracyGroup = document.getElementById('forceAccuracyGroup');
+        const forceError = document.getElementById('forceError');
+
+        forceSolverSelect.addEventListener('change', (e) => {
+            this.simulation.setForceSolver(e.target.value);
+            particleCountSlider.max = this.simulation.getMaxParticles();
+            particleCountSlider.value = this.simulation.particleCount;
+            particleCountValue.textContent = this.simulation.particleCount;
+            thetaGroup.style.display = e.target.value === 'barnes-hut' ? 'block' : 'none';
+            accuracyGroup.style.display = e.target.value === 'direct' ? 'none' : 'block';
+            forceError.textContent = '--';
+        });
+
+        thetaSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            thetaValue.textContent = value.toFixed(2);
+            this.simulation.setTheta(value);
+        });
+
+        accuracyBtn.addEventListener('click', async () => {
+            try {
+                const result = await this.simulation.measureForceAccuracy();
+                // The WebAssembly kernel only differs by float rounding, too little for percentages
+                forceError.textContent = this.simulation.forceSolver === 'wasm-simd'
+                    ? `${result.rmsError.toExponential(2)} rms, ${result.maxError.toExponential(2)} max`
+                    : `${(result.rmsError * 100).toFixed(3)}% rms, ${(result.maxError * 100).toFixed(3)}% max`;
+            } catch (err) {
+                console.error('Force accuracy check failed:', err);
+                forceError.textContent = err.message;
+            }
+        });
+    }
+
+    // GPU direct-sum kernel and workgroup size, only shown for the GPU simulation, plus a check of the selected kernel against the naive one
+    setupForceKernelControls() {
+        const particleCountSlider = document.getElementById('particleCount');
+        const particleCountValue = document.getElementById('particleCountValue');
+        const kernelSelect = document.getElementById('forceKernel');
+        const workgroupSelect = document.getElementById('forceWorkgroupSize');
+        const checkBtn = document.getElementById('kernelCheckBtn');
+        const kernelError = document.getElementById('kernelError');
+
+        for (const [name, kernel] of Object.entries(FORCE_KERNELS)) {
+            kernelSelect.add(new Option(kernel.label, name));
+        }
+        kernelSelect.value = this.simulation.forceKernel ?? DEFAULT_FORCE_KERNEL;
+
+        for (const size of FORCE_WORKGROUP_SIZES) {
+            workgroupSelect.add(new Option(size, size));
+        }
+        workgroupSelect.value = this.simulation.forceWorkgroupSize ?? DEFAULT_FORCE_WORKGROUP_SIZE;
+
+        kernelSelect.addEventListener('change', (e) => {
+            this.simulation.setForceKernel(e.target.value);
+            particleCountSlider.max = this.simulation.getMaxParticles();
+            particleCountSlider.value = this.simulation.particleCount;
+            particleCountValue.textContent = this.simulation.particleCount;
+        });
+
+        workgroupSelect.addEventListener('change', (e) => {
+            this.simulation.setForceWorkgroupSize(parseInt(e.target.value));
+        });
+
+        checkBtn.addEventListener('click', async () => {
+            try {
+                const result = await this.simulation.measureForceKernel();
+                kernelError.textContent = `${result.rmsError.toExponential(2)} rms, ${result.maxError.toExponential(2)} max`;
+            } catch (err) {
+                console.error('Force kernel check failed:', err);
+                kernelError.textContent = err.message;
+            }
+        });
+    }
+
+    // Redraw the diagnostics HUD whenever the simulation has produced a new sample
+    updateDiagnostics() {
+        const history = this.simulation.diagnosticsHistory;
+        const sample = history.latest;
+        if (sample === this.lastDiagnosticsSample) return;
+        this.lastDiagnosticsSample = sample;
+
+        const format = (value) => sample ? value.toExponential(2) : '--';
+        document.getElementById('energyDrift').textContent = format(sample?.energyDrift);
+        document.getElementById('momentumDrift').textContent = format(sample?.momentumDrift);
+        document.getElementById('angularMomentumDrift').textContent = format(sample?.angularMomentumDrift);
+        document.getElementById('virialRatio').textContent = sample ? sample.virialRatio.toFixed(3) : '--';
+
+        this.diagnosticsGraph.draw(history);
+    }
+
+    // A failure no backend switch can help with, under the backend in the stats
+    showFailure(reason) {
+        console.error('Simulation failed:', reason);
+        document.getElementById('simulationError').textContent = reason;
+        document.getElementById('simulationErrorLine').style.display = 'block';
+    }
+
+    // Min/avg/max of the recent pass times, see GpuProfiler
+    updateTimings() {
+        const { profiler } = this.simulation;
+        document.getElementById('timingSource').textContent = this.simulation.timingSource;
+        for (const name of TIMED_PASSES) {
+            const stats = profiler.stats(name);
+            document.getElementById(`${name}Timing`).textContent = stats
+                ? `${stats.min.toFixed(3)} / ${stats.avg.toFixed(3)} / ${stats.max.toFixed(3)}`
+                : '--';
+        }
+    }
+
+    animate() {
+        const time = performance.now();
+
+        if (this.simulation) {
+            try {
+                this.simulation.render(time);
+            } catch (err) {
+                if (this.backend !== 'gpu') throw err;
+                this.fallBack(err.message);
+                return;
+            }
+
+            document.getElementById('fps').textContent = this.simulation.fps;
+            this.updateTimings();
+            document.getElementById('timestep').textContent = this.simulation.timestep.toExponential(2);
+            document.getElementById('substeps').textContent = this.simulation.clock.stepsLastFrame;
+            document.getElementById('mergeCount').textContent = this.simulation.mergeCount;
+            document.getElementById('escapeCount').textContent = this.simulation.escapeCount;
+            document.getElementById('liveParticles').textContent = this.simulation.particleCount;
+            document.getElementById('trailCount').textContent = this.simulation.trails.trailCount;
+            this.colorLegend.draw(this.simulation.colorSettings, this.simulation.colorRange);
+
+            this.updatePlayback();
+            this.updateDiagnostics();
+        }
+
+        this.animationId = requestAnimationFrame(() => this.animate());
+    }
+}
@@ -0,0 +1,142 @@
+// Backend selection
+// The GPU backend (main.js) runs the physics in compute shaders; the CPU backend (main-stable.js)
+// runs it in JavaScript and only renders with WebGPU. The GPU backend is picked when the adapter
+// has the limits the compute shaders need and passes a quick compute self-test.
+
+export const BACKENDS = {
+    'gpu': { label: 'GPU compute' },
+    'cpu': { label: 'CPU physics' },
+};
+
+// What the compute shaders use: the collision passes bind five storage buffers, and the tiled
+// force kernel runs up to 256 threads sharing 256 vec4 of workgroup memory
+const REQUIRED_LIMITS = {
+    maxStorageBuffersPerShaderStage: 5,
+    maxComputeWorkgroupSizeX: 256,
+    maxComputeInvocationsPerWorkgroup: 256,
+    maxComputeWorkgroupStorageSize: 256 * 16,
+};
+
+// Give up on a self-test that hasn't finished by then
+const SELF_TEST_TIMEOUT = 2000; // ms
+
+const SELF_TEST_SIZE = 256;
+
+// Reverses the values within each workgroup through workgroup memory, which exercises storage
+// buffers, workgroup memory, barriers and the readback
+const SELF_TEST_SHADER = `
+@group(0) @binding(0) var<storage, read_write> values: array<f32>;
+
+var<workgroup> staged: array<f32, 64>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) global_id: vec3<u32>, @builtin(local_invocation_index) local_index: u32) {
+    staged[local_index] = values[global_id.x] * 2.0 + 1.0;
+    workgroupBarrier();
+    values[global_id.x] = staged[63u - local_index];
+}
+`;
+
+// 'gpu', 'cpu' or null for a ?backend= value
+export function parseBackend(value) {
+    return Object.hasOwn(BACKENDS, value) ? value : null;
+}
+
+// Run SELF_TEST_SHADER on a throwaway device; resolves to null on success or the reason it failed
+async function runSelfTest(device) {
+    device.pushErrorScope('validation');
+
+    const input = new Float32Array(SELF_TEST_SIZE).map((_, i) => i);
+    const storage = device.createBuffer({
+        size: input.byteLength,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+    });
+    const readBuffer = device.createBuffer({
+        size: input.byteLength,
+        usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(storage, 0, input);
+
+    const pipeline = device.createComputePipeline({
+        layout: 'auto',
+        compute: { module: device.createShaderModule({ code: SELF_TEST_SHADER }), entryPoint: 'main' },
+    });
+    const bindGroup = device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: [{ binding: 0, resource: { buffer: storage } }],
+    });
+
+    const commandEncoder = device.createCommandEncoder();
+    const pass = commandEncoder.beginComputePass();
+    pass.setPipeline(pipeline);
+    pass.setBindGroup(0, bindGroup);
+    pass.dispatchWorkgroups(SELF_TEST_SIZE / 64);
+    pass.end();
+    commandEncoder.copyBufferToBuffer(storage, 0, readBuffer, 0, input.byteLength);
+    device.queue.submit([commandEncoder.finish()]);
+
+    const error = await device.popErrorScope();
+    if (error) {
+        return `self-test validation error: ${error.message}`;
+    }
+
+    await readBuffer.mapAsync(GPUMapMode.READ);
+    const output = new Float32Array(readBuffer.getMappedRange().slice(0));
+    readBuffer.unmap();
+
+    for (let i = 0; i < SELF_TEST_SIZE; i++) {
+        const source = i - (i % 64) + 63 - (i % 64);
+        if (output[i] !== source * 2 + 1) {
+            return `self-test returned ${output[i]} at ${i}, expected ${source * 2 + 1}`;
+        }
+    }
+    return null;
+}
+
+// Probe WebGPU for the GPU backend; resolves to { ok, reason, features }
+export async function probeGpuBackend() {
+    if (!navigator.gpu) {
+        return { ok: false, reason: 'WebGPU is not supported', features: [] };
+    }
+
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+        return { ok: false, reason: 'no GPU adapter', features: [] };
+    }
+
+    const features = [...adapter.features];
+    for (const [limit, required] of Object.entries(REQUIRED_LIMITS)) {
+        if (adapter.limits[limit] < required) {
+            return { ok: false, reason: `${limit} is ${adapter.limits[limit]}, ${required} needed`, features };
+        }
+    }
+
+    let device = null;
+    try {
+        device = await adapter.requestDevice();
+        const timeout = new Promise((resolve) => setTimeout(() => resolve('self-test timed out'), SELF_TEST_TIMEOUT));
+        const failure = await Promise.race([runSelfTest(device), timeout]);
+        return failure
+            ? { ok: false, reason: failure, features }
+            : { ok: true, reason: 'compute self-test passed', features };
+    } catch (err) {
+        return { ok: false, reason: `self-test failed: ${err.message}`, features };
+    } finally {
+        device?.destroy();
+    }
+}
+
+// The backend to start with: the requested one (?backend=cpu|gpu), else the GPU if it passes the probe.
+// Resolves to { backend, reason, features } where reason explains the choice for the UI and
+// features lists the probed adapter's features (empty when the backend was forced).
+export async function chooseBackend(requested) {
+    const forced = parseBackend(requested);
+    if (forced) {
+        return { backend: forced, reason: 'selected with ?backend=', features: [] };
+    }
+
+    const probe = await probeGpuBackend();
+    return probe.ok
+        ? { backend: 'gpu', reason: probe.reason, features: probe.features }
+        : { backend: 'cpu', reason: `GPU compute unavailable: ${probe.reason}`, features: probe.features };
+}
@@ -0,0 +1,56 @@
+// Boundary conditions for the N-Body simulation
+// Open space, a reflective or periodic cube, or an absorbing sphere that removes escapers.
+// The CPU path applies them here after every step; the GPU path does the same in applyConstraints
+// of integrate-compute.wgsl, and the force solvers and collisions use minimum-image separations in a periodic box.
+
+// id is the boundaryMode value in the shaders' SimParams
+export const BOUNDARY_MODES = {
+    'open': { label: 'Open space', id: 0 },
+    'reflective': { label: 'Reflective box', id: 1 },
+    'periodic': { label: 'Periodic box', id: 2 },
+    'absorbing': { label: 'Absorbing sphere', id: 3 },
+};
+
+export const DEFAULT_BOUNDARY_MODE = 'open';
+export const DEFAULT_BOUNDARY_SIZE = 50; // half-width of the box, radius of the sphere
+export const DEFAULT_RESTITUTION = 0.8;  // fraction of the normal velocity kept by a reflective wall
+
+// Edge length of the periodic cell, or 0 when separations are not wrapped
+export function periodOf(mode, size) {
+    return mode === 'periodic' ? 2 * size : 0;
+}
+
+// Shortest separation between two points of a periodic cell along one axis
+export function minimumImage(delta, period) {
+    return period > 0 ? delta - period * Math.round(delta / period) : delta;
+}
+
+// Apply the boundary to one particle; returns true if it reached the boundary
+// (hit a wall, wrapped around, or escaped an absorbing sphere and should be removed)
+export function applyBoundary(particle, mode, size, restitution) {
+    const { position, velocity } = particle;
+    let crossed = false;
+
+    if (mode === 'reflective') {
+        for (let k = 0; k < 3; k++) {
+            if (Math.abs(position[k]) > size) {
+                position[k] = Math.sign(position[k]) * size;
+                velocity[k] *= -restitution;
+                crossed = true;
+            }
+        }
+    } else if (mode === 'periodic') {
+        const period = 2 * size;
+        for (let k = 0; k < 3; k++) {
+            if (position[k] < -size || position[k] >= size) {
+                // Back into [-size, size)
+                position[k] -= period * Math.floor((position[k] + size) / period);
+                crossed = true;
+            }
+        }
+    } else if (mode === 'absorbing') {
+        crossed = position[0] * position[0] + position[1] * position[1] + position[2] * position[2] > size * size;
+    }
+
+    return crossed;
+}
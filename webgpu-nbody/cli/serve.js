@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Static file server for local development
+// Sends the cross-origin isolation headers SharedArrayBuffer needs, which the CPU simulation's
+// force workers share the particles through; plain servers work too, with the physics in one worker
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.env.PORT) || 8080;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.wgsl': 'text/plain; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.wasm': 'application/wasm',
+};
+
+const server = createServer(async (request, response) => {
+    const path = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = normalize(join(ROOT, path.endsWith('/') ? `${path}index.html` : path));
+    if (!file.startsWith(ROOT + sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+
+    try {
+        const body = await readFile(file);
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[extname(file)] ?? 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+            'Cross-Origin-Opener-Policy': 'same-origin',
+            'Cross-Origin-Embedder-Policy': 'require-corp',
+        });
+        response.end(body);
+    } catch {
+        response.writeHead(404).end('Not found');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Serving ${ROOT} at http://localhost:${PORT} (cross-origin isolated)`);
+});
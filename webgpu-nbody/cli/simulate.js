@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+// Headless N-Body runner for batch experiments
+// Steps the CPU physics core with no GPU and writes snapshots and diagnostics to disk
+
+import { mkdir, readFile, writeFile, appendFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { INTEGRATORS } from '../integrators.js';
+import { DEFAULT_SCENARIO, SCENARIOS, defaultScenarioParams, scenarioParam } from '../initial-conditions.js';
+import { parseSeed, randomSeed } from '../random.js';
+import { encodeSnapshot } from '../snapshot.js';
+import { FORCE_SOLVERS, NBodySystem } from '../simulation-core.js';
+import { WASM_FORCE_MODULE, WasmForceKernel } from '../wasm-forces.js';
+import { COLLISION_MODES, DEFAULT_COLLISION_DENSITY, DEFAULT_COLLISION_MODE } from '../collisions.js';
+import { DEFAULT_SOFTENING_KERNEL, DEFAULT_SOFTENING_LENGTH, SOFTENING_KERNELS } from '../softening.js';
+import { DEFAULT_TIMESTEP_ACCURACY, DEFAULT_TIMESTEP_LEVELS, DEFAULT_TIMESTEP_MODE, TIMESTEP_MODES } from '../timestepping.js';
+import { BOUNDARY_MODES, DEFAULT_BOUNDARY_MODE, DEFAULT_BOUNDARY_SIZE, DEFAULT_RESTITUTION } from '../boundaries.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --scenario <name>             ${Object.keys(SCENARIOS).join(', ')} (default ${DEFAULT_SCENARIO})
+  --param <key=value>           Scenario parameter, repeatable (e.g. --param scaleRadius=5)
+  -n, --particles <N>           Particle count (default 1000)
+  --steps <count>               Number of steps (default 1000)
+  --dt <dt>                     Time step; the largest step in adaptive and block modes (default 0.016)
+  --timestep <mode>             ${Object.keys(TIMESTEP_MODES).join(', ')} (default ${DEFAULT_TIMESTEP_MODE})
+  --eta <eta>                   Accuracy of adaptive and block steps, dt = eta * sqrt(eps / |a|) (default ${DEFAULT_TIMESTEP_ACCURACY})
+  --levels <count>              Smallest adaptive or block step is dt / 2^levels (default ${DEFAULT_TIMESTEP_LEVELS})
+  --integrator <name>           ${Object.keys(INTEGRATORS).join(', ')} (default leapfrog)
+  --solver <name>               ${FORCE_SOLVERS.join(', ')} (default direct)
+  --theta <theta>               Barnes-Hut opening angle (default 0.5)
+  --softening <kernel>          ${Object.keys(SOFTENING_KERNELS).join(', ')} (default ${DEFAULT_SOFTENING_KERNEL})
+  --softening-length <eps>      Softening length (default ${DEFAULT_SOFTENING_LENGTH})
+  --collisions <mode>           ${Object.keys(COLLISION_MODES).join(', ')} (default ${DEFAULT_COLLISION_MODE})
+  --density <density>           Body density for collision radii (default ${DEFAULT_COLLISION_DENSITY})
+  --boundary <mode>             ${Object.keys(BOUNDARY_MODES).join(', ')} (default ${DEFAULT_BOUNDARY_MODE})
+  --box-size <size>             Half-width of the box, radius of the absorbing sphere (default ${DEFAULT_BOUNDARY_SIZE})
+  --restitution <e>             Velocity kept by reflective walls (default ${DEFAULT_RESTITUTION})
+  --gravity <G>                 Gravity strength (default 1)
+  --damping <factor>            Velocity damping per step (default 1, i.e. none)
+  --seed <seed>                 Random seed (default: random, recorded in run.json)
+  --out <dir>                   Output directory (default nbody-output)
+  --snapshot-every <steps>      Write a snapshot every this many steps; 0 for the first and last only (default 0)
+  --diagnostics-every <steps>   Diagnostics sampling interval (default 10)
+  -h, --help                    Show this help`;
+
+const DIAGNOSTICS_COLUMNS = [
+    'step', 'time', 'dt', 'particles', 'merges', 'escapes', 'kinetic', 'potential', 'total', 'virialRatio',
+    'energyDrift', 'momentumDrift', 'angularMomentumDrift',
+];
+
+function fail(message) {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function parseNumber(name, value, { integer = false, min = -Infinity, max = Infinity } = {}) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+        fail(`Invalid --${name}: ${value}`);
+    }
+    return number;
+}
+
+function parseOptions(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                'scenario': { type: 'string', default: DEFAULT_SCENARIO },
+                'param': { type: 'string', multiple: true, default: [] },
+                'particles': { type: 'string', short: 'n', default: '1000' },
+                'steps': { type: 'string', default: '1000' },
+                'dt': { type: 'string', default: '0.016' },
+                'timestep': { type: 'string', default: DEFAULT_TIMESTEP_MODE },
+                'eta': { type: 'string', default: String(DEFAULT_TIMESTEP_ACCURACY) },
+                'levels': { type: 'string', default: String(DEFAULT_TIMESTEP_LEVELS) },
+                'integrator': { type: 'string', default: 'leapfrog' },
+                'solver': { type: 'string', default: 'direct' },
+                'theta': { type: 'string', default: '0.5' },
+                'softening': { type: 'string', default: DEFAULT_SOFTENING_KERNEL },
+                'softening-length': { type: 'string', default: String(DEFAULT_SOFTENING_LENGTH) },
+                'collisions': { type: 'string', default: DEFAULT_COLLISION_MODE },
+                'density': { type: 'string', default: String(DEFAULT_COLLISION_DENSITY) },
+                'boundary': { type: 'string', default: DEFAULT_BOUNDARY_MODE },
+                'box-size': { type: 'string', default: String(DEFAULT_BOUNDARY_SIZE) },
+                'restitution': { type: 'string', default: String(DEFAULT_RESTITUTION) },
+                'gravity': { type: 'string', default: '1' },
+                'damping': { type: 'string', default: '1' },
+                'seed': { type: 'string' },
+                'out': { type: 'string', default: 'nbody-output' },
+                'snapshot-every': { type: 'string', default: '0' },
+                'diagnostics-every': { type: 'string', default: '10' },
+                'help': { type: 'boolean', short: 'h', default: false },
+            },
+        }));
+    } catch (err) {
+        fail(err.message);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    if (!Object.hasOwn(SCENARIOS, values.scenario)) fail(`Unknown scenario: ${values.scenario}`);
+    if (!Object.hasOwn(INTEGRATORS, values.integrator)) fail(`Unknown integrator: ${values.integrator}`);
+    if (!FORCE_SOLVERS.includes(values.solver)) fail(`Unknown solver: ${values.solver}`);
+    if (!Object.hasOwn(TIMESTEP_MODES, values.timestep)) fail(`Unknown timestep mode: ${values.timestep}`);
+    if (!Object.hasOwn(SOFTENING_KERNELS, values.softening)) fail(`Unknown softening kernel: ${values.softening}`);
+    if (!Object.hasOwn(COLLISION_MODES, values.collisions)) fail(`Unknown collision mode: ${values.collisions}`);
+    if (!Object.hasOwn(BOUNDARY_MODES, values.boundary)) fail(`Unknown boundary: ${values.boundary}`);
+
+    // Held to the ranges the app's inputs allow; the generators can't sample some values outside them
+    const scenarioParams = defaultScenarioParams(values.scenario);
+    for (const param of values.param) {
+        const [key, value] = param.split('=');
+        const declaration = scenarioParam(values.scenario, key);
+        if (!declaration) {
+            fail(`Unknown parameter '${key}' for ${values.scenario}; expected one of ${Object.keys(scenarioParams).join(', ')}`);
+        }
+        scenarioParams[key] = parseNumber(`param ${key}`, value, declaration);
+    }
+
+    let seed = randomSeed();
+    if (values.seed !== undefined) {
+        seed = parseSeed(values.seed);
+        if (seed === null) fail(`Invalid --seed: ${values.seed}`);
+    }
+
+    return {
+        scenario: values.scenario,
+        scenarioParams,
+        particleCount: parseNumber('particles', values.particles, { integer: true, min: 1 }),
+        steps: parseNumber('steps', values.steps, { integer: true, min: 0 }),
+        dt: parseNumber('dt', values.dt),
+        timestepMode: values.timestep,
+        timestepAccuracy: parseNumber('eta', values.eta, { min: Number.MIN_VALUE }),
+        timestepLevels: parseNumber('levels', values.levels, { integer: true, min: 0 }),
+        integrator: values.integrator,
+        forceSolver: values.solver,
+        theta: parseNumber('theta', values.theta, { min: 0 }),
+        softeningKernel: values.softening,
+        softeningLength: parseNumber('softening-length', values['softening-length'], { min: 0 }),
+        collisionMode: values.collisions,
+        collisionDensity: parseNumber('density', values.density, { min: Number.MIN_VALUE }),
+        boundaryMode: values.boundary,
+        boundarySize: parseNumber('box-size', values['box-size'], { min: Number.MIN_VALUE }),
+        restitution: parseNumber('restitution', values.restitution, { min: 0 }),
+        gravityStrength: parseNumber('gravity', values.gravity),
+        damping: parseNumber('damping', values.damping),
+        seed,
+        out: values.out,
+        snapshotEvery: parseNumber('snapshot-every', values['snapshot-every'], { integer: true, min: 0 }),
+        diagnosticsEvery: parseNumber('diagnostics-every', values['diagnostics-every'], { integer: true, min: 1 }),
+    };
+}
+
+async function writeSnapshot(system, options) {
+    const name = `snapshot-${String(system.stepCount).padStart(8, '0')}.nbody`;
+    const buffer = encodeSnapshot({
+        particles: system.packParticles(),
+        simTime: system.simTime,
+        gravityStrength: system.gravityStrength,
+        timeScale: 1,
+        damping: system.damping,
+        seed: options.seed,
+    });
+    await writeFile(join(options.out, name), new Uint8Array(buffer));
+}
+
+function diagnosticsRow(system, sample) {
+    const values = {
+        ...sample,
+        step: system.stepCount,
+        dt: system.finestTimestep,
+        particles: system.particleCount,
+        merges: system.mergeCount,
+        escapes: system.escapeCount,
+    };
+    return DIAGNOSTICS_COLUMNS.map((column) => values[column]).join(',') + '\n';
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const diagnosticsPath = join(options.out, 'diagnostics.csv');
+
+    const system = new NBodySystem({
+        gravityStrength: options.gravityStrength,
+        damping: options.damping,
+        integrator: options.integrator,
+        timestepMode: options.timestepMode,
+        maxTimestep: options.dt,
+        timestepAccuracy: options.timestepAccuracy,
+        timestepLevels: options.timestepLevels,
+        forceSolver: options.forceSolver,
+        theta: options.theta,
+        softeningKernel: options.softeningKernel,
+        softeningLength: options.softeningLength,
+        collisionMode: options.collisionMode,
+        collisionDensity: options.collisionDensity,
+        boundaryMode: options.boundaryMode,
+        boundarySize: options.boundarySize,
+        restitution: options.restitution,
+        diagnosticsInterval: options.diagnosticsEvery,
+        diagnosticsCapacity: 1, // rows go straight to disk
+    });
+
+    if (options.forceSolver === 'wasm-simd') {
+        try {
+            system.wasmKernel = await WasmForceKernel.load(await readFile(WASM_FORCE_MODULE));
+        } catch (err) {
+            console.error(`WebAssembly SIMD force kernel unavailable: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    await mkdir(options.out, { recursive: true });
+    await writeFile(join(options.out, 'run.json'), JSON.stringify({ ...options, out: undefined }, null, 2) + '\n');
+    await writeFile(diagnosticsPath, DIAGNOSTICS_COLUMNS.join(',') + '\n');
+
+    system.generate(options.scenario, options.particleCount, options.scenarioParams, options.seed);
+    await appendFile(diagnosticsPath, diagnosticsRow(system, system.diagnosticsHistory.latest));
+    await writeSnapshot(system, options);
+
+    const start = Date.now();
+    let lastReport = start;
+
+    for (let step = 1; step <= options.steps; step++) {
+        const sample = system.advance();
+        if (sample) {
+            await appendFile(diagnosticsPath, diagnosticsRow(system, sample));
+        }
+
+        if ((options.snapshotEvery > 0 && step % options.snapshotEvery === 0) || step === options.steps) {
+            await writeSnapshot(system, options);
+        }
+
+        if (Date.now() - lastReport > 2000) {
+            lastReport = Date.now();
+            console.error(`step ${step}/${options.steps}  t=${system.simTime.toFixed(3)}  ΔE/E=${system.diagnosticsHistory.latest.energyDrift.toExponential(2)}`);
+        }
+    }
+
+    const elapsed = (Date.now() - start) / 1000;
+    const latest = system.diagnosticsHistory.latest;
+    console.error(`Done: ${options.steps} steps of ${options.particleCount} particles in ${elapsed.toFixed(1)}s, ΔE/E=${latest.energyDrift.toExponential(2)}, output in ${options.out}`);
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,214 @@
+// Collisions and mergers between bodies
+// Bodies are spheres with a radius from their mass and a density (or their radius attribute).
+// The CPU path resolves contacts here after every step; the GPU path does the same in collisions.wgsl.
+
+import { SPECIES, packAttributes, unpackAttributes } from './particle-attributes.js';
+import { minimumImage } from './boundaries.js';
+
+// id is the mode value in collisions.wgsl
+export const COLLISION_MODES = {
+    'none': { label: 'None (pass through)', id: 0 },
+    'merge': { label: 'Merge (perfectly inelastic)', id: 1 },
+    'bounce': { label: 'Elastic bounce', id: 2 },
+    'absorb': { label: 'Absorb into larger body', id: 3 },
+};
+
+export const DEFAULT_COLLISION_MODE = 'none';
+export const DEFAULT_COLLISION_DENSITY = 100;
+
+// Dark matter is collisionless and test particles have no mass to merge
+export function canCollide(mass, attributes) {
+    const species = attributes & 0xFF;
+    return mass > 0 && (species === SPECIES.STAR || species === SPECIES.BLACK_HOLE);
+}
+
+// Radius attribute if set, otherwise the radius of a uniform sphere of this mass and density
+export function collisionRadius(mass, attributes, density) {
+    const radius = (attributes >>> 16) / 256;
+    return radius > 0 ? radius : Math.cbrt(3 * mass / (4 * Math.PI * density));
+}
+
+// Attributes of a merger product: the heavier body's, but a black hole swallowing anything stays a black hole
+export function mergedAttributes(heavier, lighter) {
+    if ((lighter & 0xFF) !== SPECIES.BLACK_HOLE) return heavier;
+    return packAttributes({ ...unpackAttributes(heavier), species: SPECIES.BLACK_HOLE });
+}
+
+function hashCell(x, y, z, mask) {
+    return (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & mask;
+}
+
+// Resolve the contacts among particles (objects with position, velocity, mass, attributes,
+// gravitatingMass): each body pairs with its nearest overlapping neighbour, and pairs that chose
+// each other merge or bounce, the same rule as the GPU path. Merges remove bodies, so the
+// survivors come back as a new, shorter array. A non-zero period (see periodOf in boundaries.js)
+// measures every separation to the nearest periodic image, so bodies touch across the box faces.
+export function resolveCollisions(particles, mode, density, period = 0) {
+    const count = particles.length;
+    const result = { particles, merges: 0, bounces: 0 };
+    if (mode === 'none' || count < 2) return result;
+
+    const radii = new Float64Array(count);
+    let maxRadius = 0;
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        if (canCollide(p.mass, p.attributes)) {
+            radii[i] = collisionRadius(p.mass, p.attributes, density);
+            maxRadius = Math.max(maxRadius, radii[i]);
+        }
+    }
+    if (maxRadius === 0) return result;
+
+    // Spatial hash with cells as wide as the largest contact distance, so only the 27
+    // surrounding cells can hold a partner. Buckets may be shared by distant cells; the
+    // distance test below sorts that out. In a periodic box a whole number of cells spans the
+    // period and the cell coordinates wrap, so the neighbours of a cell on one face include
+    // the cells on the opposite face.
+    const cellsPerPeriod = period > 0 ? Math.max(1, Math.floor(period / (2 * maxRadius))) : 0;
+    const cellSize = period > 0 ? period / cellsPerPeriod : 2 * maxRadius;
+    const cellOf = (coordinate) => {
+        const cell = Math.floor(coordinate / cellSize);
+        return period > 0 ? ((cell % cellsPerPeriod) + cellsPerPeriod) % cellsPerPeriod : cell;
+    };
+    let tableSize = 1;
+    while (tableSize < count * 2) tableSize *= 2;
+    const mask = tableSize - 1;
+    const head = new Int32Array(tableSize).fill(-1);
+    const next = new Int32Array(count).fill(-1);
+    const cells = new Int32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        if (radii[i] === 0) continue;
+        const position = particles[i].position;
+        const cx = cellOf(position[0]);
+        const cy = cellOf(position[1]);
+        const cz = cellOf(position[2]);
+        cells[i * 3] = cx;
+        cells[i * 3 + 1] = cy;
+        cells[i * 3 + 2] = cz;
+
+        const bucket = hashCell(cx, cy, cz, mask);
+        next[i] = head[bucket];
+        head[bucket] = i;
+    }
+
+    // Every body's nearest overlapping neighbour, as findPartners in collisions.wgsl picks it
+    const partners = new Int32Array(count).fill(-1);
+    const nearest = new Float64Array(count).fill(Infinity);
+    const visited = new Int32Array(count).fill(-1); // last i that tested j, against shared buckets
+
+    for (let i = 0; i < count; i++) {
+        if (radii[i] === 0) continue;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const bucket = period > 0
+                        ? hashCell(
+                            (cells[i * 3] + dx + cellsPerPeriod) % cellsPerPeriod,
+                            (cells[i * 3 + 1] + dy + cellsPerPeriod) % cellsPerPeriod,
+                            (cells[i * 3 + 2] + dz + cellsPerPeriod) % cellsPerPeriod, mask)
+                        : hashCell(cells[i * 3] + dx, cells[i * 3 + 1] + dy, cells[i * 3 + 2] + dz, mask);
+
+                    // Each pair is tested once, from its lower index, and counts for both bodies
+                    for (let j = head[bucket]; j !== -1; j = next[j]) {
+                        if (j <= i || visited[j] === i) continue;
+                        visited[j] = i;
+
+                        const distanceSquared = separationSquared(particles[i].position, particles[j].position, period);
+                        const contact = radii[i] + radii[j];
+                        if (distanceSquared >= contact * contact) continue;
+
+                        if (distanceSquared < nearest[i]) {
+                            nearest[i] = distanceSquared;
+                            partners[i] = j;
+                        }
+                        if (distanceSquared < nearest[j]) {
+                            nearest[j] = distanceSquared;
+                            partners[j] = i;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Only mutual pairs collide, so every body takes part in at most one collision per step
+    // and nothing is resolved against a body that has already merged or bounced
+    const removed = new Uint8Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const j = partners[i];
+        if (j <= i || partners[j] !== i) continue;
+
+        if (mode === 'bounce') {
+            if (bounce(particles[i], particles[j], nearest[i], period)) {
+                result.bounces++;
+            }
+            continue;
+        }
+
+        const [survivor, victim] = particles[i].mass >= particles[j].mass ? [i, j] : [j, i];
+        merge(particles[survivor], particles[victim], mode === 'merge', period);
+        removed[victim] = 1;
+        result.merges++;
+    }
+
+    if (result.merges > 0) {
+        result.particles = particles.filter((_, i) => !removed[i]);
+    }
+    return result;
+}
+
+function separationSquared(a, b, period) {
+    const dx = minimumImage(b[0] - a[0], period);
+    const dy = minimumImage(b[1] - a[1], period);
+    const dz = minimumImage(b[2] - a[2], period);
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// Fold the lighter body into the heavier one, conserving mass and momentum. A merge moves
+// the product to the centre of mass, taken with the lighter body's nearest image and wrapped
+// back into a periodic box; absorbing leaves the heavier body where it is.
+function merge(heavier, lighter, atCentreOfMass, period) {
+    const mass = heavier.mass + lighter.mass;
+
+    for (let k = 0; k < 3; k++) {
+        heavier.velocity[k] = (heavier.mass * heavier.velocity[k] + lighter.mass * lighter.velocity[k]) / mass;
+        if (atCentreOfMass) {
+            const offset = minimumImage(lighter.position[k] - heavier.position[k], period);
+            heavier.position[k] = minimumImage(heavier.position[k] + lighter.mass * offset / mass, period);
+        }
+    }
+
+    heavier.mass = mass;
+    heavier.attributes = mergedAttributes(heavier.attributes, lighter.attributes);
+    heavier.gravitatingMass = mass;
+}
+
+// Elastic collision of two spheres along the line between their centres (nearest images in a
+// periodic box). Only approaching pairs bounce, so overlapping bodies that are already separating
+// are left alone.
+function bounce(a, b, distanceSquared, period) {
+    if (distanceSquared === 0) return false;
+
+    const distance = Math.sqrt(distanceSquared);
+    const nx = minimumImage(b.position[0] - a.position[0], period) / distance;
+    const ny = minimumImage(b.position[1] - a.position[1], period) / distance;
+    const nz = minimumImage(b.position[2] - a.position[2], period) / distance;
+
+    const approach = (a.velocity[0] - b.velocity[0]) * nx + (a.velocity[1] - b.velocity[1]) * ny + (a.velocity[2] - b.velocity[2]) * nz;
+    if (approach <= 0) return false;
+
+    const totalMass = a.mass + b.mass;
+    const impulseA = 2 * b.mass / totalMass * approach;
+    const impulseB = 2 * a.mass / totalMass * approach;
+
+    a.velocity[0] -= impulseA * nx;
+    a.velocity[1] -= impulseA * ny;
+    a.velocity[2] -= impulseA * nz;
+    b.velocity[0] += impulseB * nx;
+    b.velocity[1] += impulseB * ny;
+    b.velocity[2] += impulseB * nz;
+    return true;
+}
@@ -0,0 +1,75 @@
+// HUD colour bar of the colour mapping
+// The ramp of the selected colormap with the ends of its range, or a swatch per species
+
+import { COLOR_QUANTITIES, SPECIES_COLORS, displayValue, sampleColormap } from './color-mapping.js';
+import { SPECIES_LABELS } from './particle-attributes.js';
+
+const RAMP_STEPS = 64;
+
+const cssColor = (rgb) => `rgb(${rgb.map((channel) => Math.round(channel * 255)).join(', ')})`;
+
+// Short enough for the ends of the bar, whatever the magnitude
+function formatValue(value) {
+    if (!Number.isFinite(value)) return '--';
+    const magnitude = Math.abs(value);
+    return magnitude !== 0 && (magnitude >= 1e4 || magnitude < 1e-2) ? value.toExponential(1) : value.toPrecision(3);
+}
+
+export class ColorLegend {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.drawn = null; // what the canvas shows, to skip redrawing it unchanged
+    }
+
+    // settings as in DEFAULT_COLOR_SETTINGS; range is the { min, max } of the values as stored
+    // (log10 for log quantities), used when autoRange is set
+    draw(settings, range) {
+        const { quantity, colormap, autoRange } = settings;
+        const [min, max] = autoRange
+            ? [displayValue(quantity, range?.min ?? NaN), displayValue(quantity, range?.max ?? NaN)]
+            : [settings.min, settings.max];
+
+        const key = `${quantity} ${colormap} ${min} ${max}`;
+        if (key === this.drawn && this.canvas.width === this.canvas.clientWidth * devicePixelRatio) return;
+        this.drawn = key;
+
+        const ctx = this.context;
+        const width = this.canvas.width = this.canvas.clientWidth * devicePixelRatio;
+        const height = this.canvas.height = this.canvas.clientHeight * devicePixelRatio;
+        const fontSize = 10 * devicePixelRatio;
+        const barHeight = height - fontSize - 4 * devicePixelRatio;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = `${fontSize}px Arial`;
+        ctx.textBaseline = 'bottom';
+
+        if (quantity === 'species') {
+            const slot = width / SPECIES_COLORS.length;
+            SPECIES_COLORS.forEach((color, species) => {
+                ctx.fillStyle = cssColor(color);
+                ctx.fillRect(species * slot + 1, 0, slot - 2, barHeight);
+                ctx.fillStyle = '#ccc';
+                ctx.fillText(SPECIES_LABELS[species], species * slot + 1, height, slot - 2);
+            });
+            return;
+        }
+
+        const step = width / RAMP_STEPS;
+        for (let i = 0; i < RAMP_STEPS; i++) {
+            ctx.fillStyle = cssColor(sampleColormap(colormap, (i + 0.5) / RAMP_STEPS));
+            ctx.fillRect(i * step, 0, step + 1, barHeight);
+        }
+
+        // Ends of the range, and the quantity in between
+        ctx.fillStyle = '#ccc';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatValue(min), 0, height);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatValue(max), width, height);
+        ctx.textAlign = 'center';
+        ctx.fillText(COLOR_QUANTITIES[quantity].log ? `${COLOR_QUANTITIES[quantity].label} (log)` : COLOR_QUANTITIES[quantity].label,
+            width / 2, height);
+        ctx.textAlign = 'left';
+    }
+}
@@ -0,0 +1,135 @@
+// Particle colouring: a quantity per particle mapped through a colour ramp over a range
+// The values are computed per particle (shaders/color-values.wgsl on the GPU, NBodySystem.computeColorValues
+// on the CPU) into a buffer that also holds their running min/max for auto-ranging; the vertex
+// shader maps them to colours and the HUD legend (color-legend.js) shows the same ramp and range.
+
+// id is the quantity value in the shaders' ColorParams and ColorMap; log quantities are stored
+// as log10, since masses and densities span orders of magnitude
+export const COLOR_QUANTITIES = {
+    'speed': { id: 0, label: 'Speed', log: false },
+    'mass': { id: 1, label: 'Mass', log: true },
+    'potential': { id: 2, label: 'Potential (per unit mass)', log: false },
+    'density': { id: 3, label: 'Local Density', log: true },
+    'species': { id: 4, label: 'Species', log: false },
+    'origin': { id: 5, label: 'Initial Position (x)', log: false },
+};
+
+// Polynomial fits (degree 6, in t from 0 to 1) of the matplotlib colormaps, sRGB, per channel
+export const COLORMAPS = {
+    'viridis': {
+        label: 'Viridis',
+        coefficients: [
+            [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+            [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+            [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+            [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+            [6.228269936347081, 14.17993336680509, 56.69055260068105],
+            [4.776384997670288, -13.74514537774601, -65.35303263337234],
+            [-5.435455855934631, 4.645852612178535, 26.3124352495832],
+        ],
+    },
+    'inferno': {
+        label: 'Inferno',
+        coefficients: [
+            [0.0002189403691192265, 0.001651004631001012, -0.01948089843709184],
+            [0.1065134194856116, 0.5639564367884091, 3.932712388889277],
+            [11.60249308247187, -3.972853965665698, -15.9423941062914],
+            [-41.70399613139459, 17.43639888205313, 44.35414519872813],
+            [77.162935699427, -33.40235894210092, -81.80730925738993],
+            [-71.31942824499214, 32.62606426397723, 73.20951985803202],
+            [25.13112622477341, -12.24266895238567, -23.07032500287172],
+        ],
+    },
+    'magma': {
+        label: 'Magma',
+        coefficients: [
+            [-0.002136485053939582, -0.000749655052795221, -0.005386127855323933],
+            [0.2516605407371642, 0.6775232436837668, 2.494026599312351],
+            [8.353717279216625, -3.577719514958484, 0.3144679030132573],
+            [-27.66873308576866, 14.26473078096533, -13.64921318813922],
+            [52.17613981234068, -27.94360607168351, 12.94416944238394],
+            [-50.76852536473588, 29.04658282127291, 4.23415299384598],
+            [18.65570506591883, -11.48977351997711, -5.601961508734096],
+        ],
+    },
+    'plasma': {
+        label: 'Plasma',
+        coefficients: [
+            [0.05873234392399702, 0.02333670892565664, 0.5433401826748754],
+            [2.176514634195958, 0.2383834171260182, 0.7539604599784036],
+            [-2.689460476458034, -7.455851135738909, 3.110799939717086],
+            [6.130348345893603, 42.3461881477227, -28.51885465332158],
+            [-11.10743619062271, -82.66631109428045, 60.13984767418263],
+            [10.02306557647065, 71.41361770095349, -54.07218655560067],
+            [-3.658713842777788, -22.93153465461149, 18.19190778539828],
+        ],
+    },
+};
+
+// Species colours for the 'species' quantity, sRGB, indexed by SPECIES; must match the vertex shader
+export const SPECIES_COLORS = [
+    [1.0, 0.85, 0.6], // star
+    [0.35, 0.25, 0.6], // dark matter
+    [1.0, 0.55, 0.15], // black hole
+    [0.7, 0.7, 0.7], // test particle
+];
+
+export const DEFAULT_COLOR_SETTINGS = {
+    quantity: 'speed', // key of COLOR_QUANTITIES
+    colormap: 'viridis', // key of COLORMAPS
+    autoRange: true, // the current min/max of the quantity, otherwise min and max below
+    min: 0,
+    max: 10,
+    densityLength: 1.0, // smoothing length of the local density
+};
+
+// Size of the ColorMap uniform: 7 coefficient vec4s, then quantity, autoRange, min, max,
+// densityLength, padded
+export const COLOR_MAP_SIZE = 144;
+
+// Log quantities are clamped to this before taking log10, so massless test particles stay finite;
+// must match MIN_LOG_VALUE in color-values.wgsl
+export const MIN_LOG_VALUE = 1e-30;
+
+// A colormap at t in [0, 1], sRGB components in [0, 1]
+export function sampleColormap(name, t) {
+    const { coefficients } = COLORMAPS[name];
+    const x = Math.min(Math.max(t, 0), 1);
+    return [0, 1, 2].map((channel) => {
+        let value = 0;
+        for (let k = coefficients.length - 1; k >= 0; k--) {
+            value = value * x + coefficients[k][channel];
+        }
+        return Math.min(Math.max(value, 0), 1);
+    });
+}
+
+// Float bits reordered so that unsigned comparison orders them like the floats, which lets the
+// GPU keep the min/max with atomicMin/atomicMax; see orderedBits in color-values.wgsl
+export function orderedBits(value) {
+    const bits = new Uint32Array(new Float32Array([value]).buffer)[0];
+    return (bits & 0x80000000 ? ~bits : bits | 0x80000000) >>> 0;
+}
+
+export function fromOrderedBits(ordered) {
+    const bits = ordered & 0x80000000 ? ordered & 0x7fffffff : ~ordered >>> 0;
+    return new Float32Array(new Uint32Array([bits]).buffer)[0];
+}
+
+// A value as stored (log10 for log quantities) back to the quantity, for labels
+export function displayValue(quantity, value) {
+    return COLOR_QUANTITIES[quantity].log ? 10 ** value : value;
+}
+
+// The ColorMap uniform, shared by color-values.wgsl and the vertex shader. Fixed ranges are given
+// in the quantity's units and converted to how it is stored.
+export function packColorMap({ quantity, colormap, autoRange, min, max, densityLength }) {
+    const data = new ArrayBuffer(COLOR_MAP_SIZE);
+    const floats = new Float32Array(data);
+    COLORMAPS[colormap].coefficients.forEach((coefficient, k) => floats.set(coefficient, k * 4));
+
+    const stored = (value) => COLOR_QUANTITIES[quantity].log ? Math.log10(Math.max(value, MIN_LOG_VALUE)) : value;
+    new Uint32Array(data, 112, 2).set([COLOR_QUANTITIES[quantity].id, autoRange ? 1 : 0]);
+    floats.set([stored(min), stored(max), densityLength], 30);
+    return data;
+}
@@ -0,0 +1,71 @@
+// HUD graph of the conservation diagnostics
+// Plots relative drift of energy, momentum and angular momentum on a shared symmetric scale
+
+const SERIES = [
+    { key: 'energyDrift', color: '#ffb74d', label: 'ΔE/E' },
+    { key: 'momentumDrift', color: '#4dd0e1', label: 'ΔP' },
+    { key: 'angularMomentumDrift', color: '#ba68c8', label: 'ΔL' },
+];
+
+export class DiagnosticsGraph {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+
+    draw(history) {
+        const ctx = this.context;
+        const width = this.canvas.width = this.canvas.clientWidth * devicePixelRatio;
+        const height = this.canvas.height = this.canvas.clientHeight * devicePixelRatio;
+        const samples = history.samples;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Zero line
+        ctx.strokeStyle = '#444';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+
+        if (samples.length < 2) return;
+
+        let range = 1e-6;
+        for (const sample of samples) {
+            for (const series of SERIES) {
+                range = Math.max(range, Math.abs(sample[series.key]));
+            }
+        }
+
+        const t0 = samples[0].time;
+        const t1 = samples[samples.length - 1].time;
+        const x = (t) => t1 > t0 ? (t - t0) / (t1 - t0) * width : 0;
+        const y = (value) => height / 2 - value / range * (height / 2 - 2);
+
+        ctx.lineWidth = devicePixelRatio;
+        for (const series of SERIES) {
+            ctx.strokeStyle = series.color;
+            ctx.beginPath();
+            samples.forEach((sample, i) => {
+                const px = x(sample.time);
+                const py = y(sample[series.key]);
+                if (i === 0) ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            });
+            ctx.stroke();
+        }
+
+        // Scale and legend
+        ctx.font = `${10 * devicePixelRatio}px Arial`;
+        ctx.fillStyle = '#ccc';
+        ctx.fillText(`±${range.toExponential(1)}`, 2, 10 * devicePixelRatio);
+
+        let legendX = width;
+        for (const series of [...SERIES].reverse()) {
+            legendX -= ctx.measureText(series.label).width + 6 * devicePixelRatio;
+            ctx.fillStyle = series.color;
+            ctx.fillText(series.label, legendX, 10 * devicePixelRatio);
+        }
+    }
+}
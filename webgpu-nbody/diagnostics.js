@@ -0,0 +1,107 @@
+// Conservation diagnostics for the N-Body simulation
+// Kinetic/potential energy, linear and angular momentum and the virial ratio, plus their drift over time
+
+// Per-particle sums that both paths produce: the CPU path loops over its particles,
+// the GPU path gets the same numbers from diagnostics-reduce.wgsl.
+// Test particles carry no gravitating mass, so they drop out of every total.
+export function sumParticleQuantities(particles, count) {
+    const sums = {
+        mass: 0,
+        kinetic: 0,
+        momentum: [0, 0, 0],
+        angularMomentum: [0, 0, 0],
+        momentumScale: 0,
+        angularMomentumScale: 0,
+    };
+
+    for (let i = 0; i < count; i++) {
+        const { position: r, velocity: v, gravitatingMass: m } = particles[i];
+        const speedSquared = v[0] * v[0] + v[1] * v[1] + v[2] * v[2];
+        const speed = Math.sqrt(speedSquared);
+
+        sums.mass += m;
+        sums.kinetic += 0.5 * m * speedSquared;
+
+        sums.momentum[0] += m * v[0];
+        sums.momentum[1] += m * v[1];
+        sums.momentum[2] += m * v[2];
+
+        // L = m * (r x v)
+        sums.angularMomentum[0] += m * (r[1] * v[2] - r[2] * v[1]);
+        sums.angularMomentum[1] += m * (r[2] * v[0] - r[0] * v[2]);
+        sums.angularMomentum[2] += m * (r[0] * v[1] - r[1] * v[0]);
+
+        // Reference magnitudes, so drift of a total that starts near zero is still meaningful
+        sums.momentumScale += m * speed;
+        sums.angularMomentumScale += m * speed * Math.hypot(r[0], r[1], r[2]);
+    }
+
+    return sums;
+}
+
+// One diagnostics sample from the particle sums and the total potential energy
+export function createSample(time, sums, potential) {
+    return {
+        time,
+        mass: sums.mass,
+        kinetic: sums.kinetic,
+        potential,
+        total: sums.kinetic + potential,
+        momentum: sums.momentum,
+        angularMomentum: sums.angularMomentum,
+        momentumScale: sums.momentumScale,
+        angularMomentumScale: sums.angularMomentumScale,
+        // 2K / |W|: 1 for a system in virial equilibrium
+        virialRatio: potential !== 0 ? 2 * sums.kinetic / Math.abs(potential) : 0,
+    };
+}
+
+// Samples over time with their drift relative to the first sample since the last reset
+export class DiagnosticsHistory {
+    constructor(capacity = 600) {
+        this.capacity = capacity;
+        this.reset();
+    }
+
+    reset() {
+        this.initial = null;
+        this.samples = [];
+        this.latest = null;
+    }
+
+    push(sample) {
+        if (!this.initial) {
+            this.initial = sample;
+        }
+
+        const initial = this.initial;
+        const vectorDrift = (a, b, scale) => scale > 0
+            ? Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) / scale
+            : 0;
+
+        const entry = {
+            ...sample,
+            energyDrift: initial.total !== 0 ? (sample.total - initial.total) / Math.abs(initial.total) : 0,
+            momentumDrift: vectorDrift(sample.momentum, initial.momentum, initial.momentumScale),
+            angularMomentumDrift: vectorDrift(sample.angularMomentum, initial.angularMomentum, initial.angularMomentumScale),
+        };
+
+        this.samples.push(entry);
+        if (this.samples.length > this.capacity) {
+            this.samples.shift();
+        }
+        this.latest = entry;
+        return entry;
+    }
+
+    // Drop the samples taken after time, e.g. after rewinding to it
+    truncate(time) {
+        while (this.samples.length > 0 && this.samples[this.samples.length - 1].time > time) {
+            this.samples.pop();
+        }
+        this.latest = this.samples.length > 0 ? this.samples[this.samples.length - 1] : null;
+        if (this.initial && this.initial.time > time) {
+            this.initial = null;
+        }
+    }
+}
@@ -0,0 +1,39 @@
+// GPU force kernels for the direct sum in shaders/force-compute.wgsl
+// The naive kernel reads every body from the storage buffer in every thread; the tiled kernels stage
+// a workgroup's worth of bodies at a time in workgroup memory. All of them sum in the same order.
+
+export const FORCE_KERNELS = {
+    'naive': { label: 'Naive', entryPoint: 'computeForces', unroll: false, maxParticles: 4000 },
+    'tiled': { label: 'Tiled (workgroup memory)', entryPoint: 'computeForcesTiled', unroll: false, maxParticles: 32768 },
+    'tiled-unrolled': { label: 'Tiled, unrolled ×4', entryPoint: 'computeForcesTiled', unroll: true, maxParticles: 32768 },
+};
+
+export const DEFAULT_FORCE_KERNEL = 'tiled';
+
+// Threads per workgroup, which is also the tile size; WORKGROUP_SIZE in force-compute.wgsl
+export const FORCE_WORKGROUP_SIZES = [64, 128, 256];
+export const DEFAULT_FORCE_WORKGROUP_SIZE = 128;
+
+// Relative error of one kernel's accelerations (vec4 per particle, xyz used) against another's
+export function compareAccelerations(reference, candidate, count) {
+    let maxError = 0;
+    let sumSquaredError = 0;
+
+    for (let i = 0; i < count; i++) {
+        const offset = i * 4;
+        const ex = candidate[offset] - reference[offset];
+        const ey = candidate[offset + 1] - reference[offset + 1];
+        const ez = candidate[offset + 2] - reference[offset + 2];
+        const magnitude = Math.hypot(reference[offset], reference[offset + 1], reference[offset + 2]);
+        const error = magnitude > 0 ? Math.hypot(ex, ey, ez) / magnitude : 0;
+
+        maxError = Math.max(maxError, error);
+        sumSquaredError += error * error;
+    }
+
+    return {
+        samples: count,
+        maxError,
+        rmsError: count > 0 ? Math.sqrt(sumSquaredError / count) : 0,
+    };
+}
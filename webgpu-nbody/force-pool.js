@@ -0,0 +1,146 @@
+// Pool of force workers (force-worker.js) that split the CPU force sums by particle range
+// The workers read the particles straight from the system's body array, which lives in a
+// SharedArrayBuffer (see NBodySystem.bindBodies), and each sums the accelerations of its range into
+// a shared output array. Waiting for the workers blocks, so the pool runs inside a worker
+// (physics-worker.js), never on the main thread.
+
+import { FLOATS_PER_BODY } from './force-solvers.js';
+
+// Below this many particles the round trip to the workers costs more than it saves
+export const MIN_POOLED_PARTICLES = 256;
+
+// Control words: workers still busy with the current run (what the pool waits on), and a flag
+// a worker raises when its share threw
+const PENDING = 0;
+const FAILED = 1;
+const CONTROL_WORDS = 2;
+
+// How long a run may take before the pool gives up on its workers
+export const DEFAULT_RUN_TIMEOUT = 30000; // ms
+
+// Worker messages: 'ready' once loaded, then 'buffers' and 'run' from here (see force-worker.js)
+export class ForceWorkerPool {
+    // createWorker() returns a new force worker; size is how many to run
+    constructor(createWorker, size, runTimeout = DEFAULT_RUN_TIMEOUT) {
+        this.workers = Array.from({ length: size }, () => createWorker());
+        this.control = new Int32Array(new SharedArrayBuffer(CONTROL_WORDS * 4));
+        this.runTimeout = runTimeout;
+        this.capacity = 0;
+        this.bodies = null; // the system's, as the workers last got it
+        this.accelerations = null;
+        this.indices = null;
+    }
+
+    get size() { return this.workers.length; }
+
+    // Resolves once every worker has loaded; until then the workers can't be waited on
+    start() {
+        return Promise.all(this.workers.map((worker) => new Promise((resolve, reject) => {
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'ready') resolve();
+            };
+            worker.onerror = (e) => reject(new Error(`Force worker failed to start: ${e.message}`));
+        })));
+    }
+
+    terminate() {
+        this.workers.forEach((worker) => worker.terminate());
+        this.workers = [];
+    }
+
+    accepts(count) {
+        return this.workers.length > 0 && count >= MIN_POOLED_PARTICLES;
+    }
+
+    // Grow the output arrays to hold count particles and follow the system's body array; the
+    // workers get the new arrays before the next run
+    ensureBuffers(bodies, count) {
+        if (count <= this.capacity && bodies === this.bodies) return;
+
+        if (count > this.capacity) {
+            this.capacity = Math.max(count, this.capacity * 2);
+            this.accelerations = new Float64Array(new SharedArrayBuffer(this.capacity * 3 * 8));
+            this.indices = new Int32Array(new SharedArrayBuffer(this.capacity * 4));
+        }
+        this.bodies = bodies;
+
+        for (const worker of this.workers) {
+            worker.postMessage({
+                type: 'buffers',
+                control: this.control,
+                bodies: this.bodies,
+                accelerations: this.accelerations,
+                indices: this.indices,
+            });
+        }
+    }
+
+    // Accelerations of every particle, or only of those in indices, into out (3 per particle).
+    // bodies is the shared body array, FLOATS_PER_BODY per particle; solver is 'direct' or
+    // 'barnes-hut', and each worker builds its own copy of the tree.
+    computeAccelerations(bodies, count, solver, gravityStrength, theta, law, out, indices = null) {
+        if (!(bodies.buffer instanceof SharedArrayBuffer) || bodies.length < count * FLOATS_PER_BODY) {
+            throw new Error('The force pool needs the bodies in a SharedArrayBuffer');
+        }
+        this.ensureBuffers(bodies, count);
+
+        const targets = indices ? indices.length : count;
+        if (indices) {
+            this.indices.set(indices);
+        }
+
+        this.run({
+            type: 'run',
+            solver,
+            count,
+            targets,
+            subset: indices !== null,
+            gravityStrength,
+            theta,
+            law: { kernel: law.kernel, softening: law.softening, period: law.period },
+        });
+
+        if (indices) {
+            for (const i of indices) {
+                out[i * 3 + 0] = this.accelerations[i * 3 + 0];
+                out[i * 3 + 1] = this.accelerations[i * 3 + 1];
+                out[i * 3 + 2] = this.accelerations[i * 3 + 2];
+            }
+        } else {
+            out.set(this.accelerations.subarray(0, count * 3));
+        }
+        return out;
+    }
+
+    // Hand every worker an equal share of the targets and block until all of them are done. Workers
+    // that don't finish within runTimeout are stopped, leaving the pool empty, and the run fails.
+    run(job) {
+        const size = this.workers.length;
+        Atomics.store(this.control, PENDING, size);
+
+        this.workers.forEach((worker, k) => {
+            worker.postMessage({
+                ...job,
+                start: Math.floor(job.targets * k / size),
+                end: Math.floor(job.targets * (k + 1) / size),
+            });
+        });
+
+        const deadline = performance.now() + this.runTimeout;
+        let pending;
+        while ((pending = Atomics.load(this.control, PENDING)) > 0) {
+            const remaining = deadline - performance.now();
+            if (remaining <= 0 || Atomics.wait(this.control, PENDING, pending, remaining) === 'timed-out') {
+                const stuck = Atomics.load(this.control, PENDING);
+                if (stuck === 0) break;
+                this.terminate();
+                Atomics.store(this.control, FAILED, 0);
+                throw new Error(`${stuck} of ${size} force workers didn't finish within ${this.runTimeout} ms`);
+            }
+        }
+
+        if (Atomics.exchange(this.control, FAILED, 0) !== 0) {
+            throw new Error('A force worker failed, see its console');
+        }
+    }
+}
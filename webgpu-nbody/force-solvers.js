@@ -0,0 +1,653 @@
+// CPU force solvers for the N-Body simulation
+// Direct summation (exact, O(N^2)) and a Barnes-Hut octree (approximate, O(N log N))
+// Both produce accelerations, 3 floats per particle
+// Sources are weighted by particle.gravitatingMass, which is 0 for test particles
+// computeDirectAccelerationForBody and BarnesHutTree.buildFromBodies read a flat array of x, y, z and
+// gravitating mass per particle instead of particle objects (see force-pool.js), with identical results
+
+import { DEFAULT_SOFTENING_KERNEL, DEFAULT_SOFTENING_LENGTH, accelerationFactor, potentialFactor } from './softening.js';
+
+// The force law: softening kernel and length (see softening.js), and the edge length of a
+// periodic box (see boundaries.js). A non-zero period makes every separation the minimum
+// image, so each body feels the nearest copy of every other body.
+export const DEFAULT_FORCE_LAW = {
+    kernel: DEFAULT_SOFTENING_KERNEL,
+    softening: DEFAULT_SOFTENING_LENGTH,
+    period: 0,
+};
+
+// Stride of the flat body array: x, y, z, gravitating mass
+export const FLOATS_PER_BODY = 4;
+
+// Leaves hold a few bodies before splitting; past the depth limit coincident
+// bodies share a leaf instead of subdividing forever
+const LEAF_CAPACITY = 8;
+const MAX_TREE_DEPTH = 32;
+
+// Density of a Plummer sphere of unit mass and scale length `length` at distance^2 from its centre.
+// The local density (color-mapping.js) smooths every body with it; it integrates to 1.
+export function densityKernel(distanceSquared, length) {
+    const softened = distanceSquared + length * length;
+    return 3 * length * length / (4 * Math.PI * softened * softened * Math.sqrt(softened));
+}
+
+// Direct summation: every particle feels every other particle
+export function computeDirectAccelerations(particles, count, gravityStrength, accelerations, law = DEFAULT_FORCE_LAW) {
+    for (let i = 0; i < count; i++) {
+        computeDirectAcceleration(particles, count, i, gravityStrength, accelerations, i * 3, law);
+    }
+    return accelerations;
+}
+
+export function computeDirectAcceleration(particles, count, index, gravityStrength, out, outOffset = 0, law = DEFAULT_FORCE_LAW) {
+    const { kernel, softening, period } = law;
+    const particle = particles[index];
+    const px = particle.position[0];
+    const py = particle.position[1];
+    const pz = particle.position[2];
+
+    let ax = 0, ay = 0, az = 0;
+
+    for (let j = 0; j < count; j++) {
+        if (j === index) continue;
+
+        const other = particles[j];
+        let dx = other.position[0] - px;
+        let dy = other.position[1] - py;
+        let dz = other.position[2] - pz;
+        if (period > 0) {
+            dx -= period * Math.round(dx / period);
+            dy -= period * Math.round(dy / period);
+            dz -= period * Math.round(dz / period);
+        }
+
+        const distanceSquared = dx * dx + dy * dy + dz * dz;
+        const strength = gravityStrength * other.gravitatingMass * accelerationFactor(distanceSquared, kernel, softening);
+
+        ax += strength * dx;
+        ay += strength * dy;
+        az += strength * dz;
+    }
+
+    out[outOffset + 0] = ax;
+    out[outOffset + 1] = ay;
+    out[outOffset + 2] = az;
+}
+
+// computeDirectAcceleration for a flat body array, summing in the same order
+export function computeDirectAccelerationForBody(bodies, count, index, gravityStrength, out, outOffset = 0, law = DEFAULT_FORCE_LAW) {
+    const { kernel, softening, period } = law;
+    const px = bodies[index * FLOATS_PER_BODY + 0];
+    const py = bodies[index * FLOATS_PER_BODY + 1];
+    const pz = bodies[index * FLOATS_PER_BODY + 2];
+
+    let ax = 0, ay = 0, az = 0;
+
+    for (let j = 0; j < count; j++) {
+        if (j === index) continue;
+
+        const offset = j * FLOATS_PER_BODY;
+        let dx = bodies[offset + 0] - px;
+        let dy = bodies[offset + 1] - py;
+        let dz = bodies[offset + 2] - pz;
+        if (period > 0) {
+            dx -= period * Math.round(dx / period);
+            dy -= period * Math.round(dy / period);
+            dz -= period * Math.round(dz / period);
+        }
+
+        const distanceSquared = dx * dx + dy * dy + dz * dz;
+        const strength = gravityStrength * bodies[offset + 3] * accelerationFactor(distanceSquared, kernel, softening);
+
+        ax += strength * dx;
+        ay += strength * dy;
+        az += strength * dz;
+    }
+
+    out[outOffset + 0] = ax;
+    out[outOffset + 1] = ay;
+    out[outOffset + 2] = az;
+}
+
+// Total potential energy W = -sum over pairs of G * mi * mj / r, softened
+export function computeDirectPotentialEnergy(particles, count, gravityStrength, law = DEFAULT_FORCE_LAW) {
+    const { kernel, softening, period } = law;
+    let energy = 0;
+
+    for (let i = 0; i < count; i++) {
+        const p = particles[i];
+        let sum = 0;
+
+        for (let j = i + 1; j < count; j++) {
+            const other = particles[j];
+            let dx = other.position[0] - p.position[0];
+            let dy = other.position[1] - p.position[1];
+            let dz = other.position[2] - p.position[2];
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            sum += other.gravitatingMass * potentialFactor(dx * dx + dy * dy + dz * dz, kernel, softening);
+        }
+
+        energy -= p.gravitatingMass * sum;
+    }
+
+    return energy * gravityStrength;
+}
+
+// Octree over the particle positions. Each node stores the total mass and centre of mass
+// of everything below it, so a distant node can stand in for all of its bodies.
+export class BarnesHutTree {
+    constructor() {
+        this.nodeCount = 0;
+        this.capacity = 0;
+        this.bodyCapacity = 0;
+        this.allocate(1024);
+    }
+
+    allocate(capacity) {
+        const grow = (array, size) => {
+            const next = new array.constructor(size);
+            next.set(array.subarray(0, Math.min(array.length, size)));
+            return next;
+        };
+
+        if (this.capacity === 0) {
+            this.centerX = new Float64Array(capacity);
+            this.centerY = new Float64Array(capacity);
+            this.centerZ = new Float64Array(capacity);
+            this.halfSize = new Float64Array(capacity);
+            this.massX = new Float64Array(capacity);
+            this.massY = new Float64Array(capacity);
+            this.massZ = new Float64Array(capacity);
+            this.mass = new Float64Array(capacity);
+            this.parent = new Int32Array(capacity);
+            this.children = new Int32Array(capacity * 8);
+            this.firstBody = new Int32Array(capacity);
+            this.bodyCount = new Int32Array(capacity);
+            this.internal = new Uint8Array(capacity);
+        } else {
+            this.centerX = grow(this.centerX, capacity);
+            this.centerY = grow(this.centerY, capacity);
+            this.centerZ = grow(this.centerZ, capacity);
+            this.halfSize = grow(this.halfSize, capacity);
+            this.massX = grow(this.massX, capacity);
+            this.massY = grow(this.massY, capacity);
+            this.massZ = grow(this.massZ, capacity);
+            this.mass = grow(this.mass, capacity);
+            this.parent = grow(this.parent, capacity);
+            this.children = grow(this.children, capacity * 8);
+            this.firstBody = grow(this.firstBody, capacity);
+            this.bodyCount = grow(this.bodyCount, capacity);
+            this.internal = grow(this.internal, capacity);
+        }
+
+        this.capacity = capacity;
+        this.stack = new Int32Array(capacity);
+    }
+
+    allocNode(parent, cx, cy, cz, halfSize) {
+        if (this.nodeCount >= this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+
+        const node = this.nodeCount++;
+        this.centerX[node] = cx;
+        this.centerY[node] = cy;
+        this.centerZ[node] = cz;
+        this.halfSize[node] = halfSize;
+        this.parent[node] = parent;
+        this.children.fill(-1, node * 8, node * 8 + 8);
+        this.firstBody[node] = -1;
+        this.bodyCount[node] = 0;
+        this.internal[node] = 0;
+        return node;
+    }
+
+    ensureBodyCapacity(count) {
+        if (this.bodyCapacity < count) {
+            this.bodyCapacity = count;
+            this.nextBody = new Int32Array(count);
+            this.bodyX = new Float64Array(count);
+            this.bodyY = new Float64Array(count);
+            this.bodyZ = new Float64Array(count);
+            this.bodyMass = new Float64Array(count);
+        }
+    }
+
+    build(particles, count) {
+        this.ensureBodyCapacity(count);
+
+        // Flat copy of the particle state for cache-friendly traversal
+        for (let i = 0; i < count; i++) {
+            const p = particles[i];
+            this.bodyX[i] = p.position[0];
+            this.bodyY[i] = p.position[1];
+            this.bodyZ[i] = p.position[2];
+            this.bodyMass[i] = p.gravitatingMass;
+        }
+
+        this.buildTree(count);
+    }
+
+    // build() from a flat body array
+    buildFromBodies(bodies, count) {
+        this.ensureBodyCapacity(count);
+
+        for (let i = 0; i < count; i++) {
+            const offset = i * FLOATS_PER_BODY;
+            this.bodyX[i] = bodies[offset + 0];
+            this.bodyY[i] = bodies[offset + 1];
+            this.bodyZ[i] = bodies[offset + 2];
+            this.bodyMass[i] = bodies[offset + 3];
+        }
+
+        this.buildTree(count);
+    }
+
+    // Insert the first count bodies into a fresh tree around their bounding cube
+    buildTree(count) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const x = this.bodyX[i];
+            const y = this.bodyY[i];
+            const z = this.bodyZ[i];
+            if (x < minX) minX = x;
+            if (y < minY) minY = y;
+            if (z < minZ) minZ = z;
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+            if (z > maxZ) maxZ = z;
+        }
+
+        const halfSize = count > 0
+            ? Math.max(maxX - minX, maxY - minY, maxZ - minZ) * 0.5 + 1e-6
+            : 1;
+
+        this.nodeCount = 0;
+        this.allocNode(-1,
+            count > 0 ? (minX + maxX) * 0.5 : 0,
+            count > 0 ? (minY + maxY) * 0.5 : 0,
+            count > 0 ? (minZ + maxZ) * 0.5 : 0,
+            halfSize);
+
+        for (let i = 0; i < count; i++) {
+            this.insert(i);
+        }
+
+        this.computeMassDistribution();
+    }
+
+    insert(index) {
+        let node = 0;
+        let depth = 0;
+
+        while (true) {
+            if (this.internal[node]) {
+                const octant = this.octant(node, index);
+                let child = this.children[node * 8 + octant];
+                if (child < 0) {
+                    child = this.allocChild(node, octant);
+                    this.addBody(child, index);
+                    return;
+                }
+                node = child;
+                depth++;
+                continue;
+            }
+
+            // Leaf with room, or too deep to split again: keep the body here
+            if (this.bodyCount[node] < LEAF_CAPACITY || depth >= MAX_TREE_DEPTH) {
+                this.addBody(node, index);
+                return;
+            }
+
+            // Full leaf: push its bodies down one level and retry
+            let body = this.firstBody[node];
+            this.firstBody[node] = -1;
+            this.bodyCount[node] = 0;
+            this.internal[node] = 1;
+
+            while (body >= 0) {
+                const next = this.nextBody[body];
+                const octant = this.octant(node, body);
+                let child = this.children[node * 8 + octant];
+                if (child < 0) {
+                    child = this.allocChild(node, octant);
+                }
+                this.addBody(child, body);
+                body = next;
+            }
+        }
+    }
+
+    addBody(node, index) {
+        this.nextBody[index] = this.firstBody[node];
+        this.firstBody[node] = index;
+        this.bodyCount[node]++;
+    }
+
+    octant(node, index) {
+        return (this.bodyX[index] >= this.centerX[node] ? 1 : 0) |
+            (this.bodyY[index] >= this.centerY[node] ? 2 : 0) |
+            (this.bodyZ[index] >= this.centerZ[node] ? 4 : 0);
+    }
+
+    allocChild(node, octant) {
+        const quarter = this.halfSize[node] * 0.5;
+        const child = this.allocNode(node,
+            this.centerX[node] + (octant & 1 ? quarter : -quarter),
+            this.centerY[node] + (octant & 2 ? quarter : -quarter),
+            this.centerZ[node] + (octant & 4 ? quarter : -quarter),
+            quarter);
+        // allocNode may have grown the arrays, so write through the current ones
+        this.children[node * 8 + octant] = child;
+        return child;
+    }
+
+    computeMassDistribution() {
+        this.mass.fill(0, 0, this.nodeCount);
+        this.massX.fill(0, 0, this.nodeCount);
+        this.massY.fill(0, 0, this.nodeCount);
+        this.massZ.fill(0, 0, this.nodeCount);
+
+        // Children are always allocated after their parent, so walking backwards
+        // finishes every subtree before its parent is visited
+        for (let node = this.nodeCount - 1; node >= 0; node--) {
+            if (!this.internal[node]) {
+                for (let b = this.firstBody[node]; b >= 0; b = this.nextBody[b]) {
+                    const m = this.bodyMass[b];
+                    this.mass[node] += m;
+                    this.massX[node] += m * this.bodyX[b];
+                    this.massY[node] += m * this.bodyY[b];
+                    this.massZ[node] += m * this.bodyZ[b];
+                }
+            }
+
+            // massX/Y/Z hold mass-weighted sums until here, then become the centre of mass
+            const m = this.mass[node];
+            const parent = this.parent[node];
+            if (parent >= 0) {
+                this.mass[parent] += m;
+                this.massX[parent] += this.massX[node];
+                this.massY[parent] += this.massY[node];
+                this.massZ[parent] += this.massZ[node];
+            }
+
+            if (m > 0) {
+                this.massX[node] /= m;
+                this.massY[node] /= m;
+                this.massZ[node] /= m;
+            }
+        }
+    }
+
+    // In a periodic box a node can only stand in for its bodies when all of them share one image
+    // as seen from (px, py, pz): the whole cell must lie within half a period along every axis.
+    // A cell reaching past that straddles the wrap, and its centre of mass is nowhere near its bodies.
+    withinOneImage(node, px, py, pz, period) {
+        const reach = period * 0.5 - this.halfSize[node];
+        let dx = this.centerX[node] - px;
+        let dy = this.centerY[node] - py;
+        let dz = this.centerZ[node] - pz;
+        dx -= period * Math.round(dx / period);
+        dy -= period * Math.round(dy / period);
+        dz -= period * Math.round(dz / period);
+        return Math.abs(dx) < reach && Math.abs(dy) < reach && Math.abs(dz) < reach;
+    }
+
+    // Acceleration of one particle. A node is treated as a point mass when its size s and
+    // distance d satisfy s / d < theta; theta = 0 degenerates to direct summation.
+    // In a periodic box d is the distance to the nearest image of the node's centre of mass,
+    // and nodes that straddle the wrap are always opened (see withinOneImage).
+    computeAcceleration(index, gravityStrength, theta, out, outOffset = 0, law = DEFAULT_FORCE_LAW) {
+        // Locals instead of this.* lookups: this loop is the whole cost of the solver
+        const { bodyX, bodyY, bodyZ, bodyMass, nextBody, stack } = this;
+        const { massX, massY, massZ, mass, halfSize, children, firstBody, internal } = this;
+        const { kernel, softening, period } = law;
+        const px = bodyX[index];
+        const py = bodyY[index];
+        const pz = bodyZ[index];
+        const thetaSquared = theta * theta;
+
+        let ax = 0, ay = 0, az = 0;
+        let stackSize = 0;
+        stack[stackSize++] = 0;
+
+        while (stackSize > 0) {
+            const node = stack[--stackSize];
+            const nodeMass = mass[node];
+            if (nodeMass === 0) continue;
+
+            if (!internal[node]) {
+                for (let b = firstBody[node]; b >= 0; b = nextBody[b]) {
+                    if (b === index) continue;
+
+                    let dx = bodyX[b] - px;
+                    let dy = bodyY[b] - py;
+                    let dz = bodyZ[b] - pz;
+                    if (period > 0) {
+                        dx -= period * Math.round(dx / period);
+                        dy -= period * Math.round(dy / period);
+                        dz -= period * Math.round(dz / period);
+                    }
+                    const strength = bodyMass[b] * accelerationFactor(dx * dx + dy * dy + dz * dz, kernel, softening);
+
+                    ax += strength * dx;
+                    ay += strength * dy;
+                    az += strength * dz;
+                }
+                continue;
+            }
+
+            let dx = massX[node] - px;
+            let dy = massY[node] - py;
+            let dz = massZ[node] - pz;
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const size = halfSize[node] * 2;
+
+            if (size * size < thetaSquared * r2 && (period === 0 || this.withinOneImage(node, px, py, pz, period))) {
+                const strength = nodeMass * accelerationFactor(r2, kernel, softening);
+
+                ax += strength * dx;
+                ay += strength * dy;
+                az += strength * dz;
+            } else {
+                const first = node * 8;
+                for (let c = first; c < first + 8; c++) {
+                    const child = children[c];
+                    if (child >= 0) {
+                        stack[stackSize++] = child;
+                    }
+                }
+            }
+        }
+
+        out[outOffset + 0] = ax * gravityStrength;
+        out[outOffset + 1] = ay * gravityStrength;
+        out[outOffset + 2] = az * gravityStrength;
+    }
+
+    computeAccelerations(particles, count, gravityStrength, theta, accelerations, law = DEFAULT_FORCE_LAW) {
+        this.build(particles, count);
+
+        // Visit bodies leaf by leaf: neighbours walk nearly the same path through the tree
+        for (let node = 0; node < this.nodeCount; node++) {
+            if (this.internal[node]) continue;
+            for (let b = this.firstBody[node]; b >= 0; b = this.nextBody[b]) {
+                this.computeAcceleration(b, gravityStrength, theta, accelerations, b * 3, law);
+            }
+        }
+        return accelerations;
+    }
+
+    // Potential per unit mass at one particle, using the same opening criterion as the forces
+    computePotential(index, gravityStrength, theta, law = DEFAULT_FORCE_LAW) {
+        const { bodyX, bodyY, bodyZ, bodyMass, nextBody, stack } = this;
+        const { massX, massY, massZ, mass, halfSize, children, firstBody, internal } = this;
+        const { kernel, softening, period } = law;
+        const px = bodyX[index];
+        const py = bodyY[index];
+        const pz = bodyZ[index];
+        const thetaSquared = theta * theta;
+
+        let potential = 0;
+        let stackSize = 0;
+        stack[stackSize++] = 0;
+
+        while (stackSize > 0) {
+            const node = stack[--stackSize];
+            if (mass[node] === 0) continue;
+
+            if (!internal[node]) {
+                for (let b = firstBody[node]; b >= 0; b = nextBody[b]) {
+                    if (b === index) continue;
+
+                    let dx = bodyX[b] - px;
+                    let dy = bodyY[b] - py;
+                    let dz = bodyZ[b] - pz;
+                    if (period > 0) {
+                        dx -= period * Math.round(dx / period);
+                        dy -= period * Math.round(dy / period);
+                        dz -= period * Math.round(dz / period);
+                    }
+                    potential -= bodyMass[b] * potentialFactor(dx * dx + dy * dy + dz * dz, kernel, softening);
+                }
+                continue;
+            }
+
+            let dx = massX[node] - px;
+            let dy = massY[node] - py;
+            let dz = massZ[node] - pz;
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            const r2 = dx * dx + dy * dy + dz * dz;
+            const size = halfSize[node] * 2;
+
+            if (size * size < thetaSquared * r2 && (period === 0 || this.withinOneImage(node, px, py, pz, period))) {
+                potential -= mass[node] * potentialFactor(r2, kernel, softening);
+            } else {
+                const first = node * 8;
+                for (let c = first; c < first + 8; c++) {
+                    if (children[c] >= 0) {
+                        stack[stackSize++] = children[c];
+                    }
+                }
+            }
+        }
+
+        return potential * gravityStrength;
+    }
+
+    // Smoothed mass density at body index, its own kernel included; nodes that pass the opening
+    // test count as one sphere at their centre of mass. Call build first.
+    computeDensity(index, theta, length, period = 0) {
+        const { bodyX, bodyY, bodyZ, bodyMass, nextBody, stack } = this;
+        const { massX, massY, massZ, mass, halfSize, children, firstBody, internal } = this;
+        const px = bodyX[index];
+        const py = bodyY[index];
+        const pz = bodyZ[index];
+        const thetaSquared = theta * theta;
+
+        const separation = (dx, dy, dz) => {
+            if (period > 0) {
+                dx -= period * Math.round(dx / period);
+                dy -= period * Math.round(dy / period);
+                dz -= period * Math.round(dz / period);
+            }
+            return dx * dx + dy * dy + dz * dz;
+        };
+
+        let density = 0;
+        let stackSize = 0;
+        stack[stackSize++] = 0;
+
+        while (stackSize > 0) {
+            const node = stack[--stackSize];
+            if (mass[node] === 0) continue;
+
+            if (!internal[node]) {
+                for (let b = firstBody[node]; b >= 0; b = nextBody[b]) {
+                    const r2 = separation(bodyX[b] - px, bodyY[b] - py, bodyZ[b] - pz);
+                    density += bodyMass[b] * densityKernel(r2, length);
+                }
+                continue;
+            }
+
+            const r2 = separation(massX[node] - px, massY[node] - py, massZ[node] - pz);
+            const size = halfSize[node] * 2;
+
+            if (size * size < thetaSquared * r2 && (period === 0 || this.withinOneImage(node, px, py, pz, period))) {
+                density += mass[node] * densityKernel(r2, length);
+            } else {
+                const first = node * 8;
+                for (let c = first; c < first + 8; c++) {
+                    if (children[c] >= 0) {
+                        stack[stackSize++] = children[c];
+                    }
+                }
+            }
+        }
+
+        return density;
+    }
+
+    // W = 1/2 * sum of mi * phi(i), approximated with the tree
+    computePotentialEnergy(particles, count, gravityStrength, theta, law = DEFAULT_FORCE_LAW) {
+        this.build(particles, count);
+
+        let energy = 0;
+        for (let i = 0; i < count; i++) {
+            energy += this.bodyMass[i] * this.computePotential(i, gravityStrength, theta, law);
+        }
+        return 0.5 * energy;
+    }
+}
+
+// Accuracy check of the tree against direct summation. Only sampleSize particles are
+// compared so this stays usable at tens of thousands of bodies.
+export function compareWithDirectSum(particles, count, gravityStrength, theta, sampleSize = 256, law = DEFAULT_FORCE_LAW) {
+    const tree = new BarnesHutTree();
+    tree.build(particles, count);
+
+    const samples = Math.min(sampleSize, count);
+    const stride = count / Math.max(samples, 1);
+    const approx = new Float64Array(3);
+    const exact = new Float64Array(3);
+
+    let maxError = 0;
+    let sumSquaredError = 0;
+
+    for (let s = 0; s < samples; s++) {
+        const i = Math.floor(s * stride);
+        tree.computeAcceleration(i, gravityStrength, theta, approx, 0, law);
+        computeDirectAcceleration(particles, count, i, gravityStrength, exact, 0, law);
+
+        const ex = approx[0] - exact[0];
+        const ey = approx[1] - exact[1];
+        const ez = approx[2] - exact[2];
+        const magnitude = Math.hypot(exact[0], exact[1], exact[2]);
+        const error = magnitude > 0 ? Math.hypot(ex, ey, ez) / magnitude : 0;
+
+        maxError = Math.max(maxError, error);
+        sumSquaredError += error * error;
+    }
+
+    return {
+        theta,
+        samples,
+        maxError,
+        rmsError: samples > 0 ? Math.sqrt(sumSquaredError / samples) : 0,
+    };
+}
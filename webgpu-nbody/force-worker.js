@@ -0,0 +1,53 @@
+// Force worker for ForceWorkerPool (force-pool.js)
+// Sums the accelerations of one range of particles from the shared body array into the shared
+// output, then counts itself off in the control word the pool is waiting on
+
+import { BarnesHutTree, computeDirectAccelerationForBody } from './force-solvers.js';
+
+// Must match force-pool.js
+const PENDING = 0;
+const FAILED = 1;
+
+let control = null;
+let bodies = null;
+let accelerations = null;
+let indices = null;
+const tree = new BarnesHutTree();
+
+function run({ solver, count, subset, start, end, gravityStrength, theta, law }) {
+    if (solver === 'barnes-hut') {
+        tree.buildFromBodies(bodies, count);
+    }
+
+    for (let k = start; k < end; k++) {
+        const i = subset ? indices[k] : k;
+        if (solver === 'barnes-hut') {
+            tree.computeAcceleration(i, gravityStrength, theta, accelerations, i * 3, law);
+        } else {
+            computeDirectAccelerationForBody(bodies, count, i, gravityStrength, accelerations, i * 3, law);
+        }
+    }
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'buffers':
+            ({ control, bodies, accelerations, indices } = data);
+            break;
+        case 'run':
+            try {
+                run(data);
+            } catch (err) {
+                console.error('Force worker:', err);
+                Atomics.store(control, FAILED, 1);
+            } finally {
+                // The last one done wakes the pool
+                if (Atomics.sub(control, PENDING, 1) === 1) {
+                    Atomics.notify(control, PENDING);
+                }
+            }
+            break;
+    }
+};
+
+self.postMessage({ type: 'ready' });
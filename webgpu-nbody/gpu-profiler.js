@@ -0,0 +1,188 @@
+// Pass timings for the stats panel
+// With the timestamp-query feature each timed pass writes GPU timestamps at its start and end,
+// resolved into a buffer and read back asynchronously a frame or two later. Without it the
+// profiler falls back to timing on the CPU, which only sees how long a pass took to encode.
+// A frame's passes are summed per name and each name keeps a short history for min/avg/max.
+
+export const TIMED_PASSES = ['force', 'integrate', 'render'];
+export const TIMESTAMP_FEATURE = 'timestamp-query';
+
+const HISTORY_SIZE = 120; // samples per name
+const MAX_TIMED_PASSES = 256; // per frame; frames with more aren't recorded
+const READ_BUFFERS = 3; // frames whose timestamps can be waiting for readback at once
+
+// What to pass as requiredFeatures so the device can be profiled on the GPU
+export function profilerFeatures(adapter) {
+    return adapter.features.has(TIMESTAMP_FEATURE) ? [TIMESTAMP_FEATURE] : [];
+}
+
+// Ring of the last HISTORY_SIZE samples of one pass name, in milliseconds
+class TimingHistory {
+    constructor() {
+        this.samples = new Float64Array(HISTORY_SIZE);
+        this.size = 0;
+        this.next = 0;
+        this.latest = 0;
+    }
+
+    record(ms) {
+        this.samples[this.next] = ms;
+        this.next = (this.next + 1) % HISTORY_SIZE;
+        this.size = Math.min(this.size + 1, HISTORY_SIZE);
+        this.latest = ms;
+    }
+
+    stats() {
+        if (this.size === 0) return null;
+
+        let min = Infinity, max = 0, sum = 0;
+        for (let i = 0; i < this.size; i++) {
+            const ms = this.samples[i];
+            min = Math.min(min, ms);
+            max = Math.max(max, ms);
+            sum += ms;
+        }
+        return { min, avg: sum / this.size, max };
+    }
+}
+
+export class GpuProfiler {
+    constructor(device) {
+        this.device = device;
+        this.usesTimestamps = device.features.has(TIMESTAMP_FEATURE);
+        this.histories = Object.fromEntries(TIMED_PASSES.map((name) => [name, new TimingHistory()]));
+
+        this.passes = []; // names of this frame's timed passes, in query order
+        this.cpuTimes = {}; // this frame's encoding times per name, without timestamps
+        this.overflow = false;
+        this.openPass = null; // { name, start } of the pass being encoded
+        this.pendingRead = null; // { buffer, passes } resolved this frame, to be read after submit
+
+        if (this.usesTimestamps) {
+            const size = MAX_TIMED_PASSES * 2 * 8; // a begin and an end u64 per pass
+            this.querySet = device.createQuerySet({ type: 'timestamp', count: MAX_TIMED_PASSES * 2 });
+            this.resolveBuffer = device.createBuffer({
+                size,
+                usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+            });
+            this.readBuffers = Array.from({ length: READ_BUFFERS }, () => device.createBuffer({
+                size,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+            }));
+        }
+    }
+
+    // 'GPU timestamps' or 'CPU encode time', for the stats panel
+    get source() {
+        return this.usesTimestamps ? 'GPU timestamps' : 'CPU encode time';
+    }
+
+    beginFrame() {
+        this.passes = [];
+        this.cpuTimes = {};
+        this.overflow = false;
+    }
+
+    beginComputePass(encoder, name) {
+        this.openPass = { name, start: performance.now() };
+        return encoder.beginComputePass({ timestampWrites: this.timestampWrites(name) });
+    }
+
+    beginRenderPass(encoder, name, descriptor) {
+        this.openPass = { name, start: performance.now() };
+        return encoder.beginRenderPass({ ...descriptor, timestampWrites: this.timestampWrites(name) });
+    }
+
+    endPass(pass) {
+        pass.end();
+        if (!this.usesTimestamps) {
+            const { name, start } = this.openPass;
+            this.cpuTimes[name] = (this.cpuTimes[name] ?? 0) + performance.now() - start;
+        }
+        this.openPass = null;
+    }
+
+    // Two query slots for the next pass, or none once the frame has used them all
+    timestampWrites(name) {
+        if (!this.usesTimestamps) return undefined;
+        if (this.passes.length === MAX_TIMED_PASSES) {
+            this.overflow = true;
+            return undefined;
+        }
+
+        const index = this.passes.length;
+        this.passes.push(name);
+        return {
+            querySet: this.querySet,
+            beginningOfPassWriteIndex: index * 2,
+            endOfPassWriteIndex: index * 2 + 1,
+        };
+    }
+
+    // Before the frame's command buffer is finished: copy its timestamps out for collect. A frame is
+    // dropped when every read buffer is still waiting for an earlier one.
+    resolve(encoder) {
+        if (!this.usesTimestamps) {
+            for (const [name, ms] of Object.entries(this.cpuTimes)) {
+                this.record(name, ms);
+            }
+            return;
+        }
+
+        if (this.passes.length === 0 || this.overflow || this.readBuffers.length === 0) return;
+
+        const buffer = this.readBuffers.pop();
+        const count = this.passes.length * 2;
+        encoder.resolveQuerySet(this.querySet, 0, count, this.resolveBuffer, 0);
+        encoder.copyBufferToBuffer(this.resolveBuffer, 0, buffer, 0, count * 8);
+        this.pendingRead = { buffer, passes: this.passes };
+    }
+
+    // After the frame is submitted: read the timestamps back and record the pass times
+    async collect() {
+        const pending = this.pendingRead;
+        this.pendingRead = null;
+        if (!pending) return;
+
+        const { buffer, passes } = pending;
+        try {
+            await buffer.mapAsync(GPUMapMode.READ);
+        } catch {
+            return; // the device is gone
+        }
+
+        const stamps = new BigUint64Array(buffer.getMappedRange(), 0, passes.length * 2);
+        const times = {};
+        passes.forEach((name, i) => {
+            // Some drivers report an end before its start for very short passes
+            const ns = stamps[i * 2 + 1] > stamps[i * 2] ? Number(stamps[i * 2 + 1] - stamps[i * 2]) : 0;
+            times[name] = (times[name] ?? 0) + ns / 1e6;
+        });
+        buffer.unmap();
+        this.readBuffers.push(buffer);
+
+        for (const [name, ms] of Object.entries(times)) {
+            this.record(name, ms);
+        }
+    }
+
+    // A time measured elsewhere, like the CPU simulation's physics
+    record(name, ms) {
+        this.histories[name].record(ms);
+    }
+
+    latest(name) {
+        return this.histories[name].latest;
+    }
+
+    // { min, avg, max } in milliseconds over the recent frames that had the pass, or null
+    stats(name) {
+        return this.histories[name].stats();
+    }
+
+    destroy() {
+        this.querySet?.destroy();
+        this.resolveBuffer?.destroy();
+        this.readBuffers?.forEach((buffer) => buffer.destroy());
+    }
+}
@@ -0,0 +1,16 @@
+// Entry point: starts the app on the GPU compute simulation (main.js) or the CPU physics one
+// (main-stable.js), whichever backend.js picks; ?backend=cpu|gpu overrides the choice
+
+import { App } from './app.js';
+import { chooseBackend } from './backend.js';
+import { NBodySimulation } from './main.js';
+import { SimpleNBodySimulation } from './main-stable.js';
+
+const simulations = {
+    'gpu': (canvas) => new NBodySimulation(canvas),
+    'cpu': (canvas) => new SimpleNBodySimulation(canvas),
+};
+
+const selection = await chooseBackend(new URLSearchParams(location.search).get('backend'));
+const app = new App(simulations, selection);
+app.init();
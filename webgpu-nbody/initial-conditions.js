@@ -0,0 +1,488 @@
+// Initial-condition generators for the N-Body simulation
+// Each scenario fills a Float32Array in the Particle struct layout: position, mass, velocity, attributes
+
+import { DEFAULT_SOFTENING_KERNEL, DEFAULT_SOFTENING_LENGTH, accelerationFactor } from './softening.js';
+import { SPECIES, setAttributes } from './particle-attributes.js';
+
+export const FLOATS_PER_PARTICLE = 8;
+
+function setParticle(data, index, x, y, z, mass, vx, vy, vz) {
+    const offset = index * FLOATS_PER_PARTICLE;
+    data[offset + 0] = x;
+    data[offset + 1] = y;
+    data[offset + 2] = z;
+    data[offset + 3] = mass;
+    data[offset + 4] = vx;
+    data[offset + 5] = vy;
+    data[offset + 6] = vz;
+    data[offset + 7] = 0; // attributes: a plain star
+}
+
+function gaussian(random) {
+    // Box-Muller; 1 - u keeps the log argument in (0, 1]
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function randomDirection(random) {
+    const z = 2 * random() - 1;
+    const phi = 2 * Math.PI * random();
+    const s = Math.sqrt(1 - z * z);
+    return [s * Math.cos(phi), s * Math.sin(phi), z];
+}
+
+// Shift positions and velocities into the centre-of-mass frame
+function recenter(data, start, end) {
+    let mass = 0;
+    const com = [0, 0, 0, 0, 0, 0];
+
+    for (let i = start; i < end; i++) {
+        const offset = i * FLOATS_PER_PARTICLE;
+        const m = data[offset + 3];
+        mass += m;
+        com[0] += m * data[offset + 0];
+        com[1] += m * data[offset + 1];
+        com[2] += m * data[offset + 2];
+        com[3] += m * data[offset + 4];
+        com[4] += m * data[offset + 5];
+        com[5] += m * data[offset + 6];
+    }
+    if (mass === 0) return;
+
+    for (let i = start; i < end; i++) {
+        const offset = i * FLOATS_PER_PARTICLE;
+        data[offset + 0] -= com[0] / mass;
+        data[offset + 1] -= com[1] / mass;
+        data[offset + 2] -= com[2] / mass;
+        data[offset + 4] -= com[3] / mass;
+        data[offset + 5] -= com[4] / mass;
+        data[offset + 6] -= com[5] / mass;
+    }
+}
+
+// Lengths the sampling below divides by, or draws radii up to in a rejection loop that a
+// non-positive bound would never leave
+function requirePositive(params, ...keys) {
+    for (const key of keys) {
+        if (!(params[key] > 0)) {
+            throw new Error(`${key} must be positive, got ${params[key]}`);
+        }
+    }
+}
+
+// The original hard-coded setup: a random shell with ad-hoc tangential velocities
+function generateShell(data, count, params, { gravityStrength, random }) {
+    requirePositive(params, 'outerRadius');
+    for (let i = 0; i < count; i++) {
+        const radius = random() * (params.outerRadius - params.innerRadius) + params.innerRadius;
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1);
+        const mass = random() * 0.5 + 0.5;
+        const speed = Math.sqrt(gravityStrength * 100 / radius) * params.spin;
+
+        setParticle(data, i,
+            radius * Math.sin(phi) * Math.cos(theta),
+            radius * Math.sin(phi) * Math.sin(theta),
+            radius * Math.cos(phi),
+            mass,
+            -speed * Math.sin(theta),
+            speed * Math.cos(theta),
+            0);
+    }
+}
+
+// Plummer sphere in virial equilibrium (Aarseth, Henon & Wielen 1974)
+function generatePlummer(data, count, params, { gravityStrength, random }) {
+    requirePositive(params, 'scaleRadius', 'maxRadius');
+    const { totalMass, scaleRadius, maxRadius } = params;
+    const mass = totalMass / count;
+
+    for (let i = 0; i < count; i++) {
+        // Invert the cumulative mass M(r) / M = r^3 / (r^2 + a^2)^(3/2)
+        let r;
+        do {
+            const u = random();
+            r = scaleRadius / Math.sqrt(Math.pow(u, -2 / 3) - 1);
+        } while (!(r <= maxRadius));
+
+        // Speed as a fraction q of the local escape speed, g(q) = q^2 (1 - q^2)^(7/2)
+        let q, y;
+        do {
+            q = random();
+            y = random() * 0.1;
+        } while (y > q * q * Math.pow(1 - q * q, 3.5));
+
+        const escapeSpeed = Math.sqrt(2 * gravityStrength * totalMass) * Math.pow(r * r + scaleRadius * scaleRadius, -0.25);
+        const position = randomDirection(random);
+        const direction = randomDirection(random);
+        const speed = q * escapeSpeed;
+
+        setParticle(data, i,
+            r * position[0], r * position[1], r * position[2],
+            mass,
+            speed * direction[0], speed * direction[1], speed * direction[2]);
+    }
+
+    recenter(data, 0, count);
+}
+
+// Dimensionless King (1966) density for potential W, relative to the same at W = 0
+function kingDensity(w) {
+    if (w <= 0) return 0;
+    return Math.exp(w) * erf(Math.sqrt(w)) - Math.sqrt(4 * w / Math.PI) * (1 + 2 * w / 3);
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to ~1e-7
+function erf(x) {
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return 1 - poly * Math.exp(-x * x);
+}
+
+// Integrate Poisson's equation W'' + 2W'/x = -9 rho(W) / rho(W0) outwards from the
+// centre until W reaches 0 at the tidal radius. x is in units of the core radius.
+function solveKingModel(w0) {
+    const centralDensity = kingDensity(w0);
+    const derivative = (x, w, dw) => -9 * kingDensity(w) / centralDensity - 2 * dw / x;
+
+    // Series start: W ~ W0 - 3/2 x^2 near the centre
+    let x = 1e-4;
+    let w = w0 - 1.5 * x * x;
+    let dw = -3 * x;
+    const h = 1e-3;
+    const table = [{ x: 0, w: w0, mass: 0 }];
+
+    while (w > 0 && x < 1e4) {
+        // RK4 on (W, W')
+        const k1w = dw;
+        const k1d = derivative(x, w, dw);
+        const k2w = dw + 0.5 * h * k1d;
+        const k2d = derivative(x + 0.5 * h, w + 0.5 * h * k1w, k2w);
+        const k3w = dw + 0.5 * h * k2d;
+        const k3d = derivative(x + 0.5 * h, w + 0.5 * h * k2w, k3w);
+        const k4w = dw + h * k3d;
+        const k4d = derivative(x + h, w + h * k3w, k4w);
+
+        w += h / 6 * (k1w + 2 * k2w + 2 * k3w + k4w);
+        dw += h / 6 * (k1d + 2 * k2d + 2 * k3d + k4d);
+        x += h;
+
+        // Enclosed mass in units of 4 pi rho0 rc^3
+        table.push({ x, w: Math.max(w, 0), mass: -x * x * dw / 9 });
+    }
+
+    return table;
+}
+
+// King model: a tidally truncated isothermal sphere with concentration set by W0
+function generateKing(data, count, params, { gravityStrength, random }) {
+    requirePositive(params, 'coreRadius');
+    const { totalMass, coreRadius, w0 } = params;
+    const table = solveKingModel(w0);
+    const totalDimensionless = table[table.length - 1].mass;
+    const mass = totalMass / count;
+
+    // Velocity dispersion that gives the requested total mass: M = 9 sigma^2 rc mu / G
+    const sigma = Math.sqrt(gravityStrength * totalMass / (9 * coreRadius * totalDimensionless));
+
+    for (let i = 0; i < count; i++) {
+        // Radius from the tabulated cumulative mass
+        const target = random() * totalDimensionless;
+        let lo = 0, hi = table.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (table[mid].mass < target) lo = mid;
+            else hi = mid;
+        }
+        const a = table[lo], b = table[hi];
+        const t = b.mass > a.mass ? (target - a.mass) / (b.mass - a.mass) : 0;
+        const x = a.x + t * (b.x - a.x);
+        const w = a.w + t * (b.w - a.w);
+
+        // Speed (in units of sigma) from v^2 (exp(W - v^2/2) - 1), v < sqrt(2W),
+        // bounded above by v^2 exp(W - v^2/2) <= 2 exp(W - 1)
+        const maxSpeed = Math.sqrt(2 * w);
+        const bound = 2 * Math.exp(w - 1);
+        let v = 0;
+        for (let attempt = 0; attempt < 1000 && maxSpeed > 0; attempt++) {
+            v = random() * maxSpeed;
+            if (random() * bound <= v * v * (Math.exp(w - v * v / 2) - 1)) break;
+        }
+
+        const position = randomDirection(random);
+        const direction = randomDirection(random);
+        const r = x * coreRadius;
+        const speed = v * sigma;
+
+        setParticle(data, i,
+            r * position[0], r * position[1], r * position[2],
+            mass,
+            speed * direction[0], speed * direction[1], speed * direction[2]);
+    }
+
+    recenter(data, 0, count);
+}
+
+// Hernquist (1990) bulge, velocities drawn from a local Maxwellian with the isotropic
+// Jeans dispersion and capped at the escape speed
+function generateHernquist(data, count, params, { gravityStrength, random }) {
+    requirePositive(params, 'scaleRadius', 'maxRadius');
+    const { totalMass, scaleRadius: a, maxRadius } = params;
+    const mass = totalMass / count;
+    const gm = gravityStrength * totalMass;
+
+    for (let i = 0; i < count; i++) {
+        // Invert M(r) / M = r^2 / (r + a)^2
+        let r;
+        do {
+            const s = Math.sqrt(random());
+            r = a * s / (1 - s);
+        } while (!(r <= maxRadius));
+
+        const x = r / a;
+        const dispersionSquared = gm / (12 * a) * (
+            12 * x * Math.pow(1 + x, 3) * Math.log((1 + x) / x) -
+            x / (1 + x) * (25 + 52 * x + 42 * x * x + 12 * x * x * x));
+        const sigma = Math.sqrt(Math.max(dispersionSquared, 0));
+        const escapeSpeed = Math.sqrt(2 * gm / (r + a));
+
+        let vx, vy, vz;
+        do {
+            vx = sigma * gaussian(random);
+            vy = sigma * gaussian(random);
+            vz = sigma * gaussian(random);
+        } while (vx * vx + vy * vy + vz * vz >= escapeSpeed * escapeSpeed);
+
+        const position = randomDirection(random);
+        setParticle(data, i, r * position[0], r * position[1], r * position[2], mass, vx, vy, vz);
+    }
+
+    recenter(data, 0, count);
+}
+
+// Exponential disk with a central mass, rotating in the x-y plane. Fills particles
+// [start, start + count); the first one is the central mass.
+function fillDisk(data, start, count, params, { gravityStrength, softeningKernel, softeningLength, random }) {
+    requirePositive(params, 'scaleLength', 'maxRadius');
+    const { diskMass, centralMass, scaleLength, scaleHeight, maxRadius, dispersion } = params;
+    const mass = count > 1 ? diskMass / (count - 1) : 0;
+
+    setParticle(data, start, 0, 0, 0, centralMass, 0, 0, 0);
+    setAttributes(data, start, { species: SPECIES.BLACK_HOLE, radius: 1.5 });
+
+    for (let i = start + 1; i < start + count; i++) {
+        // Surface density ~ exp(-R / Rd): R follows a Gamma(2) distribution
+        let radius;
+        do {
+            radius = -scaleLength * Math.log((1 - random()) * (1 - random()));
+        } while (!(radius <= maxRadius));
+
+        const angle = random() * Math.PI * 2;
+        const z = scaleHeight * Math.atanh(2 * random() * 0.999998 - 0.999999); // sech^2 profile
+
+        // Circular speed from the mass inside R, softened like the force law
+        const x = radius / scaleLength;
+        const enclosed = centralMass + diskMass * (1 - (1 + x) * Math.exp(-x));
+        const r2 = radius * radius;
+        const circularSpeed = Math.sqrt(gravityStrength * enclosed * r2 * accelerationFactor(r2, softeningKernel, softeningLength));
+        const sigma = dispersion * circularSpeed;
+
+        setParticle(data, i,
+            radius * Math.cos(angle),
+            radius * Math.sin(angle),
+            z,
+            mass,
+            -circularSpeed * Math.sin(angle) + sigma * gaussian(random),
+            circularSpeed * Math.cos(angle) + sigma * gaussian(random),
+            0.5 * sigma * gaussian(random));
+    }
+}
+
+function generateDisk(data, count, params, context) {
+    fillDisk(data, 0, count, params, context);
+}
+
+// Uniform sphere starting (nearly) at rest; virialRatio adds random motions with 2K/|W| = Q
+function generateColdCollapse(data, count, params, { gravityStrength, random }) {
+    requirePositive(params, 'radius');
+    const { totalMass, radius, virialRatio } = params;
+    const mass = totalMass / count;
+
+    // Uniform sphere: W = -3/5 G M^2 / R, and K = 3/2 M sigma^2 for isotropic Gaussian velocities
+    const potential = 0.6 * gravityStrength * totalMass * totalMass / radius;
+    const sigma = Math.sqrt(virialRatio * potential / (3 * totalMass));
+
+    for (let i = 0; i < count; i++) {
+        const r = radius * Math.cbrt(random());
+        const position = randomDirection(random);
+
+        setParticle(data, i,
+            r * position[0], r * position[1], r * position[2],
+            mass,
+            sigma * gaussian(random), sigma * gaussian(random), sigma * gaussian(random));
+    }
+
+    recenter(data, 0, count);
+}
+
+// Two disk galaxies on a collision course. The second disk is tilted about the x axis.
+function generateCollidingGalaxies(data, count, params, context) {
+    const { separation, impactParameter, approachSpeed, inclination } = params;
+    const disk = {
+        diskMass: params.diskMass,
+        centralMass: params.centralMass,
+        scaleLength: params.scaleLength,
+        scaleHeight: params.scaleHeight,
+        maxRadius: params.scaleLength * 4,
+        dispersion: params.dispersion,
+    };
+
+    const firstCount = Math.ceil(count / 2);
+    const galaxies = [
+        { start: 0, count: firstCount, offset: [-separation / 2, -impactParameter / 2, 0], velocity: approachSpeed / 2, tilt: 0 },
+        { start: firstCount, count: count - firstCount, offset: [separation / 2, impactParameter / 2, 0], velocity: -approachSpeed / 2, tilt: inclination * Math.PI / 180 },
+    ];
+
+    for (const galaxy of galaxies) {
+        if (galaxy.count === 0) continue;
+        fillDisk(data, galaxy.start, galaxy.count, disk, context);
+
+        const cos = Math.cos(galaxy.tilt);
+        const sin = Math.sin(galaxy.tilt);
+
+        for (let i = galaxy.start; i < galaxy.start + galaxy.count; i++) {
+            const offset = i * FLOATS_PER_PARTICLE;
+            const y = data[offset + 1], z = data[offset + 2];
+            const vy = data[offset + 5], vz = data[offset + 6];
+
+            data[offset + 0] += galaxy.offset[0];
+            data[offset + 1] = cos * y - sin * z + galaxy.offset[1];
+            data[offset + 2] = sin * y + cos * z + galaxy.offset[2];
+            data[offset + 4] += galaxy.velocity;
+            data[offset + 5] = cos * vy - sin * vz;
+            data[offset + 6] = sin * vy + cos * vz;
+        }
+    }
+
+    recenter(data, 0, count);
+}
+
+// Parameters are { label, value, min, max, step } so the control panel can build inputs for them
+export const SCENARIOS = {
+    'plummer': {
+        label: 'Plummer Sphere',
+        generate: generatePlummer,
+        params: {
+            totalMass: { label: 'Total Mass', value: 1000, min: 1, max: 100000, step: 1 },
+            scaleRadius: { label: 'Scale Radius', value: 5, min: 0.5, max: 50, step: 0.5 },
+            maxRadius: { label: 'Truncation Radius', value: 45, min: 1, max: 200, step: 1 },
+        },
+    },
+    'king': {
+        label: 'King Model',
+        generate: generateKing,
+        params: {
+            totalMass: { label: 'Total Mass', value: 1000, min: 1, max: 100000, step: 1 },
+            coreRadius: { label: 'Core Radius', value: 3, min: 0.5, max: 50, step: 0.5 },
+            w0: { label: 'Central Potential W0', value: 6, min: 1, max: 12, step: 0.5 },
+        },
+    },
+    'hernquist': {
+        label: 'Hernquist Bulge',
+        generate: generateHernquist,
+        params: {
+            totalMass: { label: 'Total Mass', value: 1000, min: 1, max: 100000, step: 1 },
+            scaleRadius: { label: 'Scale Radius', value: 4, min: 0.5, max: 50, step: 0.5 },
+            maxRadius: { label: 'Truncation Radius', value: 45, min: 1, max: 200, step: 1 },
+        },
+    },
+    'disk': {
+        label: 'Exponential Disk',
+        generate: generateDisk,
+        params: {
+            diskMass: { label: 'Disk Mass', value: 500, min: 1, max: 100000, step: 1 },
+            centralMass: { label: 'Central Mass', value: 500, min: 0, max: 100000, step: 1 },
+            scaleLength: { label: 'Scale Length', value: 8, min: 0.5, max: 50, step: 0.5 },
+            scaleHeight: { label: 'Scale Height', value: 0.5, min: 0, max: 10, step: 0.1 },
+            maxRadius: { label: 'Truncation Radius', value: 45, min: 1, max: 200, step: 1 },
+            dispersion: { label: 'Velocity Dispersion (fraction of v_c)', value: 0.05, min: 0, max: 1, step: 0.01 },
+        },
+    },
+    'cold-collapse': {
+        label: 'Uniform Cold Collapse',
+        generate: generateColdCollapse,
+        params: {
+            totalMass: { label: 'Total Mass', value: 1000, min: 1, max: 100000, step: 1 },
+            radius: { label: 'Radius', value: 20, min: 1, max: 100, step: 1 },
+            virialRatio: { label: 'Initial Virial Ratio 2K/|W|', value: 0, min: 0, max: 2, step: 0.05 },
+        },
+    },
+    'colliding-galaxies': {
+        label: 'Colliding Galaxies',
+        generate: generateCollidingGalaxies,
+        params: {
+            diskMass: { label: 'Disk Mass (each)', value: 300, min: 1, max: 100000, step: 1 },
+            centralMass: { label: 'Central Mass (each)', value: 300, min: 0, max: 100000, step: 1 },
+            scaleLength: { label: 'Scale Length', value: 4, min: 0.5, max: 50, step: 0.5 },
+            scaleHeight: { label: 'Scale Height', value: 0.3, min: 0, max: 10, step: 0.1 },
+            dispersion: { label: 'Velocity Dispersion (fraction of v_c)', value: 0.05, min: 0, max: 1, step: 0.01 },
+            separation: { label: 'Separation', value: 40, min: 0, max: 200, step: 1 },
+            impactParameter: { label: 'Impact Parameter', value: 8, min: 0, max: 100, step: 1 },
+            approachSpeed: { label: 'Approach Speed', value: 5, min: 0, max: 50, step: 0.5 },
+            inclination: { label: 'Inclination (degrees)', value: 45, min: 0, max: 180, step: 5 },
+        },
+    },
+    'shell': {
+        label: 'Random Shell (legacy)',
+        generate: generateShell,
+        params: {
+            innerRadius: { label: 'Inner Radius', value: 5, min: 0, max: 100, step: 1 },
+            outerRadius: { label: 'Outer Radius', value: 25, min: 1, max: 100, step: 1 },
+            spin: { label: 'Spin Factor', value: 0.3, min: 0, max: 2, step: 0.05 },
+        },
+    },
+};
+
+export const DEFAULT_SCENARIO = 'plummer';
+
+export function defaultScenarioParams(name) {
+    const params = {};
+    for (const [key, param] of Object.entries(SCENARIOS[name].params)) {
+        params[key] = param.value;
+    }
+    return params;
+}
+
+// The declaration of one of a scenario's params, or null if it has no such param
+export function scenarioParam(name, key) {
+    const { params } = SCENARIOS[name];
+    return Object.hasOwn(params, key) ? params[key] : null;
+}
+
+// A param value brought into the range its declaration allows; NaN if it isn't a number
+export function clampScenarioParam(name, key, value) {
+    const { min, max } = scenarioParam(name, key);
+    return Number.isFinite(value) ? Math.min(Math.max(value, min), max) : NaN;
+}
+
+// Build count particles for a scenario. Missing params fall back to their defaults;
+// random() must return uniform numbers in [0, 1). The softening only shapes disk rotation curves.
+export function generateScenario(name, count, params, {
+    gravityStrength,
+    random,
+    softeningKernel = DEFAULT_SOFTENING_KERNEL,
+    softeningLength = DEFAULT_SOFTENING_LENGTH,
+}) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+        throw new Error(`Unknown scenario: ${name}`);
+    }
+
+    const data = new Float32Array(count * FLOATS_PER_PARTICLE);
+    if (count > 0) {
+        const context = { gravityStrength, random, softeningKernel, softeningLength };
+        scenario.generate(data, count, { ...defaultScenarioParams(name), ...params }, context);
+    }
+    return data;
+}
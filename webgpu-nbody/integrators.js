@@ -0,0 +1,175 @@
+// Time integration schemes shared by the CPU and GPU simulation paths
+// Each scheme is a list of operations; the CPU runs them below, the GPU maps them
+// onto entry points in integrate-compute.wgsl
+
+// Yoshida (1990) 4th-order coefficients
+const CBRT2 = Math.cbrt(2);
+const W1 = 1 / (2 - CBRT2);
+const W0 = -CBRT2 / (2 - CBRT2);
+
+// Operations:
+//   force            - recompute accelerations at the current positions
+//   kick c           - v += c * dt * a
+//   drift c          - x += c * dt * v
+//   verlet-position  - save a(t), x += dt * v + dt^2 / 2 * a
+//   verlet-velocity  - v += dt / 2 * (a(t) + a(t + dt))
+//   rk4-save         - save x0, v0 and clear the RK4 accumulators
+//   rk4-stage c h    - accumulate c * k, then move to x0 + h * dt * k
+//   rk4-finish c     - accumulate c * k, then x = x0 + dt * sum(k)
+export const INTEGRATORS = {
+    'euler': {
+        label: 'Semi-implicit Euler',
+        order: 1,
+        symplectic: true,
+        ops: [
+            { op: 'force' },
+            { op: 'kick', c: 1 },
+            { op: 'drift', c: 1 },
+        ],
+    },
+    'leapfrog': {
+        label: 'Leapfrog (KDK)',
+        order: 2,
+        symplectic: true,
+        ops: [
+            { op: 'force' },
+            { op: 'kick', c: 0.5 },
+            { op: 'drift', c: 1 },
+            { op: 'force' },
+            { op: 'kick', c: 0.5 },
+        ],
+    },
+    'velocity-verlet': {
+        label: 'Velocity Verlet',
+        order: 2,
+        symplectic: true,
+        ops: [
+            { op: 'force' },
+            { op: 'verlet-position' },
+            { op: 'force' },
+            { op: 'verlet-velocity' },
+        ],
+    },
+    'rk4': {
+        label: 'Runge-Kutta 4',
+        order: 4,
+        symplectic: false,
+        ops: [
+            { op: 'rk4-save' },
+            { op: 'force' },
+            { op: 'rk4-stage', c: 1 / 6, h: 0.5 },
+            { op: 'force' },
+            { op: 'rk4-stage', c: 1 / 3, h: 0.5 },
+            { op: 'force' },
+            { op: 'rk4-stage', c: 1 / 3, h: 1 },
+            { op: 'force' },
+            { op: 'rk4-finish', c: 1 / 6 },
+        ],
+    },
+    'yoshida4': {
+        label: 'Yoshida 4th-order',
+        order: 4,
+        symplectic: true,
+        ops: [
+            { op: 'drift', c: W1 / 2 },
+            { op: 'force' },
+            { op: 'kick', c: W1 },
+            { op: 'drift', c: (W0 + W1) / 2 },
+            { op: 'force' },
+            { op: 'kick', c: W0 },
+            { op: 'drift', c: (W0 + W1) / 2 },
+            { op: 'force' },
+            { op: 'kick', c: W1 },
+            { op: 'drift', c: W1 / 2 },
+        ],
+    },
+};
+
+export const DEFAULT_INTEGRATOR = 'leapfrog';
+
+// Floats of per-particle scratch space the schemes need (x0, v0 and two RK4 accumulators)
+export const SCRATCH_FLOATS_PER_PARTICLE = 12;
+
+// Advance a CPU particle system by one step of dt. The system provides:
+//   particles, particleCount      - particle objects with position/velocity arrays
+//   accelerations                 - Float64Array(3N), valid after computeAccelerations()
+//   scratch                       - Float64Array(SCRATCH_FLOATS_PER_PARTICLE * N)
+//   accelerationsValid            - lets a leading 'force' reuse the previous step's result
+//   computeAccelerations()
+export function integrateStep(name, system, dt) {
+    const integrator = INTEGRATORS[name];
+    if (!integrator) {
+        throw new Error(`Unknown integrator: ${name}`);
+    }
+
+    for (const step of integrator.ops) {
+        if (step.op === 'force') {
+            if (!system.accelerationsValid) {
+                system.computeAccelerations();
+                system.accelerationsValid = true;
+            }
+            continue;
+        }
+
+        applyOperation(step, system, dt);
+
+        // Anything other than a kick moves the particles
+        if (step.op !== 'kick' && step.op !== 'verlet-velocity' && step.op !== 'rk4-save') {
+            system.accelerationsValid = false;
+        }
+    }
+}
+
+function applyOperation(step, system, dt) {
+    const { particles, particleCount: count, accelerations: a, scratch } = system;
+
+    // Scratch layout: [x0 | v0 | kx | kv], 3N floats each
+    const x0 = 0;
+    const v0 = count * 3;
+    const kx = count * 6;
+    const kv = count * 9;
+
+    for (let i = 0; i < count; i++) {
+        const position = particles[i].position;
+        const velocity = particles[i].velocity;
+        const o = i * 3;
+
+        for (let k = 0; k < 3; k++) {
+            switch (step.op) {
+                case 'kick':
+                    velocity[k] += step.c * dt * a[o + k];
+                    break;
+                case 'drift':
+                    position[k] += step.c * dt * velocity[k];
+                    break;
+                case 'verlet-position':
+                    scratch[x0 + o + k] = a[o + k];
+                    position[k] += dt * velocity[k] + 0.5 * dt * dt * a[o + k];
+                    break;
+                case 'verlet-velocity':
+                    velocity[k] += 0.5 * dt * (scratch[x0 + o + k] + a[o + k]);
+                    break;
+                case 'rk4-save':
+                    scratch[x0 + o + k] = position[k];
+                    scratch[v0 + o + k] = velocity[k];
+                    scratch[kx + o + k] = 0;
+                    scratch[kv + o + k] = 0;
+                    break;
+                case 'rk4-stage':
+                    scratch[kx + o + k] += step.c * velocity[k];
+                    scratch[kv + o + k] += step.c * a[o + k];
+                    position[k] = scratch[x0 + o + k] + step.h * dt * velocity[k];
+                    velocity[k] = scratch[v0 + o + k] + step.h * dt * a[o + k];
+                    break;
+                case 'rk4-finish':
+                    scratch[kx + o + k] += step.c * velocity[k];
+                    scratch[kv + o + k] += step.c * a[o + k];
+                    position[k] = scratch[x0 + o + k] + dt * scratch[kx + o + k];
+                    velocity[k] = scratch[v0 + o + k] + dt * scratch[kv + o + k];
+                    break;
+                default:
+                    throw new Error(`Unknown integrator operation: ${step.op}`);
+            }
+        }
+    }
+}
@@ -1,31 +1,102 @@
 // Simplified N-Body simulation without compute shaders
-// Uses JavaScript for physics to avoid GPU driver crashes
+// Uses JavaScript for physics to avoid GPU driver crashes. The physics runs in physics-worker.js;
+// the main thread forwards the controls to it and uploads the particles it publishes.
 
 import { CameraController } from './camera.js';
 import { mat4, vec3 } from './gl-matrix.js';
+import { DEFAULT_SCENARIO, FLOATS_PER_PARTICLE, defaultScenarioParams } from './initial-conditions.js';
+import { randomSeed } from './random.js';
+import { DiagnosticsHistory } from './diagnostics.js';
+import { DEFAULT_MAX_TIMESTEP, TIMESTEP_MODES } from './timestepping.js';
+import { DEFAULT_MAX_SUBSTEPS } from './simulation-clock.js';
+import { GpuProfiler, profilerFeatures } from './gpu-profiler.js';
+import { DEFAULT_TRAIL_SETTINGS, ParticleTrails } from './trails.js';
+import { DEFAULT_POST_SETTINGS, HDR_FORMAT, PostProcessor } from './post-processing.js';
+import { COLOR_MAP_SIZE, DEFAULT_COLOR_SETTINGS, orderedBits, packColorMap } from './color-mapping.js';
+import { DEFAULT_SIZING_SETTINGS, UNIFORMS_SIZE, writeSizingUniforms } from './sprite-sizing.js';
+import { DEFAULT_TRANSPARENCY_MODE, ParticleRenderer } from './particle-renderer.js';
+
+// Particle cap per force solver; direct summation is O(N^2)
+const MAX_PARTICLES = {
+    'direct': 4000,
+    'barnes-hut': 50000,
+    'wasm-simd': 8000,
+};
+
+// What the controls read of the worker's SimulationClock, as of its last reply
+class ClockView {
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.paused = false;
+        this.rewindOffset = 0;
+        this.history = { size: 0 };
+        this.stepsLastFrame = 0;
+        this.maxSubsteps = DEFAULT_MAX_SUBSTEPS;
+    }
+
+    togglePause() { this.simulation.send('togglePause'); }
+    stepOnce() { this.simulation.send('stepOnce'); }
+}
 
-class SimpleNBodySimulation {
+export class SimpleNBodySimulation {
     constructor(canvas) {
         this.canvas = canvas;
         this.device = null;
         this.context = null;
 
+        // Physics, particle state and diagnostics live in an NBodySystem in the physics worker.
+        // Calls to it are queued so it handles one at a time, which also keeps it from writing
+        // particleData between a reply and the upload.
+        this.worker = null;
+        this.calls = new Map(); // id -> { resolve, reject } of the call awaiting its reply
+        this.nextCallId = 0;
+        this.callQueue = Promise.resolve();
+        this.pendingCalls = 0;
+        this.particleData = null; // the worker's packed particles, shared with it or a copy
+        this.onFailure = null; // called with a reason when a call nothing awaits fails, or the worker dies
+        this.failure = null; // why the worker died; no call is made after it
+
+        // Physics parameters (SYSTEM_SETTINGS), set here and forwarded to the worker
+        this.settings = {};
+        this.forceSolvers = []; // FORCE_SOLVERS the worker can run
+
         // Simulation parameters
-        this.particleCount = 500; // Reduced for CPU simulation
-        this.gravityStrength = 1.0;
+        this.requestedParticleCount = 500; // Reduced for CPU simulation
         this.timeScale = 1.0;
-        this.damping = 0.999;
-
-        // Particle data (CPU-based)
-        this.particles = [];
+        this.scenario = DEFAULT_SCENARIO;
+        this.scenarioParams = defaultScenarioParams(DEFAULT_SCENARIO);
+        this.seed = randomSeed(); // same seed + scenario + parameters = identical initial state
+        this.hiddenSpecies = 0; // bit per SPECIES value, skipped when rendering
+        this.trailSettings = { ...DEFAULT_TRAIL_SETTINGS };
+        this.postSettings = { ...DEFAULT_POST_SETTINGS };
+        this.postProcessor = null; // PostProcessor; the scene is drawn into its HDR target
+        this.trails = null; // ParticleTrails, sampled by the worker after every step
+        this.trailSelection = 0; // ParticleTrails.generation the worker samples, 0 for none
+        this.colorSettings = { ...DEFAULT_COLOR_SETTINGS };
+        this.colorValues = null; // the worker's latest colour values, with their range
+        this.colorRange = null; // { min, max } of the values as stored, for the legend
+        this.sizingSettings = { ...DEFAULT_SIZING_SETTINGS };
+        this.transparencyMode = DEFAULT_TRANSPARENCY_MODE;
+        this.clock = new ClockView(this);
+
+        // State reported by the worker with every reply
+        this.particleCount = 0;
+        this.simTime = 0;
+        this.stepCount = 0;
+        this.mergeCount = 0;
+        this.escapeCount = 0;
+        this.timestep = DEFAULT_MAX_TIMESTEP;
+        this.diagnosticsHistory = new DiagnosticsHistory();
 
         // WebGPU resources (render only)
         this.particleBuffer = null;
         this.uniformBuffer = null;
+        this.colorDataBuffer = null; // range and values for the vertex shader, see color-values.wgsl
+        this.colorMapBuffer = null;
 
-        // Render pipeline
-        this.renderPipeline = null;
-        this.renderBindGroup = null;
+        // Particle drawing, sorted on the CPU in the sorted transparency mode
+        this.particleRenderer = null;
+        this.viewProjMatrix = null; // of the last updateUniforms, for the depth sort
 
         // Camera
         this.camera = {
@@ -44,8 +115,9 @@ class SimpleNBodySimulation {
         this.frameCount = 0;
         this.lastTime = 0;
         this.fps = 0;
-        this.computeTime = 0;
+        this.computeTime = 0; // the worker's time for the last frame's steps
         this.renderTime = 0;
+        this.profiler = null; // GpuProfiler; force and integrate times come from the worker
     }
 
     async init() {
@@ -59,7 +131,8 @@ class SimpleNBodySimulation {
             throw new Error('No appropriate GPUAdapter found');
         }
 
-        this.device = await adapter.requestDevice();
+        this.device = await adapter.requestDevice({ requiredFeatures: profilerFeatures(adapter) });
+        this.profiler = new GpuProfiler(this.device);
 
         this.context = this.canvas.getContext('webgpu');
         const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
@@ -71,52 +144,125 @@ class SimpleNBodySimulation {
 
         this.camera.aspect = this.canvas.width / this.canvas.height;
 
-        this.initializeParticles();
-        await this.initResources();
+        this.worker = new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = ({ data }) => this.onWorkerMessage(data);
+        this.worker.onerror = (e) => this.workerFailed(`Physics worker failed: ${e.message}`);
+        ({ settings: this.settings, forceSolvers: this.forceSolvers } =
+            await this.call('init', this.scenario, this.requestedParticleCount, this.scenarioParams, this.seed));
+
+        this.initResources();
         await this.initRenderPipeline();
 
         this.cameraController = new CameraController(this.camera, this.canvas);
     }
 
-    initializeParticles() {
-        this.particles = [];
-
-        for (let i = 0; i < this.particleCount; i++) {
-            // Position (random distribution in a sphere)
-            const radius = Math.random() * 20 + 5;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
-
-            const particle = {
-                position: [
-                    radius * Math.sin(phi) * Math.cos(theta),
-                    radius * Math.sin(phi) * Math.sin(theta),
-                    radius * Math.cos(phi)
-                ],
-                mass: Math.random() * 0.5 + 0.5,
-                velocity: [0, 0, 0]
-            };
-
-            // Initial orbital velocity
-            const speed = Math.sqrt(this.gravityStrength * 100 / radius) * 0.3;
-            particle.velocity[0] = -speed * Math.sin(theta);
-            particle.velocity[1] = speed * Math.cos(theta);
-            particle.velocity[2] = 0;
-
-            this.particles.push(particle);
+    // Queue a call to the physics worker; resolves with its result once the reply is in
+    call(method, ...args) {
+        if (this.failure) return Promise.reject(new Error(this.failure));
+        this.pendingCalls++;
+        const result = this.callQueue.then(() => new Promise((resolve, reject) => {
+            if (this.failure) {
+                reject(new Error(this.failure));
+                return;
+            }
+            const id = this.nextCallId++;
+            this.calls.set(id, { resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        }));
+        this.callQueue = result.catch(() => {});
+        return result;
+    }
+
+    // A call nothing waits for, from the controls or the frame loop; its failure goes to onFailure
+    // unless the worker's death already went there. Resolves with the result, or undefined if the
+    // call failed.
+    send(method, ...args) {
+        return this.call(method, ...args).catch((err) => {
+            if (!this.failure) this.onFailure?.(`Physics worker ${method} failed: ${err.message}`);
+        });
+    }
+
+    // The worker is gone with its particles: fail the calls waiting on it and stop calling it
+    workerFailed(reason) {
+        this.failure = reason;
+        this.worker.terminate();
+        this.pendingCalls = 0;
+        for (const { reject } of this.calls.values()) {
+            reject(new Error(reason));
         }
+        this.calls.clear();
+        this.onFailure?.(reason);
+    }
 
-        // Add one particle at center for reference
-        if (this.particles.length > 0) {
-            this.particles[0].position = [0, 0, 0];
-            this.particles[0].velocity = [0, 0, 0];
-            this.particles[0].mass = 2.0;
+    onWorkerMessage({ id, result, error, status }) {
+        this.pendingCalls--;
+        this.applyStatus(status);
+
+        const call = this.calls.get(id);
+        this.calls.delete(id);
+        if (error) {
+            call?.reject(new Error(error));
+        } else {
+            call?.resolve(result);
+        }
+    }
+
+    applyStatus(status) {
+        this.particleCount = status.particleCount;
+        this.simTime = status.simTime;
+        this.stepCount = status.stepCount;
+        this.mergeCount = status.mergeCount;
+        this.escapeCount = status.escapeCount;
+        this.timestep = status.timestep;
+        this.computeTime = status.computeTime;
+        Object.assign(this.clock, status.clock);
+
+        if (status.diagnostics) {
+            Object.assign(this.diagnosticsHistory, status.diagnostics);
+        }
+        if (status.particleData) {
+            this.particleData = status.particleData;
         }
+        this.updateParticleBuffer();
+        if (status.colors) {
+            this.colorValues = status.colors;
+            this.colorRange = { min: status.colors.min, max: status.colors.max };
+            this.updateColorData();
+        }
+        if (status.trails) {
+            this.trails?.recordSamples(status.trails);
+        }
+    }
+
+    // New particles and seeking start the trails over
+    initializeParticles() {
+        this.trails?.reset();
+        return this.send('generate', this.scenario, this.requestedParticleCount, this.scenarioParams, this.seed);
     }
 
-    async initResources() {
-        // Create particle buffer for rendering only
-        const particleBufferSize = this.particleCount * 8 * 4;
+    // Scrub through the recorded states (negative delta is back in time); pauses the simulation
+    seek(delta) {
+        this.trails.reset();
+        this.send('seek', delta);
+    }
+
+    // Forward a physics parameter to the worker's NBodySystem
+    updateSetting(name, value) {
+        this.settings[name] = value;
+        this.send('setSetting', name, value);
+    }
+
+    // Every buffer initResources creates, so a rebuild can release the previous set
+    getResourceBuffers() {
+        return [this.particleBuffer, this.uniformBuffer, this.colorDataBuffer, this.colorMapBuffer];
+    }
+
+    initResources() {
+        // Frames already submitted keep the old buffers alive
+        this.getResourceBuffers().forEach((buffer) => buffer?.destroy());
+
+        // Create particle buffer for rendering only, sized for the particles of the last reply
+        const particleBufferSize = Math.max(this.particleCount, 1) * FLOATS_PER_PARTICLE * 4;
         this.particleBuffer = this.device.createBuffer({
             size: particleBufferSize,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
@@ -124,11 +270,22 @@ class SimpleNBodySimulation {
 
         // Create uniform buffer for camera matrices
         this.uniformBuffer = this.device.createBuffer({
-            size: 144, // viewProj (64) + view (64) + cameraPos (12) + time (4)
+            size: UNIFORMS_SIZE, // view matrices, camera, time, hidden species and the sprite sizing
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+
+        // Colour values: min, max, then one per particle, as many as the particle buffer holds
+        this.colorDataBuffer = this.device.createBuffer({
+            size: 8 + particleBufferSize / FLOATS_PER_PARTICLE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.colorMapBuffer = this.device.createBuffer({
+            size: COLOR_MAP_SIZE,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
         this.updateParticleBuffer();
+        this.updateColorData();
     }
 
     async loadShader(url) {
@@ -137,132 +294,36 @@ class SimpleNBodySimulation {
     }
 
     async initRenderPipeline() {
-        const vertexShader = await this.loadShader('./shaders/particle-vertex-quad.wgsl');
-        const fragmentShader = await this.loadShader('./shaders/particle-fragment-quad.wgsl');
-
-        this.renderPipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: this.device.createShaderModule({ code: vertexShader }),
-                entryPoint: 'vs_main',
-            },
-            fragment: {
-                module: this.device.createShaderModule({ code: fragmentShader }),
-                entryPoint: 'fs_main',
-                targets: [{
-                    format: navigator.gpu.getPreferredCanvasFormat(),
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                        },
-                    },
-                }],
-            },
-            primitive: {
-                topology: 'triangle-list',
-            },
-        });
+        this.particleRenderer = new ParticleRenderer(this.device);
+        await this.particleRenderer.init((url) => this.loadShader(url), false);
 
-        this.renderBindGroup = this.device.createBindGroup({
-            layout: this.renderPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer } },
-                { binding: 1, resource: { buffer: this.uniformBuffer } },
-            ],
-        });
-    }
-
-    updatePhysics(deltaTime) {
-        const dt = deltaTime * this.timeScale;
-
-        // Calculate forces (CPU-based)
-        const forces = [];
-        for (let i = 0; i < this.particleCount; i++) {
-            forces[i] = [0, 0, 0];
-
-            const particle = this.particles[i];
-
-            for (let j = 0; j < this.particleCount; j++) {
-                if (i === j) continue;
-
-                const other = this.particles[j];
-                const dx = other.position[0] - particle.position[0];
-                const dy = other.position[1] - particle.position[1];
-                const dz = other.position[2] - particle.position[2];
+        this.postProcessor = new PostProcessor(this.device, this.postSettings);
+        await this.postProcessor.init((url) => this.loadShader(url), navigator.gpu.getPreferredCanvasFormat());
 
-                const distanceSquared = dx * dx + dy * dy + dz * dz + 0.01; // epsilon
-                const distance = Math.sqrt(distanceSquared);
-
-                const force = this.gravityStrength * particle.mass * other.mass / distanceSquared;
+        this.trails = new ParticleTrails(this.device, this.trailSettings);
+        await this.trails.init((url) => this.loadShader(url), HDR_FORMAT, false);
+    }
 
-                forces[i][0] += force * dx / distance;
-                forces[i][1] += force * dy / distance;
-                forces[i][2] += force * dz / distance;
-            }
-        }
+    // Upload what the worker published with its last reply; the buffer only grows
+    updateParticleBuffer() {
+        if (!this.particleBuffer || !this.particleData) return;
 
-        // Integrate particles
-        for (let i = 0; i < this.particleCount; i++) {
-            const particle = this.particles[i];
-            const force = forces[i];
-
-            // Update velocity
-            particle.velocity[0] += (force[0] / particle.mass) * dt;
-            particle.velocity[1] += (force[1] / particle.mass) * dt;
-            particle.velocity[2] += (force[2] / particle.mass) * dt;
-
-            // Apply damping
-            particle.velocity[0] *= this.damping;
-            particle.velocity[1] *= this.damping;
-            particle.velocity[2] *= this.damping;
-
-            // Update position
-            particle.position[0] += particle.velocity[0] * dt;
-            particle.position[1] += particle.velocity[1] * dt;
-            particle.position[2] += particle.velocity[2] * dt;
-
-            // Boundary conditions
-            const boundarySize = 50.0;
-            const restitution = 0.8;
-
-            if (Math.abs(particle.position[0]) > boundarySize) {
-                particle.position[0] = Math.sign(particle.position[0]) * boundarySize;
-                particle.velocity[0] *= -restitution;
-            }
-            if (Math.abs(particle.position[1]) > boundarySize) {
-                particle.position[1] = Math.sign(particle.position[1]) * boundarySize;
-                particle.velocity[1] *= -restitution;
-            }
-            if (Math.abs(particle.position[2]) > boundarySize) {
-                particle.position[2] = Math.sign(particle.position[2]) * boundarySize;
-                particle.velocity[2] *= -restitution;
-            }
+        const size = this.particleCount * FLOATS_PER_PARTICLE;
+        if (this.particleBuffer.size < size * 4) {
+            this.rebuildResources();
+            return; // initResources uploads
         }
+        this.device.queue.writeBuffer(this.particleBuffer, 0, this.particleData, 0, size);
     }
 
-    updateParticleBuffer() {
-        const particleData = new Float32Array(this.particleCount * 8);
-
-        for (let i = 0; i < this.particleCount; i++) {
-            const offset = i * 8;
-            const particle = this.particles[i];
-
-            particleData[offset + 0] = particle.position[0];
-            particleData[offset + 1] = particle.position[1];
-            particleData[offset + 2] = particle.position[2];
-            particleData[offset + 3] = particle.mass;
-            particleData[offset + 4] = particle.velocity[0];
-            particleData[offset + 5] = particle.velocity[1];
-            particleData[offset + 6] = particle.velocity[2];
-            particleData[offset + 7] = 0; // padding
-        }
+    // Upload the worker's last colour values; the range goes in as orderedBits, like the GPU keeps it
+    updateColorData() {
+        if (!this.colorDataBuffer || !this.colorValues) return;
 
-        this.device.queue.writeBuffer(this.particleBuffer, 0, particleData);
+        const { values, min, max } = this.colorValues;
+        if (this.colorDataBuffer.size < 8 + values.byteLength) return; // the next reply fits
+        this.device.queue.writeBuffer(this.colorDataBuffer, 0, new Uint32Array([orderedBits(min), orderedBits(max)]));
+        this.device.queue.writeBuffer(this.colorDataBuffer, 8, values);
     }
 
     updateUniforms(time) {
@@ -273,14 +334,18 @@ class SimpleNBodySimulation {
         mat4.lookAt(viewMatrix, this.camera.position, this.camera.target, this.camera.up);
         mat4.perspective(projMatrix, this.camera.fovy, this.camera.aspect, this.camera.near, this.camera.far);
         mat4.multiply(viewProjMatrix, projMatrix, viewMatrix);
+        this.viewProjMatrix = viewProjMatrix;
 
-        const uniformData = new Float32Array(36); // 16 + 16 + 3 + 1 = 36 floats
+        const uniformData = new Float32Array(UNIFORMS_SIZE / 4);
         uniformData.set(viewProjMatrix, 0);      // 16 floats (64 bytes)
         uniformData.set(viewMatrix, 16);         // 16 floats (64 bytes) 
         uniformData.set(this.camera.position, 32); // 3 floats (12 bytes)
         uniformData[35] = time;                  // 1 float (4 bytes)
+        new Uint32Array(uniformData.buffer)[36] = this.hiddenSpecies; // 1 u32 (4 bytes)
+        writeSizingUniforms(uniformData, this.sizingSettings, this.camera, this.canvas.width, this.canvas.height);
 
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
+        this.device.queue.writeBuffer(this.colorMapBuffer, 0, packColorMap(this.colorSettings));
     }
 
     render(time) {
@@ -288,34 +353,69 @@ class SimpleNBodySimulation {
             this.cameraController.update();
         }
 
-        const computeStart = performance.now();
-        this.updatePhysics(0.016); // Fixed timestep
-        this.updateParticleBuffer();
-        const computeEnd = performance.now();
-        this.computeTime = computeEnd - computeStart;
+        // The worker takes this frame's physics steps unless it's still busy with earlier calls;
+        // either way the particles of its last reply are drawn. computeTime is its step time.
+        if (this.pendingCalls === 0 && !this.failure) {
+            this.send('frame', time, this.timeScale).then((times) => {
+                if (times) {
+                    this.profiler.record('force', times.force);
+                    this.profiler.record('integrate', times.integrate);
+                }
+            });
+        }
 
         this.updateUniforms(time);
 
-        const renderStart = performance.now();
+        // Segments a periodic wrap cuts across are longer than the box and aren't drawn
+        const showTrails = this.trails.prepare({
+            particleCount: this.particleCount,
+            particleBuffers: [this.particleBuffer],
+            uniformBuffer: this.uniformBuffer,
+            maxSegment: this.boundaryMode === 'periodic' ? this.boundarySize : 0,
+        });
+
+        // The worker samples the trails after every step, for the selection it was sent last
+        const selection = showTrails ? this.trails.generation : 0;
+        if (selection !== this.trailSelection) {
+            this.trailSelection = selection;
+            this.send('setTrails', selection, showTrails ? this.trails.indices : [], this.trailSettings.length);
+        }
+
         const commandEncoder = this.device.createCommandEncoder();
+        this.profiler.beginFrame();
+
+        // The scene goes into the HDR target; bloom and tone mapping bring it to the canvas
+        const canvasTexture = this.context.getCurrentTexture();
+        this.particleRenderer.prepare({
+            mode: this.transparencyMode,
+            particleCount: this.particleCount,
+            particleBuffers: [this.particleBuffer],
+            uniformBuffer: this.uniformBuffer,
+            colorDataBuffer: this.colorDataBuffer,
+            colorMapBuffer: this.colorMapBuffer,
+            width: canvasTexture.width,
+            height: canvasTexture.height,
+        });
+        if (this.particleData) {
+            this.particleRenderer.sortFrom(this.particleData, this.viewProjMatrix);
+        }
 
-        const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store',
-            }],
+        const renderPass = this.profiler.beginRenderPass(commandEncoder, 'render', {
+            colorAttachments: [this.postProcessor.sceneAttachment(canvasTexture)],
         });
 
-        renderPass.setPipeline(this.renderPipeline);
-        renderPass.setBindGroup(0, this.renderBindGroup);
-        renderPass.draw(this.particleCount * 6);
-        renderPass.end();
+        if (showTrails) {
+            this.trails.draw(renderPass, 0);
+        }
+        this.particleRenderer.draw(renderPass, 0);
+        this.profiler.endPass(renderPass);
+        this.particleRenderer.encodeWeighted(commandEncoder, this.postProcessor.hdrView, 0, this.profiler);
+        this.postProcessor.encode(commandEncoder, canvasTexture.createView(), this.profiler);
 
+        this.profiler.resolve(commandEncoder);
         this.device.queue.submit([commandEncoder.finish()]);
-        const renderEnd = performance.now();
-        this.renderTime = renderEnd - renderStart;
+        this.profiler.collect();
+        this.renderTime = this.profiler.latest('render');
 
         // Debug: Log timing occasionally
         if (this.frameCount % 60 === 0) {
@@ -331,125 +431,149 @@ class SimpleNBodySimulation {
         }
     }
 
-    setParticleCount(count) {
-        this.particleCount = Math.floor(Math.min(count, 4000)); // Cap at 4000 for CPU
-        this.initializeParticles();
-        this.initResources().then(() => {
-            this.initRenderPipeline();
-        });
+    // Re-create the particle-sized render buffer; the renderer rebinds it with the next frame
+    rebuildResources() {
+        this.initResources();
     }
 
-    setGravityStrength(strength) { this.gravityStrength = strength; }
-    setTimeScale(scale) { this.timeScale = scale; }
-    setDamping(damping) { this.damping = damping; }
-    resetSimulation() { this.initializeParticles(); }
-}
-
-// Use the stable version
-class App {
-    constructor() {
-        this.simulation = null;
-        this.animationId = null;
+    setParticleCount(count) {
+        this.requestedParticleCount = Math.floor(Math.min(count, this.getMaxParticles()));
+        this.particleCount = this.requestedParticleCount; // until the worker's reply says so
+        return this.initializeParticles();
     }
 
-    async init() {
-        const canvas = document.getElementById('canvas');
-        const loading = document.getElementById('loading');
-        const error = document.getElementById('error');
-        const controls = document.getElementById('controls');
-
-        try {
-            this.resizeCanvas(canvas);
-            window.addEventListener('resize', () => this.resizeCanvas(canvas));
+    // Replace the particles with externally produced ones, resizing to match
+    async loadParticles(particles, simTime = 0) {
+        const count = particles.length / FLOATS_PER_PARTICLE;
+        if (count > this.getMaxParticles()) {
+            throw new Error(`${count} particles, at most ${this.getMaxParticles()} are supported by the ${this.forceSolver} solver`);
+        }
 
-            // Use stable CPU-based simulation
-            this.simulation = new SimpleNBodySimulation(canvas);
-            await this.simulation.init();
+        this.requestedParticleCount = count;
+        this.trails.reset();
+        await this.call('loadParticles', particles, simTime);
+    }
 
-            loading.style.display = 'none';
-            controls.style.display = 'block';
+    getMaxParticles() { return MAX_PARTICLES[this.forceSolver]; }
+    get timingSource() { return `CPU physics, render ${this.profiler.source}`; }
+    getForceSolvers() { return this.forceSolvers; }
+    getTimestepModes() { return Object.keys(TIMESTEP_MODES); }
+
+    // Full state for a snapshot, read back from the worker
+    async getState() {
+        const state = await this.call('getState');
+        return {
+            ...state,
+            timeScale: this.timeScale,
+            seed: this.seed,
+        };
+    }
 
-            this.setupControls();
-            this.animate();
+    async loadState(state) {
+        this.updateSetting('gravityStrength', state.gravityStrength);
+        this.updateSetting('damping', state.damping);
+        this.timeScale = state.timeScale;
+        this.seed = state.seed;
 
-        } catch (err) {
-            console.error('Failed to initialize:', err);
-            loading.style.display = 'none';
-            error.style.display = 'block';
-        }
+        await this.loadParticles(state.particles, state.simTime);
     }
 
-    resizeCanvas(canvas) {
-        const rect = canvas.getBoundingClientRect();
-        canvas.width = rect.width * devicePixelRatio;
-        canvas.height = rect.height * devicePixelRatio;
+    // The physics parameters as last set
+    get gravityStrength() { return this.settings.gravityStrength; }
+    get damping() { return this.settings.damping; }
+    get integrator() { return this.settings.integrator; }
+    get forceSolver() { return this.settings.forceSolver; }
+    get theta() { return this.settings.theta; }
+    get softeningKernel() { return this.settings.softeningKernel; }
+    get softeningLength() { return this.settings.softeningLength; }
+    get collisionMode() { return this.settings.collisionMode; }
+    get collisionDensity() { return this.settings.collisionDensity; }
+    get boundaryMode() { return this.settings.boundaryMode; }
+    get boundarySize() { return this.settings.boundarySize; }
+    get restitution() { return this.settings.restitution; }
+    get timestepMode() { return this.settings.timestepMode; }
+    get maxTimestep() { return this.settings.maxTimestep; }
+    get timestepAccuracy() { return this.settings.timestepAccuracy; }
+    get timestepLevels() { return this.settings.timestepLevels; }
+
+    // Resolves to the Barnes-Hut force error, measured in the worker
+    measureForceAccuracy(sampleSize) {
+        return this.call('measureForceAccuracy', sampleSize);
+    }
 
-        if (this.simulation) {
-            this.simulation.camera.aspect = canvas.width / canvas.height;
+    setForceSolver(solver) {
+        this.updateSetting('forceSolver', solver);
+        if (this.particleCount > this.getMaxParticles()) {
+            this.setParticleCount(this.getMaxParticles());
         }
     }
 
-    setupControls() {
-        const particleCountSlider = document.getElementById('particleCount');
-        const gravitySlider = document.getElementById('gravity');
-        const timeScaleSlider = document.getElementById('timeScale');
-        const dampingSlider = document.getElementById('damping');
-        const resetBtn = document.getElementById('resetBtn');
-
-        const particleCountValue = document.getElementById('particleCountValue');
-        const gravityValue = document.getElementById('gravityValue');
-        const timeScaleValue = document.getElementById('timeScaleValue');
-        const dampingValue = document.getElementById('dampingValue');
-
-        // Limit particle count for CPU simulation
-        particleCountSlider.max = 4000;
-        particleCountSlider.value = 500;
-        particleCountValue.textContent = 500;
-
-        particleCountSlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            particleCountValue.textContent = value;
-            this.simulation.setParticleCount(value);
-        });
+    setSeed(seed) {
+        this.seed = seed;
+        this.initializeParticles();
+    }
 
-        gravitySlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            gravityValue.textContent = value.toFixed(1);
-            this.simulation.setGravityStrength(value);
-        });
+    setScenario(scenario, params = defaultScenarioParams(scenario)) {
+        this.scenario = scenario;
+        this.scenarioParams = params;
+        this.initializeParticles();
+    }
 
-        timeScaleSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            timeScaleValue.textContent = value.toFixed(1);
-            this.simulation.setTimeScale(value);
-        });
+    setSpeciesVisible(species, visible) {
+        if (visible) {
+            this.hiddenSpecies &= ~(1 << species);
+        } else {
+            this.hiddenSpecies |= 1 << species;
+        }
+    }
 
-        dampingSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            dampingValue.textContent = value.toFixed(3);
-            this.simulation.setDamping(value);
-        });
+    // changes to trailSettings, see DEFAULT_TRAIL_SETTINGS
+    setTrails(changes) {
+        this.trails.configure(changes);
+    }
 
-        resetBtn.addEventListener('click', () => {
-            this.simulation.resetSimulation();
-        });
+    // changes to postSettings, see DEFAULT_POST_SETTINGS
+    setPostProcessing(changes) {
+        this.postProcessor.configure(changes);
     }
 
-    animate() {
-        const time = performance.now();
+    // changes to colorSettings, see DEFAULT_COLOR_SETTINGS; the worker recomputes the values
+    setColorMapping(changes) {
+        Object.assign(this.colorSettings, changes);
+        if ('quantity' in changes || 'densityLength' in changes) {
+            this.send('setColorQuantity', this.colorSettings.quantity, this.colorSettings.densityLength);
+        }
+    }
 
-        if (this.simulation) {
-            this.simulation.render(time);
+    // Key of TRANSPARENCY_MODES
+    setTransparencyMode(mode) {
+        this.transparencyMode = mode;
+    }
 
-            document.getElementById('fps').textContent = this.simulation.fps;
-            document.getElementById('computeTime').textContent = this.simulation.computeTime.toFixed(3);
-            document.getElementById('renderTime').textContent = this.simulation.renderTime.toFixed(3);
-        }
+    // changes to sizingSettings, see DEFAULT_SIZING_SETTINGS
+    setSpriteSizing(changes) {
+        Object.assign(this.sizingSettings, changes);
+    }
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+    setSofteningKernel(kernel) { this.updateSetting('softeningKernel', kernel); }
+    setSofteningLength(length) { this.updateSetting('softeningLength', length); }
+    setCollisionMode(mode) { this.updateSetting('collisionMode', mode); }
+    setCollisionDensity(density) { this.updateSetting('collisionDensity', density); }
+    setBoundaryMode(mode) { this.updateSetting('boundaryMode', mode); }
+    setBoundarySize(size) { this.updateSetting('boundarySize', size); }
+    setRestitution(restitution) { this.updateSetting('restitution', restitution); }
+    setTheta(theta) { this.updateSetting('theta', theta); }
+    setGravityStrength(strength) { this.updateSetting('gravityStrength', strength); }
+    setIntegrator(integrator) { this.updateSetting('integrator', integrator); }
+    setTimestepMode(mode) { this.updateSetting('timestepMode', mode); }
+    setMaxTimestep(dt) { this.updateSetting('maxTimestep', dt); }
+    setTimestepAccuracy(accuracy) { this.updateSetting('timestepAccuracy', accuracy); }
+    setTimestepLevels(levels) { this.updateSetting('timestepLevels', levels); }
+    setDamping(damping) { this.updateSetting('damping', damping); }
+    setMaxSubsteps(count) {
+        this.clock.maxSubsteps = count;
+        this.send('setMaxSubsteps', count);
     }
+    setTimeScale(scale) { this.timeScale = scale; }
+    resetSimulation() { this.initializeParticles(); }
 }
-
-// Start the application
-const app = new App();
-app.init();
\ No newline at end of file
@@ -3,36 +3,180 @@
 
 import { CameraController } from './camera.js';
 import { mat4, vec3 } from './gl-matrix.js';
-
-class NBodySimulation {
+import { DEFAULT_INTEGRATOR, INTEGRATORS } from './integrators.js';
+import { DiagnosticsHistory, createSample } from './diagnostics.js';
+import { DEFAULT_SCENARIO, FLOATS_PER_PARTICLE, defaultScenarioParams, generateScenario } from './initial-conditions.js';
+import { createRandom, randomSeed } from './random.js';
+import { COLLISION_MODES, DEFAULT_COLLISION_DENSITY, DEFAULT_COLLISION_MODE } from './collisions.js';
+import { DEFAULT_SOFTENING_KERNEL, DEFAULT_SOFTENING_LENGTH, SOFTENING_KERNELS } from './softening.js';
+import {
+    DEFAULT_MAX_TIMESTEP, DEFAULT_TIMESTEP_ACCURACY, DEFAULT_TIMESTEP_LEVELS, DEFAULT_TIMESTEP_MODE,
+    TIMESTEP_MODES,
+} from './timestepping.js';
+import { SimulationClock } from './simulation-clock.js';
+import { DEFAULT_FORCE_KERNEL, DEFAULT_FORCE_WORKGROUP_SIZE, FORCE_KERNELS, compareAccelerations } from './force-kernels.js';
+import { BOUNDARY_MODES, DEFAULT_BOUNDARY_MODE, DEFAULT_BOUNDARY_SIZE, DEFAULT_RESTITUTION } from './boundaries.js';
+import { GpuProfiler, profilerFeatures } from './gpu-profiler.js';
+import { DEFAULT_TRAIL_SETTINGS, ParticleTrails } from './trails.js';
+import { DEFAULT_POST_SETTINGS, HDR_FORMAT, PostProcessor } from './post-processing.js';
+import { COLOR_MAP_SIZE, DEFAULT_COLOR_SETTINGS, fromOrderedBits, packColorMap } from './color-mapping.js';
+import { DEFAULT_SIZING_SETTINGS, UNIFORMS_SIZE, writeSizingUniforms } from './sprite-sizing.js';
+import { DEFAULT_TRANSPARENCY_MODE, ParticleRenderer } from './particle-renderer.js';
+
+// integrate-compute.wgsl entry point for each integrator operation
+const INTEGRATE_ENTRY_POINTS = {
+    'kick': 'kick',
+    'drift': 'drift',
+    'verlet-position': 'verletPosition',
+    'verlet-velocity': 'verletVelocity',
+    'rk4-save': 'rk4Save',
+    'rk4-stage': 'rk4Stage',
+    'rk4-finish': 'rk4Finish',
+};
+
+// Per-operation step parameters live at this stride in stepParamBuffer (dynamic offsets)
+const STEP_PARAM_STRIDE = 256;
+const MAX_INTEGRATOR_OPS = 16;
+
+// Per-slot state kept next to the particles in a rewind slot: live count, draw vertex count,
+// merges, escapes (the collision counters) and deltaTime, simTime, compensation (the adaptive clock)
+const REWIND_STATE_SIZE = 32;
+
+// Must match WORKGROUP_SIZE in diagnostics-reduce.wgsl
+const REDUCE_WORKGROUP_SIZE = 256;
+
+// Must match the workgroup size of computeColorValues and carryOrigins in color-values.wgsl
+const COLOR_WORKGROUP_SIZE = 64;
+
+// Must match COMPACT_BLOCK in collisions.wgsl
+const COMPACT_BLOCK = 64;
+
+export class NBodySimulation {
     constructor(canvas) {
         this.canvas = canvas;
         this.device = null;
         this.context = null;
+        this.onFailure = null; // called with a reason when the device is lost or rejects a command
 
         // Simulation parameters
         this.particleCount = 1000;
         this.gravityStrength = 1.0;
         this.timeScale = 1.0;
         this.damping = 0.999;
-
-        // WebGPU resources
-        this.particleBuffer = null;
-        this.forceBuffer = null;
+        this.integrator = DEFAULT_INTEGRATOR;
+        this.forceKernel = DEFAULT_FORCE_KERNEL; // key of FORCE_KERNELS
+        this.forceWorkgroupSize = DEFAULT_FORCE_WORKGROUP_SIZE;
+        this.softeningKernel = DEFAULT_SOFTENING_KERNEL;
+        this.softeningLength = DEFAULT_SOFTENING_LENGTH;
+        this.scenario = DEFAULT_SCENARIO;
+        this.scenarioParams = defaultScenarioParams(DEFAULT_SCENARIO);
+        this.seed = randomSeed(); // same seed + scenario + parameters = identical initial state
+        this.hiddenSpecies = 0; // bit per SPECIES value, skipped when rendering
+        this.collisionMode = DEFAULT_COLLISION_MODE;
+        this.collisionDensity = DEFAULT_COLLISION_DENSITY;
+        this.boundaryMode = DEFAULT_BOUNDARY_MODE;
+        this.boundarySize = DEFAULT_BOUNDARY_SIZE;
+        this.restitution = DEFAULT_RESTITUTION;
+        this.trailSettings = { ...DEFAULT_TRAIL_SETTINGS };
+        this.postSettings = { ...DEFAULT_POST_SETTINGS };
+        this.postProcessor = null; // PostProcessor; the scene is drawn into its HDR target
+        this.trails = null; // ParticleTrails
+        this.colorSettings = { ...DEFAULT_COLOR_SETTINGS };
+        this.colorRange = null; // { min, max } of the values as stored, read back for the legend
+        this.sizingSettings = { ...DEFAULT_SIZING_SETTINGS };
+        this.transparencyMode = DEFAULT_TRANSPARENCY_MODE;
+
+        // Timestepping: fixed or adaptive global steps (block steps are CPU-only). In adaptive mode
+        // the GPU chooses each step and keeps the clock; timestep and simTime are read back a frame late.
+        this.timestepMode = DEFAULT_TIMESTEP_MODE;
+        this.maxTimestep = DEFAULT_MAX_TIMESTEP;
+        this.timestepAccuracy = DEFAULT_TIMESTEP_ACCURACY;
+        this.timestepLevels = DEFAULT_TIMESTEP_LEVELS;
+        this.timestep = DEFAULT_MAX_TIMESTEP;
+        this.clock = new SimulationClock(); // physics steps per rendered frame, pause and rewind
+
+        // Rewind slots; the clock keeps the bookkeeping, the recorded states stay on the GPU
+        this.rewindBuffer = null;
+        this.rewindStateBuffer = null;
+        this.rewindOriginBuffer = null;
+
+        // WebGPU resources. Particles ping-pong between two buffers: passes that move them read
+        // particleBuffers[current] and write the other one, then current flips. Every bind group
+        // that sees the particles comes in both orientations, indexed by current.
+        this.particleBuffers = [];
+        this.current = 0;
+        this.accelerationBuffer = null;
+        this.scratchBuffer = null;
         this.uniformBuffer = null;
         this.paramBuffer = null;
-
-        // Compute pipelines
+        this.stepParamBuffer = null;
+
+        // Collisions: merges (and escapes from an absorbing boundary) compact the particles on the GPU,
+        // keeping their order, and the GPU owns the live count (paramBuffer.particleCount and the
+        // indirect draw). The CPU copy trails by a frame or two.
+        this.partnerBuffer = null;
+        this.collisionStateBuffer = null;
+        this.collisionParamBuffer = null;
+        this.collisionReadBuffer = null;
+        this.drawArgsBuffer = null;
+        this.collisionPipelines = {};
+        this.collisionBindGroups = [];
+        this.collisionReadPending = false;
+        this.collisionGeneration = 0; // bumped on reset so stale readbacks are dropped
+        this.mergeCount = 0;
+        this.escapeCount = 0;
+
+        // Colour mapping: a value per particle (colorDataBuffer, with its range) computed after the
+        // frame's steps, and each particle's initial x, which the compaction carries along
+        this.colorDataBuffer = null;
+        this.colorMapBuffer = null;
+        this.colorReadBuffer = null;
+        this.originBuffer = null;
+        this.originScratchBuffer = null;
+        this.colorValuesPipeline = null;
+        this.carryOriginsPipeline = null;
+        this.colorValuesBindGroups = [];
+        this.carryOriginsBindGroup = null;
+        this.colorsDirty = true; // the values no longer match the particles or the settings
+        this.colorReadPending = false;
+        this.colorGeneration = 0; // bumped when the values change meaning so stale ranges are dropped
+
+        // Adaptive timestep state on the GPU
+        this.timeStateBuffer = null;
+        this.timestepParamBuffer = null;
+        this.timeReadBuffer = null;
+        this.timestepPipeline = null;
+        this.timestepBindGroup = null;
+        this.timeReadPending = false;
+        this.timeGeneration = 0; // bumped when the clock is set so stale readbacks are dropped
+
+        // Compute pipelines; every force kernel shares forceBindGroupLayout so one bind group serves them all
+        this.forceModule = null;
+        this.forceBindGroupLayout = null;
         this.forceComputePipeline = null;
-        this.integrateComputePipeline = null;
-
-        // Render pipeline
-        this.renderPipeline = null;
-
-        // Bind groups
-        this.forceBindGroup = null;
-        this.integrateBindGroup = null;
-        this.renderBindGroup = null;
+        this.integratePipelines = {};
+        this.constraintPipeline = null;
+        this.reduceParticlesPipeline = null;
+        this.reducePartialsPipeline = null;
+
+        // Particle drawing, sorted on the GPU in the sorted transparency mode
+        this.particleRenderer = null;
+
+        // Bind group layouts shared by the pipelines of each shader, and the bind groups built on them
+        this.integrateBindGroupLayout = null;
+        this.diagnosticsBindGroupLayout = null;
+        this.collisionBindGroupLayout = null;
+        this.forceBindGroups = [];
+        this.integrateBindGroups = []; // shared by every integrate entry point
+        this.diagnosticsBindGroups = [];
+
+        // Diagnostics, reduced on the GPU every diagnosticsInterval steps
+        this.simTime = 0;
+        this.stepCount = 0;
+        this.diagnosticsInterval = 10;
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.diagnosticsPending = false;
+        this.diagnosticsDue = false; // a step since the last sample crossed diagnosticsInterval
 
         // Camera
         this.camera = {
@@ -48,12 +192,13 @@ class NBodySimulation {
         // Camera controller
         this.cameraController = null;
 
-        // Performance tracking
+        // Performance tracking; computeTime (force + integrate) and renderTime are the profiler's latest
         this.frameCount = 0;
         this.lastTime = 0;
         this.fps = 0;
         this.computeTime = 0;
         this.renderTime = 0;
+        this.profiler = null; // GpuProfiler
     }
 
     async init() {
@@ -67,7 +212,18 @@ class NBodySimulation {
             throw new Error('No appropriate GPUAdapter found');
         }
 
-        this.device = await adapter.requestDevice();
+        this.device = await adapter.requestDevice({ requiredFeatures: profilerFeatures(adapter) });
+        this.profiler = new GpuProfiler(this.device);
+
+        // Nothing here recovers from these; the app switches to the CPU backend instead
+        this.device.lost.then((info) => {
+            if (info.reason !== 'destroyed') {
+                this.onFailure?.(`GPU device lost: ${info.message}`);
+            }
+        });
+        this.device.addEventListener('uncapturederror', (e) => {
+            this.onFailure?.(`GPU error: ${e.error.message}`);
+        });
 
         this.context = this.canvas.getContext('webgpu');
         const canvasFormat = navigator.gpu.getPreferredCanvasFormat();
@@ -80,9 +236,11 @@ class NBodySimulation {
         // Update camera aspect ratio
         this.camera.aspect = this.canvas.width / this.canvas.height;
 
-        await this.initResources();
+        // Pipelines don't depend on the particle count; buffers and bind groups do, see rebuildResources
+        this.initResources();
         await this.initComputePipelines();
         await this.initRenderPipeline();
+        this.createBindGroups();
 
         this.initializeParticles();
 
@@ -95,155 +253,473 @@ class NBodySimulation {
         return await response.text();
     }
 
-    async initResources() {
-        // Create particle buffer (position, mass, velocity)
+    // Every buffer initResources creates, so a rebuild can release the previous set
+    getResourceBuffers() {
+        return [
+            ...this.particleBuffers,
+            this.rewindBuffer, this.rewindStateBuffer, this.rewindOriginBuffer,
+            this.originBuffer, this.originScratchBuffer,
+            this.colorDataBuffer, this.colorMapBuffer, this.colorReadBuffer,
+            this.accelerationBuffer, this.scratchBuffer,
+            this.uniformBuffer, this.paramBuffer, this.stepParamBuffer,
+            this.diagnosticsPartialBuffer, this.diagnosticsResultBuffer, this.diagnosticsReadBuffer,
+            this.partnerBuffer, this.collisionStateBuffer, this.collisionParamBuffer, this.collisionReadBuffer,
+            this.drawArgsBuffer,
+            this.timeStateBuffer, this.timestepParamBuffer, this.timeReadBuffer,
+        ];
+    }
+
+    initResources() {
+        // Work already submitted keeps the old buffers alive, and readbacks still in flight on them are dropped
+        this.getResourceBuffers().forEach((buffer) => buffer?.destroy());
+
+        // Create the particle buffers (position, mass, velocity)
         const particleBufferSize = this.particleCount * 8 * 4; // 8 floats per particle, 4 bytes per float
-        this.particleBuffer = this.device.createBuffer({
+        this.particleBuffers = [0, 1].map(() => this.device.createBuffer({
             size: particleBufferSize,
-            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC, // COPY_SRC for snapshots
+        }));
+        this.current = 0;
+
+        // As many rewind slots as fit in the clock's memory budget; a slot holds the origins too
+        const originBufferSize = this.particleCount * 4;
+        this.clock.reset(particleBufferSize + originBufferSize);
+        this.rewindBuffer = this.device.createBuffer({
+            size: this.clock.history.capacity * particleBufferSize,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.rewindStateBuffer = this.device.createBuffer({
+            size: this.clock.history.capacity * REWIND_STATE_SIZE,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.rewindOriginBuffer = this.device.createBuffer({
+            size: this.clock.history.capacity * originBufferSize,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+
+        // Initial x per particle; carryOrigins writes the compacted order into the scratch copy
+        this.originBuffer = this.device.createBuffer({
+            size: originBufferSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.originScratchBuffer = this.device.createBuffer({
+            size: originBufferSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
         });
 
-        // Create force buffer
-        const forceBufferSize = this.particleCount * 3 * 4; // 3 floats per force vector
-        this.forceBuffer = this.device.createBuffer({
-            size: forceBufferSize,
+        // Colour values: min and max (as orderedBits), then one per particle
+        this.colorDataBuffer = this.device.createBuffer({
+            size: 8 + originBufferSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.colorMapBuffer = this.device.createBuffer({
+            size: COLOR_MAP_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.colorReadBuffer = this.device.createBuffer({
+            size: 8,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        this.colorReadPending = false;
+        this.invalidateColors();
+
+        // Create acceleration buffer
+        const accelerationBufferSize = this.particleCount * 4 * 4; // vec4 per particle (vec3 array stride is 16 bytes)
+        this.accelerationBuffer = this.device.createBuffer({
+            size: accelerationBufferSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC, // COPY_SRC for comparing force kernels
+        });
+
+        // Integrator scratch space: 4 vec4 per particle (saved state and RK4 accumulators)
+        this.scratchBuffer = this.device.createBuffer({
+            size: this.particleCount * 4 * 16,
             usage: GPUBufferUsage.STORAGE,
         });
 
         // Create uniform buffer for camera matrices
         this.uniformBuffer = this.device.createBuffer({
-            size: 80, // mat4 (64 bytes) + vec3 (12 bytes) + float (4 bytes)
+            size: UNIFORMS_SIZE, // view matrices, camera, time, hidden species and the sprite sizing
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
         // Create parameter buffer for simulation parameters
         this.paramBuffer = this.device.createBuffer({
-            size: 16, // 4 floats
+            size: 48, // particleCount, deltaTime, gravity, damping, boundary mode, size, restitution, softening kernel, length, padding
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC, // COPY_SRC: live count for snapshots
+        });
+
+        // Create step parameter buffer, one slot per integrator operation
+        this.stepParamBuffer = this.device.createBuffer({
+            size: STEP_PARAM_STRIDE * MAX_INTEGRATOR_OPS,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.writeStepParams();
+
+        // Diagnostics reduction: 3 vec4 partial sums per reduce workgroup, 3 vec4 result
+        const partialCount = Math.ceil(this.particleCount / REDUCE_WORKGROUP_SIZE);
+        this.diagnosticsPartialBuffer = this.device.createBuffer({
+            size: Math.max(partialCount, 1) * 3 * 16,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        this.diagnosticsResultBuffer = this.device.createBuffer({
+            size: 3 * 16,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+        });
+        this.diagnosticsReadBuffer = this.device.createBuffer({
+            size: 3 * 16,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        this.diagnosticsPending = false;
+
+        // Collision buffers; survivors are compacted through the other particle buffer
+        this.partnerBuffer = this.device.createBuffer({
+            size: this.particleCount * 4,
+            usage: GPUBufferUsage.STORAGE,
+        });
+        this.collisionStateBuffer = this.device.createBuffer({
+            size: 16 + Math.ceil(this.particleCount / COMPACT_BLOCK) * 4, // count, merges, escapes, removed, block sums
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.collisionParamBuffer = this.device.createBuffer({
+            size: 16, // mode, density, padding
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.collisionReadBuffer = this.device.createBuffer({
+            size: 12,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        this.drawArgsBuffer = this.device.createBuffer({
+            size: 16, // vertexCount, instanceCount, firstVertex, firstInstance
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC, // COPY_SRC for rewinding
+        });
+        this.collisionReadPending = false;
+        this.writeCollisionParams();
+
+        // Adaptive timesteps: step size and clock, chosen on the GPU
+        this.timeStateBuffer = this.device.createBuffer({
+            size: 16, // deltaTime, simTime, compensation, padding
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.timestepParamBuffer = this.device.createBuffer({
+            size: 16, // accuracy, maxTimestep, minTimestep, padding
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
+        this.timeReadBuffer = this.device.createBuffer({
+            size: 16,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        this.timeReadPending = false;
+        this.writeTimestepParams();
+        this.writeTimeState();
+    }
+
+    writeTimestepParams() {
+        this.device.queue.writeBuffer(this.timestepParamBuffer, 0, new Float32Array([
+            this.timestepAccuracy,
+            this.maxTimestep,
+            this.maxTimestep / 2 ** this.timestepLevels,
+        ]));
+    }
+
+    // Hand the clock to the GPU, which advances it in adaptive mode
+    writeTimeState() {
+        this.device.queue.writeBuffer(this.timeStateBuffer, 0, new Float32Array([this.timestep, this.simTime, 0, 0]));
+        this.timeGeneration++;
+    }
+
+    writeCollisionParams() {
+        const data = new ArrayBuffer(16);
+        new Uint32Array(data, 0, 1)[0] = COLLISION_MODES[this.collisionMode].id;
+        new Float32Array(data, 4, 1)[0] = this.collisionDensity;
+        this.device.queue.writeBuffer(this.collisionParamBuffer, 0, data);
+    }
+
+    // The live particle count starts at this.particleCount; after this the collision passes own it
+    writeParticleCount() {
+        this.device.queue.writeBuffer(this.paramBuffer, 0, new Uint32Array([this.particleCount]));
+        this.device.queue.writeBuffer(this.collisionStateBuffer, 0, new Uint32Array([0, 0, 0]));
+        this.device.queue.writeBuffer(this.drawArgsBuffer, 0, new Uint32Array([this.particleCount * 6, 1, 0, 0]));
+        this.mergeCount = 0;
+        this.escapeCount = 0;
+        this.collisionGeneration++;
+    }
+
+    // Upload the coefficients of every operation of the current integrator
+    writeStepParams() {
+        const ops = INTEGRATORS[this.integrator].ops;
+        const data = new Float32Array(ops.length * STEP_PARAM_STRIDE / 4);
+
+        ops.forEach((step, i) => {
+            data[i * STEP_PARAM_STRIDE / 4 + 0] = step.c ?? 0;
+            data[i * STEP_PARAM_STRIDE / 4 + 1] = step.h ?? 0;
+        });
+
+        this.device.queue.writeBuffer(this.stepParamBuffer, 0, data);
     }
 
     async initComputePipelines() {
-        // Load compute shaders
-        const forceShader = await this.loadShader('./shaders/force-compute.wgsl');
+        // Load compute shaders; the force law comes from softening.wgsl, shared with the CPU solvers' softening.js
+        const softeningShader = await this.loadShader('./shaders/softening.wgsl');
+        const forceShader = softeningShader + await this.loadShader('./shaders/force-compute.wgsl');
         const integrateShader = await this.loadShader('./shaders/integrate-compute.wgsl');
+        const reduceShader = await this.loadShader('./shaders/diagnostics-reduce.wgsl');
+        const collisionShader = await this.loadShader('./shaders/collisions.wgsl');
+        const timestepShader = await this.loadShader('./shaders/timestep.wgsl');
+        const colorShader = softeningShader + await this.loadShader('./shaders/color-values.wgsl');
 
         // Create compute pipelines
-        this.forceComputePipeline = this.device.createComputePipeline({
+        this.forceBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+            ],
+        });
+        this.forceModule = this.device.createShaderModule({ code: forceShader });
+        this.forceComputePipeline = this.createForcePipeline(this.forceKernel);
+
+        // The integrate entry points share one explicit layout so a single bind group serves them all
+        this.integrateBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform', hasDynamicOffset: true } },
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+            ],
+        });
+        const integrateLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [this.integrateBindGroupLayout],
+        });
+        const integrateModule = this.device.createShaderModule({ code: integrateShader });
+
+        this.integratePipelines = {};
+        for (const [op, entryPoint] of Object.entries(INTEGRATE_ENTRY_POINTS)) {
+            this.integratePipelines[op] = this.device.createComputePipeline({
+                layout: integrateLayout,
+                compute: { module: integrateModule, entryPoint },
+            });
+        }
+
+        this.constraintPipeline = this.device.createComputePipeline({
+            layout: integrateLayout,
+            compute: { module: integrateModule, entryPoint: 'applyConstraints' },
+        });
+
+        // Both reduction passes share one explicit layout
+        this.diagnosticsBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+            ],
+        });
+        const diagnosticsLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [this.diagnosticsBindGroupLayout],
+        });
+        const reduceModule = this.device.createShaderModule({ code: reduceShader });
+
+        this.reduceParticlesPipeline = this.device.createComputePipeline({
+            layout: diagnosticsLayout,
+            compute: { module: reduceModule, entryPoint: 'reduceParticles' },
+        });
+        this.reducePartialsPipeline = this.device.createComputePipeline({
+            layout: diagnosticsLayout,
+            compute: { module: reduceModule, entryPoint: 'reducePartials' },
+        });
+
+        // The collision passes share one explicit layout
+        this.collisionBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+            ],
+        });
+        const collisionLayout = this.device.createPipelineLayout({
+            bindGroupLayouts: [this.collisionBindGroupLayout],
+        });
+        const collisionModule = this.device.createShaderModule({ code: collisionShader });
+
+        this.collisionPipelines = {};
+        for (const entryPoint of ['findPartners', 'resolvePairs', 'markRemoved', 'rankInBlocks', 'finalizeCount', 'scatter', 'gather']) {
+            this.collisionPipelines[entryPoint] = this.device.createComputePipeline({
+                layout: collisionLayout,
+                compute: { module: collisionModule, entryPoint },
+            });
+        }
+
+        this.timestepPipeline = this.device.createComputePipeline({
             layout: 'auto',
             compute: {
-                module: this.device.createShaderModule({ code: forceShader }),
-                entryPoint: 'computeForces',
+                module: this.device.createShaderModule({ code: timestepShader }),
+                entryPoint: 'chooseTimestep',
             },
         });
 
-        this.integrateComputePipeline = this.device.createComputePipeline({
+        const colorModule = this.device.createShaderModule({ code: colorShader });
+        this.colorValuesPipeline = this.device.createComputePipeline({
             layout: 'auto',
-            compute: {
-                module: this.device.createShaderModule({ code: integrateShader }),
-                entryPoint: 'integrateParticles',
-            },
+            compute: { module: colorModule, entryPoint: 'computeColorValues' },
+        });
+        this.carryOriginsPipeline = this.device.createComputePipeline({
+            layout: 'auto',
+            compute: { module: colorModule, entryPoint: 'carryOrigins' },
         });
+    }
+
+    // Bind groups for the current buffers, in both ping-pong orientations: [i] reads particleBuffers[i]
+    // and writes particleBuffers[1 - i]. Synchronous, so a frame never sees a half-built set.
+    createBindGroups() {
+        const [first, second] = this.particleBuffers;
+        const orientations = [[first, second], [second, first]];
 
-        // Create bind groups for compute shaders
-        this.forceBindGroup = this.device.createBindGroup({
-            layout: this.forceComputePipeline.getBindGroupLayout(0),
+        this.forceBindGroups = orientations.map(([particles]) => this.device.createBindGroup({
+            layout: this.forceBindGroupLayout,
             entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer } },
-                { binding: 1, resource: { buffer: this.forceBuffer } },
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: this.accelerationBuffer } },
                 { binding: 2, resource: { buffer: this.paramBuffer } },
             ],
+        }));
+
+        this.integrateBindGroups = orientations.map(([particlesIn, particlesOut]) => this.device.createBindGroup({
+            layout: this.integrateBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: particlesIn } },
+                { binding: 1, resource: { buffer: this.accelerationBuffer } },
+                { binding: 2, resource: { buffer: this.scratchBuffer } },
+                { binding: 3, resource: { buffer: this.paramBuffer } },
+                { binding: 4, resource: { buffer: this.stepParamBuffer, size: 16 } },
+                { binding: 5, resource: { buffer: particlesOut } },
+            ],
+        }));
+
+        this.diagnosticsBindGroups = orientations.map(([particles]) => this.device.createBindGroup({
+            layout: this.diagnosticsBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: this.accelerationBuffer } },
+                { binding: 2, resource: { buffer: this.diagnosticsPartialBuffer } },
+                { binding: 3, resource: { buffer: this.diagnosticsResultBuffer } },
+                { binding: 4, resource: { buffer: this.paramBuffer } },
+            ],
+        }));
+
+        this.collisionBindGroups = orientations.map(([particles, compacted]) => this.device.createBindGroup({
+            layout: this.collisionBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: this.partnerBuffer } },
+                { binding: 2, resource: { buffer: compacted } },
+                { binding: 3, resource: { buffer: this.collisionStateBuffer } },
+                { binding: 4, resource: { buffer: this.drawArgsBuffer } },
+                { binding: 5, resource: { buffer: this.paramBuffer } },
+                { binding: 6, resource: { buffer: this.collisionParamBuffer } },
+            ],
+        }));
+
+        this.colorValuesBindGroups = orientations.map(([particles]) => this.device.createBindGroup({
+            layout: this.colorValuesPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: this.originBuffer } },
+                { binding: 2, resource: { buffer: this.colorDataBuffer } },
+                { binding: 3, resource: { buffer: this.paramBuffer } },
+                { binding: 4, resource: { buffer: this.colorMapBuffer } },
+            ],
+        }));
+
+        this.carryOriginsBindGroup = this.device.createBindGroup({
+            layout: this.carryOriginsPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: { buffer: this.originBuffer } },
+                { binding: 3, resource: { buffer: this.paramBuffer } },
+                { binding: 5, resource: { buffer: this.partnerBuffer } },
+                { binding: 6, resource: { buffer: this.originScratchBuffer } },
+            ],
         });
 
-        this.integrateBindGroup = this.device.createBindGroup({
-            layout: this.integrateComputePipeline.getBindGroupLayout(0),
+        this.timestepBindGroup = this.device.createBindGroup({
+            layout: this.timestepPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer } },
-                { binding: 1, resource: { buffer: this.forceBuffer } },
+                { binding: 0, resource: { buffer: this.accelerationBuffer } },
+                { binding: 1, resource: { buffer: this.timeStateBuffer } },
                 { binding: 2, resource: { buffer: this.paramBuffer } },
+                { binding: 3, resource: { buffer: this.timestepParamBuffer } },
             ],
         });
     }
 
-    async initRenderPipeline() {
-        // Use quad-based rendering instead of points
-        const vertexShader = await this.loadShader('./shaders/particle-vertex-quad.wgsl');
-        const fragmentShader = await this.loadShader('./shaders/particle-fragment-quad.wgsl');
+    // Flip the ping-pong pair after a pass that wrote the other particle buffer
+    swapParticleBuffers() {
+        this.current = 1 - this.current;
+    }
 
-        this.renderPipeline = this.device.createRenderPipeline({
-            layout: 'auto',
-            vertex: {
-                module: this.device.createShaderModule({ code: vertexShader }),
-                entryPoint: 'vs_main',
-            },
-            fragment: {
-                module: this.device.createShaderModule({ code: fragmentShader }),
-                entryPoint: 'fs_main',
-                targets: [{
-                    format: navigator.gpu.getPreferredCanvasFormat(),
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                        },
-                    },
-                }],
-            },
-            primitive: {
-                topology: 'triangle-list', // Changed from point-list to triangle-list
+    // The force pipeline for a FORCE_KERNELS entry at the current workgroup (and tile) size
+    createForcePipeline(kernel) {
+        const { entryPoint, unroll } = FORCE_KERNELS[kernel];
+        return this.device.createComputePipeline({
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.forceBindGroupLayout] }),
+            compute: {
+                module: this.forceModule,
+                entryPoint,
+                constants: { WORKGROUP_SIZE: this.forceWorkgroupSize, UNROLL: unroll ? 1 : 0 },
             },
         });
+    }
 
-        this.renderBindGroup = this.device.createBindGroup({
-            layout: this.renderPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer } },
-                { binding: 1, resource: { buffer: this.uniformBuffer } },
-            ],
-        });
+    // Accelerations and potentials at the current positions into accelerationBuffer
+    dispatchForces(pass, pipeline = this.forceComputePipeline) {
+        pass.setPipeline(pipeline);
+        pass.setBindGroup(0, this.forceBindGroups[this.current]);
+        pass.dispatchWorkgroups(Math.ceil(this.particleCount / this.forceWorkgroupSize));
     }
 
-    initializeParticles() {
-        const particles = new Float32Array(this.particleCount * 8);
+    async initRenderPipeline() {
+        this.particleRenderer = new ParticleRenderer(this.device);
+        await this.particleRenderer.init((url) => this.loadShader(url), true);
 
-        for (let i = 0; i < this.particleCount; i++) {
-            const offset = i * 8;
+        this.postProcessor = new PostProcessor(this.device, this.postSettings);
+        await this.postProcessor.init((url) => this.loadShader(url), navigator.gpu.getPreferredCanvasFormat());
 
-            // Position (tighter distribution for better visibility)
-            const radius = Math.random() * 20 + 5;  // Reduced range
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(2 * Math.random() - 1);
+        this.trails = new ParticleTrails(this.device, this.trailSettings);
+        await this.trails.init((url) => this.loadShader(url), HDR_FORMAT, true);
+    }
+
+    initializeParticles() {
+        const particles = generateScenario(this.scenario, this.particleCount, this.scenarioParams, {
+            gravityStrength: this.gravityStrength,
+            softeningKernel: this.softeningKernel,
+            softeningLength: this.softeningLength,
+            random: createRandom(this.seed),
+        });
 
-            particles[offset + 0] = radius * Math.sin(phi) * Math.cos(theta); // x
-            particles[offset + 1] = radius * Math.sin(phi) * Math.sin(theta); // y
-            particles[offset + 2] = radius * Math.cos(phi);                   // z
-            particles[offset + 3] = Math.random() * 0.5 + 0.5; // mass
+        this.writeParticles(particles);
+        this.resetDiagnostics();
+    }
 
-            // Velocity (initial orbital velocity)
-            const speed = Math.sqrt(this.gravityStrength * 100 / radius) * 0.3;
-            particles[offset + 4] = -speed * Math.sin(theta); // vx
-            particles[offset + 5] = speed * Math.cos(theta);  // vy
-            particles[offset + 6] = 0; // vz
-            particles[offset + 7] = 0; // padding
-        }
+    // New particles, always into the first buffer of the pair, with the live count to match;
+    // they start out at their origins
+    writeParticles(particles) {
+        this.current = 0;
+        this.device.queue.writeBuffer(this.particleBuffers[0], 0, particles);
+        this.writeParticleCount();
+        this.trails.reset();
 
-        // Add a few test particles at known positions for debugging
-        if (this.particleCount > 0) {
-            particles[0] = 0;   // x: center
-            particles[1] = 0;   // y: center  
-            particles[2] = 0;   // z: center
-            particles[3] = 1.0; // mass
-            particles[4] = 0;   // vx
-            particles[5] = 0;   // vy
-            particles[6] = 0;   // vz
-            particles[7] = 0;   // padding
+        const origins = new Float32Array(this.particleCount);
+        for (let i = 0; i < this.particleCount; i++) {
+            origins[i] = particles[i * FLOATS_PER_PARTICLE];
         }
-
-        this.device.queue.writeBuffer(this.particleBuffer, 0, particles);
+        this.device.queue.writeBuffer(this.originBuffer, 0, origins);
+        this.invalidateColors();
     }
 
     updateUniforms(time) {
@@ -256,22 +732,34 @@ class NBodySimulation {
         mat4.perspective(projMatrix, this.camera.fovy, this.camera.aspect, this.camera.near, this.camera.far);
         mat4.multiply(viewProjMatrix, projMatrix, viewMatrix);
 
-        const uniformData = new Float32Array(20);
+        const uniformData = new Float32Array(UNIFORMS_SIZE / 4);
         uniformData.set(viewProjMatrix, 0);
-        uniformData.set(this.camera.position, 16);
-        uniformData[19] = time;
+        uniformData.set(viewMatrix, 16);
+        uniformData.set(this.camera.position, 32);
+        uniformData[35] = time;
+        new Uint32Array(uniformData.buffer)[36] = this.hiddenSpecies;
+        writeSizingUniforms(uniformData, this.sizingSettings, this.camera, this.canvas.width, this.canvas.height);
 
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
 
-        // Update simulation parameters
+        // Update simulation parameters; particleCount (offset 0) is written by writeParticleCount
+        // and then maintained by the collision passes
         const paramData = new Float32Array([
-            this.particleCount,
-            0.016 * this.timeScale, // deltaTime (assuming 60 FPS)
+            this.maxTimestep, // deltaTime; in adaptive mode the timestep pass overwrites it before every step
             this.gravityStrength,
-            this.damping
+            this.damping,
+            0, // boundaryMode, a u32
+            this.boundarySize,
+            this.restitution,
+            0, // softeningKernel, a u32
+            this.softeningLength,
         ]);
+        const paramWords = new Uint32Array(paramData.buffer);
+        paramWords[3] = BOUNDARY_MODES[this.boundaryMode].id;
+        paramWords[6] = SOFTENING_KERNELS[this.softeningKernel].id;
 
-        this.device.queue.writeBuffer(this.paramBuffer, 0, paramData);
+        this.device.queue.writeBuffer(this.paramBuffer, 4, paramData);
+        this.device.queue.writeBuffer(this.colorMapBuffer, 0, packColorMap(this.colorSettings));
     }
 
     render(time) {
@@ -283,37 +771,117 @@ class NBodySimulation {
         this.updateUniforms(time);
 
         const commandEncoder = this.device.createCommandEncoder();
+        const workgroups = Math.ceil(this.particleCount / 64);
+        this.profiler.beginFrame();
+
+        // Trails are sampled by every step below. A segment a periodic wrap cuts across is longer
+        // than the box and isn't drawn.
+        const showTrails = this.trails.prepare({
+            particleCount: this.particleCount,
+            particleBuffers: this.particleBuffers,
+            uniformBuffer: this.uniformBuffer,
+            paramBuffer: this.paramBuffer,
+            partnerBuffer: this.partnerBuffer,
+            maxSegment: this.boundaryMode === 'periodic' ? this.boundarySize : 0,
+        });
+
+        // As many physics steps as the real time since the last frame calls for
+        let stepped = false;
+        this.clock.beginFrame(time, this.timeScale);
+        while (this.clock.take(this.timestep)) {
+            this.encodeStep(commandEncoder, workgroups);
+            this.recordFrame(commandEncoder);
+            stepped = true;
+        }
+        this.clock.endFrame();
+
+        // Colour values for the particles as they are now drawn, and their range for the legend
+        const updateColors = stepped || this.colorsDirty;
+        const readColors = updateColors && !this.colorReadPending;
+        if (updateColors) {
+            this.encodeColorValues(commandEncoder);
+            if (readColors) {
+                commandEncoder.copyBufferToBuffer(this.colorDataBuffer, 0, this.colorReadBuffer, 0, 8);
+            }
+        }
+
+        const readCollisions = stepped && this.removesBodies() && !this.collisionReadPending;
+        if (readCollisions) {
+            commandEncoder.copyBufferToBuffer(this.collisionStateBuffer, 0, this.collisionReadBuffer, 0, 12);
+        }
+        const readTime = stepped && this.timestepMode === 'adaptive' && !this.timeReadPending;
+        if (readTime) {
+            commandEncoder.copyBufferToBuffer(this.timeStateBuffer, 0, this.timeReadBuffer, 0, 16);
+        }
+
+        // Diagnostics - refresh the potentials at the final positions, then reduce.
+        // Skipped while the previous result is still being read back.
+        const sampleDiagnostics = this.diagnosticsDue && !this.diagnosticsPending;
+        if (sampleDiagnostics) {
+            const diagnosticsPass = commandEncoder.beginComputePass();
+            this.dispatchForces(diagnosticsPass);
 
-        // Compute pass - calculate forces
-        const computePass1 = commandEncoder.beginComputePass();
-        computePass1.setPipeline(this.forceComputePipeline);
-        computePass1.setBindGroup(0, this.forceBindGroup);
-        computePass1.dispatchWorkgroups(Math.ceil(this.particleCount / 64));
-        computePass1.end();
+            diagnosticsPass.setPipeline(this.reduceParticlesPipeline);
+            diagnosticsPass.setBindGroup(0, this.diagnosticsBindGroups[this.current]);
+            diagnosticsPass.dispatchWorkgroups(Math.ceil(this.particleCount / REDUCE_WORKGROUP_SIZE));
 
-        // Compute pass - integrate particles
-        const computePass2 = commandEncoder.beginComputePass();
-        computePass2.setPipeline(this.integrateComputePipeline);
-        computePass2.setBindGroup(0, this.integrateBindGroup);
-        computePass2.dispatchWorkgroups(Math.ceil(this.particleCount / 64));
-        computePass2.end();
+            diagnosticsPass.setPipeline(this.reducePartialsPipeline);
+            diagnosticsPass.dispatchWorkgroups(1);
+            diagnosticsPass.end();
+
+            commandEncoder.copyBufferToBuffer(this.diagnosticsResultBuffer, 0, this.diagnosticsReadBuffer, 0, 3 * 16);
+        }
 
         // Render pass
-        const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.context.getCurrentTexture().createView(),
-                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store',
-            }],
+        // The scene goes into the HDR target; bloom and tone mapping bring it to the canvas.
+        // The live particles are drawn with the indirect arguments the collision passes keep.
+        const canvasTexture = this.context.getCurrentTexture();
+        this.particleRenderer.prepare({
+            mode: this.transparencyMode,
+            particleCount: this.particleCount,
+            particleBuffers: this.particleBuffers,
+            uniformBuffer: this.uniformBuffer,
+            colorDataBuffer: this.colorDataBuffer,
+            colorMapBuffer: this.colorMapBuffer,
+            drawArgsBuffer: this.drawArgsBuffer,
+            width: canvasTexture.width,
+            height: canvasTexture.height,
         });
+        this.particleRenderer.encodeSort(commandEncoder, this.current, this.profiler);
 
-        renderPass.setPipeline(this.renderPipeline);
-        renderPass.setBindGroup(0, this.renderBindGroup);
-        renderPass.draw(this.particleCount * 6); // 6 vertices per particle quad
-        renderPass.end();
+        const renderPass = this.profiler.beginRenderPass(commandEncoder, 'render', {
+            colorAttachments: [this.postProcessor.sceneAttachment(canvasTexture)],
+        });
+
+        if (showTrails) {
+            this.trails.draw(renderPass, this.current);
+        }
+        this.particleRenderer.draw(renderPass, this.current);
+        this.profiler.endPass(renderPass);
+        this.particleRenderer.encodeWeighted(commandEncoder, this.postProcessor.hdrView, this.current, this.profiler);
+        this.postProcessor.encode(commandEncoder, canvasTexture.createView(), this.profiler);
 
+        this.profiler.resolve(commandEncoder);
         this.device.queue.submit([commandEncoder.finish()]);
+        this.profiler.collect();
+        this.computeTime = this.profiler.latest('force') + this.profiler.latest('integrate');
+        this.renderTime = this.profiler.latest('render');
+
+        if (sampleDiagnostics) {
+            this.readDiagnostics(this.simTime);
+        }
+        if (readCollisions) {
+            this.readCollisionState();
+        }
+        if (readTime) {
+            this.readTimeState();
+        }
+        if (readColors) {
+            this.readColorRange();
+        }
+        if (sampleDiagnostics) {
+            this.diagnosticsDue = false;
+        }
 
         // Update performance stats
         this.frameCount++;
@@ -324,141 +892,616 @@ class NBodySimulation {
         }
     }
 
-    setParticleCount(count) {
-        this.particleCount = Math.floor(count);
-        // Re-initialize resources with new particle count
-        this.initResources().then(() => {
-            this.initComputePipelines().then(() => {
-                this.initRenderPipeline().then(() => {
-                    this.initializeParticles();
-                });
-            });
+    // One physics step: in adaptive mode the forces at the current positions choose dt first,
+    // then the integrator's operations run in order, then the constraints and collisions, and
+    // the trails take their sample. Each dispatch sees the storage writes of the previous one. Force evaluations get passes of
+    // their own so the profiler can tell them from the rest of the step ('integrate').
+    encodeStep(commandEncoder, workgroups) {
+        const ops = INTEGRATORS[this.integrator].ops;
+        let first = 0;
+
+        if (this.timestepMode === 'adaptive') {
+            const forcePass = this.profiler.beginComputePass(commandEncoder, 'force');
+            this.dispatchForces(forcePass);
+            this.profiler.endPass(forcePass);
+
+            const timestepPass = this.profiler.beginComputePass(commandEncoder, 'integrate');
+            timestepPass.setPipeline(this.timestepPipeline);
+            timestepPass.setBindGroup(0, this.timestepBindGroup);
+            timestepPass.dispatchWorkgroups(1);
+            this.profiler.endPass(timestepPass);
+
+            commandEncoder.copyBufferToBuffer(this.timeStateBuffer, 0, this.paramBuffer, 4, 4);
+            // A leading force op would recompute what the timestep pass just did
+            if (ops[0].op === 'force') first = 1;
+        }
+
+        // Consecutive operations of the same kind share a pass
+        let pass = null;
+        let passName = null;
+        const passFor = (name) => {
+            if (passName !== name) {
+                if (pass) this.profiler.endPass(pass);
+                pass = this.profiler.beginComputePass(commandEncoder, name);
+                passName = name;
+            }
+            return pass;
+        };
+
+        ops.forEach((step, i) => {
+            if (i < first) return;
+            if (step.op === 'force') {
+                this.dispatchForces(passFor('force'));
+            } else {
+                const integratePass = passFor('integrate');
+                integratePass.setPipeline(this.integratePipelines[step.op]);
+                integratePass.setBindGroup(0, this.integrateBindGroups[this.current], [i * STEP_PARAM_STRIDE]);
+                integratePass.dispatchWorkgroups(workgroups);
+                this.swapParticleBuffers();
+            }
+        });
+
+        const constraintPass = passFor('integrate');
+        constraintPass.setPipeline(this.constraintPipeline);
+        constraintPass.setBindGroup(0, this.integrateBindGroups[this.current], [0]);
+        constraintPass.dispatchWorkgroups(workgroups);
+        this.profiler.endPass(constraintPass);
+        this.swapParticleBuffers();
+
+        if (this.collisionMode !== 'none' || this.removesBodies()) {
+            this.encodeCollisions(commandEncoder, workgroups);
+        }
+
+        if (this.trails.trailCount > 0) {
+            const trailPass = this.profiler.beginComputePass(commandEncoder, 'integrate');
+            this.trails.encodeRecord(trailPass, this.current);
+            this.profiler.endPass(trailPass);
+        }
+
+        if (this.timestepMode !== 'adaptive') {
+            this.simTime += this.timestep;
+        }
+        this.stepCount++;
+        if (this.stepCount % this.diagnosticsInterval === 0) {
+            this.diagnosticsDue = true;
+        }
+    }
+
+    // The colour quantity of every particle, with the range reset first so it covers only these
+    encodeColorValues(commandEncoder) {
+        this.device.queue.writeBuffer(this.colorDataBuffer, 0, new Uint32Array([0xffffffff, 0]));
+        this.colorsDirty = false;
+
+        const pass = this.profiler.beginComputePass(commandEncoder, 'render');
+        pass.setPipeline(this.colorValuesPipeline);
+        pass.setBindGroup(0, this.colorValuesBindGroups[this.current]);
+        pass.dispatchWorkgroups(Math.ceil(this.particleCount / COLOR_WORKGROUP_SIZE));
+        this.profiler.endPass(pass);
+    }
+
+    // Copy the state after a step into the next rewind slot, entirely on the GPU
+    recordFrame(commandEncoder) {
+        this.clock.history.record((frame, slot) => {
+            const particles = this.particleBuffers[this.current];
+            const size = particles.size;
+            const state = slot * REWIND_STATE_SIZE;
+            const originSize = this.originBuffer.size;
+            commandEncoder.copyBufferToBuffer(particles, 0, this.rewindBuffer, slot * size, size);
+            commandEncoder.copyBufferToBuffer(this.originBuffer, 0, this.rewindOriginBuffer, slot * originSize, originSize);
+            commandEncoder.copyBufferToBuffer(this.paramBuffer, 0, this.rewindStateBuffer, state, 4);
+            commandEncoder.copyBufferToBuffer(this.drawArgsBuffer, 0, this.rewindStateBuffer, state + 4, 4);
+            commandEncoder.copyBufferToBuffer(this.collisionStateBuffer, 4, this.rewindStateBuffer, state + 8, 8);
+            commandEncoder.copyBufferToBuffer(this.timeStateBuffer, 0, this.rewindStateBuffer, state + 16, 12);
+
+            // The CPU's view at the time; its count trails the GPU's, so it still covers every live body
+            return {
+                slot,
+                particleCount: this.particleCount,
+                mergeCount: this.mergeCount,
+                escapeCount: this.escapeCount,
+                simTime: this.simTime,
+                stepCount: this.stepCount,
+                timestep: this.timestep,
+            };
         });
     }
 
-    setGravityStrength(strength) {
-        this.gravityStrength = strength;
+    // Scrub through the recorded states (negative delta is back in time); pauses the simulation
+    seek(delta) {
+        const frame = this.clock.seek(delta);
+        if (frame) {
+            this.restoreFrame(frame);
+        }
     }
 
-    setTimeScale(scale) {
-        this.timeScale = scale;
+    // Copy a rewind slot back into the live buffers
+    restoreFrame(frame) {
+        const particles = this.particleBuffers[this.current];
+        const size = particles.size;
+        const state = frame.slot * REWIND_STATE_SIZE;
+        const originSize = this.originBuffer.size;
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(this.rewindBuffer, frame.slot * size, particles, 0, size);
+        commandEncoder.copyBufferToBuffer(this.rewindOriginBuffer, frame.slot * originSize, this.originBuffer, 0, originSize);
+        commandEncoder.copyBufferToBuffer(this.rewindStateBuffer, state, this.paramBuffer, 0, 4);
+        commandEncoder.copyBufferToBuffer(this.rewindStateBuffer, state, this.collisionStateBuffer, 0, 4);
+        commandEncoder.copyBufferToBuffer(this.rewindStateBuffer, state + 4, this.drawArgsBuffer, 0, 4);
+        commandEncoder.copyBufferToBuffer(this.rewindStateBuffer, state + 8, this.collisionStateBuffer, 4, 8);
+        commandEncoder.copyBufferToBuffer(this.rewindStateBuffer, state + 16, this.timeStateBuffer, 0, 12);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        this.particleCount = frame.particleCount;
+        this.mergeCount = frame.mergeCount;
+        this.escapeCount = frame.escapeCount;
+        this.simTime = frame.simTime;
+        this.stepCount = frame.stepCount;
+        if (this.timestepMode === 'adaptive') {
+            this.timestep = frame.timestep;
+        }
+
+        // Readbacks still in flight describe the state we just left
+        this.collisionGeneration++;
+        this.timeGeneration++;
+        this.diagnosticsDue = false;
+        this.diagnosticsHistory.truncate(this.simTime);
+        this.trails.reset();
+        this.invalidateColors();
     }
 
-    setDamping(damping) {
-        this.damping = damping;
+    async readDiagnostics(time) {
+        const readBuffer = this.diagnosticsReadBuffer;
+        const history = this.diagnosticsHistory;
+        this.diagnosticsPending = true;
+
+        try {
+            await readBuffer.mapAsync(GPUMapMode.READ);
+        } catch (err) {
+            // Device lost or buffer destroyed while the read was in flight
+            return;
+        } finally {
+            if (readBuffer === this.diagnosticsReadBuffer) {
+                this.diagnosticsPending = false;
+            }
+        }
+
+        const data = new Float32Array(readBuffer.getMappedRange().slice(0));
+        readBuffer.unmap();
+
+        // Results from before a reset or resize belong to a different run, and ones from
+        // after the current time to a stretch that was rewound
+        if (history !== this.diagnosticsHistory || readBuffer !== this.diagnosticsReadBuffer || time > this.simTime) return;
+
+        const sums = {
+            kinetic: data[0],
+            mass: data[2],
+            momentumScale: data[3],
+            momentum: [data[4], data[5], data[6]],
+            angularMomentumScale: data[7],
+            angularMomentum: [data[8], data[9], data[10]],
+        };
+        history.push(createSample(time, sums, data[1]));
     }
 
-    resetSimulation() {
-        this.initializeParticles();
+    // Where the stats panel's pass timings come from
+    get timingSource() {
+        return this.profiler.source;
     }
-}
 
-// Main application
-class App {
-    constructor() {
-        this.simulation = null;
-        this.animationId = null;
+    // Merges and absorbing boundaries shrink the particle count
+    removesBodies() {
+        return this.collisionMode === 'merge' || this.collisionMode === 'absorb' || this.boundaryMode === 'absorbing';
     }
 
-    async init() {
-        const canvas = document.getElementById('canvas');
-        const loading = document.getElementById('loading');
-        const error = document.getElementById('error');
-        const controls = document.getElementById('controls');
+    // Pair up overlapping bodies and resolve them; merged and escaped bodies are compacted
+    // away and the new count goes straight into paramBuffer for every later pass. The compaction
+    // keeps the survivors in order and in the current buffer, and its passes return at once in a
+    // step that removed nothing, so particle indices only change when bodies go.
+    encodeCollisions(commandEncoder, workgroups) {
+        const compacting = this.removesBodies();
+        if (compacting) {
+            commandEncoder.clearBuffer(this.collisionStateBuffer, 12, 4);
+        }
+
+        const pass = this.profiler.beginComputePass(commandEncoder, 'integrate');
+        pass.setBindGroup(0, this.collisionBindGroups[this.current]);
+
+        if (this.collisionMode !== 'none') {
+            pass.setPipeline(this.collisionPipelines.findPartners);
+            pass.dispatchWorkgroups(workgroups);
+            pass.setPipeline(this.collisionPipelines.resolvePairs);
+            pass.dispatchWorkgroups(workgroups);
+        }
+
+        if (compacting) {
+            const blocks = Math.ceil(this.particleCount / COMPACT_BLOCK);
+            pass.setPipeline(this.collisionPipelines.markRemoved);
+            pass.dispatchWorkgroups(workgroups);
+            pass.setPipeline(this.collisionPipelines.rankInBlocks);
+            pass.dispatchWorkgroups(Math.ceil(blocks / 64));
+            pass.setPipeline(this.collisionPipelines.finalizeCount);
+            pass.dispatchWorkgroups(1);
+            pass.setPipeline(this.collisionPipelines.scatter);
+            pass.dispatchWorkgroups(workgroups);
+            pass.setPipeline(this.collisionPipelines.gather);
+            pass.dispatchWorkgroups(workgroups);
+
+            // The origins and the trails follow their particles to the new slots left in partnerBuffer
+            pass.setPipeline(this.carryOriginsPipeline);
+            pass.setBindGroup(0, this.carryOriginsBindGroup);
+            pass.dispatchWorkgroups(workgroups);
+            if (this.trails.trailCount > 0) {
+                this.trails.encodeRemap(pass, this.current);
+            }
+        }
+        this.profiler.endPass(pass);
+
+        if (compacting) {
+            commandEncoder.copyBufferToBuffer(this.originScratchBuffer, 0, this.originBuffer, 0, this.originBuffer.size);
+            commandEncoder.copyBufferToBuffer(this.collisionStateBuffer, 0, this.paramBuffer, 0, 4);
+        }
+    }
+
+    // Bring the GPU-owned particle count and the merge and escape counters back to the CPU
+    // for the UI and dispatch sizes
+    async readCollisionState() {
+        const readBuffer = this.collisionReadBuffer;
+        const generation = this.collisionGeneration;
+        this.collisionReadPending = true;
 
         try {
-            // Resize canvas
-            this.resizeCanvas(canvas);
-            window.addEventListener('resize', () => this.resizeCanvas(canvas));
+            await readBuffer.mapAsync(GPUMapMode.READ);
+        } catch (err) {
+            // Device lost or buffer destroyed while the read was in flight
+            return;
+        } finally {
+            if (readBuffer === this.collisionReadBuffer) {
+                this.collisionReadPending = false;
+            }
+        }
 
-            // Initialize simulation
-            this.simulation = new NBodySimulation(canvas);
-            await this.simulation.init();
+        const [count, merges, escapes] = new Uint32Array(readBuffer.getMappedRange().slice(0));
+        readBuffer.unmap();
 
-            // Hide loading, show controls
-            loading.style.display = 'none';
-            controls.style.display = 'block';
+        // Counts from before a reset or resize belong to a different run
+        if (generation !== this.collisionGeneration) return;
 
-            // Setup controls
-            this.setupControls();
+        this.particleCount = count;
+        this.mergeCount = merges;
+        this.escapeCount = escapes;
+    }
 
-            // Start render loop
-            this.animate();
+    // The GPU's step size and clock, for SimulationClock and the HUD
+    async readTimeState() {
+        const readBuffer = this.timeReadBuffer;
+        const generation = this.timeGeneration;
+        this.timeReadPending = true;
 
+        try {
+            await readBuffer.mapAsync(GPUMapMode.READ);
         } catch (err) {
-            console.error('Failed to initialize WebGPU:', err);
-            loading.style.display = 'none';
-            error.style.display = 'block';
+            // Device lost or buffer destroyed while the read was in flight
+            return;
+        } finally {
+            if (readBuffer === this.timeReadBuffer) {
+                this.timeReadPending = false;
+            }
         }
+
+        const [deltaTime, simTime] = new Float32Array(readBuffer.getMappedRange().slice(0));
+        readBuffer.unmap();
+
+        // A clock from before a reset belongs to a different run
+        if (generation !== this.timeGeneration || this.timestepMode !== 'adaptive') return;
+
+        this.timestep = deltaTime;
+        this.simTime = simTime;
     }
 
-    resizeCanvas(canvas) {
-        const rect = canvas.getBoundingClientRect();
-        canvas.width = rect.width * devicePixelRatio;
-        canvas.height = rect.height * devicePixelRatio;
+    // The range of the last colour values, for the legend
+    async readColorRange() {
+        const readBuffer = this.colorReadBuffer;
+        const generation = this.colorGeneration;
+        this.colorReadPending = true;
 
-        if (this.simulation) {
-            this.simulation.camera.aspect = canvas.width / canvas.height;
+        try {
+            await readBuffer.mapAsync(GPUMapMode.READ);
+        } catch (err) {
+            // Device lost or buffer destroyed while the read was in flight
+            return;
+        } finally {
+            if (readBuffer === this.colorReadBuffer) {
+                this.colorReadPending = false;
+            }
         }
+
+        const [min, max] = new Uint32Array(readBuffer.getMappedRange().slice(0));
+        readBuffer.unmap();
+
+        // Values computed since describe other particles or another quantity
+        if (generation !== this.colorGeneration) return;
+
+        this.colorRange = { min: fromOrderedBits(min), max: fromOrderedBits(max) };
     }
 
-    setupControls() {
-        const particleCountSlider = document.getElementById('particleCount');
-        const gravitySlider = document.getElementById('gravity');
-        const timeScaleSlider = document.getElementById('timeScale');
-        const dampingSlider = document.getElementById('damping');
-        const resetBtn = document.getElementById('resetBtn');
+    // Restart the clock at simTime and record the starting state for rewinding
+    resetDiagnostics(simTime = 0) {
+        this.simTime = simTime;
+        this.stepCount = 0;
+        this.diagnosticsDue = false;
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.writeTimeState();
 
-        const particleCountValue = document.getElementById('particleCountValue');
-        const gravityValue = document.getElementById('gravityValue');
-        const timeScaleValue = document.getElementById('timeScaleValue');
-        const dampingValue = document.getElementById('dampingValue');
+        this.clock.reset();
+        const commandEncoder = this.device.createCommandEncoder();
+        this.recordFrame(commandEncoder);
+        this.device.queue.submit([commandEncoder.finish()]);
+    }
 
-        particleCountSlider.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            particleCountValue.textContent = value;
-            this.simulation.setParticleCount(value);
-        });
+    // Re-create every particle-sized buffer and the bind groups that reference them. The pipelines
+    // stay, and nothing here awaits, so no frame is encoded between the old resources going and the
+    // new ones being complete.
+    rebuildResources() {
+        this.initResources();
+        this.createBindGroups();
+    }
 
-        gravitySlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            gravityValue.textContent = value.toFixed(1);
-            this.simulation.setGravityStrength(value);
-        });
+    setParticleCount(count) {
+        this.particleCount = Math.floor(count);
+        this.rebuildResources();
+        this.initializeParticles();
+    }
 
-        timeScaleSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            timeScaleValue.textContent = value.toFixed(1);
-            this.simulation.setTimeScale(value);
-        });
+    // Replace the particles with externally produced ones, resizing to match
+    async loadParticles(particles, simTime = 0) {
+        const count = particles.length / FLOATS_PER_PARTICLE;
+        if (count > this.getMaxParticles()) {
+            throw new Error(`${count} particles, at most ${this.getMaxParticles()} are supported`);
+        }
 
-        dampingSlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            dampingValue.textContent = value.toFixed(3);
-            this.simulation.setDamping(value);
+        this.particleCount = count;
+        this.rebuildResources();
+        this.writeParticles(particles);
+        this.resetDiagnostics(simTime);
+    }
+
+    // Full state for a snapshot; the particle buffer has to be read back from the GPU,
+    // along with the live count, which merges may have shrunk since the last readback
+    async getState() {
+        const particleBuffer = this.particleBuffers[this.current];
+        const size = particleBuffer.size;
+        const readBuffer = this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        });
+        const countBuffer = this.device.createBuffer({
+            size: 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
         });
 
-        resetBtn.addEventListener('click', () => {
-            this.simulation.resetSimulation();
+        const commandEncoder = this.device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(particleBuffer, 0, readBuffer, 0, size);
+        commandEncoder.copyBufferToBuffer(this.paramBuffer, 0, countBuffer, 0, 4);
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        await Promise.all([readBuffer.mapAsync(GPUMapMode.READ), countBuffer.mapAsync(GPUMapMode.READ)]);
+        const count = new Uint32Array(countBuffer.getMappedRange())[0];
+        const particles = new Float32Array(readBuffer.getMappedRange().slice(0, count * FLOATS_PER_PARTICLE * 4));
+        readBuffer.unmap();
+        countBuffer.unmap();
+        readBuffer.destroy();
+        countBuffer.destroy();
+
+        return {
+            particles,
+            simTime: this.simTime,
+            gravityStrength: this.gravityStrength,
+            timeScale: this.timeScale,
+            damping: this.damping,
+            seed: this.seed,
+        };
+    }
+
+    async loadState(state) {
+        this.gravityStrength = state.gravityStrength;
+        this.timeScale = state.timeScale;
+        this.damping = state.damping;
+        this.seed = state.seed;
+
+        await this.loadParticles(state.particles, state.simTime);
+    }
+
+    // O(N^2) either way, but the tiled kernels stay interactive to far higher counts
+    getMaxParticles() {
+        return FORCE_KERNELS[this.forceKernel].maxParticles;
+    }
+
+    setForceKernel(kernel) {
+        this.forceKernel = kernel;
+        this.forceComputePipeline = this.createForcePipeline(kernel);
+        if (this.particleCount > this.getMaxParticles()) {
+            this.setParticleCount(this.getMaxParticles());
+        }
+    }
+
+    setForceWorkgroupSize(size) {
+        this.forceWorkgroupSize = size;
+        this.forceComputePipeline = this.createForcePipeline(this.forceKernel);
+    }
+
+    // Run the naive kernel and the selected one on the current positions and compare their
+    // accelerations; the selected kernel runs last, so accelerationBuffer is left as it was
+    async measureForceKernel() {
+        const size = this.accelerationBuffer.size;
+        const readBuffers = [0, 1].map(() => this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        }));
+
+        const commandEncoder = this.device.createCommandEncoder();
+        [this.createForcePipeline('naive'), this.forceComputePipeline].forEach((pipeline, i) => {
+            const pass = commandEncoder.beginComputePass();
+            this.dispatchForces(pass, pipeline);
+            pass.end();
+            commandEncoder.copyBufferToBuffer(this.accelerationBuffer, 0, readBuffers[i], 0, size);
         });
+        this.device.queue.submit([commandEncoder.finish()]);
+
+        await Promise.all(readBuffers.map((buffer) => buffer.mapAsync(GPUMapMode.READ)));
+        const [reference, candidate] = readBuffers.map((buffer) => new Float32Array(buffer.getMappedRange().slice(0)));
+        readBuffers.forEach((buffer) => buffer.destroy());
+
+        return { kernel: this.forceKernel, ...compareAccelerations(reference, candidate, this.particleCount) };
     }
 
-    animate() {
-        const time = performance.now();
+    // Block timesteps need per-particle force evaluations, which only the CPU path does
+    getTimestepModes() {
+        return Object.keys(TIMESTEP_MODES).filter((mode) => TIMESTEP_MODES[mode].gpu);
+    }
 
-        if (this.simulation) {
-            this.simulation.render(time);
+    setTimestepMode(mode) {
+        this.timestepMode = mode;
+        this.timestep = this.maxTimestep;
+        if (mode === 'adaptive') {
+            this.writeTimeState(); // the GPU takes over the clock from here
+        }
+    }
 
-            // Update stats
-            document.getElementById('fps').textContent = this.simulation.fps;
-            document.getElementById('computeTime').textContent = this.simulation.computeTime.toFixed(2);
-            document.getElementById('renderTime').textContent = this.simulation.renderTime.toFixed(2);
+    setMaxTimestep(dt) {
+        this.maxTimestep = dt;
+        if (this.timestepMode === 'fixed') {
+            this.timestep = dt;
         }
+        this.writeTimestepParams();
+    }
 
-        this.animationId = requestAnimationFrame(() => this.animate());
+    setTimestepAccuracy(accuracy) {
+        this.timestepAccuracy = accuracy;
+        this.writeTimestepParams();
+    }
+
+    setTimestepLevels(levels) {
+        this.timestepLevels = levels;
+        this.writeTimestepParams();
+    }
+
+    setMaxSubsteps(count) {
+        this.clock.maxSubsteps = count;
+    }
+
+    setIntegrator(integrator) {
+        this.integrator = integrator;
+        this.writeStepParams();
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.initializeParticles();
+    }
+
+    setScenario(scenario, params = defaultScenarioParams(scenario)) {
+        this.scenario = scenario;
+        this.scenarioParams = params;
+        this.initializeParticles();
+    }
+
+    setCollisionMode(mode) {
+        this.collisionMode = mode;
+        this.writeCollisionParams();
+    }
+
+    setCollisionDensity(density) {
+        this.collisionDensity = density;
+        this.writeCollisionParams();
+    }
+
+    setSofteningKernel(kernel) {
+        this.softeningKernel = kernel;
+        // Energy is measured with a different potential from here on
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.invalidateColors();
+    }
+
+    setSofteningLength(length) {
+        this.softeningLength = length;
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.invalidateColors();
+    }
+
+    setBoundaryMode(mode) {
+        this.boundaryMode = mode;
+        // Periodic forces and potentials differ from open ones
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.invalidateColors();
+    }
+
+    setBoundarySize(size) {
+        this.boundarySize = size;
+        if (this.boundaryMode === 'periodic') {
+            this.diagnosticsHistory = new DiagnosticsHistory();
+            this.invalidateColors();
+        }
+    }
+
+    setRestitution(restitution) {
+        this.restitution = restitution;
+    }
+
+    // changes to trailSettings, see DEFAULT_TRAIL_SETTINGS
+    setTrails(changes) {
+        this.trails.configure(changes);
+    }
+
+    // changes to postSettings, see DEFAULT_POST_SETTINGS
+    setPostProcessing(changes) {
+        this.postProcessor.configure(changes);
+    }
+
+    // changes to colorSettings, see DEFAULT_COLOR_SETTINGS
+    setColorMapping(changes) {
+        Object.assign(this.colorSettings, changes);
+        this.invalidateColors();
+    }
+
+    // Key of TRANSPARENCY_MODES
+    setTransparencyMode(mode) {
+        this.transparencyMode = mode;
+    }
+
+    // changes to sizingSettings, see DEFAULT_SIZING_SETTINGS
+    setSpriteSizing(changes) {
+        Object.assign(this.sizingSettings, changes);
+    }
+
+    // Recompute the colour values with the next frame, even if it takes no step
+    invalidateColors() {
+        this.colorsDirty = true;
+        this.colorGeneration++;
     }
-}
 
-// Start the application
-const app = new App();
-app.init();
\ No newline at end of file
+    setSpeciesVisible(species, visible) {
+        if (visible) {
+            this.hiddenSpecies &= ~(1 << species);
+        } else {
+            this.hiddenSpecies |= 1 << species;
+        }
+    }
+
+    setGravityStrength(strength) {
+        this.gravityStrength = strength;
+        // Energy is measured against a different G from here on
+        this.diagnosticsHistory = new DiagnosticsHistory();
+        this.invalidateColors();
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    setDamping(damping) {
+        this.damping = damping;
+    }
+
+    resetSimulation() {
+        this.initializeParticles();
+    }
+}
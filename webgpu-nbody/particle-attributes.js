@@ -0,0 +1,60 @@
+// Per-particle attributes packed into the last word of the Particle struct
+// The word is a u32 in the shaders (Particle.attributes) and the same bits in the Float32Array on the JS side:
+//   bits  0..7   species (see SPECIES)
+//   bits  8..15  colour index, 0 = the colour mapping (color-mapping.js)
+//   bits 16..31  radius in 8.8 fixed point, 0 = the default size for the species
+// All zero bits - the old padding - is a plain star, so existing data keeps working.
+
+import { FLOATS_PER_PARTICLE } from './initial-conditions.js';
+
+export const ATTRIBUTES_OFFSET = 7; // float slot of the attribute word within a particle
+
+// Must match the SPECIES_* constants in the shaders
+export const SPECIES = {
+    STAR: 0,
+    DARK_MATTER: 1,
+    BLACK_HOLE: 2,
+    TEST: 3, // feels gravity but doesn't source it
+};
+
+export const SPECIES_LABELS = ['Stars', 'Dark Matter', 'Black Holes', 'Test Particles'];
+
+// Number of colours in the PALETTE of particle-vertex-quad.wgsl, index 0 excluded
+export const PALETTE_SIZE = 8;
+
+const MAX_RADIUS = 0xFFFF / 256;
+
+export function packAttributes({ species = SPECIES.STAR, colorIndex = 0, radius = 0 } = {}) {
+    const radiusBits = Math.round(Math.min(Math.max(radius, 0), MAX_RADIUS) * 256);
+    return ((species & 0xFF) | ((colorIndex & 0xFF) << 8) | (radiusBits << 16)) >>> 0;
+}
+
+export function unpackAttributes(word) {
+    return {
+        species: word & 0xFF,
+        colorIndex: (word >>> 8) & 0xFF,
+        radius: (word >>> 16) / 256,
+    };
+}
+
+export function speciesOf(word) {
+    return word & 0xFF;
+}
+
+// Mass that attracts other particles; test particles have none
+export function gravitatingMass(mass, word) {
+    return speciesOf(word) === SPECIES.TEST ? 0 : mass;
+}
+
+// Raw attribute words of a particle array, sharing its memory
+export function attributeWords(particles) {
+    return new Uint32Array(particles.buffer, particles.byteOffset, particles.length);
+}
+
+export function getAttributes(particles, index) {
+    return attributeWords(particles)[index * FLOATS_PER_PARTICLE + ATTRIBUTES_OFFSET];
+}
+
+export function setAttributes(particles, index, attributes) {
+    attributeWords(particles)[index * FLOATS_PER_PARTICLE + ATTRIBUTES_OFFSET] = packAttributes(attributes);
+}
@@ -0,0 +1,185 @@
+// Particle import from CSV and JSON
+// Turns externally produced initial conditions into the 8-float particle layout
+
+import { FLOATS_PER_PARTICLE } from './initial-conditions.js';
+import { attributeWords, gravitatingMass, packAttributes } from './particle-attributes.js';
+
+export const PARTICLE_FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'mass', 'species', 'colorIndex', 'radius'];
+
+// Column name (or zero-based index) for every particle field
+export const DEFAULT_COLUMN_MAPPING = {
+    x: 'x', y: 'y', z: 'z',
+    vx: 'vx', vy: 'vy', vz: 'vz',
+    mass: 'mass',
+    // Optional, see particle-attributes.js; species is the numeric SPECIES value
+    species: 'species',
+    colorIndex: 'color',
+    radius: 'radius',
+};
+
+export const DEFAULT_IMPORT_OPTIONS = {
+    mapping: DEFAULT_COLUMN_MAPPING,
+    lengthScale: 1,   // multiplies x, y, z
+    velocityScale: 1, // multiplies vx, vy, vz
+    massScale: 1,     // multiplies mass
+    defaultMass: 1,   // used when the mass column is missing
+    recenter: true,   // move to the centre-of-mass frame
+};
+
+// A parsed file: column names plus rows of numbers
+// CSV may be comma, semicolon, tab or whitespace separated, with '#' comment lines.
+// Without a header row the columns are named by index ('0', '1', ...).
+export function parseCSV(text) {
+    const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+    if (lines.length === 0) {
+        throw new Error('CSV file is empty');
+    }
+
+    const delimiter = [',', ';', '\t'].find((d) => lines[0].includes(d)) ?? /\s+/;
+    const split = (line) => line.split(delimiter).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+
+    const first = split(lines[0]);
+    const hasHeader = first.some((cell) => cell !== '' && !Number.isFinite(Number(cell)));
+    const columns = hasHeader ? first : first.map((_, i) => String(i));
+
+    const rows = [];
+    for (let i = hasHeader ? 1 : 0; i < lines.length; i++) {
+        rows.push(split(lines[i]).map(Number));
+    }
+
+    return { columns, rows };
+}
+
+// JSON may be an array of objects, an object with a 'particles' array of objects,
+// or columnar: an object of equally long arrays
+export function parseJSON(text) {
+    let data = JSON.parse(text);
+    if (!Array.isArray(data) && Array.isArray(data.particles)) {
+        data = data.particles;
+    }
+
+    if (Array.isArray(data)) {
+        if (data.length === 0) {
+            throw new Error('JSON file contains no particles');
+        }
+        const columns = Object.keys(data[0]);
+        const rows = data.map((record) => columns.map((column) => Number(record[column])));
+        return { columns, rows };
+    }
+
+    const columns = Object.keys(data).filter((key) => Array.isArray(data[key]));
+    if (columns.length === 0) {
+        throw new Error('JSON file contains no particle arrays');
+    }
+    const length = Math.min(...columns.map((column) => data[column].length));
+    const rows = [];
+    for (let i = 0; i < length; i++) {
+        rows.push(columns.map((column) => Number(data[column][i])));
+    }
+    return { columns, rows };
+}
+
+export function parseParticleFile(name, text) {
+    return name.toLowerCase().endsWith('.json') ? parseJSON(text) : parseCSV(text);
+}
+
+function resolveColumn(columns, key) {
+    if (key === undefined || key === null || key === '') return -1;
+    if (typeof key === 'number') return key < columns.length ? key : -1;
+
+    const index = columns.indexOf(key);
+    if (index >= 0) return index;
+
+    // Fall back to a case-insensitive match, then to a numeric index
+    const lower = key.toLowerCase();
+    const loose = columns.findIndex((column) => column.toLowerCase() === lower);
+    if (loose >= 0) return loose;
+    return /^\d+$/.test(key) && Number(key) < columns.length ? Number(key) : -1;
+}
+
+// Table from parseCSV/parseJSON -> Float32Array of particles
+export function tableToParticles(table, options = {}) {
+    const { mapping, lengthScale, velocityScale, massScale, defaultMass, recenter } = { ...DEFAULT_IMPORT_OPTIONS, ...options };
+    const index = {};
+    for (const field of PARTICLE_FIELDS) {
+        index[field] = resolveColumn(table.columns, mapping[field]);
+    }
+
+    for (const field of ['x', 'y', 'z']) {
+        if (index[field] < 0) {
+            throw new Error(`No column '${mapping[field]}' for ${field}; columns are ${table.columns.join(', ')}`);
+        }
+    }
+
+    // Nothing downstream can run on zero particles
+    const count = table.rows.length;
+    if (count === 0) {
+        throw new Error(`No particles, only the columns ${table.columns.join(', ')}`);
+    }
+    const data = new Float64Array(count * 7);
+    const attributes = new Uint32Array(count);
+
+    for (let i = 0; i < count; i++) {
+        const row = table.rows[i];
+        const value = (field, fallback) => index[field] >= 0 ? row[index[field]] : fallback;
+        const record = [
+            value('x') * lengthScale, value('y') * lengthScale, value('z') * lengthScale,
+            value('vx', 0) * velocityScale, value('vy', 0) * velocityScale, value('vz', 0) * velocityScale,
+            value('mass', defaultMass) * massScale,
+        ];
+
+        if (!record.every(Number.isFinite)) {
+            throw new Error(`Row ${i + 1} has a missing or non-numeric value`);
+        }
+        data.set(record, i * 7);
+
+        attributes[i] = packAttributes({
+            species: value('species', 0),
+            colorIndex: value('colorIndex', 0),
+            radius: value('radius', 0) * lengthScale,
+        });
+    }
+
+    if (recenter) {
+        recenterOnCentreOfMass(data, attributes, count);
+    }
+
+    const particles = new Float32Array(count * FLOATS_PER_PARTICLE);
+    const words = attributeWords(particles);
+    for (let i = 0; i < count; i++) {
+        const src = i * 7;
+        const dst = i * FLOATS_PER_PARTICLE;
+        particles[dst + 0] = data[src + 0];
+        particles[dst + 1] = data[src + 1];
+        particles[dst + 2] = data[src + 2];
+        particles[dst + 3] = data[src + 6];
+        particles[dst + 4] = data[src + 3];
+        particles[dst + 5] = data[src + 4];
+        particles[dst + 6] = data[src + 5];
+        words[dst + 7] = attributes[i];
+    }
+
+    return particles;
+}
+
+// Subtract the centre-of-mass position and velocity (records of x, y, z, vx, vy, vz, mass)
+function recenterOnCentreOfMass(data, attributes, count) {
+    const centre = [0, 0, 0, 0, 0, 0];
+    let totalMass = 0;
+
+    for (let i = 0; i < count; i++) {
+        const mass = gravitatingMass(data[i * 7 + 6], attributes[i]);
+        for (let k = 0; k < 6; k++) {
+            centre[k] += mass * data[i * 7 + k];
+        }
+        totalMass += mass;
+    }
+
+    if (totalMass <= 0) return;
+
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < 6; k++) {
+            data[i * 7 + k] -= centre[k] / totalMass;
+        }
+    }
+}
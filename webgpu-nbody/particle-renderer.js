@@ -0,0 +1,409 @@
+// Particle drawing shared by both simulations, in one of three transparency modes
+// 'additive' draws the particles in buffer order and sums their light, which doesn't depend on the
+// order and is the cheapest. 'sorted' blends each particle over the ones behind it, sorted by view
+// depth every frame: a bitonic sort in compute passes (shaders/depth-sort.wgsl) on the GPU
+// simulation, a radix sort of the uploaded particles on the CPU one. 'weighted' is weighted blended
+// order-independent transparency (McGuire and Bavoil): the particles accumulate depth-weighted
+// colours and their coverage into two targets of their own, which shaders/particle-oit.wgsl then
+// composites over the scene. Both blend rather than add, so the light stays within the colours.
+
+import { HDR_FORMAT } from './post-processing.js';
+
+export const TRANSPARENCY_MODES = {
+    'additive': { label: 'Additive (unsorted)' },
+    'sorted': { label: 'Depth Sorted' },
+    'weighted': { label: 'Weighted Blended OIT' },
+};
+
+export const DEFAULT_TRANSPARENCY_MODE = 'additive';
+
+const PARTICLE_SIZE = 32; // bytes of the Particle struct
+const SORT_WORKGROUP_SIZE = 256; // must match depth-sort.wgsl
+const SORT_PARAM_STRIDE = 256; // SortParams of each dispatch, at dynamic offsets
+const REVEALAGE_FORMAT = 'r16float'; // 8 bits would stop darkening under many faint particles
+
+// Slots the depth sort works on: a power of two of whole workgroups
+export function sortSlotCount(particleCount) {
+    return Math.max(SORT_WORKGROUP_SIZE, 2 ** Math.ceil(Math.log2(Math.max(particleCount, 1))));
+}
+
+// The merges after sortLocal, in dispatch order: per block size, a mergeGlobal for each distance of a
+// workgroup or more, then one mergeLocal (distance 0) for the rest
+export function sortMergeSteps(slotCount) {
+    const steps = [];
+    for (let blockSize = 2 * SORT_WORKGROUP_SIZE; blockSize <= slotCount; blockSize *= 2) {
+        for (let distance = blockSize / 2; distance >= SORT_WORKGROUP_SIZE; distance /= 2) {
+            steps.push({ blockSize, distance });
+        }
+        steps.push({ blockSize, distance: 0 });
+    }
+    return steps;
+}
+
+// Stable LSD radix sort of order by the u32 keys, a byte per pass; the scratch arrays are as long
+// as the keys. Leaves the result in keys and order.
+export function radixSortByKey(keys, order, keyScratch, orderScratch) {
+    const counts = new Uint32Array(256);
+    let [fromKeys, fromOrder, toKeys, toOrder] = [keys, order, keyScratch, orderScratch];
+
+    for (let shift = 0; shift < 32; shift += 8) {
+        counts.fill(0);
+        for (let i = 0; i < fromKeys.length; i++) counts[(fromKeys[i] >>> shift) & 0xff]++;
+        for (let digit = 0, start = 0; digit < 256; digit++) {
+            const count = counts[digit];
+            counts[digit] = start;
+            start += count;
+        }
+        for (let i = 0; i < fromKeys.length; i++) {
+            const slot = counts[(fromKeys[i] >>> shift) & 0xff]++;
+            toKeys[slot] = fromKeys[i];
+            toOrder[slot] = fromOrder[i];
+        }
+        [fromKeys, fromOrder, toKeys, toOrder] = [toKeys, toOrder, fromKeys, fromOrder];
+    }
+    // An even number of passes ends back in keys and order
+}
+
+export class ParticleRenderer {
+    constructor(device) {
+        this.device = device;
+        this.mode = DEFAULT_TRANSPARENCY_MODE;
+
+        this.additivePipeline = null;
+        this.sortedPipeline = null;
+        this.weightedPipeline = null;
+        this.compositePipeline = null;
+        this.bindGroupLayout = null; // shared by the three particle pipelines
+        this.sortPipelines = null; // GPU simulation only, by depth-sort.wgsl entry point
+        this.sortBindGroupLayout = null;
+
+        // What the buffers and bind groups were built for
+        this.particleCount = 0;
+        this.buffers = [];
+        this.drawArgsBuffer = null; // GPU simulation: the live vertex count
+
+        this.slotCount = 0;
+        this.mergeSteps = [];
+        this.orderBuffer = null;
+        this.keyBuffer = null;
+        this.sortParamBuffer = null;
+        this.renderBindGroups = []; // per particle buffer
+        this.sortBindGroups = [];
+        this.cpuSort = null; // keys, order and scratch of sortFrom
+
+        // Weighted OIT targets, sized to the canvas
+        this.width = 0;
+        this.height = 0;
+        this.accumulationTexture = null;
+        this.revealageTexture = null;
+        this.compositeBindGroup = null;
+    }
+
+    // loadShader(url) returns WGSL source; sortsOnGpu builds the compute pipelines for encodeSort
+    async init(loadShader, sortsOnGpu) {
+        const vertexModule = this.device.createShaderModule({ code: await loadShader('./shaders/particle-vertex-quad.wgsl') });
+        const fragmentModule = this.device.createShaderModule({ code: await loadShader('./shaders/particle-fragment-quad.wgsl') });
+
+        const storage = { type: 'read-only-storage' };
+        const uniform = { type: 'uniform' };
+        this.bindGroupLayout = this.device.createBindGroupLayout({
+            entries: [storage, uniform, storage, uniform, storage].map((buffer, binding) => ({
+                binding, visibility: GPUShaderStage.VERTEX, buffer,
+            })),
+        });
+        const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.bindGroupLayout] });
+
+        const pipeline = (vertexEntryPoint, fragmentEntryPoint, targets) => this.device.createRenderPipeline({
+            layout,
+            vertex: { module: vertexModule, entryPoint: vertexEntryPoint },
+            fragment: { module: fragmentModule, entryPoint: fragmentEntryPoint, targets },
+            primitive: { topology: 'triangle-list' },
+        });
+
+        // Additive: light from overlapping particles sums, and the tone mapping compresses it
+        this.additivePipeline = pipeline('vs_main', 'fs_main', [{
+            format: HDR_FORMAT,
+            blend: {
+                color: { srcFactor: 'src-alpha', dstFactor: 'one' },
+                alpha: { srcFactor: 'one', dstFactor: 'one' },
+            },
+        }]);
+        this.sortedPipeline = pipeline('vs_sorted', 'fs_main', [{
+            format: HDR_FORMAT,
+            blend: {
+                color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' },
+            },
+        }]);
+        // Sums of the weighted colours and weights; the revealage is the product of 1 - alpha
+        this.weightedPipeline = pipeline('vs_main', 'fs_weighted', [
+            {
+                format: HDR_FORMAT,
+                blend: {
+                    color: { srcFactor: 'one', dstFactor: 'one' },
+                    alpha: { srcFactor: 'one', dstFactor: 'one' },
+                },
+            },
+            {
+                format: REVEALAGE_FORMAT,
+                blend: {
+                    color: { srcFactor: 'zero', dstFactor: 'one-minus-src' },
+                    alpha: { srcFactor: 'zero', dstFactor: 'one-minus-src' },
+                },
+            },
+        ]);
+
+        const compositeModule = this.device.createShaderModule({ code: await loadShader('./shaders/particle-oit.wgsl') });
+        this.compositePipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: { module: compositeModule, entryPoint: 'vs_fullscreen' },
+            fragment: {
+                module: compositeModule,
+                entryPoint: 'fs_composite',
+                targets: [{
+                    format: HDR_FORMAT,
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { srcFactor: 'zero', dstFactor: 'one' },
+                    },
+                }],
+            },
+            primitive: { topology: 'triangle-list' },
+        });
+
+        if (sortsOnGpu) {
+            const compute = (buffer) => ({ visibility: GPUShaderStage.COMPUTE, buffer });
+            this.sortBindGroupLayout = this.device.createBindGroupLayout({
+                entries: [
+                    compute(storage),
+                    compute(storage),
+                    compute(uniform),
+                    compute({ type: 'storage' }),
+                    compute({ type: 'storage' }),
+                    compute({ type: 'uniform', hasDynamicOffset: true }),
+                ].map((entry, binding) => ({ binding, ...entry })),
+            });
+            const sortLayout = this.device.createPipelineLayout({ bindGroupLayouts: [this.sortBindGroupLayout] });
+            const sortModule = this.device.createShaderModule({ code: await loadShader('./shaders/depth-sort.wgsl') });
+            this.sortPipelines = {};
+            for (const entryPoint of ['computeKeys', 'sortLocal', 'mergeLocal', 'mergeGlobal']) {
+                this.sortPipelines[entryPoint] = this.device.createComputePipeline({
+                    layout: sortLayout,
+                    compute: { module: sortModule, entryPoint },
+                });
+            }
+        }
+    }
+
+    // Once per frame, before sorting or drawing: rebuilds for new particles or buffers. mode is a key of
+    // TRANSPARENCY_MODES; particleBuffers are the simulation's particle buffers (two for the GPU
+    // simulation's ping-pong), drawArgsBuffer its indirect draw arguments, null to draw particleCount;
+    // width and height are the canvas size, for the weighted OIT targets.
+    prepare({ mode, particleCount, particleBuffers, uniformBuffer, colorDataBuffer, colorMapBuffer, drawArgsBuffer = null, width, height }) {
+        this.mode = mode;
+        this.particleCount = particleCount;
+        this.drawArgsBuffer = drawArgsBuffer;
+
+        const buffers = [...particleBuffers, uniformBuffer, colorDataBuffer, colorMapBuffer, drawArgsBuffer];
+        if (buffers.length !== this.buffers.length || buffers.some((buffer, i) => buffer !== this.buffers[i])) {
+            this.rebuild(particleBuffers, uniformBuffer, colorDataBuffer, colorMapBuffer, drawArgsBuffer);
+            this.buffers = buffers;
+        }
+        if (mode === 'weighted') {
+            this.resize(width, height);
+        }
+    }
+
+    rebuild(particleBuffers, uniformBuffer, colorDataBuffer, colorMapBuffer, drawArgsBuffer) {
+        this.destroyBuffers();
+
+        // Sized for every particle the buffers hold, however many are live
+        const capacity = particleBuffers[0].size / PARTICLE_SIZE;
+        this.slotCount = this.sortPipelines ? sortSlotCount(capacity) : capacity;
+        this.orderBuffer = this.device.createBuffer({
+            size: this.slotCount * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+
+        this.renderBindGroups = particleBuffers.map((particles) => this.device.createBindGroup({
+            layout: this.bindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: uniformBuffer } },
+                { binding: 2, resource: { buffer: colorDataBuffer } },
+                { binding: 3, resource: { buffer: colorMapBuffer } },
+                { binding: 4, resource: { buffer: this.orderBuffer } },
+            ],
+        }));
+
+        if (!this.sortPipelines) {
+            const keys = () => new Uint32Array(capacity);
+            this.cpuSort = { keys: keys(), order: keys(), keyScratch: keys(), orderScratch: keys() };
+            return;
+        }
+
+        this.keyBuffer = this.device.createBuffer({
+            size: this.slotCount * 4,
+            usage: GPUBufferUsage.STORAGE,
+        });
+
+        // SortParams of the key and local sort dispatches, then one per merge
+        this.mergeSteps = sortMergeSteps(this.slotCount);
+        const paramData = new Uint32Array((this.mergeSteps.length + 1) * SORT_PARAM_STRIDE / 4);
+        paramData[0] = this.slotCount;
+        this.mergeSteps.forEach(({ blockSize, distance }, i) => {
+            paramData.set([this.slotCount, blockSize, distance], (i + 1) * SORT_PARAM_STRIDE / 4);
+        });
+        this.sortParamBuffer = this.device.createBuffer({
+            size: paramData.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.device.queue.writeBuffer(this.sortParamBuffer, 0, paramData);
+
+        this.sortBindGroups = particleBuffers.map((particles) => this.device.createBindGroup({
+            layout: this.sortBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: drawArgsBuffer } },
+                { binding: 2, resource: { buffer: uniformBuffer } },
+                { binding: 3, resource: { buffer: this.keyBuffer } },
+                { binding: 4, resource: { buffer: this.orderBuffer } },
+                { binding: 5, resource: { buffer: this.sortParamBuffer, size: 16 } },
+            ],
+        }));
+    }
+
+    // Re-create the weighted OIT targets when the canvas size changed
+    resize(width, height) {
+        if (width === this.width && height === this.height && this.accumulationTexture) return;
+        this.destroyTextures();
+        this.width = width;
+        this.height = height;
+
+        const usage = GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING;
+        this.accumulationTexture = this.device.createTexture({ size: [width, height], format: HDR_FORMAT, usage });
+        this.revealageTexture = this.device.createTexture({ size: [width, height], format: REVEALAGE_FORMAT, usage });
+        this.compositeBindGroup = this.device.createBindGroup({
+            layout: this.compositePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: this.accumulationTexture.createView() },
+                { binding: 1, resource: this.revealageTexture.createView() },
+            ],
+        });
+    }
+
+    // GPU simulation, sorted mode: order the particles of particle buffer `current`, farthest first.
+    // Timed as part of 'render'.
+    encodeSort(commandEncoder, current, profiler) {
+        if (this.mode !== 'sorted' || !this.sortPipelines) return;
+
+        const workgroups = this.slotCount / SORT_WORKGROUP_SIZE;
+        const pass = profiler.beginComputePass(commandEncoder, 'render');
+        pass.setBindGroup(0, this.sortBindGroups[current], [0]);
+        pass.setPipeline(this.sortPipelines.computeKeys);
+        pass.dispatchWorkgroups(workgroups);
+        pass.setPipeline(this.sortPipelines.sortLocal);
+        pass.dispatchWorkgroups(workgroups);
+
+        this.mergeSteps.forEach(({ distance }, i) => {
+            pass.setPipeline(distance > 0 ? this.sortPipelines.mergeGlobal : this.sortPipelines.mergeLocal);
+            pass.setBindGroup(0, this.sortBindGroups[current], [(i + 1) * SORT_PARAM_STRIDE]);
+            pass.dispatchWorkgroups(workgroups);
+        });
+        profiler.endPass(pass);
+    }
+
+    // CPU simulation, sorted mode: order the first particleCount particles of the packed particle
+    // data (as uploaded) by their depth in viewProjMatrix, farthest first
+    sortFrom(particleData, viewProjMatrix) {
+        if (this.mode !== 'sorted' || this.sortPipelines) return;
+
+        const count = Math.min(this.particleCount, this.cpuSort.keys.length, particleData.length / (PARTICLE_SIZE / 4));
+        const sort = {};
+        for (const [name, array] of Object.entries(this.cpuSort)) {
+            sort[name] = array.subarray(0, count);
+        }
+
+        // Ascending keys of the negated depth (the clip w) put the farthest particle first
+        const depth = new Float32Array(1);
+        const bits = new Uint32Array(depth.buffer);
+        const m = viewProjMatrix;
+        for (let i = 0; i < count; i++) {
+            const base = i * PARTICLE_SIZE / 4;
+            depth[0] = -(m[3] * particleData[base] + m[7] * particleData[base + 1] + m[11] * particleData[base + 2] + m[15]);
+            sort.keys[i] = bits[0] & 0x80000000 ? ~bits[0] : bits[0] | 0x80000000;
+            sort.order[i] = i;
+        }
+        radixSortByKey(sort.keys, sort.order, sort.keyScratch, sort.orderScratch);
+        this.device.queue.writeBuffer(this.orderBuffer, 0, sort.order);
+    }
+
+    // Within the scene pass, after the trails: the additive and sorted modes
+    draw(renderPass, current) {
+        if (this.mode === 'weighted') return;
+
+        renderPass.setPipeline(this.mode === 'sorted' ? this.sortedPipeline : this.additivePipeline);
+        renderPass.setBindGroup(0, this.renderBindGroups[current]);
+        this.drawParticles(renderPass);
+    }
+
+    // After the scene pass, in weighted mode: accumulate the particles into the OIT targets and
+    // composite them over sceneView. Timed as part of 'render'.
+    encodeWeighted(commandEncoder, sceneView, current, profiler) {
+        if (this.mode !== 'weighted') return;
+
+        const accumulatePass = profiler.beginRenderPass(commandEncoder, 'render', {
+            colorAttachments: [
+                {
+                    view: this.accumulationTexture.createView(),
+                    clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                },
+                {
+                    view: this.revealageTexture.createView(),
+                    clearValue: { r: 1, g: 0, b: 0, a: 0 },
+                    loadOp: 'clear',
+                    storeOp: 'store',
+                },
+            ],
+        });
+        accumulatePass.setPipeline(this.weightedPipeline);
+        accumulatePass.setBindGroup(0, this.renderBindGroups[current]);
+        this.drawParticles(accumulatePass);
+        profiler.endPass(accumulatePass);
+
+        const compositePass = profiler.beginRenderPass(commandEncoder, 'render', {
+            colorAttachments: [{ view: sceneView, loadOp: 'load', storeOp: 'store' }],
+        });
+        compositePass.setPipeline(this.compositePipeline);
+        compositePass.setBindGroup(0, this.compositeBindGroup);
+        compositePass.draw(3);
+        profiler.endPass(compositePass);
+    }
+
+    // 6 vertices per live particle
+    drawParticles(pass) {
+        if (this.drawArgsBuffer) {
+            pass.drawIndirect(this.drawArgsBuffer, 0);
+        } else {
+            pass.draw(this.particleCount * 6);
+        }
+    }
+
+    destroyBuffers() {
+        this.orderBuffer?.destroy();
+        this.keyBuffer?.destroy();
+        this.sortParamBuffer?.destroy();
+        this.orderBuffer = null;
+        this.keyBuffer = null;
+        this.sortParamBuffer = null;
+    }
+
+    destroyTextures() {
+        this.accumulationTexture?.destroy();
+        this.revealageTexture?.destroy();
+        this.accumulationTexture = null;
+        this.revealageTexture = null;
+    }
+}
@@ -0,0 +1,227 @@
+// Physics worker for the CPU simulation (main-stable.js)
+// Owns the NBodySystem and its SimulationClock and takes the steps each frame calls for, with the
+// force sums split across a ForceWorkerPool. After every call the packed particles are left in a
+// SharedArrayBuffer for the main thread to upload; without cross-origin isolation there is no
+// SharedArrayBuffer, so the physics runs in this worker alone and every reply carries a copy.
+// The colour mapping values (see color-mapping.js) are computed here too, whenever a call changed
+// the particles, and sent with the reply, as are the trail samples taken after every step.
+
+import { FLOATS_PER_PARTICLE } from './initial-conditions.js';
+import { NBodySystem, SYSTEM_SETTINGS, settingSetter } from './simulation-core.js';
+import { SimulationClock } from './simulation-clock.js';
+import { ForceWorkerPool } from './force-pool.js';
+import { WasmForceKernel } from './wasm-forces.js';
+import { DEFAULT_COLOR_SETTINGS } from './color-mapping.js';
+import { TrailSampler } from './trails.js';
+
+const MAX_FORCE_WORKERS = 8;
+
+const shared = self.crossOriginIsolated === true;
+
+const system = new NBodySystem();
+const clock = new SimulationClock(); // physics steps per rendered frame, pause and rewind
+let pool = null;
+
+let particleData = null; // packed like the GPU Particle struct, at least particleCount long
+let particleDataReplaced = false;
+let sentDiagnostics = null; // latest diagnostics sample the main thread has
+let computeTime = 0;
+
+// The colour quantity and its values for the main thread, null until the next reply sends them
+let colorQuantity = DEFAULT_COLOR_SETTINGS.quantity;
+let densityLength = DEFAULT_COLOR_SETTINGS.densityLength;
+let colors = null;
+
+const trails = new TrailSampler(); // for the main thread's ParticleTrails
+
+function recordFrame() {
+    clock.history.record((frame) => system.captureFrame(frame));
+}
+
+// New particles: forget the recorded states and start over from this one
+function resetClock() {
+    clock.reset(system.particleCount * (FLOATS_PER_PARTICLE + 1) * 4); // particles and origins
+    recordFrame();
+}
+
+// Pack the particles for the main thread, growing the buffer when they no longer fit
+function publishParticles() {
+    const size = system.particleCount * FLOATS_PER_PARTICLE;
+    if (!particleData || particleData.length < size) {
+        const bytes = Math.max(size, 1) * 4;
+        particleData = new Float32Array(shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes));
+        particleDataReplaced = true;
+    }
+    system.packParticles(particleData);
+}
+
+function computeColors() {
+    const values = new Float32Array(system.particleCount);
+    colors = { values, ...system.computeColorValues(colorQuantity, densityLength, values) };
+}
+
+// What the main thread mirrors after every call
+function status() {
+    const result = {
+        particleCount: system.particleCount,
+        simTime: system.simTime,
+        stepCount: system.stepCount,
+        mergeCount: system.mergeCount,
+        escapeCount: system.escapeCount,
+        timestep: system.finestTimestep,
+        computeTime,
+        clock: {
+            paused: clock.paused,
+            rewindOffset: clock.rewindOffset,
+            history: { size: clock.history.size },
+            stepsLastFrame: clock.stepsLastFrame,
+            maxSubsteps: clock.maxSubsteps,
+        },
+    };
+
+    // A shared buffer only has to be handed over once
+    if (!shared || particleDataReplaced) {
+        result.particleData = particleData;
+        particleDataReplaced = false;
+    }
+
+    if (colors) {
+        result.colors = colors;
+        colors = null;
+    }
+
+    const trailSamples = trails.take();
+    if (trailSamples) {
+        result.trails = trailSamples;
+    }
+
+    const history = system.diagnosticsHistory;
+    if (history.latest !== sentDiagnostics) {
+        result.diagnostics = { initial: history.initial, samples: history.samples, latest: history.latest };
+        sentDiagnostics = history.latest;
+    }
+
+    return result;
+}
+
+const commands = {
+    // Start the force workers, load the WebAssembly kernel where it's supported and generate the
+    // first particles; returns the physics settings and the force solvers that can run
+    async init(scenario, count, params, seed) {
+        if (shared) {
+            const size = Math.min(MAX_FORCE_WORKERS, Math.max((navigator.hardwareConcurrency ?? 2) - 1, 1));
+            pool = new ForceWorkerPool(() => new Worker(new URL('./force-worker.js', import.meta.url), { type: 'module' }), size);
+            await pool.start();
+            system.setForcePool(pool);
+        }
+
+        try {
+            system.wasmKernel = await WasmForceKernel.load();
+        } catch (err) {
+            console.warn('WebAssembly SIMD force kernel unavailable:', err.message);
+        }
+
+        commands.generate(scenario, count, params, seed);
+        return {
+            settings: Object.fromEntries(SYSTEM_SETTINGS.map((name) => [name, system[name]])),
+            forceSolvers: system.forceSolvers,
+        };
+    },
+
+    // As many physics steps as the real time since the last frame calls for. Returns the time the
+    // steps spent in the force solvers and in everything else but the diagnostics and the rewind
+    // history ('integrate'), or null when no step was taken.
+    frame(now, timeScale) {
+        const start = performance.now();
+        let recordTime = 0;
+        system.forceTime = 0;
+        system.diagnosticsTime = 0;
+
+        clock.beginFrame(now, timeScale);
+        while (clock.take(system.nextTimestep())) {
+            system.advance();
+            trails.sample(system.particles);
+            const recordStart = performance.now();
+            recordFrame();
+            recordTime += performance.now() - recordStart;
+        }
+        clock.endFrame();
+        computeTime = performance.now() - start;
+
+        if (clock.stepsLastFrame === 0) return null;
+        return {
+            force: system.forceTime,
+            integrate: Math.max(computeTime - recordTime - system.forceTime - system.diagnosticsTime, 0),
+        };
+    },
+
+    setSetting(name, value) {
+        system[settingSetter(name)](value);
+    },
+
+    setColorQuantity(quantity, length) {
+        colorQuantity = quantity;
+        densityLength = length;
+    },
+
+    // The indices of the trailed particles, tagged with the selection's generation; [] for no trails
+    setTrails(generation, indices, length) {
+        trails.select(generation, system.particles, indices, length);
+    },
+
+    // Replacing the particles ends the trails until the main thread selects again
+    generate(scenario, count, params, seed) {
+        system.generate(scenario, count, params, seed);
+        trails.clear();
+        resetClock();
+    },
+
+    loadParticles(particles, simTime) {
+        system.loadParticles(particles, simTime);
+        trails.clear();
+        resetClock();
+    },
+
+    getState() {
+        return {
+            particles: system.packParticles(),
+            simTime: system.simTime,
+            gravityStrength: system.gravityStrength,
+            damping: system.damping,
+        };
+    },
+
+    measureForceAccuracy(sampleSize) {
+        return system.measureForceAccuracy(sampleSize);
+    },
+
+    togglePause() { clock.togglePause(); },
+    stepOnce() { clock.stepOnce(); },
+    setMaxSubsteps(count) { clock.maxSubsteps = count; },
+
+    // Scrub through the recorded states (negative delta is back in time); pauses the simulation
+    seek(delta) {
+        const frame = clock.seek(delta);
+        if (frame) {
+            system.restoreFrame(frame);
+            trails.clear();
+        }
+    },
+};
+
+// The main thread sends one call at a time and waits for the reply, so particleData is only
+// written while it isn't looking
+self.onmessage = async ({ data: { id, method, args } }) => {
+    try {
+        const result = await commands[method](...args);
+        publishParticles();
+        // A frame without steps (paused, or not yet due) leaves the values as they were
+        if (method !== 'frame' || result !== null) {
+            computeColors();
+        }
+        self.postMessage({ id, result, status: status() });
+    } catch (err) {
+        console.error(`Physics worker ${method}:`, err);
+        self.postMessage({ id, error: err.message, status: status() });
+    }
+};
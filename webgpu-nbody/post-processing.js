@@ -0,0 +1,180 @@
+// HDR post-processing shared by both simulations: the particles are drawn additively into an
+// rgba16float target, so dense regions sum past 1 instead of clipping. A bloom chain
+// (shaders/post-process.wgsl) blurs what is above the threshold over a few halved levels, and
+// the composite pass adds it back, applies the exposure and tone maps onto the swapchain.
+
+export const HDR_FORMAT = 'rgba16float';
+
+export const TONE_MAPPERS = {
+    'reinhard': { id: 0, label: 'Reinhard' },
+    'aces': { id: 1, label: 'ACES Filmic' },
+};
+
+export const DEFAULT_POST_SETTINGS = {
+    toneMapper: 'aces', // key of TONE_MAPPERS
+    exposure: 1.0,
+    bloomStrength: 0.6, // of the light above the threshold, spread over the glow
+    bloomThreshold: 1.0, // brightness where the bloom starts
+};
+
+const BLOOM_LEVELS = 6; // at most; fewer on small canvases
+const BLOOM_KNEE = 0.5; // soft transition around the threshold, as a fraction of it
+const PARAMS_SIZE = 32; // PostParams, padded
+
+export class PostProcessor {
+    // settings is shared with the simulation, see DEFAULT_POST_SETTINGS
+    constructor(device, settings) {
+        this.device = device;
+        this.settings = settings;
+
+        this.prefilterPipeline = null;
+        this.downsamplePipeline = null;
+        this.upsamplePipeline = null;
+        this.compositePipeline = null;
+        this.sampler = null;
+        this.paramBuffer = null;
+
+        // Sized to the canvas by resize
+        this.width = 0;
+        this.height = 0;
+        this.hdrTexture = null;
+        this.hdrView = null; // what the scene is rendered into
+        this.bloomTextures = []; // half, quarter, ... of the canvas
+        this.bloomViews = [];
+        this.prefilterBindGroup = null; // samples the scene
+        this.downsampleBindGroups = []; // [i] samples bloom level i
+        this.upsampleBindGroups = [];
+        this.compositeBindGroup = null;
+    }
+
+    // loadShader(url) returns WGSL source; canvasFormat is what the composite writes
+    async init(loadShader, canvasFormat) {
+        const module = this.device.createShaderModule({ code: await loadShader('./shaders/post-process.wgsl') });
+        const pipeline = (entryPoint, format, blend) => this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: { module, entryPoint: 'vs_fullscreen' },
+            fragment: { module, entryPoint, targets: [{ format, blend }] },
+            primitive: { topology: 'triangle-list' },
+        });
+
+        this.prefilterPipeline = pipeline('fs_prefilter', HDR_FORMAT);
+        this.downsamplePipeline = pipeline('fs_downsample', HDR_FORMAT);
+        this.upsamplePipeline = pipeline('fs_upsample', HDR_FORMAT, {
+            color: { srcFactor: 'one', dstFactor: 'one' },
+            alpha: { srcFactor: 'zero', dstFactor: 'one' },
+        });
+        this.compositePipeline = pipeline('fs_composite', canvasFormat);
+
+        this.sampler = this.device.createSampler({
+            magFilter: 'linear',
+            minFilter: 'linear',
+            addressModeU: 'clamp-to-edge',
+            addressModeV: 'clamp-to-edge',
+        });
+        this.paramBuffer = this.device.createBuffer({
+            size: PARAMS_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+    }
+
+    configure(changes) {
+        Object.assign(this.settings, changes);
+    }
+
+    // Re-create the HDR target and the bloom chain when the canvas size changed
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+        this.destroyTextures();
+        this.width = width;
+        this.height = height;
+
+        const usage = GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING;
+        this.hdrTexture = this.device.createTexture({ size: [width, height], format: HDR_FORMAT, usage });
+        this.hdrView = this.hdrTexture.createView();
+
+        for (let level = 1; level <= BLOOM_LEVELS; level++) {
+            const size = [Math.floor(width / 2 ** level), Math.floor(height / 2 ** level)];
+            if (Math.min(...size) < 2) break;
+
+            const texture = this.device.createTexture({ size, format: HDR_FORMAT, usage });
+            this.bloomTextures.push(texture);
+            this.bloomViews.push(texture.createView());
+        }
+
+        const bindGroup = (pipeline, view, bloomView) => this.device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: this.sampler },
+                { binding: 1, resource: view },
+                { binding: 2, resource: { buffer: this.paramBuffer } },
+                ...(bloomView ? [{ binding: 3, resource: bloomView }] : []),
+            ],
+        });
+
+        this.prefilterBindGroup = bindGroup(this.prefilterPipeline, this.hdrView);
+        this.downsampleBindGroups = this.bloomViews.map((view) => bindGroup(this.downsamplePipeline, view));
+        this.upsampleBindGroups = this.bloomViews.map((view) => bindGroup(this.upsamplePipeline, view));
+        // Without a bloom chain the scene stands in for it, at zero strength
+        this.compositeBindGroup = bindGroup(this.compositePipeline, this.hdrView, this.bloomViews[0] ?? this.hdrView);
+    }
+
+    writeParams() {
+        const { toneMapper, exposure, bloomStrength, bloomThreshold } = this.settings;
+        const data = new ArrayBuffer(PARAMS_SIZE);
+        // The upsampling sums every level, so the strength is split between them
+        const levels = this.bloomViews.length;
+        const strength = levels > 0 ? bloomStrength / levels : 0;
+        new Float32Array(data, 0, 4).set([exposure, strength, bloomThreshold, Math.max(bloomThreshold * BLOOM_KNEE, 1e-4)]);
+        new Uint32Array(data, 16, 1)[0] = TONE_MAPPERS[toneMapper].id;
+        this.device.queue.writeBuffer(this.paramBuffer, 0, data);
+    }
+
+    // Where the scene pass renders, sized to the target texture. Call before encoding the scene.
+    sceneAttachment(targetTexture) {
+        this.resize(targetTexture.width, targetTexture.height);
+        return {
+            view: this.hdrView,
+            clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
+            loadOp: 'clear',
+            storeOp: 'store',
+        };
+    }
+
+    // Bloom and composite onto targetView; every pass is timed as part of 'render'
+    encode(commandEncoder, targetView, profiler) {
+        this.writeParams();
+        const levels = this.bloomViews.length;
+
+        const fullscreen = (view, loadOp, pipeline, bindGroup) => {
+            const pass = profiler.beginRenderPass(commandEncoder, 'render', {
+                colorAttachments: [{ view, clearValue: { r: 0, g: 0, b: 0, a: 1 }, loadOp, storeOp: 'store' }],
+            });
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, bindGroup);
+            pass.draw(3);
+            profiler.endPass(pass);
+        };
+
+        if (levels > 0) {
+            fullscreen(this.bloomViews[0], 'clear', this.prefilterPipeline, this.prefilterBindGroup);
+            for (let i = 1; i < levels; i++) {
+                fullscreen(this.bloomViews[i], 'clear', this.downsamplePipeline, this.downsampleBindGroups[i - 1]);
+            }
+            // Back up the chain, adding every level onto the one above it
+            for (let i = levels - 1; i > 0; i--) {
+                fullscreen(this.bloomViews[i - 1], 'load', this.upsamplePipeline, this.upsampleBindGroups[i]);
+            }
+        }
+
+        fullscreen(targetView, 'clear', this.compositePipeline, this.compositeBindGroup);
+    }
+
+    destroyTextures() {
+        this.hdrTexture?.destroy();
+        this.bloomTextures.forEach((texture) => texture.destroy());
+        this.hdrTexture = null;
+        this.hdrView = null;
+        this.bloomTextures = [];
+        this.bloomViews = [];
+    }
+}
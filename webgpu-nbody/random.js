@@ -0,0 +1,34 @@
+// Seeded pseudo-random numbers so runs are reproducible
+// Every particle generator draws from createRandom(seed) instead of Math.random
+
+// mulberry32: 32 bits of state, fast, and plenty for sampling initial conditions.
+// Returns a function with the same contract as Math.random: uniform in [0, 1).
+export function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// A fresh seed for when the user doesn't pick one
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Seed from user input (URL or text field): a 32-bit unsigned integer, or null if invalid
+export function parseSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 4294967295) {
+        return null;
+    }
+    return seed;
+}
@@ -0,0 +1,301 @@
+// Collision compute shader
+// Pairs each body with its nearest overlapping neighbour, resolves mutual pairs (merge, absorb or
+// bounce), then compacts the survivors so the active particle count shrinks without a CPU round trip.
+// The compaction also removes bodies that escaped an absorbing boundary. It is a stable prefix-sum
+// compaction, so the survivors keep their order, and it does nothing in a step that removed no body.
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
+}
+
+struct SimParams {
+    particleCount: u32,
+    deltaTime: f32,
+    gravityStrength: f32,
+    damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
+}
+
+struct CollisionParams {
+    mode: u32,     // COLLISION_MODES id in collisions.js
+    density: f32,  // radius of bodies without a radius attribute
+    _padding0: f32,
+    _padding1: f32,
+}
+
+struct CollisionState {
+    count: u32,           // survivors, set by finalizeCount
+    merges: atomic<u32>,  // totals since the last reset
+    escapes: atomic<u32>, // bodies removed by an absorbing boundary
+    removed: atomic<u32>, // bodies removed this step, cleared before the compaction
+    blockSums: array<u32>, // survivors per COMPACT_BLOCK bodies, then their exclusive prefix sums
+}
+
+// Must match SPECIES in particle-attributes.js, COLLISION_MODES in collisions.js and BOUNDARY_MODES in boundaries.js
+const SPECIES_STAR = 0u;
+const SPECIES_BLACK_HOLE = 2u;
+const MODE_MERGE = 1u;
+const MODE_BOUNCE = 2u;
+const BOUNDARY_PERIODIC = 2u;
+
+const NO_PARTNER = 0xffffffffu;
+// Bodies per block of the compaction's prefix sum; main.js sizes blockSums with the same value
+const COMPACT_BLOCK = 64u;
+// Attribute words of removed bodies; neither survives compaction.
+// ATTRIBUTES_ESCAPED is set by applyConstraints in integrate-compute.wgsl.
+const ATTRIBUTES_MERGED = 0xffu;
+const ATTRIBUTES_ESCAPED = 0xfeu;
+
+// The current particle buffer, updated in place by resolvePairs, and the other one of the
+// ping-pong pair, which scatter fills with the survivors for gather to copy back
+@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read_write> partners: array<u32>;
+@group(0) @binding(2) var<storage, read_write> compacted: array<Particle>;
+@group(0) @binding(3) var<storage, read_write> state: CollisionState;
+// vertexCount, instanceCount, firstVertex, firstInstance for the indirect particle draw
+@group(0) @binding(4) var<storage, read_write> drawArgs: array<u32, 4>;
+@group(0) @binding(5) var<uniform> params: SimParams;
+@group(0) @binding(6) var<uniform> collisionParams: CollisionParams;
+
+// Dark matter is collisionless and test particles have no mass to merge
+fn canCollide(particle: Particle) -> bool {
+    let species = particle.attributes & 0xffu;
+    return particle.mass > 0.0 && (species == SPECIES_STAR || species == SPECIES_BLACK_HOLE);
+}
+
+// Radius attribute if set, otherwise the radius of a uniform sphere of this mass and density
+fn collisionRadius(particle: Particle) -> f32 {
+    let radius = f32(particle.attributes >> 16u) / 256.0;
+    if (radius > 0.0) {
+        return radius;
+    }
+    return pow(3.0 * particle.mass / (4.0 * 3.14159265 * collisionParams.density), 1.0 / 3.0);
+}
+
+// The heavier body's attributes, but a black hole swallowing anything stays a black hole
+fn mergedAttributes(heavier: u32, lighter: u32) -> u32 {
+    if ((lighter & 0xffu) != SPECIES_BLACK_HOLE) {
+        return heavier;
+    }
+    return (heavier & ~0xffu) | SPECIES_BLACK_HOLE;
+}
+
+// Separation to the nearest periodic image of the other body (unchanged outside a periodic box).
+// The box is centred on the origin, so applied to a position it wraps it back into the box.
+fn minimumImage(r: vec3<f32>) -> vec3<f32> {
+    if (params.boundaryMode != BOUNDARY_PERIODIC) {
+        return r;
+    }
+    let period = 2.0 * params.boundarySize;
+    return r - period * round(r / period);
+}
+
+// Pass 1: nearest overlapping body, or NO_PARTNER
+@compute @workgroup_size(64)
+fn findPartners(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let particle = particles[index];
+    var partner = NO_PARTNER;
+
+    if (canCollide(particle)) {
+        let radius = collisionRadius(particle);
+        var nearest = 3.4e38;
+
+        for (var i = 0u; i < params.particleCount; i++) {
+            if (i == index) {
+                continue;
+            }
+
+            let other = particles[i];
+            if (!canCollide(other)) {
+                continue;
+            }
+
+            let r = minimumImage(other.position - particle.position);
+            let distanceSquared = dot(r, r);
+            let contact = radius + collisionRadius(other);
+            if (distanceSquared < contact * contact && distanceSquared < nearest) {
+                nearest = distanceSquared;
+                partner = i;
+            }
+        }
+    }
+
+    partners[index] = partner;
+}
+
+// Pass 2: resolve mutual pairs. The lower index of a pair owns it, so no body is
+// read or written by two threads.
+@compute @workgroup_size(64)
+fn resolvePairs(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let partner = partners[index];
+    if (partner == NO_PARTNER || partner < index || partners[partner] != index) {
+        return;
+    }
+
+    let a = particles[index];
+    let b = particles[partner];
+
+    if (collisionParams.mode == MODE_BOUNCE) {
+        // Elastic collision along the line between the centres; only approaching pairs bounce
+        let r = minimumImage(b.position - a.position);
+        let distance = length(r);
+        if (distance == 0.0) {
+            return;
+        }
+
+        let normal = r / distance;
+        let approach = dot(a.velocity - b.velocity, normal);
+        if (approach <= 0.0) {
+            return;
+        }
+
+        let totalMass = a.mass + b.mass;
+        particles[index].velocity = a.velocity - (2.0 * b.mass / totalMass * approach) * normal;
+        particles[partner].velocity = b.velocity + (2.0 * a.mass / totalMass * approach) * normal;
+        return;
+    }
+
+    // Merge or absorb: the lighter body folds into the heavier one, conserving mass and momentum
+    var survivorIndex = index;
+    var victimIndex = partner;
+    var heavier = a;
+    var lighter = b;
+    if (b.mass > a.mass) {
+        survivorIndex = partner;
+        victimIndex = index;
+        heavier = b;
+        lighter = a;
+    }
+
+    let mass = heavier.mass + lighter.mass;
+    var product = heavier;
+    product.mass = mass;
+    product.velocity = (heavier.mass * heavier.velocity + lighter.mass * lighter.velocity) / mass;
+    product.attributes = mergedAttributes(heavier.attributes, lighter.attributes);
+    if (collisionParams.mode == MODE_MERGE) {
+        // Centre of mass with the lighter body's nearest image
+        let offset = minimumImage(lighter.position - heavier.position);
+        product.position = minimumImage(heavier.position + (lighter.mass / mass) * offset);
+    }
+
+    particles[survivorIndex] = product;
+    particles[victimIndex].attributes = ATTRIBUTES_MERGED;
+}
+
+// Pass 3: count the merged and escaped bodies left behind. partners becomes NO_PARTNER for
+// them and the body's own index for every survivor.
+@compute @workgroup_size(64)
+fn markRemoved(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let attributes = particles[index].attributes;
+    if (attributes == ATTRIBUTES_MERGED) {
+        atomicAdd(&state.merges, 1u);
+        atomicAdd(&state.removed, 1u);
+        partners[index] = NO_PARTNER;
+        return;
+    }
+    if (attributes == ATTRIBUTES_ESCAPED) {
+        atomicAdd(&state.escapes, 1u);
+        atomicAdd(&state.removed, 1u);
+        partners[index] = NO_PARTNER;
+        return;
+    }
+
+    partners[index] = index;
+}
+
+// Pass 4, one thread per block: each survivor's rank within its block, and the block's total.
+// Nothing moves in a step without removals, and partners already holds every body's slot.
+@compute @workgroup_size(64)
+fn rankInBlocks(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let block = global_id.x;
+    let start = block * COMPACT_BLOCK;
+    if (start >= params.particleCount || atomicLoad(&state.removed) == 0u) {
+        return;
+    }
+
+    let end = min(start + COMPACT_BLOCK, params.particleCount);
+    var rank = 0u;
+    for (var i = start; i < end; i++) {
+        if (partners[i] != NO_PARTNER) {
+            partners[i] = rank;
+            rank++;
+        }
+    }
+    state.blockSums[block] = rank;
+}
+
+// Pass 5 (one thread): turn the block totals into offsets, and set the survivor count and the indirect draw
+@compute @workgroup_size(1)
+fn finalizeCount() {
+    var count = params.particleCount;
+    if (atomicLoad(&state.removed) > 0u) {
+        count = 0u;
+        let blocks = (params.particleCount + COMPACT_BLOCK - 1u) / COMPACT_BLOCK;
+        for (var block = 0u; block < blocks; block++) {
+            let total = state.blockSums[block];
+            state.blockSums[block] = count;
+            count += total;
+        }
+    }
+
+    state.count = count;
+    drawArgs[0] = count * 6u;
+    drawArgs[1] = 1u;
+    drawArgs[2] = 0u;
+    drawArgs[3] = 0u;
+}
+
+// Pass 6: move each survivor to its slot in the other particle buffer, in the original order.
+// Each body's new slot, or NO_PARTNER, is left in partners for carryOrigins in color-values.wgsl.
+@compute @workgroup_size(64)
+fn scatter(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount || atomicLoad(&state.removed) == 0u) {
+        return;
+    }
+
+    var slot = partners[index];
+    if (slot == NO_PARTNER) {
+        return;
+    }
+
+    slot += state.blockSums[index / COMPACT_BLOCK];
+    compacted[slot] = particles[index];
+    partners[index] = slot;
+}
+
+// Pass 7: copy the compacted survivors back, so the current particle buffer stays current
+@compute @workgroup_size(64)
+fn gather(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= state.count || atomicLoad(&state.removed) == 0u) {
+        return;
+    }
+
+    particles[index] = compacted[index];
+}
@@ -0,0 +1,160 @@
+// Colour mapping values (see color-mapping.js)
+// computeColorValues stores the selected quantity of every particle, log10 for log quantities, and
+// keeps their min/max with atomics for auto-ranging. carryOrigins follows the collision compaction
+// so every particle keeps its initial position. main.js prepends softening.wgsl for potentialFactor.
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
+}
+
+struct SimParams {
+    particleCount: u32,
+    deltaTime: f32,
+    gravityStrength: f32,
+    damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
+}
+
+struct ColorMap {
+    coefficients: array<vec4<f32>, 7>, // colormap polynomial, used by the vertex shader
+    quantity: u32, // COLOR_QUANTITIES id in color-mapping.js
+    autoRange: u32,
+    minimum: f32,
+    maximum: f32,
+    densityLength: f32, // smoothing length of the local density
+}
+
+// minimum and maximum are orderedBits of the values, reset to 0xffffffff and 0 before each pass
+struct ColorData {
+    minimum: atomic<u32>,
+    maximum: atomic<u32>,
+    values: array<f32>,
+}
+
+// Must match COLOR_QUANTITIES and MIN_LOG_VALUE in color-mapping.js
+const QUANTITY_SPEED = 0u;
+const QUANTITY_MASS = 1u;
+const QUANTITY_POTENTIAL = 2u;
+const QUANTITY_DENSITY = 3u;
+const QUANTITY_SPECIES = 4u;
+const MIN_LOG_VALUE = 1e-30;
+
+// Must match SPECIES in particle-attributes.js, BOUNDARY_MODES in boundaries.js and NO_PARTNER in collisions.wgsl
+const SPECIES_TEST = 3u;
+const BOUNDARY_PERIODIC = 2u;
+const NO_PARTNER = 0xffffffffu;
+
+const PI = 3.14159265;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read> origins: array<f32>; // initial x of each particle
+@group(0) @binding(2) var<storage, read_write> colorData: ColorData;
+@group(0) @binding(3) var<uniform> params: SimParams;
+@group(0) @binding(4) var<uniform> colorMap: ColorMap;
+// compact in collisions.wgsl leaves each body's new slot in partners, NO_PARTNER for removed ones
+@group(0) @binding(5) var<storage, read> partners: array<u32>;
+@group(0) @binding(6) var<storage, read_write> originsOut: array<f32>;
+
+// Mass that attracts other particles; test particles have none
+fn gravitatingMass(particle: Particle) -> f32 {
+    return select(particle.mass, 0.0, (particle.attributes & 0xffu) == SPECIES_TEST);
+}
+
+// Separation to the nearest periodic image of the other body (unchanged outside a periodic box)
+fn minimumImage(r: vec3<f32>) -> vec3<f32> {
+    if (params.boundaryMode != BOUNDARY_PERIODIC) {
+        return r;
+    }
+    let period = 2.0 * params.boundarySize;
+    return r - period * round(r / period);
+}
+
+// Plummer sphere of unit mass, the density kernel of densityKernel in force-solvers.js
+fn densityKernel(distanceSquared: f32, length: f32) -> f32 {
+    let softened = distanceSquared + length * length;
+    return 3.0 * length * length / (4.0 * PI * softened * softened * sqrt(softened));
+}
+
+// Float bits reordered so unsigned comparison orders them like the floats; see orderedBits in color-mapping.js
+fn orderedBits(value: f32) -> u32 {
+    let bits = bitcast<u32>(value);
+    return select(bits | 0x80000000u, ~bits, (bits & 0x80000000u) != 0u);
+}
+
+// Potential per unit mass or smoothed density at a particle, summed directly over all of them
+fn fieldAt(index: u32, position: vec3<f32>) -> f32 {
+    var total = 0.0;
+    for (var i = 0u; i < params.particleCount; i++) {
+        let other = particles[i];
+        let r = minimumImage(other.position - position);
+        let distanceSquared = dot(r, r);
+        if (colorMap.quantity == QUANTITY_DENSITY) {
+            // Every body is smoothed, so its own kernel counts too
+            total += gravitatingMass(other) * densityKernel(distanceSquared, colorMap.densityLength);
+        } else if (i != index) {
+            total -= params.gravityStrength * gravitatingMass(other)
+                * potentialFactor(distanceSquared, params.softeningKernel, params.softeningLength);
+        }
+    }
+    return total;
+}
+
+@compute @workgroup_size(64)
+fn computeColorValues(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let particle = particles[index];
+    var value: f32;
+    switch (colorMap.quantity) {
+        case QUANTITY_SPEED: {
+            value = length(particle.velocity);
+        }
+        case QUANTITY_MASS: {
+            value = log(max(particle.mass, MIN_LOG_VALUE)) / log(10.0);
+        }
+        case QUANTITY_POTENTIAL: {
+            value = fieldAt(index, particle.position);
+        }
+        case QUANTITY_DENSITY: {
+            value = log(max(fieldAt(index, particle.position), MIN_LOG_VALUE)) / log(10.0);
+        }
+        case QUANTITY_SPECIES: {
+            value = f32(particle.attributes & 0xffu);
+        }
+        default: { // QUANTITY_ORIGIN
+            value = origins[index];
+        }
+    }
+
+    colorData.values[index] = value;
+    let ordered = orderedBits(value);
+    atomicMin(&colorData.minimum, ordered);
+    atomicMax(&colorData.maximum, ordered);
+}
+
+// Run with the compaction's particle count, before it replaces params.particleCount
+@compute @workgroup_size(64)
+fn carryOrigins(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let slot = partners[index];
+    if (slot != NO_PARTNER) {
+        originsOut[slot] = origins[index];
+    }
+}
@@ -0,0 +1,129 @@
+// Bitonic sort of the particles by view depth, for drawing them back to front (see particle-renderer.js)
+// computeKeys writes a key per slot, farthest first; slots past the live count and the padding up to
+// the power of two sort last. sortLocal sorts each workgroup's block in workgroup memory, then every
+// larger block size takes a mergeGlobal per distance of 256 or more and one mergeLocal for the rest.
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32,
+}
+
+struct Uniforms {
+    viewProjectionMatrix: mat4x4<f32>,
+}
+
+struct SortParams {
+    count: u32, // slots, a power of two no smaller than the workgroup size
+    blockSize: u32, // of the bitonic sequences being merged
+    distance: u32, // between compared slots (mergeGlobal only)
+    _padding: u32,
+}
+
+// Must match SORT_WORKGROUP_SIZE in particle-renderer.js
+const WORKGROUP_SIZE = 256u;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read> drawArgs: array<u32>; // vertexCount first, 6 per live particle
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+@group(0) @binding(3) var<storage, read_write> keys: array<u32>;
+@group(0) @binding(4) var<storage, read_write> order: array<u32>; // particle index per slot
+@group(0) @binding(5) var<uniform> params: SortParams;
+
+var<workgroup> localKeys: array<u32, WORKGROUP_SIZE>;
+var<workgroup> localOrder: array<u32, WORKGROUP_SIZE>;
+
+// Float bits reordered so unsigned comparison orders them like the floats; see orderedBits in color-values.wgsl
+fn orderedBits(value: f32) -> u32 {
+    let bits = bitcast<u32>(value);
+    return select(bits | 0x80000000u, ~bits, (bits & 0x80000000u) != 0u);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn computeKeys(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.count) {
+        return;
+    }
+
+    // Ascending keys of the negated depth put the farthest particle first
+    var key = 0xffffffffu;
+    if (index < drawArgs[0] / 6u) {
+        let depth = (uniforms.viewProjectionMatrix * vec4<f32>(particles[index].position, 1.0)).w;
+        key = min(orderedBits(-depth), 0xfffffffeu);
+    }
+    keys[index] = key;
+    order[index] = index;
+}
+
+// Compare-exchange of a slot with its partner at distance within workgroup memory; the block
+// size decides which way the pair is ordered
+fn exchangeLocal(local: u32, slot: u32, blockSize: u32, distance: u32) {
+    let partner = local ^ distance;
+    if (partner > local) {
+        let ascending = (slot & blockSize) == 0u;
+        if ((localKeys[local] > localKeys[partner]) == ascending) {
+            let key = localKeys[local];
+            localKeys[local] = localKeys[partner];
+            localKeys[partner] = key;
+            let index = localOrder[local];
+            localOrder[local] = localOrder[partner];
+            localOrder[partner] = index;
+        }
+    }
+    workgroupBarrier();
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn sortLocal(@builtin(global_invocation_id) global_id: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    let slot = global_id.x;
+    localKeys[local] = keys[slot];
+    localOrder[local] = order[slot];
+    workgroupBarrier();
+
+    for (var blockSize = 2u; blockSize <= WORKGROUP_SIZE; blockSize <<= 1u) {
+        for (var distance = blockSize >> 1u; distance > 0u; distance >>= 1u) {
+            exchangeLocal(local, slot, blockSize, distance);
+        }
+    }
+
+    keys[slot] = localKeys[local];
+    order[slot] = localOrder[local];
+}
+
+// The steps of a merge whose partners lie in the same workgroup
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn mergeLocal(@builtin(global_invocation_id) global_id: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    let slot = global_id.x;
+    localKeys[local] = keys[slot];
+    localOrder[local] = order[slot];
+    workgroupBarrier();
+
+    for (var distance = WORKGROUP_SIZE >> 1u; distance > 0u; distance >>= 1u) {
+        exchangeLocal(local, slot, params.blockSize, distance);
+    }
+
+    keys[slot] = localKeys[local];
+    order[slot] = localOrder[local];
+}
+
+// One step of a merge whose partners are params.distance apart, at least a workgroup
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn mergeGlobal(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let slot = global_id.x;
+    let partner = slot ^ params.distance;
+    if (partner <= slot) {
+        return;
+    }
+
+    let ascending = (slot & params.blockSize) == 0u;
+    if ((keys[slot] > keys[partner]) == ascending) {
+        let key = keys[slot];
+        keys[slot] = keys[partner];
+        keys[partner] = key;
+        let index = order[slot];
+        order[slot] = order[partner];
+        order[partner] = index;
+    }
+}
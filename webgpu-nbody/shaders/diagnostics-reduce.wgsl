@@ -0,0 +1,128 @@
+// Diagnostics reduction compute shader
+// Sums energy, momentum and angular momentum over all particles in two passes so only
+// 48 bytes need to be read back instead of the whole particle buffer
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
+}
+
+// Must match SPECIES in particle-attributes.js
+const SPECIES_TEST = 3u;
+
+// Mass that attracts other particles; test particles have none
+fn gravitatingMass(particle: Particle) -> f32 {
+    return select(particle.mass, 0.0, (particle.attributes & 0xffu) == SPECIES_TEST);
+}
+
+struct SimParams {
+    particleCount: u32,
+    deltaTime: f32,
+    gravityStrength: f32,
+    damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
+}
+
+const WORKGROUP_SIZE = 256u;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+// w holds the potential per unit mass written by force-compute.wgsl
+@group(0) @binding(1) var<storage, read> accelerations: array<vec4<f32>>;
+// Three vec4 per workgroup of the first pass
+@group(0) @binding(2) var<storage, read_write> partials: array<vec4<f32>>;
+// (kinetic, potential, mass, momentumScale), (momentum, angularMomentumScale), (angularMomentum, 0)
+@group(0) @binding(3) var<storage, read_write> result: array<vec4<f32>, 3>;
+@group(0) @binding(4) var<uniform> params: SimParams;
+
+var<workgroup> sharedA: array<vec4<f32>, WORKGROUP_SIZE>;
+var<workgroup> sharedB: array<vec4<f32>, WORKGROUP_SIZE>;
+var<workgroup> sharedC: array<vec4<f32>, WORKGROUP_SIZE>;
+
+// Tree reduction of the shared arrays into element 0
+fn reduceWorkgroup(localIndex: u32) {
+    workgroupBarrier();
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride = stride / 2u) {
+        if (localIndex < stride) {
+            sharedA[localIndex] += sharedA[localIndex + stride];
+            sharedB[localIndex] += sharedB[localIndex + stride];
+            sharedC[localIndex] += sharedC[localIndex + stride];
+        }
+        workgroupBarrier();
+    }
+}
+
+// Pass 1: one partial sum per workgroup
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn reduceParticles(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_id) local_id: vec3<u32>,
+    @builtin(workgroup_id) workgroup_id: vec3<u32>,
+) {
+    let index = global_id.x;
+    var a = vec4<f32>(0.0);
+    var b = vec4<f32>(0.0);
+    var c = vec4<f32>(0.0);
+
+    if (index < params.particleCount) {
+        let particle = particles[index];
+        let m = gravitatingMass(particle); // test particles drop out of the totals
+        let r = particle.position;
+        let v = particle.velocity;
+        let speed = length(v);
+
+        a = vec4<f32>(
+            0.5 * m * dot(v, v),                 // kinetic energy
+            0.5 * m * accelerations[index].w,    // potential energy (each pair counted twice)
+            m,
+            m * speed
+        );
+        b = vec4<f32>(m * v, m * speed * length(r));
+        c = vec4<f32>(m * cross(r, v), 0.0);
+    }
+
+    sharedA[local_id.x] = a;
+    sharedB[local_id.x] = b;
+    sharedC[local_id.x] = c;
+    reduceWorkgroup(local_id.x);
+
+    if (local_id.x == 0u) {
+        partials[workgroup_id.x * 3u + 0u] = sharedA[0];
+        partials[workgroup_id.x * 3u + 1u] = sharedB[0];
+        partials[workgroup_id.x * 3u + 2u] = sharedC[0];
+    }
+}
+
+// Pass 2: a single workgroup folds the partial sums into the result
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn reducePartials(@builtin(local_invocation_id) local_id: vec3<u32>) {
+    let partialCount = (params.particleCount + WORKGROUP_SIZE - 1u) / WORKGROUP_SIZE;
+    var a = vec4<f32>(0.0);
+    var b = vec4<f32>(0.0);
+    var c = vec4<f32>(0.0);
+
+    for (var i = local_id.x; i < partialCount; i += WORKGROUP_SIZE) {
+        a += partials[i * 3u + 0u];
+        b += partials[i * 3u + 1u];
+        c += partials[i * 3u + 2u];
+    }
+
+    sharedA[local_id.x] = a;
+    sharedB[local_id.x] = b;
+    sharedC[local_id.x] = c;
+    reduceWorkgroup(local_id.x);
+
+    if (local_id.x == 0u) {
+        result[0] = sharedA[0];
+        result[1] = sharedB[0];
+        result[2] = sharedC[0];
+    }
+}
@@ -1,11 +1,22 @@
 // Force calculation compute shader
-// Each thread processes one particle and calculates gravitational forces from all other particles
+// Each thread processes one particle and calculates its gravitational acceleration from all other particles,
+// either straight from the storage buffer (computeForces) or a workgroup-sized tile at a time (computeForcesTiled).
+// main.js prepends softening.wgsl, which provides accelerationFactor and potentialFactor
 
 struct Particle {
     position: vec3<f32>,
     mass: f32,
     velocity: vec3<f32>,
-    _padding: f32,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
+}
+
+// Must match SPECIES in particle-attributes.js and BOUNDARY_MODES in boundaries.js
+const SPECIES_TEST = 3u;
+const BOUNDARY_PERIODIC = 2u;
+
+// Mass that attracts other particles; test particles have none
+fn gravitatingMass(particle: Particle) -> f32 {
+    return select(particle.mass, 0.0, (particle.attributes & 0xffu) == SPECIES_TEST);
 }
 
 struct SimParams {
@@ -13,13 +24,46 @@ struct SimParams {
     deltaTime: f32,
     gravityStrength: f32,
     damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
 }
 
+// Set per pipeline from FORCE_KERNELS and FORCE_WORKGROUP_SIZES in force-kernels.js
+override WORKGROUP_SIZE: u32 = 64u;
+override UNROLL: bool = false;
+
 @group(0) @binding(0) var<storage, read> particlesIn: array<Particle>;
-@group(0) @binding(1) var<storage, read_write> forcesOut: array<vec3<f32>>;
+// xyz: acceleration, w: gravitational potential per unit mass (for the diagnostics)
+@group(0) @binding(1) var<storage, read_write> accelerationsOut: array<vec4<f32>>;
 @group(0) @binding(2) var<uniform> params: SimParams;
 
-@compute @workgroup_size(64)
+// Separation to the nearest periodic image of the other body (unchanged outside a periodic box)
+fn minimumImage(r: vec3<f32>) -> vec3<f32> {
+    if (params.boundaryMode != BOUNDARY_PERIODIC) {
+        return r;
+    }
+    let period = 2.0 * params.boundarySize;
+    return r - period * round(r / period);
+}
+
+// Acceleration (xyz) and potential (w) at position due to a body at other.xyz with gravitating mass other.w
+fn interaction(position: vec3<f32>, other: vec4<f32>) -> vec4<f32> {
+    let r = minimumImage(other.xyz - position);
+    let distanceSquared = dot(r, r);
+
+    // a = G * m2 * r / |r|^3 (F = G * m1 * m2 / r^2 divided by m1), softened by the selected kernel
+    let acceleration = params.gravityStrength * other.w * accelerationFactor(distanceSquared, params.softeningKernel, params.softeningLength) * r;
+    let potential = params.gravityStrength * other.w * potentialFactor(distanceSquared, params.softeningKernel, params.softeningLength);
+    return vec4<f32>(acceleration, -potential);
+}
+
+@compute @workgroup_size(WORKGROUP_SIZE)
 fn computeForces(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let index = global_id.x;
     if (index >= params.particleCount) {
@@ -27,7 +71,7 @@ fn computeForces(@builtin(global_invocation_id) global_id: vec3<u32>) {
     }
     
     let particle = particlesIn[index];
-    var totalForce = vec3<f32>(0.0, 0.0, 0.0);
+    var total = vec4<f32>(0.0);
     
     // Calculate gravitational force from all other particles
     for (var i = 0u; i < params.particleCount; i++) {
@@ -36,19 +80,63 @@ fn computeForces(@builtin(global_invocation_id) global_id: vec3<u32>) {
         }
         
         let other = particlesIn[i];
-        let r = other.position - particle.position;
-        let distanceSquared = dot(r, r);
-        
-        // Add small epsilon to prevent singularity when particles are very close
-        let epsilon = 0.01;
-        let distance = sqrt(distanceSquared + epsilon * epsilon);
-        
-        // F = G * m1 * m2 / r^2, but we'll use simplified masses
-        let forceMagnitude = params.gravityStrength * particle.mass * other.mass / distanceSquared;
-        let forceDirection = normalize(r);
-        
-        totalForce += forceMagnitude * forceDirection;
+        total += interaction(particle.position, vec4<f32>(other.position, gravitatingMass(other)));
     }
     
-    forcesOut[index] = totalForce;
-}
\ No newline at end of file
+    accelerationsOut[index] = total;
+}
+
+// Position and gravitating mass of the bodies being summed by the workgroup
+var<workgroup> tile: array<vec4<f32>, WORKGROUP_SIZE>;
+
+// A body exerts no force on itself; its own slot contributes exactly zero
+fn tileInteraction(position: vec3<f32>, k: u32, selfSlot: u32) -> vec4<f32> {
+    let other = tile[k];
+    return interaction(position, vec4<f32>(other.xyz, select(other.w, 0.0, k == selfSlot)));
+}
+
+// Same sum, in the same order, as computeForces. Each thread stages one body of the tile in workgroup
+// memory, so every body is read from the storage buffer once per workgroup rather than once per thread.
+@compute @workgroup_size(WORKGROUP_SIZE)
+fn computeForcesTiled(
+    @builtin(global_invocation_id) global_id: vec3<u32>,
+    @builtin(local_invocation_index) local_index: u32,
+) {
+    let index = global_id.x;
+    let count = params.particleCount;
+
+    // Threads past the end still stage bodies: every thread has to reach every barrier
+    let position = particlesIn[min(index, max(count, 1u) - 1u)].position;
+    var total = vec4<f32>(0.0);
+
+    for (var start = 0u; start < count; start += WORKGROUP_SIZE) {
+        let source = start + local_index;
+        var staged = vec4<f32>(0.0); // massless past the end
+        if (source < count) {
+            let other = particlesIn[source];
+            staged = vec4<f32>(other.position, gravitatingMass(other));
+        }
+        tile[local_index] = staged;
+        workgroupBarrier();
+
+        let size = min(WORKGROUP_SIZE, count - start);
+        let selfSlot = index - start; // wraps past size unless this thread's own body is in the tile
+        var k = 0u;
+        if (UNROLL) {
+            for (; k + 4u <= size; k += 4u) {
+                total += tileInteraction(position, k, selfSlot);
+                total += tileInteraction(position, k + 1u, selfSlot);
+                total += tileInteraction(position, k + 2u, selfSlot);
+                total += tileInteraction(position, k + 3u, selfSlot);
+            }
+        }
+        for (; k < size; k++) {
+            total += tileInteraction(position, k, selfSlot);
+        }
+        workgroupBarrier();
+    }
+
+    if (index < count) {
+        accelerationsOut[index] = total;
+    }
+}
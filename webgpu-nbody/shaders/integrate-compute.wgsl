@@ -1,11 +1,14 @@
 // Particle integration compute shader
-// Updates particle positions and velocities based on calculated forces
+// One entry point per integrator operation (see integrators.js); the host dispatches
+// them in the order the selected scheme lists, with the step's coefficients in stepParams.
+// Every entry point reads particlesIn and writes every live particle to particlesOut; the host
+// swaps the two particle buffers after each dispatch.
 
 struct Particle {
     position: vec3<f32>,
     mass: f32,
     velocity: vec3<f32>,
-    _padding: f32,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
 }
 
 struct SimParams {
@@ -13,49 +16,178 @@ struct SimParams {
     deltaTime: f32,
     gravityStrength: f32,
     damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
 }
 
-@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
-@group(0) @binding(1) var<storage, read> forces: array<vec3<f32>>;
-@group(0) @binding(2) var<uniform> params: SimParams;
+struct StepParams {
+    coefficient: f32, // c: fraction of dt for kicks/drifts, RK4 stage weight
+    advance: f32,     // h: RK4 offset of the next stage
+    _padding0: f32,
+    _padding1: f32,
+}
+
+// Must match BOUNDARY_MODES in boundaries.js
+const BOUNDARY_REFLECTIVE = 1u;
+const BOUNDARY_PERIODIC = 2u;
+const BOUNDARY_ABSORBING = 3u;
+// Attribute word of a body that left an absorbing sphere; compact in collisions.wgsl drops it
+const ATTRIBUTES_ESCAPED = 0xfeu;
+
+@group(0) @binding(0) var<storage, read> particlesIn: array<Particle>;
+@group(0) @binding(1) var<storage, read> accelerations: array<vec4<f32>>;
+// Four vec4 per particle: x0 (or a(t) for velocity Verlet), v0, RK4 position sum, RK4 velocity sum
+@group(0) @binding(2) var<storage, read_write> scratch: array<vec4<f32>>;
+@group(0) @binding(3) var<uniform> params: SimParams;
+@group(0) @binding(4) var<uniform> stepParams: StepParams;
+@group(0) @binding(5) var<storage, read_write> particlesOut: array<Particle>;
+
+// v += c * dt * a
+@compute @workgroup_size(64)
+fn kick(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let dt = stepParams.coefficient * params.deltaTime;
+    var particle = particlesIn[index];
+    particle.velocity += accelerations[index].xyz * dt;
+    particlesOut[index] = particle;
+}
+
+// x += c * dt * v
+@compute @workgroup_size(64)
+fn drift(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let dt = stepParams.coefficient * params.deltaTime;
+    var particle = particlesIn[index];
+    particle.position += particle.velocity * dt;
+    particlesOut[index] = particle;
+}
+
+// Save a(t), then x(t+dt) = x(t) + v(t) * dt + a(t) * dt^2 / 2
+@compute @workgroup_size(64)
+fn verletPosition(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let dt = params.deltaTime;
+    let acceleration = accelerations[index].xyz;
+    scratch[index * 4u] = vec4<f32>(acceleration, 0.0);
+    var particle = particlesIn[index];
+    particle.position += particle.velocity * dt + 0.5 * acceleration * dt * dt;
+    particlesOut[index] = particle;
+}
+
+// v(t+dt) = v(t) + (a(t) + a(t+dt)) * dt / 2
+@compute @workgroup_size(64)
+fn verletVelocity(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let previous = scratch[index * 4u].xyz;
+    var particle = particlesIn[index];
+    particle.velocity += 0.5 * (previous + accelerations[index].xyz) * params.deltaTime;
+    particlesOut[index] = particle;
+}
+
+@compute @workgroup_size(64)
+fn rk4Save(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let particle = particlesIn[index];
+    scratch[index * 4u + 0u] = vec4<f32>(particle.position, 0.0);
+    scratch[index * 4u + 1u] = vec4<f32>(particle.velocity, 0.0);
+    scratch[index * 4u + 2u] = vec4<f32>(0.0);
+    scratch[index * 4u + 3u] = vec4<f32>(0.0);
+    particlesOut[index] = particle; // unchanged, but the buffers swap after every dispatch
+}
+
+// Accumulate this stage's derivative with weight c, then move to x0 + h * dt * k
+@compute @workgroup_size(64)
+fn rk4Stage(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    let base = index * 4u;
+    var particle = particlesIn[index];
+    let velocity = particle.velocity;
+    let acceleration = accelerations[index].xyz;
+    let h = stepParams.advance * params.deltaTime;
+
+    scratch[base + 2u] += vec4<f32>(stepParams.coefficient * velocity, 0.0);
+    scratch[base + 3u] += vec4<f32>(stepParams.coefficient * acceleration, 0.0);
+    particle.position = scratch[base + 0u].xyz + h * velocity;
+    particle.velocity = scratch[base + 1u].xyz + h * acceleration;
+    particlesOut[index] = particle;
+}
 
+// Accumulate the last derivative, then x = x0 + dt * sum(k)
 @compute @workgroup_size(64)
-fn integrateParticles(@builtin(global_invocation_id) global_id: vec3<u32>) {
+fn rk4Finish(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let index = global_id.x;
     if (index >= params.particleCount) {
         return;
     }
-    
-    var particle = particles[index];
-    let force = forces[index];
-    
-    // F = ma, so a = F/m
-    let acceleration = force / particle.mass;
-    
-    // Verlet integration for better stability
-    // v(t+dt) = v(t) + a(t) * dt
-    // x(t+dt) = x(t) + v(t+dt) * dt
-    
-    particle.velocity += acceleration * params.deltaTime;
+
+    let base = index * 4u;
+    var particle = particlesIn[index];
+    let sumX = scratch[base + 2u].xyz + stepParams.coefficient * particle.velocity;
+    let sumV = scratch[base + 3u].xyz + stepParams.coefficient * accelerations[index].xyz;
+
+    particle.position = scratch[base + 0u].xyz + params.deltaTime * sumX;
+    particle.velocity = scratch[base + 1u].xyz + params.deltaTime * sumV;
+    particlesOut[index] = particle;
+}
+
+// Damping and boundary conditions, applied once after every full step
+@compute @workgroup_size(64)
+fn applyConstraints(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if (index >= params.particleCount) {
+        return;
+    }
+
+    var particle = particlesIn[index];
+
     particle.velocity *= params.damping; // Apply damping to prevent runaway velocities
-    particle.position += particle.velocity * params.deltaTime;
-    
-    // Simple boundary conditions - bounce off edges
-    let boundarySize = 50.0;
-    let restitution = 0.8;
-    
-    if (abs(particle.position.x) > boundarySize) {
-        particle.position.x = sign(particle.position.x) * boundarySize;
-        particle.velocity.x *= -restitution;
-    }
-    if (abs(particle.position.y) > boundarySize) {
-        particle.position.y = sign(particle.position.y) * boundarySize;
-        particle.velocity.y *= -restitution;
-    }
-    if (abs(particle.position.z) > boundarySize) {
-        particle.position.z = sign(particle.position.z) * boundarySize;
-        particle.velocity.z *= -restitution;
-    }
-    
-    particles[index] = particle;
-}
\ No newline at end of file
+
+    let size = params.boundarySize;
+
+    if (params.boundaryMode == BOUNDARY_REFLECTIVE) {
+        // Bounce off the walls, keeping restitution of the normal velocity
+        let outside = abs(particle.position) > vec3<f32>(size);
+        particle.position = select(particle.position, sign(particle.position) * size, outside);
+        particle.velocity = select(particle.velocity, -params.restitution * particle.velocity, outside);
+    } else if (params.boundaryMode == BOUNDARY_PERIODIC) {
+        // Wrap back into [-size, size)
+        let period = 2.0 * size;
+        particle.position -= period * floor((particle.position + size) / period);
+    } else if (params.boundaryMode == BOUNDARY_ABSORBING) {
+        if (dot(particle.position, particle.position) > size * size) {
+            particle.attributes = ATTRIBUTES_ESCAPED;
+        }
+    }
+
+    particlesOut[index] = particle;
+}
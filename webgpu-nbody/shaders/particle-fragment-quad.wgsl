@@ -1,23 +1,52 @@
 // Fragment shader for quad-based particles
-// Creates smooth circular particles
+// Creates smooth circular particles. fs_main is blended straight into the HDR target (additively,
+// or back to front when sorted); fs_weighted accumulates weighted blended OIT (see particle-renderer.js)
 
 struct FragmentInput {
     @location(0) color: vec3<f32>,
     @location(1) uv: vec2<f32>,
+    @location(2) brightness: f32,
+    @location(3) flatness: f32,
+    @location(4) depth: f32,
 }
 
-@fragment
-fn fs_main(input: FragmentInput) -> @location(0) vec4<f32> {
+// The accumulation and revealage targets of the OIT pass
+struct WeightedOutput {
+    @location(0) accumulation: vec4<f32>,
+    @location(1) revealage: f32,
+}
+
+// Mean alpha of the disc over the quad, so a flattened sprite gives off the same light
+const DISC_ENERGY = 0.509;
+
+fn particleAlpha(input: FragmentInput) -> f32 {
     // Create circular particle
     let center = vec2<f32>(0.5, 0.5);
     let distance = length(input.uv - center);
     
-    // Smooth circular falloff
-    let alpha = smoothstep(0.5, 0.3, distance);
-    
-    // Make sure particles are bright and visible
-    let brightness = 2.0;
-    let finalColor = input.color * brightness;
-    
-    return vec4<f32>(finalColor, alpha);
-}
\ No newline at end of file
+    // Smooth circular falloff; sprites of a pixel or two are drawn flat instead, as the disc
+    // would only alias
+    let disc = smoothstep(0.5, 0.3, distance);
+    return mix(disc, DISC_ENERGY, input.flatness) * input.brightness;
+}
+
+@fragment
+fn fs_main(input: FragmentInput) -> @location(0) vec4<f32> {
+    // Blended additively into the HDR target, so overlapping particles add up past 1 and the
+    // tone mapping decides how bright that looks (see post-processing.js); sorted, each is
+    // blended over the ones behind it instead
+    return vec4<f32>(input.color, particleAlpha(input));
+}
+
+@fragment
+fn fs_weighted(input: FragmentInput) -> WeightedOutput {
+    let alpha = particleAlpha(input);
+    // Nearer particles weigh more (McGuire and Bavoil's depth weights, with depth relative to the
+    // camera target); the clamp keeps the rgba16float sums finite where thousands overlap
+    let weight = alpha * clamp(1.0 / (1e-4 + pow(input.depth, 4.0)), 1e-2, 1e2);
+
+    var output: WeightedOutput;
+    output.accumulation = vec4<f32>(input.color * weight, weight);
+    output.revealage = alpha; // the blend multiplies the target by 1 - alpha
+    return output;
+}
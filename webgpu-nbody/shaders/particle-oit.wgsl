@@ -0,0 +1,26 @@
+// Weighted blended OIT composite (see particle-renderer.js)
+// Resolves the accumulation and revealage targets of fs_weighted into the average colour of the
+// particles at each pixel and their total coverage, blended over the scene in the HDR target
+
+@group(0) @binding(0) var accumulationTexture: texture_2d<f32>;
+@group(0) @binding(1) var revealageTexture: texture_2d<f32>;
+
+@vertex
+fn vs_fullscreen(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4<f32> {
+    let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    return vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+}
+
+@fragment
+fn fs_composite(@builtin(position) position: vec4<f32>) -> @location(0) vec4<f32> {
+    let pixel = vec2<i32>(position.xy);
+    let accumulation = textureLoad(accumulationTexture, pixel, 0);
+    let revealage = textureLoad(revealageTexture, pixel, 0).r;
+    if (revealage >= 1.0) {
+        discard; // no particles here
+    }
+
+    // Weighted average of the colours, covering all but the revealage
+    let color = accumulation.rgb / max(accumulation.a, 1e-5);
+    return vec4<f32>(color, 1.0 - revealage);
+}
@@ -1,17 +1,21 @@
 // Vertex shader for particle rendering using instanced quads
-// Each particle becomes a small quad instead of a point
+// Each particle becomes a camera-facing quad, sized in pixels by the sizing mode (see sprite-sizing.js).
+// vs_main draws the particles in buffer order, vs_sorted in the order of the depth sort.
 
 struct Particle {
     position: vec3<f32>,
     mass: f32,
     velocity: vec3<f32>,
-    _padding: f32,
+    attributes: u32, // species, colour index and radius, see particle-attributes.js
 }
 
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
     @location(0) color: vec3<f32>,
     @location(1) uv: vec2<f32>,
+    @location(2) brightness: f32, // the area the body really covers over the area drawn, at most 1
+    @location(3) flatness: f32, // 1 for sprites too small to show a disc, 0 for a full disc
+    @location(4) depth: f32, // view depth over the distance to the camera target, for the OIT weights
 }
 
 struct Uniforms {
@@ -19,10 +23,59 @@ struct Uniforms {
     viewMatrix: mat4x4<f32>,
     cameraPosition: vec3<f32>,
     time: f32,
+    hiddenSpecies: u32, // one bit per species
+    viewportWidth: f32, // pixels
+    viewportHeight: f32,
+    pixelsPerUnit: f32, // pixels per world unit at view distance 1
+    sizingMode: u32, // SIZING_MODES id
+    pixelSize: f32,
+    minPixels: f32,
+    maxPixels: f32,
+    referenceDistance: f32, // camera to its target
 }
 
+// See color-mapping.js and color-values.wgsl
+struct ColorMap {
+    coefficients: array<vec4<f32>, 7>, // sRGB polynomial in t
+    quantity: u32, // COLOR_QUANTITIES id
+    autoRange: u32, // 1: the range of the values, 0: minimum and maximum
+    minimum: f32,
+    maximum: f32,
+    densityLength: f32,
+}
+
+struct ColorData {
+    minimum: u32, // orderedBits of the smallest value
+    maximum: u32,
+    values: array<f32>, // per particle
+}
+
+// Must match SPECIES in particle-attributes.js
+const SPECIES_STAR = 0u;
+const SPECIES_DARK_MATTER = 1u;
+const SPECIES_BLACK_HOLE = 2u;
+const SPECIES_TEST = 3u;
+
+// Must match COLOR_QUANTITIES in color-mapping.js
+const QUANTITY_SPECIES = 4u;
+
+// Must match SIZING_MODES in sprite-sizing.js
+const SIZING_WORLD = 0u;
+const SIZING_PIXEL = 1u;
+
+// World radius of a unit-mass star, the size the attenuated mode's pixelSize refers to
+const BASE_SIZE = 0.5;
+
+// Drawn radii in pixels between which sprites go from a flat square to a disc
+const FLAT_PIXELS = 1.0;
+const DISC_PIXELS = 2.0;
+
 @group(0) @binding(0) var<storage, read> particles: array<Particle>;
 @group(0) @binding(1) var<uniform> uniforms: Uniforms;
+@group(0) @binding(2) var<storage, read> colorData: ColorData;
+@group(0) @binding(3) var<uniform> colorMap: ColorMap;
+// Particle index per slot, farthest first; written by depth-sort.wgsl or the CPU (vs_sorted only)
+@group(0) @binding(4) var<storage, read> order: array<u32>;
 
 // Quad vertices in local space
 var<private> QUAD_VERTICES: array<vec2<f32>, 6> = array<vec2<f32>, 6>(
@@ -34,6 +87,26 @@ var<private> QUAD_VERTICES: array<vec2<f32>, 6> = array<vec2<f32>, 6>(
     vec2<f32>(-1.0,  1.0)  // Top left
 );
 
+// Colour indices 1..8; index 0 follows the colour mapping
+var<private> PALETTE: array<vec3<f32>, 8> = array<vec3<f32>, 8>(
+    vec3<f32>(1.0, 1.0, 1.0),  // 1 white
+    vec3<f32>(1.0, 0.3, 0.3),  // 2 red
+    vec3<f32>(1.0, 0.6, 0.2),  // 3 orange
+    vec3<f32>(1.0, 0.9, 0.3),  // 4 yellow
+    vec3<f32>(0.3, 1.0, 0.4),  // 5 green
+    vec3<f32>(0.3, 0.9, 1.0),  // 6 cyan
+    vec3<f32>(0.3, 0.4, 1.0),  // 7 blue
+    vec3<f32>(1.0, 0.4, 1.0)   // 8 magenta
+);
+
+// Colours of the species quantity, sRGB; must match SPECIES_COLORS in color-mapping.js
+var<private> SPECIES_COLORS: array<vec3<f32>, 4> = array<vec3<f32>, 4>(
+    vec3<f32>(1.0, 0.85, 0.6),  // star
+    vec3<f32>(0.35, 0.25, 0.6), // dark matter
+    vec3<f32>(1.0, 0.55, 0.15), // black hole
+    vec3<f32>(0.7, 0.7, 0.7)    // test particle
+);
+
 var<private> QUAD_UVS: array<vec2<f32>, 6> = array<vec2<f32>, 6>(
     vec2<f32>(0.0, 0.0), // Bottom left
     vec2<f32>(1.0, 0.0), // Bottom right
@@ -43,41 +116,117 @@ var<private> QUAD_UVS: array<vec2<f32>, 6> = array<vec2<f32>, 6>(
     vec2<f32>(0.0, 1.0)  // Top left
 );
 
+// Inverse of orderedBits in color-values.wgsl
+fn fromOrderedBits(ordered: u32) -> f32 {
+    return bitcast<f32>(select(~ordered, ordered & 0x7fffffffu, (ordered & 0x80000000u) != 0u));
+}
+
+fn srgbToLinear(color: vec3<f32>) -> vec3<f32> {
+    let low = color / 12.92;
+    let high = pow((color + 0.055) / 1.055, vec3<f32>(2.4));
+    return select(high, low, color <= vec3<f32>(0.04045));
+}
+
+// The particle's value through the colormap over the auto or fixed range, in linear light
+fn mappedColor(particleIndex: u32, species: u32) -> vec3<f32> {
+    if (colorMap.quantity == QUANTITY_SPECIES) {
+        return srgbToLinear(SPECIES_COLORS[min(species, 3u)]);
+    }
+
+    var minimum = colorMap.minimum;
+    var maximum = colorMap.maximum;
+    if (colorMap.autoRange != 0u) {
+        minimum = fromOrderedBits(colorData.minimum);
+        maximum = fromOrderedBits(colorData.maximum);
+    }
+    // An empty range puts everything in the middle of the ramp
+    var t = 0.5;
+    if (maximum > minimum) {
+        t = clamp((colorData.values[particleIndex] - minimum) / (maximum - minimum), 0.0, 1.0);
+    }
+
+    var color = vec3<f32>(0.0);
+    for (var k = 6; k >= 0; k--) {
+        color = color * t + colorMap.coefficients[k].rgb;
+    }
+    return srgbToLinear(clamp(color, vec3<f32>(0.0), vec3<f32>(1.0)));
+}
+
 @vertex
 fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
-    let particleIndex = vertexIndex / 6u;
-    let quadVertexIndex = vertexIndex % 6u;
-    
+    return particleVertex(vertexIndex / 6u, vertexIndex % 6u);
+}
+
+@vertex
+fn vs_sorted(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+    return particleVertex(order[vertexIndex / 6u], vertexIndex % 6u);
+}
+
+fn particleVertex(particleIndex: u32, quadVertexIndex: u32) -> VertexOutput {
     let particle = particles[particleIndex];
     let quadVertex = QUAD_VERTICES[quadVertexIndex];
     let uv = QUAD_UVS[quadVertexIndex];
-    
-    // Calculate particle size based on mass
-    let baseSize = 0.5; // Base size in world units
-    let size = baseSize * particle.mass;
-    
-    // Create billboard quad that always faces camera
-    // Extract right and up vectors from the view matrix (camera space axes)
-    let rightVector = vec3<f32>(uniforms.viewMatrix[0][0], uniforms.viewMatrix[1][0], uniforms.viewMatrix[2][0]);
-    let upVector = vec3<f32>(uniforms.viewMatrix[0][1], uniforms.viewMatrix[1][1], uniforms.viewMatrix[2][1]);
-    
-    // Create the billboard quad using camera-aligned axes
-    let offset = rightVector * (quadVertex.x * size) + upVector * (quadVertex.y * size);
-    let worldPos = particle.position + offset;
-    
+
+    let species = particle.attributes & 0xffu;
+    let colorIndex = (particle.attributes >> 8u) & 0xffu;
+    let radius = f32(particle.attributes >> 16u) / 256.0;
+
     var output: VertexOutput;
-    output.position = uniforms.viewProjectionMatrix * vec4<f32>(worldPos, 1.0);
+
+    // Hidden species collapse to a degenerate quad outside the clip volume
+    if (((uniforms.hiddenSpecies >> species) & 1u) != 0u) {
+        output.position = vec4<f32>(2.0, 2.0, 2.0, 1.0);
+        output.color = vec3<f32>(0.0);
+        output.uv = uv;
+        output.brightness = 0.0;
+        output.flatness = 0.0;
+        output.depth = 1.0;
+        return output;
+    }
     
-    // Color particles based on velocity magnitude
-    let speed = length(particle.velocity);
-    let normalizedSpeed = clamp(speed / 10.0, 0.0, 1.0);
+    // Particle size: the radius attribute if set, otherwise from the mass (fixed for black holes and test particles)
+    var size = BASE_SIZE * particle.mass;
+    if (radius > 0.0) {
+        size = radius;
+    } else if (species == SPECIES_BLACK_HOLE) {
+        size = 2.0;
+    } else if (species == SPECIES_TEST) {
+        size = 0.25;
+    }
+    
+    let center = uniforms.viewProjectionMatrix * vec4<f32>(particle.position, 1.0);
+    // Distance along the view axis; bodies behind the camera are clipped anyway
+    let depth = max(center.w, 1e-6);
+
+    // Radius in pixels the body has in the sizing mode, then as drawn
+    var pixels: f32;
+    if (uniforms.sizingMode == SIZING_WORLD) {
+        pixels = size * uniforms.pixelsPerUnit / depth;
+    } else if (uniforms.sizingMode == SIZING_PIXEL) {
+        pixels = uniforms.pixelSize;
+    } else {
+        // pixelSize for a unit-mass star at the camera target, shrinking with distance
+        pixels = uniforms.pixelSize * (size / BASE_SIZE) * uniforms.referenceDistance / depth;
+    }
+    let drawnPixels = clamp(pixels, uniforms.minPixels, uniforms.maxPixels);
+
+    // Sprites enlarged to the minimum spread the same light over more pixels, so distant
+    // clouds keep their total brightness; shrinking to the maximum doesn't brighten them
+    output.brightness = min(pixels * pixels / (drawnPixels * drawnPixels), 1.0);
+    output.flatness = clamp((DISC_PIXELS - drawnPixels) / (DISC_PIXELS - FLAT_PIXELS), 0.0, 1.0);
+
+    // Camera-facing quad, offset in clip space so that it spans drawnPixels on either side
+    let viewport = vec2<f32>(uniforms.viewportWidth, uniforms.viewportHeight);
+    let offset = quadVertex * drawnPixels * 2.0 / viewport * center.w;
+    output.position = center + vec4<f32>(offset, 0.0, 0.0);
+    output.depth = depth / max(uniforms.referenceDistance, 1e-6);
     
-    // Color gradient from blue (slow) to red (fast)
-    output.color = vec3<f32>(
-        normalizedSpeed,                      // Red component
-        0.3 + 0.7 * (1.0 - normalizedSpeed), // Green component  
-        1.0 - normalizedSpeed                 // Blue component
-    );
+    // An explicit colour index wins over the colour mapping
+    if (colorIndex > 0u) {
+        output.color = PALETTE[min(colorIndex, 8u) - 1u];
+    } else {
+        output.color = mappedColor(particleIndex, species);
+    }
     
     output.uv = uv;
     
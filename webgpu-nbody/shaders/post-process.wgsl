@@ -0,0 +1,113 @@
+// Bloom and tone mapping of the HDR scene (see post-processing.js)
+// The bloom chain downsamples the bright parts of the scene into successively halved textures,
+// then upsamples back up adding every level in; the composite adds the bloom to the scene,
+// applies the exposure and tone mapping operator and encodes the result for the swapchain
+
+struct PostParams {
+    exposure: f32,
+    bloomStrength: f32,
+    threshold: f32, // brightness (largest channel) where the bloom starts
+    knee: f32, // width of the soft transition around the threshold
+    toneMapper: u32, // id in TONE_MAPPERS
+}
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>,
+}
+
+// Must match TONE_MAPPERS in post-processing.js
+const TONE_MAPPER_REINHARD = 0u;
+const TONE_MAPPER_ACES = 1u;
+
+@group(0) @binding(0) var linearSampler: sampler;
+@group(0) @binding(1) var source: texture_2d<f32>;
+@group(0) @binding(2) var<uniform> params: PostParams;
+@group(0) @binding(3) var bloom: texture_2d<f32>; // composite only
+
+// One triangle covering the screen
+@vertex
+fn vs_fullscreen(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+    let corner = vec2<f32>(f32((vertexIndex << 1u) & 2u), f32(vertexIndex & 2u));
+    var output: VertexOutput;
+    output.position = vec4<f32>(corner * 2.0 - 1.0, 0.0, 1.0);
+    output.uv = vec2<f32>(corner.x, 1.0 - corner.y);
+    return output;
+}
+
+// Average of a 4x4 texel block around uv, in four bilinear taps
+fn downsample(uv: vec2<f32>) -> vec3<f32> {
+    let texel = 1.0 / vec2<f32>(textureDimensions(source));
+    let sum = textureSample(source, linearSampler, uv + texel * vec2<f32>(-1.0, -1.0)).rgb
+        + textureSample(source, linearSampler, uv + texel * vec2<f32>(1.0, -1.0)).rgb
+        + textureSample(source, linearSampler, uv + texel * vec2<f32>(-1.0, 1.0)).rgb
+        + textureSample(source, linearSampler, uv + texel * vec2<f32>(1.0, 1.0)).rgb;
+    return sum * 0.25;
+}
+
+// 3x3 tent filter, for upsampling without blocky artefacts
+fn tent(image: texture_2d<f32>, uv: vec2<f32>) -> vec3<f32> {
+    let texel = 1.0 / vec2<f32>(textureDimensions(image));
+    var sum = textureSample(image, linearSampler, uv).rgb * 4.0;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(-1.0, 0.0)).rgb * 2.0;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(1.0, 0.0)).rgb * 2.0;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(0.0, -1.0)).rgb * 2.0;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(0.0, 1.0)).rgb * 2.0;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(-1.0, -1.0)).rgb;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(1.0, -1.0)).rgb;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(-1.0, 1.0)).rgb;
+    sum += textureSample(image, linearSampler, uv + texel * vec2<f32>(1.0, 1.0)).rgb;
+    return sum / 16.0;
+}
+
+// First level of the chain: the scene at half resolution, keeping only what is above the
+// threshold, with a quadratic knee so the bloom fades in instead of switching on
+@fragment
+fn fs_prefilter(input: VertexOutput) -> @location(0) vec4<f32> {
+    let color = downsample(input.uv);
+    let brightness = max(color.r, max(color.g, color.b));
+    let soft = clamp(brightness - params.threshold + params.knee, 0.0, 2.0 * params.knee);
+    let contribution = max(soft * soft / (4.0 * params.knee + 1e-5), brightness - params.threshold);
+    return vec4<f32>(color * contribution / max(brightness, 1e-5), 1.0);
+}
+
+@fragment
+fn fs_downsample(input: VertexOutput) -> @location(0) vec4<f32> {
+    return vec4<f32>(downsample(input.uv), 1.0);
+}
+
+// Added onto the next larger level by the pipeline's blending
+@fragment
+fn fs_upsample(input: VertexOutput) -> @location(0) vec4<f32> {
+    return vec4<f32>(tent(source, input.uv), 1.0);
+}
+
+fn reinhard(color: vec3<f32>) -> vec3<f32> {
+    return color / (1.0 + color);
+}
+
+// Narkowicz's fit of the ACES filmic curve
+fn aces(color: vec3<f32>) -> vec3<f32> {
+    return clamp((color * (2.51 * color + 0.03)) / (color * (2.43 * color + 0.59) + 0.14), vec3<f32>(0.0), vec3<f32>(1.0));
+}
+
+// The swapchain format is not sRGB, so the encoding is done here
+fn linearToSrgb(color: vec3<f32>) -> vec3<f32> {
+    let low = color * 12.92;
+    let high = 1.055 * pow(color, vec3<f32>(1.0 / 2.4)) - 0.055;
+    return select(high, low, color <= vec3<f32>(0.0031308));
+}
+
+@fragment
+fn fs_composite(input: VertexOutput) -> @location(0) vec4<f32> {
+    let scene = textureSample(source, linearSampler, input.uv).rgb;
+    let color = (scene + tent(bloom, input.uv) * params.bloomStrength) * params.exposure;
+
+    var mapped: vec3<f32>;
+    if (params.toneMapper == TONE_MAPPER_ACES) {
+        mapped = aces(color);
+    } else {
+        mapped = reinhard(color);
+    }
+    return vec4<f32>(linearToSrgb(mapped), 1.0);
+}
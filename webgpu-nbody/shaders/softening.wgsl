@@ -0,0 +1,53 @@
+// Gravitational softening kernels, the GPU copy of softening.js
+// Prepended to the force shaders by main.js; a = G * m * accelerationFactor(r^2) * r and
+// phi = -G * m * potentialFactor(r^2). Keep every constant identical to softening.js.
+
+// Must match SOFTENING_KERNELS and SPLINE_SUPPORT in softening.js
+const SOFTENING_PLUMMER = 1u;
+const SOFTENING_SPLINE = 2u;
+const SPLINE_SUPPORT = 2.8;
+
+// 1 / r^3, softened
+fn accelerationFactor(distanceSquared: f32, kernel: u32, length: f32) -> f32 {
+    if (kernel == SOFTENING_PLUMMER) {
+        let softened = distanceSquared + length * length;
+        return 1.0 / (softened * sqrt(softened));
+    }
+
+    if (kernel == SOFTENING_SPLINE) {
+        let h = SPLINE_SUPPORT * length;
+        let r = sqrt(distanceSquared);
+        if (r < h) {
+            let u = r / h;
+            let inverseCube = 1.0 / (h * h * h);
+            if (u < 0.5) {
+                return inverseCube * (10.666666666667 + u * u * (32.0 * u - 38.4));
+            }
+            return inverseCube * (21.333333333333 - 48.0 * u + 38.4 * u * u - 10.666666666667 * u * u * u - 0.066666666667 / (u * u * u));
+        }
+    }
+
+    // Newtonian; coincident bodies exert no force rather than an infinite one
+    return select(0.0, 1.0 / (distanceSquared * sqrt(distanceSquared)), distanceSquared > 0.0);
+}
+
+// 1 / r, softened
+fn potentialFactor(distanceSquared: f32, kernel: u32, length: f32) -> f32 {
+    if (kernel == SOFTENING_PLUMMER) {
+        return 1.0 / sqrt(distanceSquared + length * length);
+    }
+
+    if (kernel == SOFTENING_SPLINE) {
+        let h = SPLINE_SUPPORT * length;
+        let r = sqrt(distanceSquared);
+        if (r < h) {
+            let u = r / h;
+            if (u < 0.5) {
+                return -(-2.8 + u * u * (5.333333333333 + u * u * (6.4 * u - 9.6))) / h;
+            }
+            return -(-3.2 + 0.066666666667 / u + u * u * (10.666666666667 + u * (-16.0 + u * (9.6 - 2.133333333333 * u)))) / h;
+        }
+    }
+
+    return select(0.0, 1.0 / sqrt(distanceSquared), distanceSquared > 0.0);
+}
@@ -0,0 +1,77 @@
+// Adaptive timestep compute shader
+// One workgroup finds the largest acceleration, turns it into the global step
+// dt = eta * sqrt(eps / |a|) (see timestepping.js) and advances the simulation clock by it.
+// The host copies deltaTime into SimParams before the integrator runs, so no readback is needed.
+
+struct SimParams {
+    particleCount: u32,
+    deltaTime: f32,
+    gravityStrength: f32,
+    damping: f32,
+    boundaryMode: u32,  // BOUNDARY_MODES id in boundaries.js
+    boundarySize: f32,  // half-width of the box, radius of the absorbing sphere
+    restitution: f32,
+    softeningKernel: u32, // SOFTENING_KERNELS id in softening.js
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
+}
+
+struct TimestepParams {
+    accuracy: f32,     // eta
+    maxTimestep: f32,
+    minTimestep: f32,  // maxTimestep / 2^levels
+    _padding: f32,
+}
+
+struct TimeState {
+    deltaTime: f32,    // the step about to be taken
+    simTime: f32,      // compensated (Kahan) sum of every step so far
+    compensation: f32,
+    _padding: f32,
+}
+
+const WORKGROUP_SIZE = 256u;
+
+@group(0) @binding(0) var<storage, read> accelerations: array<vec4<f32>>;
+@group(0) @binding(1) var<storage, read_write> timeState: TimeState;
+@group(0) @binding(2) var<uniform> params: SimParams;
+@group(0) @binding(3) var<uniform> timestepParams: TimestepParams;
+
+var<workgroup> maxima: array<f32, WORKGROUP_SIZE>;
+
+@compute @workgroup_size(256)
+fn chooseTimestep(@builtin(local_invocation_index) local_index: u32) {
+    var largest = 0.0;
+    for (var i = local_index; i < params.particleCount; i += WORKGROUP_SIZE) {
+        let a = accelerations[i].xyz;
+        largest = max(largest, dot(a, a));
+    }
+    maxima[local_index] = largest;
+    workgroupBarrier();
+
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride /= 2u) {
+        if (local_index < stride) {
+            maxima[local_index] = max(maxima[local_index], maxima[local_index + stride]);
+        }
+        workgroupBarrier();
+    }
+
+    if (local_index != 0u) {
+        return;
+    }
+
+    var dt = timestepParams.maxTimestep;
+    if (maxima[0] > 0.0) {
+        dt = timestepParams.accuracy * sqrt(params.softeningLength / sqrt(maxima[0]));
+    }
+    dt = clamp(dt, timestepParams.minTimestep, timestepParams.maxTimestep);
+
+    // Kahan summation keeps the clock accurate over many small f32 steps
+    let y = dt - timeState.compensation;
+    let t = timeState.simTime + y;
+    timeState.compensation = (t - timeState.simTime) - y;
+    timeState.simTime = t;
+    timeState.deltaTime = dt;
+}
@@ -0,0 +1,95 @@
+// Motion trail sampling (see trails.js)
+// After every step advanceTrails moves the ring's head and recordTrails copies the position of every
+// trailed particle into that slot. remapTrails follows the collision compaction, so a trail stays
+// with its body when the survivors move down; a trail whose body is gone records empty points.
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32,
+}
+
+struct SimParams {
+    particleCount: u32,
+    deltaTime: f32,
+    gravityStrength: f32,
+    damping: f32,
+    boundaryMode: u32,
+    boundarySize: f32,
+    restitution: f32,
+    softeningKernel: u32,
+    softeningLength: f32,
+    _padding0: f32,
+    _padding1: f32,
+    _padding2: f32,
+}
+
+struct TrailParams {
+    trailCount: u32,
+    length: u32, // slots in the ring
+    maxSegment: f32, // longer segments are a periodic wrap and aren't drawn; 0 = no limit
+    _padding0: f32,
+}
+
+struct TrailState {
+    head: u32, // slot of the newest sample
+    filled: u32, // samples taken so far, up to length
+}
+
+// Trail of a body that is gone; must match NO_TRAIL in trails.js and NO_PARTNER in collisions.wgsl
+const NO_TRAIL = 0xffffffffu;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read_write> trailIndices: array<u32>;
+@group(0) @binding(2) var<storage, read_write> trailPoints: array<vec4<f32>>; // slot-major, w = 0 where the body is gone
+@group(0) @binding(3) var<uniform> params: TrailParams;
+@group(0) @binding(4) var<uniform> simParams: SimParams;
+@group(0) @binding(5) var<storage, read_write> state: TrailState;
+// Each body's slot after the compaction, or NO_PARTNER, as scatter in collisions.wgsl leaves it
+@group(0) @binding(6) var<storage, read> partners: array<u32>;
+
+// One thread, before every recordTrails
+@compute @workgroup_size(1)
+fn advanceTrails() {
+    state.head = (state.head + 1u) % params.length;
+    state.filled = min(state.filled + 1u, params.length);
+}
+
+// Must match RECORD_WORKGROUP_SIZE in trails.js
+@compute @workgroup_size(64)
+fn recordTrails(@builtin(global_invocation_id) id: vec3<u32>) {
+    let trail = id.x;
+    if (trail >= params.trailCount) {
+        return;
+    }
+
+    // A selection made from an older count (after a rewind) can name bodies past the live ones
+    var index = trailIndices[trail];
+    if (index != NO_TRAIL && index >= simParams.particleCount) {
+        index = NO_TRAIL;
+        trailIndices[trail] = NO_TRAIL;
+    }
+
+    var point = vec4<f32>(0.0);
+    if (index != NO_TRAIL) {
+        point = vec4<f32>(particles[index].position, 1.0);
+    }
+    trailPoints[state.head * params.trailCount + trail] = point;
+}
+
+// Run with the compaction's particle count, before it replaces simParams.particleCount
+@compute @workgroup_size(64)
+fn remapTrails(@builtin(global_invocation_id) id: vec3<u32>) {
+    let trail = id.x;
+    if (trail >= params.trailCount) {
+        return;
+    }
+
+    let index = trailIndices[trail];
+    if (index < simParams.particleCount) {
+        trailIndices[trail] = partners[index];
+    } else {
+        trailIndices[trail] = NO_TRAIL;
+    }
+}
@@ -0,0 +1,95 @@
+// Motion trail rendering (see trails.js)
+// Each trail is drawn as length - 1 line segments between consecutive samples, fading with age
+
+struct Particle {
+    position: vec3<f32>,
+    mass: f32,
+    velocity: vec3<f32>,
+    attributes: u32,
+}
+
+struct Uniforms {
+    viewProjectionMatrix: mat4x4<f32>,
+    viewMatrix: mat4x4<f32>,
+    cameraPosition: vec3<f32>,
+    time: f32,
+    hiddenSpecies: u32, // one bit per species
+}
+
+struct TrailParams {
+    trailCount: u32,
+    length: u32, // slots in the ring
+    maxSegment: f32, // longer segments are a periodic wrap and aren't drawn; 0 = no limit
+    _padding0: f32,
+}
+
+struct TrailState {
+    head: u32, // slot of the newest sample
+    filled: u32, // samples taken so far, up to length
+}
+
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) alpha: f32,
+}
+
+const TRAIL_COLOR = vec3<f32>(0.55, 0.75, 1.0);
+const TRAIL_OPACITY = 0.6;
+// Trail of a body that is gone; must match NO_TRAIL in trails.js
+const NO_TRAIL = 0xffffffffu;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read> trailIndices: array<u32>;
+@group(0) @binding(2) var<storage, read> trailPoints: array<vec4<f32>>; // slot-major, w = 0 where the body is gone
+@group(0) @binding(3) var<uniform> params: TrailParams;
+@group(0) @binding(4) var<uniform> uniforms: Uniforms;
+@group(0) @binding(5) var<storage, read> state: TrailState;
+
+// Point of a trail taken age samples ago
+fn trailPoint(trail: u32, age: u32) -> vec4<f32> {
+    let slot = (state.head + params.length - age) % params.length;
+    return trailPoints[slot * params.trailCount + trail];
+}
+
+// Two vertices per segment, trail after trail; segment k of a trail joins the samples k and k + 1 old
+@vertex
+fn vs_trail(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
+    let segments = params.length - 1u;
+    let segment = vertexIndex / 2u;
+    let trail = segment / segments;
+    let age = segment % segments;
+    let end = vertexIndex & 1u;
+
+    // Segments not drawn collapse outside the clip volume
+    var output: VertexOutput;
+    output.position = vec4<f32>(2.0, 2.0, 2.0, 1.0);
+    output.alpha = 0.0;
+
+    if (age + 1u >= state.filled) {
+        return output;
+    }
+
+    // Hidden species lose their trails; the trail of a body that is gone ages out
+    let index = trailIndices[trail];
+    if (index != NO_TRAIL && ((uniforms.hiddenSpecies >> (particles[index].attributes & 0xffu)) & 1u) != 0u) {
+        return output;
+    }
+
+    let newer = trailPoint(trail, age);
+    let older = trailPoint(trail, age + 1u);
+    if (newer.w == 0.0 || older.w == 0.0) {
+        return output;
+    }
+    if (params.maxSegment > 0.0 && distance(newer.xyz, older.xyz) > params.maxSegment) {
+        return output;
+    }
+
+    output.position = uniforms.viewProjectionMatrix * vec4<f32>(select(newer.xyz, older.xyz, end == 1u), 1.0);
+    output.alpha = 1.0 - f32(age + end) / f32(params.length);
+    return output;
+}
+
+@fragment
+fn fs_trail(input: VertexOutput) -> @location(0) vec4<f32> {
+    return vec4<f32>(TRAIL_COLOR, input.alpha * TRAIL_OPACITY);
+}
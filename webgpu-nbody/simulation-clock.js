@@ -0,0 +1,158 @@
+// Simulation clock shared by the GPU (main.js) and CPU (main-stable.js) simulations
+// A fixed-timestep accumulator that runs timeScale simulated seconds per real second whatever the
+// refresh rate, with pause and single steps, plus a ring buffer of recent states to scrub back through.
+
+export const DEFAULT_MAX_SUBSTEPS = 8;
+export const DEFAULT_REWIND_CAPACITY = 300; // recorded steps
+export const REWIND_MEMORY_BUDGET = 64 * 1024 * 1024; // bytes; large particle counts keep fewer steps
+
+// Frames further apart than this (a background tab, a breakpoint) are not caught up on
+const MAX_FRAME_TIME = 0.1;
+
+// Ring buffer of the states after the most recent steps. What a frame holds is up to the
+// simulation: the CPU path keeps packed particles, the GPU path a slot in a GPU buffer.
+// offset counts steps back from the newest frame while scrubbing; 0 is the live state.
+export class RewindBuffer {
+    constructor(capacity = DEFAULT_REWIND_CAPACITY) {
+        this.capacity = capacity;
+        this.frames = [];
+        this.clear();
+    }
+
+    clear() {
+        this.start = 0;
+        this.size = 0;
+        this.offset = 0;
+    }
+
+    resize(capacity) {
+        this.capacity = capacity;
+        this.frames = [];
+        this.clear();
+    }
+
+    // Record the state after a step. capture(recycled) fills in the frame, reusing the storage
+    // of the oldest frame (or null) once the buffer is full, and returns it with its slot index.
+    record(capture) {
+        const slot = (this.start + this.size) % this.capacity;
+        if (this.size === this.capacity) {
+            this.start = (this.start + 1) % this.capacity;
+        } else {
+            this.size++;
+        }
+        this.frames[slot] = capture(this.frames[slot] ?? null, slot);
+    }
+
+    // Stepping on from a rewound state forks history: the frames after it are gone
+    discardFuture() {
+        this.size -= this.offset;
+        this.offset = 0;
+    }
+
+    // Move offset by delta (negative is back in time); returns the frame to show, or null if it didn't move
+    seek(delta) {
+        const offset = Math.min(Math.max(this.offset - delta, 0), Math.max(this.size - 1, 0));
+        if (offset === this.offset) return null;
+        this.offset = offset;
+        return this.frames[(this.start + this.size - 1 - offset) % this.capacity];
+    }
+}
+
+// Steps whose frames fit in the memory budget
+export function rewindCapacity(frameBytes) {
+    return Math.max(1, Math.min(DEFAULT_REWIND_CAPACITY, Math.floor(REWIND_MEMORY_BUDGET / Math.max(frameBytes, 1))));
+}
+
+// Every frame owes timeScale times the real time since the previous one, paid off in whole steps.
+// What doesn't fit carries over to the next frame, unless maxSubsteps ran out, in which case the
+// backlog is dropped and the simulation runs slower than real time instead of falling further behind.
+// While paused no time accrues and only the steps queued by stepOnce are taken.
+export class SimulationClock {
+    constructor(maxSubsteps = DEFAULT_MAX_SUBSTEPS) {
+        this.maxSubsteps = maxSubsteps;
+        this.lastTime = null;
+        this.pending = 0; // simulated time owed
+        this.steps = 0;   // taken this frame
+        this.stepsLastFrame = 0;
+        this.paused = false;
+        this.queuedSteps = 0; // single steps requested while paused
+        this.history = new RewindBuffer();
+    }
+
+    beginFrame(now, timeScale) {
+        const elapsed = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, MAX_FRAME_TIME);
+        this.lastTime = now;
+        if (!this.paused) {
+            this.pending += elapsed * timeScale;
+        }
+        this.steps = 0;
+    }
+
+    // True if a step of dt is due; the caller then takes it and records the result
+    take(dt) {
+        if (this.steps >= this.maxSubsteps) return false;
+
+        if (this.paused) {
+            if (this.queuedSteps === 0) return false;
+            this.queuedSteps--;
+        } else {
+            if (this.pending < dt) return false;
+            this.pending -= dt;
+        }
+
+        this.history.discardFuture();
+        this.steps++;
+        return true;
+    }
+
+    endFrame() {
+        if (this.steps >= this.maxSubsteps) {
+            this.pending = 0;
+        }
+        this.stepsLastFrame = this.steps;
+    }
+
+    pause() {
+        this.paused = true;
+        this.pending = 0;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    // Pause and take one step on the next frame
+    stepOnce() {
+        this.pause();
+        this.queuedSteps++;
+    }
+
+    // Steps back from the live state while scrubbing
+    get rewindOffset() { return this.history.offset; }
+
+    // Pause and move through the recorded states; returns the frame to restore, or null
+    seek(delta) {
+        this.pause();
+        return this.history.seek(delta);
+    }
+
+    // Forget the time owed and the recorded states, e.g. after a reset
+    reset(frameBytes = null) {
+        this.pending = 0;
+        this.lastTime = null;
+        this.queuedSteps = 0;
+        if (frameBytes === null) {
+            this.history.clear();
+        } else {
+            this.history.resize(rewindCapacity(frameBytes));
+        }
+    }
+}
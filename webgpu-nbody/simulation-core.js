@@ -0,0 +1,595 @@
+// Environment-agnostic CPU physics for the N-Body simulation
+// No DOM, WebGPU or timers, so the same code runs in the browser (main-stable.js) and under Node (cli/simulate.js)
+
+import { BarnesHutTree, FLOATS_PER_BODY, computeDirectAcceleration, computeDirectAccelerations, computeDirectPotentialEnergy, compareWithDirectSum } from './force-solvers.js';
+import { DEFAULT_INTEGRATOR, SCRATCH_FLOATS_PER_PARTICLE, integrateStep } from './integrators.js';
+import { DiagnosticsHistory, createSample, sumParticleQuantities } from './diagnostics.js';
+import { FLOATS_PER_PARTICLE, generateScenario } from './initial-conditions.js';
+import { createRandom } from './random.js';
+import { ATTRIBUTES_OFFSET, attributeWords, gravitatingMass, speciesOf } from './particle-attributes.js';
+import { COLOR_QUANTITIES, MIN_LOG_VALUE } from './color-mapping.js';
+import { DEFAULT_COLLISION_DENSITY, DEFAULT_COLLISION_MODE, resolveCollisions } from './collisions.js';
+import { DEFAULT_SOFTENING_KERNEL, DEFAULT_SOFTENING_LENGTH } from './softening.js';
+import { DEFAULT_BOUNDARY_MODE, DEFAULT_BOUNDARY_SIZE, DEFAULT_RESTITUTION, applyBoundary, periodOf } from './boundaries.js';
+import {
+    DEFAULT_MAX_TIMESTEP, DEFAULT_TIMESTEP_ACCURACY, DEFAULT_TIMESTEP_LEVELS, DEFAULT_TIMESTEP_MODE,
+    globalTimestep, timestepCriterion, timestepLevel,
+} from './timestepping.js';
+
+// 'wasm-simd' is direct summation in WebAssembly (wasm-forces.js); it needs a loaded wasmKernel
+export const FORCE_SOLVERS = ['direct', 'barnes-hut', 'wasm-simd'];
+
+// Physics parameters with a setter each (gravityStrength -> setGravityStrength), for hosts that
+// keep a copy of them, like the CPU simulation's main thread (main-stable.js)
+export const SYSTEM_SETTINGS = [
+    'gravityStrength', 'damping', 'integrator', 'forceSolver', 'theta', 'softeningKernel', 'softeningLength',
+    'collisionMode', 'collisionDensity', 'boundaryMode', 'boundarySize', 'restitution',
+    'timestepMode', 'maxTimestep', 'timestepAccuracy', 'timestepLevels',
+];
+
+export function settingSetter(name) {
+    return `set${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+export class NBodySystem {
+    constructor({
+        gravityStrength = 1.0,
+        damping = 0.999,
+        integrator = DEFAULT_INTEGRATOR,
+        forceSolver = 'direct',
+        theta = 0.5,
+        softeningKernel = DEFAULT_SOFTENING_KERNEL,
+        softeningLength = DEFAULT_SOFTENING_LENGTH,
+        collisionMode = DEFAULT_COLLISION_MODE,
+        collisionDensity = DEFAULT_COLLISION_DENSITY,
+        boundaryMode = DEFAULT_BOUNDARY_MODE,
+        boundarySize = DEFAULT_BOUNDARY_SIZE,
+        restitution = DEFAULT_RESTITUTION,
+        timestepMode = DEFAULT_TIMESTEP_MODE,
+        maxTimestep = DEFAULT_MAX_TIMESTEP,
+        timestepAccuracy = DEFAULT_TIMESTEP_ACCURACY,
+        timestepLevels = DEFAULT_TIMESTEP_LEVELS,
+        diagnosticsInterval = 10,
+        diagnosticsCapacity = 600,
+    } = {}) {
+        // Physics parameters
+        this.gravityStrength = gravityStrength;
+        this.damping = damping;
+        this.integrator = integrator;
+        this.forceSolver = forceSolver; // one of FORCE_SOLVERS
+        this.theta = theta; // Barnes-Hut opening angle
+        this.tree = new BarnesHutTree();
+        this.forcePool = null; // optional ForceWorkerPool (force-pool.js) that splits the force sums across workers, see setForcePool
+        this.wasmKernel = null; // WasmForceKernel (wasm-forces.js) for 'wasm-simd'; direct summation in JS without one
+        this.softeningKernel = softeningKernel; // key of SOFTENING_KERNELS
+        this.softeningLength = softeningLength;
+        this.collisionMode = collisionMode; // key of COLLISION_MODES
+        this.collisionDensity = collisionDensity; // sets the radius of bodies without a radius attribute
+        this.mergeCount = 0;
+        this.boundaryMode = boundaryMode; // key of BOUNDARY_MODES
+        this.boundarySize = boundarySize; // half-width of the box, radius of the absorbing sphere
+        this.restitution = restitution;
+        this.escapeCount = 0; // bodies removed by an absorbing boundary
+
+        // Timestepping, see timestepping.js
+        this.timestepMode = timestepMode; // key of TIMESTEP_MODES
+        this.maxTimestep = maxTimestep;
+        this.timestepAccuracy = timestepAccuracy;
+        this.timestepLevels = timestepLevels;
+        this.timestep = maxTimestep; // size of the last step, the block step for block timesteps
+        this.finestTimestep = maxTimestep; // smallest step any particle took in the last step
+        this.levels = new Uint8Array(0); // block level per particle
+
+        // Particle state
+        this.particleCount = 0;
+        this.particles = [];
+        // Position and gravitating mass of particle i at i * FLOATS_PER_BODY; each particle's position
+        // is a view of its slot, so the force pool reads the particles where they are (see bindBodies)
+        this.bodies = new Float64Array(0);
+        this.bodiesShared = false; // in a SharedArrayBuffer, as the force pool needs
+        this.accelerations = new Float64Array(0);
+        this.scratch = new Float64Array(0);
+        this.accelerationsValid = false;
+
+        // Milliseconds spent in the force solvers and the diagnostics since the host last zeroed them
+        this.forceTime = 0;
+        this.diagnosticsTime = 0;
+
+        // Diagnostics, sampled every diagnosticsInterval steps (potential energy is O(N^2) for direct sum)
+        this.simTime = 0;
+        this.stepCount = 0;
+        this.diagnosticsInterval = diagnosticsInterval;
+        this.diagnosticsHistory = new DiagnosticsHistory(diagnosticsCapacity);
+    }
+
+    // Fresh particles from a named scenario
+    generate(scenario, count, params, seed) {
+        const data = generateScenario(scenario, count, params, {
+            gravityStrength: this.gravityStrength,
+            softeningKernel: this.softeningKernel,
+            softeningLength: this.softeningLength,
+            random: createRandom(seed),
+        });
+        this.loadParticles(data);
+    }
+
+    // Replace the particles with data laid out like the GPU Particle struct; restarts the clock
+    loadParticles(data, simTime = 0) {
+        this.unpackParticles(data);
+
+        this.simTime = simTime;
+        this.stepCount = 0;
+        this.mergeCount = 0;
+        this.escapeCount = 0;
+        this.diagnosticsHistory.reset();
+        this.sampleDiagnostics();
+    }
+
+    // origins are the particles' initial x for the 'origin' colour quantity; new particles start where they are
+    unpackParticles(data, origins = null) {
+        const words = attributeWords(data);
+        this.particleCount = data.length / FLOATS_PER_PARTICLE;
+        this.particles = [];
+        this.accelerationsValid = false;
+
+        for (let i = 0; i < this.particleCount; i++) {
+            const offset = i * FLOATS_PER_PARTICLE;
+            const attributes = words[offset + ATTRIBUTES_OFFSET];
+            this.particles.push({
+                position: [data[offset + 0], data[offset + 1], data[offset + 2]],
+                mass: data[offset + 3],
+                velocity: [data[offset + 4], data[offset + 5], data[offset + 6]],
+                attributes,
+                gravitatingMass: gravitatingMass(data[offset + 3], attributes),
+                origin: origins ? origins[i] : data[offset + 0],
+            });
+        }
+        this.bindBodies();
+    }
+
+    // Lay the particles out in this.bodies after they were replaced, removed or merged, growing it
+    // as needed. A particle whose position isn't the view of its slot yet is copied there; the
+    // survivors only ever move down, so compacting in place doesn't overwrite any still to be copied.
+    bindBodies() {
+        const size = this.particleCount * FLOATS_PER_BODY;
+        const shared = this.forcePool !== null;
+        if (this.bodies.length < size || this.bodiesShared !== shared) {
+            const length = Math.max(size, this.bodies.length * 2);
+            this.bodies = new Float64Array(shared ? new SharedArrayBuffer(length * 8) : new ArrayBuffer(length * 8));
+            this.bodiesShared = shared;
+        }
+
+        const bodies = this.bodies;
+        for (let i = 0; i < this.particleCount; i++) {
+            const particle = this.particles[i];
+            const offset = i * FLOATS_PER_BODY;
+            if (particle.position.buffer !== bodies.buffer || particle.position.byteOffset !== offset * 8) {
+                bodies.set(particle.position, offset);
+                particle.position = bodies.subarray(offset, offset + 3);
+            }
+            bodies[offset + 3] = particle.gravitatingMass;
+        }
+    }
+
+    // Split the force sums across a ForceWorkerPool, or stop with null; the bodies move to shared memory
+    setForcePool(pool) {
+        this.forcePool = pool;
+        this.bindBodies();
+    }
+
+    packParticles(particleData = new Float32Array(this.particleCount * FLOATS_PER_PARTICLE)) {
+        const words = attributeWords(particleData);
+
+        for (let i = 0; i < this.particleCount; i++) {
+            const offset = i * FLOATS_PER_PARTICLE;
+            const particle = this.particles[i];
+
+            particleData[offset + 0] = particle.position[0];
+            particleData[offset + 1] = particle.position[1];
+            particleData[offset + 2] = particle.position[2];
+            particleData[offset + 3] = particle.mass;
+            particleData[offset + 4] = particle.velocity[0];
+            particleData[offset + 5] = particle.velocity[1];
+            particleData[offset + 6] = particle.velocity[2];
+            words[offset + ATTRIBUTES_OFFSET] = particle.attributes;
+        }
+
+        return particleData;
+    }
+
+    // Everything a step changes, for rewinding (see SimulationClock); reuses the storage of
+    // a recycled frame when the particle count still matches
+    captureFrame(frame = null) {
+        const size = this.particleCount * FLOATS_PER_PARTICLE;
+        const particles = frame?.particles.length === size ? frame.particles : new Float32Array(size);
+        const origins = frame?.origins.length === this.particleCount ? frame.origins : new Float32Array(this.particleCount);
+        this.particles.forEach((particle, i) => { origins[i] = particle.origin; });
+        return {
+            particles: this.packParticles(particles),
+            origins,
+            simTime: this.simTime,
+            stepCount: this.stepCount,
+            mergeCount: this.mergeCount,
+            escapeCount: this.escapeCount,
+        };
+    }
+
+    // Back to a captured frame; the diagnostics recorded after it are dropped
+    restoreFrame(frame) {
+        this.unpackParticles(frame.particles, frame.origins);
+        this.simTime = frame.simTime;
+        this.stepCount = frame.stepCount;
+        this.mergeCount = frame.mergeCount;
+        this.escapeCount = frame.escapeCount;
+        this.diagnosticsHistory.truncate(frame.simTime);
+    }
+
+    // Softening and periodicity for the force solvers
+    get forceLaw() {
+        return {
+            kernel: this.softeningKernel,
+            softening: this.softeningLength,
+            period: periodOf(this.boundaryMode, this.boundarySize),
+        };
+    }
+
+    // The force solvers this system can run; 'wasm-simd' only with a kernel loaded
+    get forceSolvers() {
+        return FORCE_SOLVERS.filter((solver) => solver !== 'wasm-simd' || this.wasmKernel);
+    }
+
+    get usesWasmKernel() {
+        return this.forceSolver === 'wasm-simd' && this.wasmKernel !== null;
+    }
+
+    // Pack the particles into the kernel's memory and sum the accelerations there
+    computeWasmAccelerations(indices = null) {
+        this.packParticles(this.wasmKernel.particleData(this.particleCount));
+        this.wasmKernel.computeAccelerations(this.particleCount, this.gravityStrength, this.forceLaw, this.accelerations, indices);
+    }
+
+    computeAccelerations() {
+        const start = performance.now();
+        if (this.usesWasmKernel) {
+            this.computeWasmAccelerations();
+        } else if (this.forcePool?.accepts(this.particleCount)) {
+            this.forcePool.computeAccelerations(this.bodies, this.particleCount, this.forceSolver,
+                this.gravityStrength, this.theta, this.forceLaw, this.accelerations);
+        } else if (this.forceSolver === 'barnes-hut') {
+            this.tree.computeAccelerations(this.particles, this.particleCount, this.gravityStrength, this.theta, this.accelerations, this.forceLaw);
+        } else {
+            computeDirectAccelerations(this.particles, this.particleCount, this.gravityStrength, this.accelerations, this.forceLaw);
+        }
+        this.forceTime += performance.now() - start;
+    }
+
+    // A COLOR_QUANTITIES value per particle into out (log10 for log quantities), returning their
+    // range. Potentials and densities come from the tree whatever the force solver, since the
+    // colours only need them to a few percent.
+    computeColorValues(quantity, densityLength, out) {
+        const law = this.forceLaw;
+        if (quantity === 'potential' || quantity === 'density') {
+            this.tree.build(this.particles, this.particleCount);
+        }
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < this.particleCount; i++) {
+            const particle = this.particles[i];
+            let value;
+            if (quantity === 'speed') {
+                value = Math.hypot(...particle.velocity);
+            } else if (quantity === 'mass') {
+                value = particle.mass;
+            } else if (quantity === 'potential') {
+                value = this.tree.computePotential(i, this.gravityStrength, this.theta, law);
+            } else if (quantity === 'density') {
+                value = this.tree.computeDensity(i, this.theta, densityLength, law.period);
+            } else if (quantity === 'species') {
+                value = speciesOf(particle.attributes);
+            } else {
+                value = particle.origin;
+            }
+
+            if (COLOR_QUANTITIES[quantity].log) {
+                value = Math.log10(Math.max(value, MIN_LOG_VALUE));
+            }
+            out[i] = value;
+            min = Math.min(min, out[i]);
+            max = Math.max(max, out[i]);
+        }
+        return { min, max };
+    }
+
+    // Relative error of the Barnes-Hut forces at the current theta, or of the WebAssembly kernel's,
+    // against direct summation in JS
+    measureForceAccuracy(sampleSize = 256) {
+        if (this.usesWasmKernel) {
+            this.packParticles(this.wasmKernel.particleData(this.particleCount));
+            return this.wasmKernel.compareWithDirectSum(this.particles, this.particleCount, this.gravityStrength, sampleSize, this.forceLaw);
+        }
+        return compareWithDirectSum(this.particles, this.particleCount, this.gravityStrength, this.theta, sampleSize, this.forceLaw);
+    }
+
+    // Accelerations of the given particles only, against all of them
+    computeAccelerationsFor(indices) {
+        const start = performance.now();
+        const law = this.forceLaw;
+        if (this.usesWasmKernel) {
+            this.computeWasmAccelerations(indices);
+        } else if (this.forcePool?.accepts(indices.length)) {
+            this.forcePool.computeAccelerations(this.bodies, this.particleCount, this.forceSolver,
+                this.gravityStrength, this.theta, law, this.accelerations, indices);
+        } else if (this.forceSolver === 'barnes-hut') {
+            this.tree.build(this.particles, this.particleCount);
+            for (const i of indices) {
+                this.tree.computeAcceleration(i, this.gravityStrength, this.theta, this.accelerations, i * 3, law);
+            }
+        } else {
+            for (const i of indices) {
+                computeDirectAcceleration(this.particles, this.particleCount, i, this.gravityStrength, this.accelerations, i * 3, law);
+            }
+        }
+        this.forceTime += performance.now() - start;
+    }
+
+    // Size the per-particle arrays after the particle count changed
+    ensureCapacity() {
+        if (this.accelerations.length !== this.particleCount * 3) {
+            this.accelerations = new Float64Array(this.particleCount * 3);
+            this.scratch = new Float64Array(this.particleCount * SCRATCH_FLOATS_PER_PARTICLE);
+            this.levels = new Uint8Array(this.particleCount);
+            this.accelerationsValid = false;
+        }
+    }
+
+    ensureAccelerations() {
+        this.ensureCapacity();
+        if (!this.accelerationsValid) {
+            this.computeAccelerations();
+            this.accelerationsValid = true;
+        }
+    }
+
+    // Simulated time the next advance() will cover
+    nextTimestep() {
+        if (this.timestepMode !== 'adaptive') {
+            return this.maxTimestep;
+        }
+
+        this.ensureAccelerations();
+        return globalTimestep(this.accelerations, this.particleCount, {
+            softeningLength: this.softeningLength,
+            accuracy: this.timestepAccuracy,
+            maxTimestep: this.maxTimestep,
+            levels: this.timestepLevels,
+        });
+    }
+
+    // One step in the current timestep mode; returns the diagnostics sample if one was taken
+    advance() {
+        if (this.timestepMode === 'block') {
+            return this.blockStep();
+        }
+        return this.step(this.nextTimestep());
+    }
+
+    // Advance by dt with the selected integrator; returns the diagnostics sample if one was taken this step
+    step(dt) {
+        this.ensureCapacity();
+        integrateStep(this.integrator, this, dt);
+        this.timestep = dt;
+        this.finestTimestep = dt;
+        return this.finishStep(dt);
+    }
+
+    // Hierarchical block timesteps with leapfrog KDK. Each particle steps with maxTimestep / 2^level,
+    // its level set by the timestep criterion at the start of each of its own steps, so a tight
+    // binary is sub-stepped while everything else takes one step. Inactive particles keep drifting
+    // with their half-kicked velocity; only active ones get new forces. A particle may move to a
+    // coarser level only where that level's steps begin, so all are back in sync after maxTimestep.
+    blockStep() {
+        this.ensureAccelerations();
+
+        const count = this.particleCount;
+        const levels = this.levels;
+        const ticks = 2 ** this.timestepLevels; // finest steps per block step
+        const tick = this.maxTimestep / ticks;
+        const a = this.accelerations;
+
+        const wantedLevel = (i) => {
+            const accelerationSquared = a[i * 3] ** 2 + a[i * 3 + 1] ** 2 + a[i * 3 + 2] ** 2;
+            const dt = timestepCriterion(accelerationSquared, this.softeningLength, this.timestepAccuracy);
+            return timestepLevel(dt, this.maxTimestep, this.timestepLevels);
+        };
+        const kick = (i, dt) => {
+            const velocity = this.particles[i].velocity;
+            velocity[0] += dt * a[i * 3];
+            velocity[1] += dt * a[i * 3 + 1];
+            velocity[2] += dt * a[i * 3 + 2];
+        };
+
+        // Everyone starts in sync: pick levels and open with a half kick
+        let finestLevel = 0;
+        for (let i = 0; i < count; i++) {
+            levels[i] = wantedLevel(i);
+            finestLevel = Math.max(finestLevel, levels[i]);
+            kick(i, 0.5 * this.maxTimestep / 2 ** levels[i]);
+        }
+
+        const active = [];
+        let t = 0;
+        while (t < ticks) {
+            // Drift to the next tick where some particle's step ends
+            const stride = ticks >> finestLevel;
+            const dt = stride * tick;
+            for (let i = 0; i < count; i++) {
+                const { position, velocity } = this.particles[i];
+                position[0] += dt * velocity[0];
+                position[1] += dt * velocity[1];
+                position[2] += dt * velocity[2];
+            }
+            t += stride;
+
+            active.length = 0;
+            for (let i = 0; i < count; i++) {
+                if (t % (ticks >> levels[i]) === 0) active.push(i);
+            }
+            this.computeAccelerationsFor(active);
+
+            // Close the finished steps and, before the block ends, open the next ones
+            finestLevel = 0;
+            for (const i of active) {
+                kick(i, 0.5 * this.maxTimestep / 2 ** levels[i]);
+                if (t < ticks) {
+                    let level = wantedLevel(i);
+                    while (t % (ticks >> level) !== 0) level++;
+                    levels[i] = level;
+                    kick(i, 0.5 * this.maxTimestep / 2 ** level);
+                }
+            }
+            for (let i = 0; i < count; i++) {
+                finestLevel = Math.max(finestLevel, levels[i]);
+            }
+        }
+
+        // Every particle was active on the last tick, so all accelerations are current
+        this.accelerationsValid = true;
+        this.timestep = this.maxTimestep;
+        this.finestTimestep = this.maxTimestep / 2 ** finestLevel;
+        return this.finishStep(this.maxTimestep);
+    }
+
+    // Constraints, collisions, clock and diagnostics after the particles moved by dt
+    finishStep(dt) {
+        this.applyConstraints();
+        this.applyCollisions();
+
+        this.simTime += dt;
+        this.stepCount++;
+        if (this.stepCount % this.diagnosticsInterval === 0) {
+            return this.sampleDiagnostics();
+        }
+        return null;
+    }
+
+    // Occupancy of each block level after the last block step, coarsest first
+    levelCounts() {
+        const counts = new Array(this.timestepLevels + 1).fill(0);
+        for (let i = 0; i < this.particleCount; i++) {
+            counts[Math.min(this.levels[i], this.timestepLevels)]++;
+        }
+        return counts;
+    }
+
+    sampleDiagnostics() {
+        const start = performance.now();
+        const potential = this.forceSolver === 'barnes-hut'
+            ? this.tree.computePotentialEnergy(this.particles, this.particleCount, this.gravityStrength, this.theta, this.forceLaw)
+            : computeDirectPotentialEnergy(this.particles, this.particleCount, this.gravityStrength, this.forceLaw);
+
+        const sums = sumParticleQuantities(this.particles, this.particleCount);
+        this.diagnosticsTime += performance.now() - start;
+        return this.diagnosticsHistory.push(createSample(this.simTime, sums, potential));
+    }
+
+    // Damping and boundary conditions, applied once per full step
+    applyConstraints() {
+        const survivors = [];
+
+        for (let i = 0; i < this.particleCount; i++) {
+            const particle = this.particles[i];
+
+            particle.velocity[0] *= this.damping;
+            particle.velocity[1] *= this.damping;
+            particle.velocity[2] *= this.damping;
+
+            if (applyBoundary(particle, this.boundaryMode, this.boundarySize, this.restitution)) {
+                this.accelerationsValid = false;
+                if (this.boundaryMode === 'absorbing') continue;
+            }
+            survivors.push(particle);
+        }
+
+        // Escapers leave the system for good
+        if (survivors.length < this.particleCount) {
+            this.escapeCount += this.particleCount - survivors.length;
+            this.particles = survivors;
+            this.particleCount = survivors.length;
+            this.bindBodies();
+        }
+    }
+
+    // Contacts after the step; merges shrink the particle count
+    applyCollisions() {
+        if (this.collisionMode === 'none') return;
+
+        const result = resolveCollisions(this.particles, this.collisionMode, this.collisionDensity,
+            periodOf(this.boundaryMode, this.boundarySize));
+        if (result.merges > 0) {
+            this.particles = result.particles;
+            this.particleCount = result.particles.length;
+            this.mergeCount += result.merges;
+            this.accelerationsValid = false;
+            this.bindBodies();
+        }
+        // Bounces only change velocities, so the accelerations stay valid
+    }
+
+    setCollisionMode(mode) { this.collisionMode = mode; }
+    setCollisionDensity(density) { this.collisionDensity = density; }
+
+    setBoundaryMode(mode) {
+        this.boundaryMode = mode;
+        this.accelerationsValid = false;
+        // Periodic forces and potentials differ from open ones
+        this.diagnosticsHistory.reset();
+    }
+
+    setBoundarySize(size) {
+        this.boundarySize = size;
+        if (this.boundaryMode === 'periodic') {
+            this.accelerationsValid = false;
+            this.diagnosticsHistory.reset();
+        }
+    }
+
+    setRestitution(restitution) { this.restitution = restitution; }
+
+    setSofteningKernel(kernel) {
+        this.softeningKernel = kernel;
+        this.accelerationsValid = false;
+        // Energy is measured with a different potential from here on
+        this.diagnosticsHistory.reset();
+    }
+
+    setSofteningLength(length) {
+        this.softeningLength = length;
+        this.accelerationsValid = false;
+        this.diagnosticsHistory.reset();
+    }
+
+    setForceSolver(solver) {
+        this.forceSolver = solver;
+        this.accelerationsValid = false;
+    }
+
+    setTheta(theta) {
+        this.theta = theta;
+        this.accelerationsValid = false;
+    }
+
+    setGravityStrength(strength) {
+        this.gravityStrength = strength;
+        this.accelerationsValid = false;
+        // Energy is measured against a different G from here on
+        this.diagnosticsHistory.reset();
+    }
+
+    setIntegrator(integrator) { this.integrator = integrator; }
+    setTimestepMode(mode) { this.timestepMode = mode; }
+    setMaxTimestep(dt) { this.maxTimestep = dt; }
+    setTimestepAccuracy(accuracy) { this.timestepAccuracy = accuracy; }
+    setTimestepLevels(levels) { this.timestepLevels = levels; }
+    setDamping(damping) { this.damping = damping; }
+}
@@ -0,0 +1,90 @@
+// Snapshot file format for saving and resuming a run
+// A fixed little-endian header followed by the particle buffer exactly as the Particle struct lays it out
+
+import { FLOATS_PER_PARTICLE } from './initial-conditions.js';
+import { attributeWords } from './particle-attributes.js';
+
+export const SNAPSHOT_EXTENSION = '.nbody';
+
+const MAGIC = 'NBDY';
+const VERSION = 1;
+const HEADER_BYTES = 64;
+const PARTICLE_BYTES = FLOATS_PER_PARTICLE * 4;
+
+// Header layout (version 1):
+//   0  magic 'NBDY'          4 bytes ASCII
+//   4  version               u32
+//   8  header size in bytes  u32 (particle data starts here)
+//  12  particle count        u32
+//  16  sim time              f64
+//  24  gravityStrength       f64
+//  32  timeScale             f64
+//  40  damping               f64
+//  48  seed                  u32
+//  52  reserved, zero up to the header size
+
+// state: { particles: Float32Array, simTime, gravityStrength, timeScale, damping, seed }
+export function encodeSnapshot(state) {
+    const particleCount = state.particles.length / FLOATS_PER_PARTICLE;
+    const buffer = new ArrayBuffer(HEADER_BYTES + particleCount * PARTICLE_BYTES);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < MAGIC.length; i++) {
+        view.setUint8(i, MAGIC.charCodeAt(i));
+    }
+    view.setUint32(4, VERSION, true);
+    view.setUint32(8, HEADER_BYTES, true);
+    view.setUint32(12, particleCount, true);
+    view.setFloat64(16, state.simTime, true);
+    view.setFloat64(24, state.gravityStrength, true);
+    view.setFloat64(32, state.timeScale, true);
+    view.setFloat64(40, state.damping, true);
+    view.setUint32(48, state.seed >>> 0, true);
+
+    // Copied as raw 32-bit words so the packed attribute word survives bit for bit
+    const words = attributeWords(state.particles);
+    for (let i = 0; i < words.length; i++) {
+        view.setUint32(HEADER_BYTES + i * 4, words[i], true);
+    }
+
+    return buffer;
+}
+
+export function decodeSnapshot(buffer) {
+    const view = new DataView(buffer);
+
+    if (buffer.byteLength < 16) {
+        throw new Error('Not a snapshot file: too short');
+    }
+
+    const magic = String.fromCharCode(view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3));
+    if (magic !== MAGIC) {
+        throw new Error('Not a snapshot file: bad magic');
+    }
+
+    const version = view.getUint32(4, true);
+    if (version !== VERSION) {
+        throw new Error(`Unsupported snapshot version ${version}`);
+    }
+
+    const headerBytes = view.getUint32(8, true);
+    const particleCount = view.getUint32(12, true);
+    if (headerBytes < 52 || buffer.byteLength < headerBytes + particleCount * PARTICLE_BYTES) {
+        throw new Error('Snapshot file is truncated');
+    }
+
+    const particles = new Float32Array(particleCount * FLOATS_PER_PARTICLE);
+    const words = attributeWords(particles);
+    for (let i = 0; i < words.length; i++) {
+        words[i] = view.getUint32(headerBytes + i * 4, true);
+    }
+
+    return {
+        particles,
+        simTime: view.getFloat64(16, true),
+        gravityStrength: view.getFloat64(24, true),
+        timeScale: view.getFloat64(32, true),
+        damping: view.getFloat64(40, true),
+        seed: view.getUint32(48, true),
+    };
+}
@@ -0,0 +1,63 @@
+// Gravitational softening kernels
+// The force law every solver uses: a = G * m * accelerationFactor(r^2) * r and
+// phi = -G * m * potentialFactor(r^2). shaders/softening.wgsl is the GPU copy of these
+// functions; keep the two in step so both paths agree to float precision.
+
+// id is the softeningKernel value in the shaders' SimParams
+export const SOFTENING_KERNELS = {
+    'none': { label: 'None (Newtonian)', id: 0 },
+    'plummer': { label: 'Plummer', id: 1 },
+    'spline': { label: 'Spline (Monaghan)', id: 2 },
+};
+
+export const DEFAULT_SOFTENING_KERNEL = 'plummer';
+export const DEFAULT_SOFTENING_LENGTH = 0.1;
+
+// The spline is exactly Newtonian beyond h = 2.8 * length, which makes its central
+// potential -G * m / length, the same depth as a Plummer sphere of that length
+export const SPLINE_SUPPORT = 2.8;
+
+// 1 / r^3, softened
+export function accelerationFactor(distanceSquared, kernel, length) {
+    if (kernel === 'plummer') {
+        const softened = distanceSquared + length * length;
+        return 1 / (softened * Math.sqrt(softened));
+    }
+
+    if (kernel === 'spline') {
+        const h = SPLINE_SUPPORT * length;
+        const r = Math.sqrt(distanceSquared);
+        if (r < h) {
+            const u = r / h;
+            const inverseCube = 1 / (h * h * h);
+            if (u < 0.5) {
+                return inverseCube * (10.666666666667 + u * u * (32.0 * u - 38.4));
+            }
+            return inverseCube * (21.333333333333 - 48.0 * u + 38.4 * u * u - 10.666666666667 * u * u * u - 0.066666666667 / (u * u * u));
+        }
+    }
+
+    // Newtonian; coincident bodies exert no force rather than an infinite one
+    return distanceSquared > 0 ? 1 / (distanceSquared * Math.sqrt(distanceSquared)) : 0;
+}
+
+// 1 / r, softened
+export function potentialFactor(distanceSquared, kernel, length) {
+    if (kernel === 'plummer') {
+        return 1 / Math.sqrt(distanceSquared + length * length);
+    }
+
+    if (kernel === 'spline') {
+        const h = SPLINE_SUPPORT * length;
+        const r = Math.sqrt(distanceSquared);
+        if (r < h) {
+            const u = r / h;
+            if (u < 0.5) {
+                return -(-2.8 + u * u * (5.333333333333 + u * u * (6.4 * u - 9.6))) / h;
+            }
+            return -(-3.2 + 0.066666666667 / u + u * u * (10.666666666667 + u * (-16.0 + u * (9.6 - 2.133333333333 * u)))) / h;
+        }
+    }
+
+    return distanceSquared > 0 ? 1 / Math.sqrt(distanceSquared) : 0;
+}
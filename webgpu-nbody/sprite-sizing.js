@@ -0,0 +1,45 @@
+// On-screen size of the particle sprites
+// The vertex shader works out each body's radius in pixels for the selected mode, clamps it and
+// places the quad in screen space. Bodies drawn larger than they are (up to the minimum size) are
+// dimmed by the area they gained, so a cloud of sub-pixel bodies keeps the total light it would
+// have instead of vanishing or turning into bright dots.
+
+// id is the sizingMode value in the vertex shader's Uniforms
+export const SIZING_MODES = {
+    'world': { id: 0, label: 'World Size' },
+    'pixel': { id: 1, label: 'Constant Pixel Size' },
+    'attenuated': { id: 2, label: 'Distance Attenuated' },
+};
+
+export const DEFAULT_SIZING_SETTINGS = {
+    mode: 'world', // key of SIZING_MODES
+    pixelSize: 3, // radius in pixels: of every body ('pixel'), of a unit-mass star at the camera target ('attenuated')
+    minPixels: 1, // radius clamps, in pixels
+    maxPixels: 64,
+};
+
+export const MIN_SPRITE_PIXELS = 0.5;
+
+// Float index of the sizing fields in the Uniforms buffer, after hiddenSpecies
+const SIZING_OFFSET = 37;
+
+// Size of the Uniforms buffer: viewProj (64) + view (64) + cameraPos (12) + time (4) + hiddenSpecies (4)
+// + viewport (8) + pixelsPerUnit (4) + sizing mode, pixel size, min, max, reference distance (20), padded
+export const UNIFORMS_SIZE = 192;
+
+// The sizing fields of the Uniforms for a camera (see the camera objects of the simulations)
+// and a canvas of width x height pixels
+export function writeSizingUniforms(uniformData, settings, camera, width, height) {
+    const words = new Uint32Array(uniformData.buffer, uniformData.byteOffset, uniformData.length);
+    const target = camera.target;
+    const referenceDistance = Math.hypot(camera.position[0] - target[0], camera.position[1] - target[1], camera.position[2] - target[2]);
+
+    uniformData[SIZING_OFFSET + 0] = width;
+    uniformData[SIZING_OFFSET + 1] = height;
+    uniformData[SIZING_OFFSET + 2] = height / (2 * Math.tan(camera.fovy / 2)); // pixels per world unit at distance 1
+    words[SIZING_OFFSET + 3] = SIZING_MODES[settings.mode].id;
+    uniformData[SIZING_OFFSET + 4] = settings.pixelSize;
+    uniformData[SIZING_OFFSET + 5] = Math.max(settings.minPixels, MIN_SPRITE_PIXELS);
+    uniformData[SIZING_OFFSET + 6] = Math.max(settings.maxPixels, settings.minPixels, MIN_SPRITE_PIXELS);
+    uniformData[SIZING_OFFSET + 7] = referenceDistance;
+}
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseBackend } from '../backend.js';
+
+test('?backend= takes only the backend names', () => {
+    assert.equal(parseBackend('gpu'), 'gpu');
+    assert.equal(parseBackend('cpu'), 'cpu');
+    for (const value of ['GPU', '', null, 'toString', '__proto__', 'constructor']) {
+        assert.equal(parseBackend(value), null, String(value));
+    }
+});
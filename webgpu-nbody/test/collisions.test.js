@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveCollisions } from '../collisions.js';
+import { packAttributes } from '../particle-attributes.js';
+import { periodOf } from '../boundaries.js';
+
+// A star of radius 1 (set through the radius attribute) at x
+function body(x, mass = 1, vx = 0) {
+    return {
+        position: [x, 0, 0],
+        velocity: [vx, 0, 0],
+        mass,
+        attributes: packAttributes({ radius: 1 }),
+        gravitatingMass: mass,
+    };
+}
+
+test('a body merges with one partner per step', () => {
+    // a picks b, but b is nearer to c; the heavy b must not absorb a and then c in the same step
+    const particles = [body(0), body(1.8, 2), body(3.5)];
+    const result = resolveCollisions(particles, 'absorb', 100);
+
+    assert.equal(result.merges, 1);
+    assert.deepEqual(result.particles.map((p) => p.mass), [1, 3]);
+    assert.equal(result.particles[1], particles[1]);
+});
+
+test('a chain of contacts merges only mutual nearest pairs', () => {
+    const particles = [body(0), body(1.5), body(2.5), body(4.5)];
+    const result = resolveCollisions(particles, 'merge', 100);
+
+    // 1 and 2 are each other's nearest; 0 and 3 chose them and wait for the next step
+    assert.equal(result.merges, 1);
+    assert.deepEqual(result.particles.map((p) => p.mass), [1, 2, 1]);
+});
+
+test('bounces follow the same pairing rule as merges', () => {
+    const particles = [body(0, 1, 1), body(1.5, 1, 0), body(2.5, 1, -1)];
+    const result = resolveCollisions(particles, 'bounce', 100);
+
+    // Only 1 and 2 are mutual nearest; equal masses swap their velocities
+    assert.equal(result.bounces, 1);
+    assert.deepEqual(particles.map((p) => p.velocity[0]), [1, -1, 0]);
+});
+
+test('bodies touch across the faces of a periodic box', () => {
+    // 0.8 apart through the face at x = 5, 9.2 apart inside the box
+    const particles = [body(4.6, 1, 1), body(-4.6, 1, -1)];
+    const period = periodOf('periodic', 5);
+
+    assert.equal(resolveCollisions(particles.map(copy), 'merge', 100).merges, 0);
+
+    const result = resolveCollisions(particles.map(copy), 'merge', 100, period);
+    assert.equal(result.merges, 1);
+    assert.equal(result.particles.length, 1);
+    // The centre of mass is on the face, not at the middle of the box
+    assert.ok(Math.abs(Math.abs(result.particles[0].position[0]) - 5) < 1e-9);
+});
+
+test('bounces across a periodic face push the bodies apart through it', () => {
+    const particles = [body(4.6, 1, 1), body(-4.6, 1, -1)];
+    const result = resolveCollisions(particles, 'bounce', 100, periodOf('periodic', 5));
+
+    assert.equal(result.bounces, 1);
+    assert.deepEqual(particles.map((p) => p.velocity[0]), [-1, 1]);
+});
+
+function copy(particle) {
+    return { ...particle, position: [...particle.position], velocity: [...particle.velocity] };
+}
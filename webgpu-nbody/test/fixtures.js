@@ -0,0 +1,44 @@
+// Shared test inputs: seeded scenarios, as packed particle data and as the particle objects the CPU solvers take
+
+import { FLOATS_PER_PARTICLE, generateScenario } from '../initial-conditions.js';
+import { createRandom } from '../random.js';
+import { ATTRIBUTES_OFFSET, attributeWords, gravitatingMass } from '../particle-attributes.js';
+import { applyBoundary } from '../boundaries.js';
+
+// A seeded Plummer sphere in the packed Particle layout
+export function plummerData(count, seed) {
+    return generateScenario('plummer', count, {}, { gravityStrength: 1, random: createRandom(seed) });
+}
+
+// Particle objects like NBodySystem's; with boxSize every body is wrapped into the periodic box of that half-width
+export function toParticles(data, boxSize = 0) {
+    const words = attributeWords(data);
+    const particles = [];
+    for (let offset = 0; offset < data.length; offset += FLOATS_PER_PARTICLE) {
+        const particle = {
+            position: [data[offset + 0], data[offset + 1], data[offset + 2]],
+            mass: data[offset + 3],
+            velocity: [data[offset + 4], data[offset + 5], data[offset + 6]],
+            attributes: words[offset + ATTRIBUTES_OFFSET],
+            gravitatingMass: gravitatingMass(data[offset + 3], words[offset + ATTRIBUTES_OFFSET]),
+        };
+        if (boxSize > 0) {
+            applyBoundary(particle, 'periodic', boxSize, 1);
+        }
+        particles.push(particle);
+    }
+    return particles;
+}
+
+// The packed layout of particle objects, as NBodySystem.packParticles writes it
+export function toData(particles, data = new Float32Array(particles.length * FLOATS_PER_PARTICLE)) {
+    const words = attributeWords(data);
+    particles.forEach((particle, i) => {
+        const offset = i * FLOATS_PER_PARTICLE;
+        data.set(particle.position, offset);
+        data[offset + 3] = particle.mass;
+        data.set(particle.velocity, offset + 4);
+        words[offset + ATTRIBUTES_OFFSET] = particle.attributes;
+    });
+    return data;
+}
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ForceWorkerPool } from '../force-pool.js';
+import { FLOATS_PER_BODY } from '../force-solvers.js';
+
+// A force worker that takes its share and never answers
+function stuckWorker() {
+    return { postMessage() {}, terminate() { this.terminated = true; } };
+}
+
+const law = { kernel: 'plummer', softening: 0.1, period: 0 };
+
+test('a run the workers never finish fails and empties the pool', () => {
+    const pool = new ForceWorkerPool(stuckWorker, 2, 50);
+    const workers = pool.workers;
+    const bodies = new Float64Array(new SharedArrayBuffer(300 * FLOATS_PER_BODY * 8));
+
+    assert.throws(() => pool.computeAccelerations(bodies, 300, 'direct', 1, 0.5, law, new Float64Array(900)),
+        /2 of 2 force workers didn't finish within 50 ms/);
+    assert.ok(workers.every((worker) => worker.terminated));
+    assert.equal(pool.accepts(300), false);
+});
+
+test('the bodies must be shared with the workers', () => {
+    const pool = new ForceWorkerPool(stuckWorker, 1, 50);
+    assert.throws(() => pool.computeAccelerations(new Float64Array(300 * FLOATS_PER_BODY), 300, 'direct', 1, 0.5, law, new Float64Array(900)),
+        /SharedArrayBuffer/);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BarnesHutTree, compareWithDirectSum, computeDirectAccelerations } from '../force-solvers.js';
+import { periodOf } from '../boundaries.js';
+import { plummerData, toParticles } from './fixtures.js';
+
+const COUNT = 2000;
+const BOX_SIZE = 5; // half-width; most of the Plummer sphere's outskirts wrap into the box
+
+const openLaw = { kernel: 'plummer', softening: 0.1, period: 0 };
+const periodicLaw = { ...openLaw, period: periodOf('periodic', BOX_SIZE) };
+
+test('Barnes-Hut matches the direct sum in open space', () => {
+    const particles = toParticles(plummerData(COUNT, 1));
+
+    const coarse = compareWithDirectSum(particles, COUNT, 1, 0.5, COUNT, openLaw);
+    assert.ok(coarse.rmsError < 0.005, `rms ${coarse.rmsError} at theta 0.5`);
+    assert.ok(coarse.maxError < 0.1, `max ${coarse.maxError} at theta 0.5`);
+
+    const fine = compareWithDirectSum(particles, COUNT, 1, 0.2, COUNT, openLaw);
+    assert.ok(fine.rmsError < 1e-4, `rms ${fine.rmsError} at theta 0.2`);
+});
+
+test('Barnes-Hut matches the direct sum in a periodic box', () => {
+    const particles = toParticles(plummerData(COUNT, 1), BOX_SIZE);
+
+    const coarse = compareWithDirectSum(particles, COUNT, 1, 0.5, COUNT, periodicLaw);
+    assert.ok(coarse.rmsError < 0.01, `rms ${coarse.rmsError} at theta 0.5`);
+    assert.ok(coarse.maxError < 0.1, `max ${coarse.maxError} at theta 0.5`);
+
+    const fine = compareWithDirectSum(particles, COUNT, 1, 0.2, COUNT, periodicLaw);
+    assert.ok(fine.rmsError < 1e-3, `rms ${fine.rmsError} at theta 0.2`);
+    assert.ok(fine.maxError < 0.01, `max ${fine.maxError} at theta 0.2`);
+});
+
+test('Barnes-Hut with theta 0 is the direct sum', () => {
+    const count = 300;
+    const particles = toParticles(plummerData(count, 2), BOX_SIZE);
+    const exact = computeDirectAccelerations(particles, count, 1, new Float64Array(count * 3), periodicLaw);
+    const approx = new BarnesHutTree().computeAccelerations(particles, count, 1, 0, new Float64Array(count * 3), periodicLaw);
+
+    for (let i = 0; i < count * 3; i++) {
+        assert.ok(Math.abs(approx[i] - exact[i]) <= 1e-9 * Math.abs(exact[i]) + 1e-12, `component ${i}`);
+    }
+});
+
+test('Barnes-Hut potential energy matches the direct sum in a periodic box', () => {
+    const particles = toParticles(plummerData(COUNT, 3), BOX_SIZE);
+    const tree = new BarnesHutTree();
+    const exact = tree.computePotentialEnergy(particles, COUNT, 1, 0, periodicLaw);
+    const approx = tree.computePotentialEnergy(particles, COUNT, 1, 0.5, periodicLaw);
+
+    assert.ok(Math.abs(approx - exact) < 1e-3 * Math.abs(exact), `${approx} vs ${exact}`);
+});
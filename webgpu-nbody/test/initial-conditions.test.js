@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FLOATS_PER_PARTICLE, SCENARIOS, clampScenarioParam, generateScenario, scenarioParam } from '../initial-conditions.js';
+import { createRandom } from '../random.js';
+import { ATTRIBUTES_OFFSET } from '../particle-attributes.js';
+
+function generate(name, params) {
+    return generateScenario(name, 50, params, { gravityStrength: 1, random: createRandom(1) });
+}
+
+test('params are clamped to their declared range', () => {
+    assert.equal(clampScenarioParam('plummer', 'maxRadius', 0), SCENARIOS.plummer.params.maxRadius.min);
+    assert.equal(clampScenarioParam('plummer', 'maxRadius', 1e6), SCENARIOS.plummer.params.maxRadius.max);
+    assert.equal(clampScenarioParam('plummer', 'maxRadius', 30), 30);
+    assert.ok(Number.isNaN(clampScenarioParam('plummer', 'maxRadius', NaN)));
+});
+
+test('only a scenario\'s own params are found', () => {
+    assert.equal(scenarioParam('plummer', 'scaleRadius'), SCENARIOS.plummer.params.scaleRadius);
+    assert.equal(scenarioParam('plummer', 'toString'), null);
+    assert.equal(scenarioParam('plummer', 'coreRadius'), null);
+});
+
+test('non-positive radii are an error rather than a hang or NaN positions', () => {
+    assert.throws(() => generate('plummer', { maxRadius: 0 }), /maxRadius must be positive/);
+    assert.throws(() => generate('plummer', { scaleRadius: 0 }), /scaleRadius must be positive/);
+    assert.throws(() => generate('hernquist', { maxRadius: -1 }), /maxRadius must be positive/);
+    assert.throws(() => generate('disk', { maxRadius: 0 }), /maxRadius must be positive/);
+});
+
+test('every scenario generates finite particles from its defaults', () => {
+    for (const name of Object.keys(SCENARIOS)) {
+        // Every float but the attribute word
+        const values = generate(name, {}).filter((_, i) => i % FLOATS_PER_PARTICLE !== ATTRIBUTES_OFFSET);
+        assert.ok(values.every(Number.isFinite), name);
+    }
+});
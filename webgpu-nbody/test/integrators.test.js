@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { INTEGRATORS, SCRATCH_FLOATS_PER_PARTICLE, integrateStep } from '../integrators.js';
+
+// One body on an eccentric orbit around a fixed unit mass at the origin, shaped like the
+// system integrateStep takes
+function keplerOrbit() {
+    return {
+        particles: [{ position: [1, 0, 0], velocity: [0, 0.8, 0] }],
+        particleCount: 1,
+        accelerations: new Float64Array(3),
+        scratch: new Float64Array(SCRATCH_FLOATS_PER_PARTICLE),
+        accelerationsValid: false,
+        computeAccelerations() {
+            const [x, y, z] = this.particles[0].position;
+            const r3 = Math.hypot(x, y, z) ** 3;
+            this.accelerations.set([-x / r3, -y / r3, -z / r3]);
+        },
+    };
+}
+
+const DURATION = 2;
+
+function integrate(name, steps) {
+    const system = keplerOrbit();
+    for (let i = 0; i < steps; i++) {
+        integrateStep(name, system, DURATION / steps);
+    }
+    return system.particles[0].position;
+}
+
+const reference = integrate('rk4', 20000);
+
+function positionError(name, steps) {
+    const [x, y, z] = integrate(name, steps);
+    return Math.hypot(x - reference[0], y - reference[1], z - reference[2]);
+}
+
+for (const [name, { order }] of Object.entries(INTEGRATORS)) {
+    test(`${name} converges at order ${order}`, () => {
+        // Halving the step divides the error by 2^order
+        const measured = Math.log2(positionError(name, 100) / positionError(name, 200));
+        assert.ok(Math.abs(measured - order) < 0.25, `measured order ${measured}`);
+    });
+}
+
+test('an unknown integrator is an error', () => {
+    assert.throws(() => integrateStep('midpoint', keplerOrbit(), 0.01), /Unknown integrator/);
+});
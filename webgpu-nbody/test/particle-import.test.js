@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCSV, parseJSON, parseParticleFile, tableToParticles } from '../particle-import.js';
+import { FLOATS_PER_PARTICLE } from '../initial-conditions.js';
+import { SPECIES, attributeWords, unpackAttributes } from '../particle-attributes.js';
+
+const CSV = `# two bodies
+x,y,z,vx,vy,vz,mass,species,color,radius
+1,2,3,0.5,0,0,2,2,4,0.25
+-1,0,0,0,-1,0,1,0,0,0
+`;
+
+// The packed fields of particle i, attributes unpacked
+function particleAt(particles, i) {
+    const offset = i * FLOATS_PER_PARTICLE;
+    return {
+        position: [...particles.subarray(offset, offset + 3)],
+        mass: particles[offset + 3],
+        velocity: [...particles.subarray(offset + 4, offset + 7)],
+        ...unpackAttributes(attributeWords(particles)[offset + 7]),
+    };
+}
+
+test('CSV columns map onto the particle layout', () => {
+    const particles = tableToParticles(parseCSV(CSV), { recenter: false });
+
+    assert.equal(particles.length, 2 * FLOATS_PER_PARTICLE);
+    assert.deepEqual(particleAt(particles, 0), {
+        position: [1, 2, 3], mass: 2, velocity: [0.5, 0, 0],
+        species: SPECIES.BLACK_HOLE, colorIndex: 4, radius: 0.25,
+    });
+    assert.deepEqual(particleAt(particles, 1), {
+        position: [-1, 0, 0], mass: 1, velocity: [0, -1, 0],
+        species: SPECIES.STAR, colorIndex: 0, radius: 0,
+    });
+});
+
+test('JSON records, a particles array and columns import alike', () => {
+    const records = [
+        { x: 1, y: 2, z: 3, vx: 0.5, vy: 0, vz: 0, mass: 2, species: 2, color: 4, radius: 0.25 },
+        { x: -1, y: 0, z: 0, vx: 0, vy: -1, vz: 0, mass: 1, species: 0, color: 0, radius: 0 },
+    ];
+    const columns = Object.fromEntries(Object.keys(records[0]).map((key) => [key, records.map((record) => record[key])]));
+    const expected = tableToParticles(parseCSV(CSV));
+
+    for (const json of [records, { particles: records }, columns]) {
+        assert.deepEqual(tableToParticles(parseParticleFile('bodies.JSON', JSON.stringify(json))), expected);
+    }
+});
+
+test('mappings, scales and defaults apply', () => {
+    const table = parseCSV('1 2 3 4\n5 6 7 8\n');
+    assert.deepEqual(table.columns, ['0', '1', '2', '3']);
+
+    const particles = tableToParticles(table, {
+        mapping: { x: 3, y: '2', z: 1, vx: 0 },
+        lengthScale: 2,
+        velocityScale: 10,
+        defaultMass: 3,
+        massScale: 0.5,
+        recenter: false,
+    });
+    assert.deepEqual(particleAt(particles, 1), {
+        position: [16, 14, 12], mass: 1.5, velocity: [50, 0, 0],
+        species: SPECIES.STAR, colorIndex: 0, radius: 0,
+    });
+});
+
+test('recentring moves to the centre-of-mass frame', () => {
+    const particles = tableToParticles(parseCSV(CSV));
+    const centre = [0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < 2; i++) {
+        const { position, velocity, mass } = particleAt(particles, i);
+        [...position, ...velocity].forEach((value, k) => { centre[k] += mass * value; });
+    }
+    centre.forEach((value) => assert.ok(Math.abs(value) < 1e-6, `centre ${centre}`));
+});
+
+test('missing positions and bad values are reported', () => {
+    assert.throws(() => tableToParticles(parseCSV('a;b;c\n1;2;3\n')), /No column 'x' for x/);
+    assert.throws(() => tableToParticles(parseCSV('x,y,z\n1,2,3\n1,oops,3\n')), /Row 2/);
+    assert.throws(() => parseCSV('# nothing\n\n'), /empty/);
+    assert.throws(() => parseJSON('[]'), /no particles/);
+    assert.throws(() => tableToParticles(parseCSV('x,y,z\n')), /No particles, only the columns x, y, z/);
+    assert.throws(() => tableToParticles(parseJSON('{"x": [], "y": [], "z": []}')), /No particles/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NBodySystem } from '../simulation-core.js';
+import { FLOATS_PER_BODY } from '../force-solvers.js';
+import { plummerData } from './fixtures.js';
+
+// Each particle's position and gravitating mass are in its slot of the body array the force pool reads
+function assertBodiesBound(system) {
+    system.particles.forEach((particle, i) => {
+        const offset = i * FLOATS_PER_BODY;
+        assert.equal(particle.position.buffer, system.bodies.buffer);
+        assert.equal(particle.position.byteOffset, offset * 8);
+        assert.equal(system.bodies[offset + 3], particle.gravitatingMass);
+    });
+}
+
+test('particles stay in their body slots through escapes and merges', () => {
+    const system = new NBodySystem({ boundaryMode: 'absorbing', boundarySize: 2, collisionMode: 'merge', collisionDensity: 0.01 });
+    system.loadParticles(plummerData(200, 5));
+    assertBodiesBound(system);
+
+    const positions = () => system.particles.map((particle) => [...particle.position]);
+    for (let i = 0; i < 20; i++) {
+        const before = system.particleCount;
+        system.step(0.05);
+        if (system.particleCount < before) {
+            // The survivors moved down without taking another body's position along
+            const after = positions();
+            system.bindBodies();
+            assert.deepEqual(positions(), after);
+        }
+        assertBodiesBound(system);
+    }
+    assert.ok(system.escapeCount + system.mergeCount > 0, 'nothing escaped or merged');
+});
+
+test('a force pool gets the bodies in shared memory', () => {
+    const system = new NBodySystem();
+    system.loadParticles(plummerData(16, 1));
+    const before = system.particles.map((particle) => [...particle.position]);
+
+    system.setForcePool({ accepts: () => false });
+    assert.ok(system.bodies.buffer instanceof SharedArrayBuffer);
+    assert.deepEqual(system.particles.map((particle) => [...particle.position]), before);
+    assertBodiesBound(system);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeSnapshot, encodeSnapshot } from '../snapshot.js';
+import { SPECIES, attributeWords, packAttributes, setAttributes } from '../particle-attributes.js';
+import { plummerData } from './fixtures.js';
+
+function snapshotState() {
+    const particles = plummerData(100, 5);
+    // Attribute words whose bits read as NaN floats, which a float copy could canonicalize
+    setAttributes(particles, 0, { species: SPECIES.BLACK_HOLE, colorIndex: 3, radius: 255.5 });
+    setAttributes(particles, 1, { species: SPECIES.TEST, colorIndex: 0xFF, radius: 255.99 });
+    return { particles, simTime: 12.375, gravityStrength: 0.5, timeScale: 2, damping: 0.999, seed: 0xDEADBEEF };
+}
+
+test('a snapshot round-trips the state bit for bit', () => {
+    const state = snapshotState();
+    const decoded = decodeSnapshot(encodeSnapshot(state));
+
+    assert.deepEqual([...attributeWords(decoded.particles)], [...attributeWords(state.particles)]);
+    assert.equal(attributeWords(decoded.particles)[7], packAttributes({ species: SPECIES.BLACK_HOLE, colorIndex: 3, radius: 255.5 }));
+    assert.deepEqual({ ...decoded, particles: null }, { ...state, particles: null });
+});
+
+test('files that are not whole snapshots are rejected', () => {
+    const buffer = encodeSnapshot(snapshotState());
+
+    assert.throws(() => decodeSnapshot(buffer.slice(0, 8)), /too short/);
+    assert.throws(() => decodeSnapshot(buffer.slice(0, buffer.byteLength - 4)), /truncated/);
+
+    const wrongMagic = buffer.slice(0);
+    new Uint8Array(wrongMagic)[0] = 'X'.charCodeAt(0);
+    assert.throws(() => decodeSnapshot(wrongMagic), /bad magic/);
+
+    const newer = buffer.slice(0);
+    new DataView(newer).setUint32(4, 2, true);
+    assert.throws(() => decodeSnapshot(newer), /version 2/);
+});
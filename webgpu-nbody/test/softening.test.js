@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SOFTENING_KERNELS, SPLINE_SUPPORT, accelerationFactor, potentialFactor } from '../softening.js';
+
+const LENGTH = 0.1;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * Math.abs(expected), `${message}: ${actual} vs ${expected}`);
+}
+
+for (const kernel of Object.keys(SOFTENING_KERNELS)) {
+    test(`${kernel} softening: the acceleration is the gradient of the potential`, () => {
+        // a = accelerationFactor * r must equal -d(phi)/dr = d(potentialFactor)/dr, inside and outside the kernel
+        for (const r of [0.01, 0.05, 0.1, 0.2, 0.3, 0.5, 1, 3]) {
+            const step = r * 1e-5;
+            const slope = (potentialFactor((r - step) ** 2, kernel, LENGTH) - potentialFactor((r + step) ** 2, kernel, LENGTH)) / (2 * step);
+            assertClose(accelerationFactor(r * r, kernel, LENGTH) * r, slope, 1e-6, `r = ${r}`);
+        }
+    });
+}
+
+test('softened potentials are as deep as a Plummer sphere of the softening length', () => {
+    assertClose(potentialFactor(0, 'plummer', LENGTH), 1 / LENGTH, 1e-12, 'plummer');
+    assertClose(potentialFactor(0, 'spline', LENGTH), 1 / LENGTH, 1e-9, 'spline');
+    assertClose(accelerationFactor(0, 'plummer', LENGTH), 1 / LENGTH ** 3, 1e-12, 'plummer acceleration');
+    assert.equal(accelerationFactor(0, 'none', LENGTH), 0);
+});
+
+test('the spline is continuous and Newtonian beyond its support', () => {
+    const h = SPLINE_SUPPORT * LENGTH;
+
+    // Both branch points
+    for (const r of [0.5 * h, h]) {
+        const below = (r * (1 - 1e-9)) ** 2;
+        const above = (r * (1 + 1e-9)) ** 2;
+        assertClose(potentialFactor(below, 'spline', LENGTH), potentialFactor(above, 'spline', LENGTH), 1e-7, `potential at ${r}`);
+        assertClose(accelerationFactor(below, 'spline', LENGTH), accelerationFactor(above, 'spline', LENGTH), 1e-7, `acceleration at ${r}`);
+    }
+
+    for (const r of [h, 1.5 * h, 10 * h]) {
+        assert.equal(potentialFactor(r * r, 'spline', LENGTH), 1 / r);
+        assert.equal(accelerationFactor(r * r, 'spline', LENGTH), 1 / (r * r * r));
+    }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NO_TRAIL, TrailSampler, selectTrailedParticles } from '../trails.js';
+
+function body(x) {
+    return { position: [x, 0, 0], velocity: [0, 0, 0], mass: 1 };
+}
+
+test('every step is sampled, keeping at most length samples', () => {
+    const particles = [body(0), body(1)];
+    const sampler = new TrailSampler();
+    sampler.select(1, particles, [1], 3);
+
+    for (let step = 0; step < 5; step++) {
+        particles[1].position[0] = step;
+        sampler.sample(particles);
+    }
+
+    const { generation, samples } = sampler.take();
+    assert.equal(generation, 1);
+    assert.deepEqual(samples.map((points) => points[0]), [2, 3, 4]);
+    assert.equal(sampler.take(), null);
+});
+
+test('trails follow their bodies when bodies are removed', () => {
+    const particles = [body(0), body(1), body(2), body(3)];
+    const sampler = new TrailSampler();
+    sampler.select(1, particles, [1, 3], 8);
+    sampler.take();
+
+    // Body 1 merges away and body 3 moves down to slot 2, as a merge leaves the survivors
+    const survivors = [particles[0], particles[2], particles[3]];
+    sampler.sample(survivors);
+
+    const { samples, indices } = sampler.take();
+    assert.deepEqual([...indices], [NO_TRAIL, 2]);
+    assert.deepEqual([...samples[0]], [0, 0, 0, 0, 3, 0, 0, 1]);
+});
+
+test('indices past the live particles are not trailed', () => {
+    const particles = [body(0)];
+    const sampler = new TrailSampler();
+    sampler.select(1, particles, selectTrailedParticles(3, { subset: 'all' }, 8), 8);
+    sampler.sample(particles);
+
+    const { samples, indices } = sampler.take();
+    assert.deepEqual([...indices], [0, NO_TRAIL, NO_TRAIL]);
+    assert.deepEqual([...samples[0].subarray(4)], [0, 0, 0, 0, 0, 0, 0, 0]);
+});
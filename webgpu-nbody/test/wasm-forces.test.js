@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import createWabt from 'wabt';
+
+import { WASM_FORCE_MODULE, WasmForceKernel } from '../wasm-forces.js';
+import { SOFTENING_KERNELS } from '../softening.js';
+import { periodOf } from '../boundaries.js';
+import { plummerData, toData, toParticles } from './fixtures.js';
+
+const WAT_SOURCE = new URL('../wasm/direct-force.wat', import.meta.url);
+
+const COUNT = 1001; // not a whole number of SIMD blocks
+const BOX_SIZE = 5;
+
+async function loadKernel() {
+    return WasmForceKernel.load(await readFile(WASM_FORCE_MODULE));
+}
+
+test('the committed module is built from direct-force.wat', async () => {
+    const wabt = await createWabt();
+    const source = wabt.parseWat('direct-force.wat', await readFile(WAT_SOURCE, 'utf8'), { simd: true });
+    const built = Buffer.from(source.toBinary({}).buffer);
+    source.destroy();
+
+    const committed = await readFile(WASM_FORCE_MODULE);
+    assert.ok(built.equals(committed), 'wasm/direct-force.wasm is out of date, run npm run build-wasm');
+});
+
+// 32-bit sums against the 64-bit JavaScript direct sum
+function assertMatchesDirectSum(kernel, particles, law) {
+    toData(particles, kernel.particleData(particles.length));
+    const { rmsError, maxError } = kernel.compareWithDirectSum(particles, particles.length, 1, particles.length, law);
+    assert.ok(rmsError < 5e-6, `rms ${rmsError} with ${law.kernel} softening`);
+    assert.ok(maxError < 5e-5, `max ${maxError} with ${law.kernel} softening`);
+}
+
+for (const softeningKernel of Object.keys(SOFTENING_KERNELS)) {
+    test(`WebAssembly matches the direct sum with ${softeningKernel} softening`, async () => {
+        const kernel = await loadKernel();
+        const law = { kernel: softeningKernel, softening: 0.1, period: 0 };
+        assertMatchesDirectSum(kernel, toParticles(plummerData(COUNT, 3)), law);
+    });
+}
+
+test('WebAssembly matches the direct sum in a periodic box', async () => {
+    const kernel = await loadKernel();
+    const law = { kernel: 'plummer', softening: 0.1, period: periodOf('periodic', BOX_SIZE) };
+    assertMatchesDirectSum(kernel, toParticles(plummerData(COUNT, 3), BOX_SIZE), law);
+});
+
+test('WebAssembly computes only the requested targets', async () => {
+    const kernel = await loadKernel();
+    const particles = toParticles(plummerData(64, 4));
+    toData(particles, kernel.particleData(particles.length));
+    const law = { kernel: 'plummer', softening: 0.1, period: 0 };
+
+    const all = kernel.computeAccelerations(64, 1, law, new Float64Array(64 * 3));
+    const some = kernel.computeAccelerations(64, 1, law, new Float64Array(64 * 3), [5, 17, 63]);
+    for (let i = 0; i < 64; i++) {
+        const expected = [5, 17, 63].includes(i) ? all.slice(i * 3, i * 3 + 3) : [0, 0, 0];
+        assert.deepEqual([...some.slice(i * 3, i * 3 + 3)], [...expected]);
+    }
+});
@@ -0,0 +1,42 @@
+// Timestep selection
+// The step size comes from the accelerations (dt = eta * sqrt(eps / |a|), eps the softening length),
+// either as one global dt or as power-of-two block levels per particle. SimulationClock
+// (simulation-clock.js) decides how many steps each rendered frame takes.
+
+export const TIMESTEP_MODES = {
+    'fixed': { label: 'Fixed', gpu: true },
+    'adaptive': { label: 'Adaptive (global)', gpu: true },
+    'block': { label: 'Block (per particle)', gpu: false }, // CPU only, always leapfrog KDK
+};
+
+export const DEFAULT_TIMESTEP_MODE = 'fixed';
+export const DEFAULT_MAX_TIMESTEP = 0.016; // the fixed step, and the largest adaptive or block step
+export const DEFAULT_TIMESTEP_ACCURACY = 0.2; // eta
+export const DEFAULT_TIMESTEP_LEVELS = 6; // the smallest step is maxTimestep / 2^levels
+
+// Step wanted by a particle with acceleration magnitude squared accelerationSquared
+export function timestepCriterion(accelerationSquared, softeningLength, accuracy) {
+    return accelerationSquared > 0
+        ? accuracy * Math.sqrt(softeningLength / Math.sqrt(accelerationSquared))
+        : Infinity;
+}
+
+// Block level whose step maxTimestep / 2^level is the largest that doesn't exceed dt
+export function timestepLevel(dt, maxTimestep, levels) {
+    if (!(dt < maxTimestep)) return 0;
+    return Math.min(Math.ceil(Math.log2(maxTimestep / dt)), levels);
+}
+
+// Global step: the smallest any particle wants, between maxTimestep / 2^levels and maxTimestep
+export function globalTimestep(accelerations, count, { softeningLength, accuracy, maxTimestep, levels }) {
+    let maxAccelerationSquared = 0;
+    for (let i = 0; i < count; i++) {
+        const ax = accelerations[i * 3];
+        const ay = accelerations[i * 3 + 1];
+        const az = accelerations[i * 3 + 2];
+        maxAccelerationSquared = Math.max(maxAccelerationSquared, ax * ax + ay * ay + az * az);
+    }
+
+    const dt = timestepCriterion(maxAccelerationSquared, softeningLength, accuracy);
+    return Math.min(Math.max(dt, maxTimestep / 2 ** levels), maxTimestep);
+}
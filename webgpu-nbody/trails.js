@@ -0,0 +1,374 @@
+// Motion trails: the last few positions of a subset of the particles, drawn as lines that fade with age
+// One sample is taken after every physics step, into a ring of `length` slots: by compute passes
+// (shaders/trail-record.wgsl) in the GPU simulation, by a TrailSampler in the physics worker in the
+// CPU one. A slot holds every trail's point for one sample, so the CPU writes each sample as one
+// range. Trails follow their bodies when merges and escapes compact the particles; a trail whose
+// body is gone ages out. The trails start over whenever the particles are replaced.
+
+export const TRAIL_SUBSETS = {
+    'all': { label: 'All Bodies' },
+    'every': { label: 'Every Nth Body' },
+    'selected': { label: 'Selected Bodies' },
+};
+
+export const DEFAULT_TRAIL_SETTINGS = {
+    enabled: false,
+    length: 32, // samples per trail
+    subset: 'every', // key of TRAIL_SUBSETS
+    every: 10, // stride of the 'every' subset
+    selected: [], // particle indices of the 'selected' subset
+};
+
+export const MIN_TRAIL_LENGTH = 2;
+export const MAX_TRAIL_LENGTH = 256;
+
+// Points kept over all trails; bounds the memory (16 bytes each) and the line segments drawn
+export const MAX_TRAIL_POINTS = 1 << 18;
+
+// Trail of a body that is gone; must match trail-record.wgsl and trail-render.wgsl
+export const NO_TRAIL = 0xFFFFFFFF;
+
+const PARAMS_SIZE = 16; // TrailParams, padded
+const STATE_SIZE = 8; // TrailState: head, filled
+const RECORD_WORKGROUP_SIZE = 64; // must match trail-record.wgsl
+
+// Indices of the particles a subset trails, cut to as many trails as MAX_TRAIL_POINTS allows at this length
+export function selectTrailedParticles(particleCount, { subset, every, selected }, length) {
+    let indices = [];
+    if (subset === 'all') {
+        indices = Array.from({ length: particleCount }, (_, i) => i);
+    } else if (subset === 'every') {
+        const stride = Math.max(Math.floor(every), 1);
+        for (let i = 0; i < particleCount; i += stride) indices.push(i);
+    } else if (subset === 'selected') {
+        indices = [...new Set(selected)].filter((i) => Number.isInteger(i) && i >= 0 && i < particleCount);
+    }
+    return Uint32Array.from(indices.slice(0, Math.floor(MAX_TRAIL_POINTS / length)));
+}
+
+// "3, 10, 42" -> [3, 10, 42]; anything that isn't a non-negative integer is dropped
+export function parseTrailSelection(text) {
+    return text.split(/[\s,;]+/).filter(Boolean).map(Number).filter((i) => Number.isInteger(i) && i >= 0);
+}
+
+// The CPU simulation's sampler, run in the physics worker after every step. It holds on to the
+// trailed particle objects, so a trail stays with its body when merges and escapes shorten the
+// particle array. take() hands the samples since the last call to the main thread's ParticleTrails.
+export class TrailSampler {
+    constructor() {
+        this.generation = -1; // ParticleTrails.generation of the selection
+        this.trailed = []; // particle objects, null once gone
+        this.length = 0;
+        this.particles = null; // the array the indices refer to
+        this.indices = null; // Uint32Array, NO_TRAIL where the body is gone
+        this.indicesChanged = false;
+        this.samples = []; // Float32Array per step, at most length of them
+    }
+
+    // Trail the particles at these indices from the next step on
+    select(generation, particles, indices, length) {
+        this.generation = generation;
+        this.trailed = Array.from(indices, (i) => particles[i] ?? null);
+        this.length = length;
+        this.particles = particles;
+        this.indices = Uint32Array.from(this.trailed, (particle, t) => (particle ? indices[t] : NO_TRAIL));
+        this.indicesChanged = true;
+        this.samples = [];
+    }
+
+    // The particles were replaced; nothing is trailed until the next selection
+    clear() {
+        this.select(-1, [], [], 0);
+        this.indicesChanged = false;
+    }
+
+    // Positions after a step; particles is the system's array, replaced whenever bodies are removed
+    sample(particles) {
+        if (this.trailed.length === 0) return;
+
+        if (particles !== this.particles) {
+            const slots = new Map(particles.map((particle, i) => [particle, i]));
+            this.trailed.forEach((particle, t) => {
+                const slot = slots.get(particle);
+                this.indices[t] = slot ?? NO_TRAIL;
+                if (slot === undefined) this.trailed[t] = null;
+            });
+            this.particles = particles;
+            this.indicesChanged = true;
+        }
+
+        const points = new Float32Array(this.trailed.length * 4);
+        this.trailed.forEach((particle, t) => {
+            if (!particle) return;
+            points.set(particle.position, t * 4);
+            points[t * 4 + 3] = 1;
+        });
+        this.samples.push(points);
+        if (this.samples.length > this.length) this.samples.shift();
+    }
+
+    // The samples taken and the indices changed since the last call, or null if there are none
+    take() {
+        if (this.samples.length === 0 && !this.indicesChanged) return null;
+
+        const result = { generation: this.generation, samples: this.samples };
+        if (this.indicesChanged) result.indices = this.indices.slice();
+        this.samples = [];
+        this.indicesChanged = false;
+        return result;
+    }
+}
+
+export class ParticleTrails {
+    // settings is shared with the simulation, see DEFAULT_TRAIL_SETTINGS
+    constructor(device, settings) {
+        this.device = device;
+        this.settings = settings;
+        this.recordsOnGpu = false;
+        this.renderPipeline = null;
+
+        this.trailCount = 0;
+        this.head = 0;
+        this.filled = 0;
+        this.maxSegment = 0;
+        this.dirty = true; // settings changed or the trails were reset since the buffers were built
+        this.generation = 0; // counts the selections, so samples from the worker match theirs
+
+        // What the buffers and bind groups were built for
+        this.particleBuffers = [];
+        this.uniformBuffer = null;
+        this.simulationBuffers = []; // paramBuffer and partnerBuffer of the GPU simulation
+
+        this.indices = null; // Uint32Array of the trailed particles, as selected
+        this.indexBuffer = null;
+        this.pointBuffer = null;
+        this.paramBuffer = null;
+        this.stateBuffer = null;
+        this.recordBindGroupLayout = null;
+        this.recordPipelines = {};
+        this.recordBindGroups = [];
+        this.renderBindGroups = [];
+    }
+
+    // loadShader(url) returns WGSL source; recordsOnGpu builds the compute pipelines for encodeRecord
+    // and encodeRemap
+    async init(loadShader, format, recordsOnGpu) {
+        this.recordsOnGpu = recordsOnGpu;
+        if (recordsOnGpu) {
+            this.recordBindGroupLayout = this.device.createBindGroupLayout({
+                entries: [
+                    { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                    { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                    { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                    { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                    { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                    { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                    { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                ],
+            });
+            const layout = this.device.createPipelineLayout({ bindGroupLayouts: [this.recordBindGroupLayout] });
+            const module = this.device.createShaderModule({ code: await loadShader('./shaders/trail-record.wgsl') });
+            for (const entryPoint of ['advanceTrails', 'recordTrails', 'remapTrails']) {
+                this.recordPipelines[entryPoint] = this.device.createComputePipeline({
+                    layout,
+                    compute: { module, entryPoint },
+                });
+            }
+        }
+
+        const module = this.device.createShaderModule({ code: await loadShader('./shaders/trail-render.wgsl') });
+        this.renderPipeline = this.device.createRenderPipeline({
+            layout: 'auto',
+            vertex: { module, entryPoint: 'vs_trail' },
+            fragment: {
+                module,
+                entryPoint: 'fs_trail',
+                targets: [{
+                    format,
+                    // Additive, so crossing trails brighten rather than hide each other
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one' },
+                        alpha: { srcFactor: 'zero', dstFactor: 'one' },
+                    },
+                }],
+            },
+            primitive: { topology: 'line-list' },
+        });
+    }
+
+    configure(changes) {
+        Object.assign(this.settings, changes);
+        this.dirty = true;
+    }
+
+    // Start the trails over, selecting from the particles there are by then, with the next prepare
+    reset() {
+        this.dirty = true;
+    }
+
+    // Once per frame, before the steps: rebuilds for new settings, particles or buffers.
+    // particleBuffers are the simulation's particle buffers (two for the GPU simulation's ping-pong);
+    // the GPU simulation also passes its paramBuffer, whose count is the live one, and the
+    // partnerBuffer the compaction leaves the new slots in. Segments longer than maxSegment aren't
+    // drawn. Returns whether trails are shown.
+    prepare({ particleCount, particleBuffers, uniformBuffer, paramBuffer = null, partnerBuffer = null, maxSegment }) {
+        if (!this.settings.enabled) {
+            if (this.pointBuffer) this.destroyBuffers();
+            this.dirty = true;
+            return false;
+        }
+
+        // Merges and escapes don't call for a rebuild: the trails follow their bodies instead
+        const simulationBuffers = [paramBuffer, partnerBuffer];
+        const stale = this.dirty || uniformBuffer !== this.uniformBuffer
+            || particleBuffers.some((buffer, i) => buffer !== this.particleBuffers[i])
+            || simulationBuffers.some((buffer, i) => buffer !== this.simulationBuffers[i]);
+        if (stale) {
+            this.rebuild(particleCount, particleBuffers, uniformBuffer, simulationBuffers);
+        }
+        if (maxSegment !== this.maxSegment) {
+            this.maxSegment = maxSegment;
+            this.writeParams();
+        }
+        return this.trailCount > 0;
+    }
+
+    rebuild(particleCount, particleBuffers, uniformBuffer, simulationBuffers) {
+        this.destroyBuffers();
+        this.dirty = false;
+        this.generation++;
+        this.particleBuffers = [...particleBuffers];
+        this.uniformBuffer = uniformBuffer;
+        this.simulationBuffers = simulationBuffers;
+
+        const length = this.settings.length;
+        const indices = selectTrailedParticles(particleCount, this.settings, length);
+        this.indices = indices;
+        this.trailCount = indices.length;
+        this.head = 0;
+        this.filled = 0;
+        if (this.trailCount === 0) return;
+
+        this.indexBuffer = this.device.createBuffer({
+            size: indices.byteLength,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.device.queue.writeBuffer(this.indexBuffer, 0, indices);
+
+        this.pointBuffer = this.device.createBuffer({
+            size: this.trailCount * length * 16,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.paramBuffer = this.device.createBuffer({
+            size: PARAMS_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.writeParams();
+        // The GPU simulation advances the head itself, so it can sample several steps in one submission
+        this.stateBuffer = this.device.createBuffer({
+            size: STATE_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.writeState();
+
+        if (this.recordsOnGpu) {
+            const [paramBuffer, partnerBuffer] = simulationBuffers;
+            this.recordBindGroups = particleBuffers.map((particles) => this.device.createBindGroup({
+                layout: this.recordBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: { buffer: particles } },
+                    { binding: 1, resource: { buffer: this.indexBuffer } },
+                    { binding: 2, resource: { buffer: this.pointBuffer } },
+                    { binding: 3, resource: { buffer: this.paramBuffer } },
+                    { binding: 4, resource: { buffer: paramBuffer } },
+                    { binding: 5, resource: { buffer: this.stateBuffer } },
+                    { binding: 6, resource: { buffer: partnerBuffer } },
+                ],
+            }));
+        }
+
+        this.renderBindGroups = particleBuffers.map((particles) => this.device.createBindGroup({
+            layout: this.renderPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: particles } },
+                { binding: 1, resource: { buffer: this.indexBuffer } },
+                { binding: 2, resource: { buffer: this.pointBuffer } },
+                { binding: 3, resource: { buffer: this.paramBuffer } },
+                { binding: 4, resource: { buffer: uniformBuffer } },
+                { binding: 5, resource: { buffer: this.stateBuffer } },
+            ],
+        }));
+    }
+
+    writeParams() {
+        if (!this.paramBuffer) return;
+
+        const data = new ArrayBuffer(PARAMS_SIZE);
+        new Uint32Array(data, 0, 2).set([this.trailCount, this.settings.length]);
+        new Float32Array(data, 8, 1)[0] = this.maxSegment;
+        this.device.queue.writeBuffer(this.paramBuffer, 0, data);
+    }
+
+    writeState() {
+        this.device.queue.writeBuffer(this.stateBuffer, 0, new Uint32Array([this.head, this.filled]));
+    }
+
+    // Move the head to the slot the next sample goes in; the GPU's copy moves in advanceTrails
+    advance() {
+        this.head = (this.head + 1) % this.settings.length;
+        this.filled = Math.min(this.filled + 1, this.settings.length);
+    }
+
+    // Sample on the GPU from particleBuffers[current] after a step, in a compute pass the caller opened
+    encodeRecord(computePass, current) {
+        this.advance();
+        computePass.setBindGroup(0, this.recordBindGroups[current]);
+        computePass.setPipeline(this.recordPipelines.advanceTrails);
+        computePass.dispatchWorkgroups(1);
+        computePass.setPipeline(this.recordPipelines.recordTrails);
+        computePass.dispatchWorkgroups(Math.ceil(this.trailCount / RECORD_WORKGROUP_SIZE));
+    }
+
+    // Move the trails to their bodies' new slots, in the collision pass after the compaction's scatter
+    encodeRemap(computePass, current) {
+        computePass.setBindGroup(0, this.recordBindGroups[current]);
+        computePass.setPipeline(this.recordPipelines.remapTrails);
+        computePass.dispatchWorkgroups(Math.ceil(this.trailCount / RECORD_WORKGROUP_SIZE));
+    }
+
+    // Samples from the physics worker's TrailSampler (see take()); those of an earlier selection are dropped
+    recordSamples({ generation, samples, indices }) {
+        if (generation !== this.generation || this.trailCount === 0) return;
+
+        if (indices) {
+            this.device.queue.writeBuffer(this.indexBuffer, 0, indices);
+        }
+        for (const points of samples) {
+            this.advance();
+            this.device.queue.writeBuffer(this.pointBuffer, this.head * this.trailCount * 16, points);
+        }
+        this.writeState();
+    }
+
+    draw(renderPass, current) {
+        if (this.filled < 2) return;
+
+        renderPass.setPipeline(this.renderPipeline);
+        renderPass.setBindGroup(0, this.renderBindGroups[current]);
+        renderPass.draw(this.trailCount * (this.settings.length - 1) * 2);
+    }
+
+    destroyBuffers() {
+        this.indexBuffer?.destroy();
+        this.pointBuffer?.destroy();
+        this.paramBuffer?.destroy();
+        this.stateBuffer?.destroy();
+        this.indexBuffer = null;
+        this.pointBuffer = null;
+        this.paramBuffer = null;
+        this.stateBuffer = null;
+        this.recordBindGroups = [];
+        this.renderBindGroups = [];
+        this.trailCount = 0;
+    }
+}
@@ -0,0 +1,121 @@
+// WebAssembly SIMD direct summation for the CPU simulation
+// wasm/direct-force.wat sums four particles' accelerations at a time over the packed 8-float
+// Particle layout. It works in 32-bit floats, so it agrees with computeDirectAcceleration to
+// float precision rather than bit for bit; compareWithDirectSum measures by how much.
+
+import { FLOATS_PER_PARTICLE } from './initial-conditions.js';
+import { SOFTENING_KERNELS } from './softening.js';
+import { DEFAULT_FORCE_LAW, computeDirectAcceleration } from './force-solvers.js';
+
+export const WASM_FORCE_MODULE = new URL('./wasm/direct-force.wasm', import.meta.url);
+
+const PAGE_SIZE = 65536;
+const LANES = 4; // targets per SIMD block
+
+export class WasmForceKernel {
+    // bytes of direct-force.wasm, fetched when not given (Node has no fetch for files, see cli/simulate.js).
+    // Rejects where WebAssembly SIMD isn't supported.
+    static async load(bytes = null) {
+        bytes ??= await (await fetch(WASM_FORCE_MODULE)).arrayBuffer();
+        const { instance } = await WebAssembly.instantiate(bytes);
+        return new WasmForceKernel(instance);
+    }
+
+    constructor(instance) {
+        this.memory = instance.exports.memory;
+        this.accelerationsKernel = instance.exports.accelerations;
+        this.capacity = 0;
+        this.particlesPointer = 0;
+        this.targetsPointer = 0;
+        this.outPointer = 0;
+    }
+
+    // Lay out count particles, as many target indices and their accelerations, growing the memory
+    // when they don't fit; capacity is a multiple of LANES so every block of targets is whole
+    ensureCapacity(count) {
+        if (count <= this.capacity) return;
+
+        this.capacity = Math.ceil(Math.max(count, this.capacity * 2) / LANES) * LANES;
+        this.targetsPointer = this.particlesPointer + this.capacity * FLOATS_PER_PARTICLE * 4;
+        this.outPointer = this.targetsPointer + this.capacity * 4;
+
+        const pages = Math.ceil((this.outPointer + this.capacity * 3 * 4) / PAGE_SIZE);
+        const current = this.memory.buffer.byteLength / PAGE_SIZE;
+        if (pages > current) {
+            this.memory.grow(pages - current);
+        }
+    }
+
+    // Float32Array in the module's memory for packing count particles into (NBodySystem.packParticles);
+    // a fresh view every call, as growing the memory detaches the old ones
+    particleData(count) {
+        this.ensureCapacity(count);
+        return new Float32Array(this.memory.buffer, this.particlesPointer, count * FLOATS_PER_PARTICLE);
+    }
+
+    // Accelerations of every packed particle, or only of those in indices, into out (3 per particle)
+    computeAccelerations(count, gravityStrength, law, out, indices = null) {
+        const targetCount = indices ? indices.length : count;
+        if (targetCount === 0) return out;
+
+        this.ensureCapacity(count);
+        const targets = new Int32Array(this.memory.buffer, this.targetsPointer, this.capacity);
+        const padded = Math.ceil(targetCount / LANES) * LANES;
+
+        if (indices) {
+            targets.set(indices);
+        } else {
+            for (let i = 0; i < count; i++) targets[i] = i;
+        }
+        // The lanes past the last target compute a real particle's acceleration, then go unused
+        targets.fill(0, targetCount, padded);
+
+        this.accelerationsKernel(this.particlesPointer, count, this.targetsPointer, padded, this.outPointer,
+            gravityStrength, SOFTENING_KERNELS[law.kernel].id, law.softening, law.period);
+
+        const results = new Float32Array(this.memory.buffer, this.outPointer, targetCount * 3);
+        if (indices) {
+            for (let k = 0; k < targetCount; k++) {
+                const i = indices[k];
+                out[i * 3 + 0] = results[k * 3 + 0];
+                out[i * 3 + 1] = results[k * 3 + 1];
+                out[i * 3 + 2] = results[k * 3 + 2];
+            }
+        } else {
+            out.set(results);
+        }
+        return out;
+    }
+
+    // Relative error against the JavaScript direct sum for a spread of sampleSize particles; the
+    // particles must already be packed into particleData
+    compareWithDirectSum(particles, count, gravityStrength, sampleSize = 256, law = DEFAULT_FORCE_LAW) {
+        const samples = Math.min(sampleSize, count);
+        const stride = count / Math.max(samples, 1);
+        const indices = Array.from({ length: samples }, (_, s) => Math.floor(s * stride));
+        const approx = this.computeAccelerations(count, gravityStrength, law, new Float64Array(count * 3), indices);
+        const exact = new Float64Array(3);
+
+        let maxError = 0;
+        let sumSquaredError = 0;
+
+        for (const i of indices) {
+            computeDirectAcceleration(particles, count, i, gravityStrength, exact, 0, law);
+
+            const ex = approx[i * 3 + 0] - exact[0];
+            const ey = approx[i * 3 + 1] - exact[1];
+            const ez = approx[i * 3 + 2] - exact[2];
+            const magnitude = Math.hypot(exact[0], exact[1], exact[2]);
+            const error = magnitude > 0 ? Math.hypot(ex, ey, ez) / magnitude : 0;
+
+            maxError = Math.max(maxError, error);
+            sumSquaredError += error * error;
+        }
+
+        return {
+            samples,
+            maxError,
+            rmsError: samples > 0 ? Math.sqrt(sumSquaredError / samples) : 0,
+        };
+    }
+}
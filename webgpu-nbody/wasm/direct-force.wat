@@ -0,0 +1,208 @@
+;; WebAssembly SIMD direct summation for the CPU simulation (loaded by wasm-forces.js)
+;; Sums the accelerations of four target particles at a time, one per 128-bit lane, over every
+;; particle in the packed 8-float Particle layout. The force law is softening.js in 32-bit floats.
+;; Build direct-force.wasm with `npm run build-wasm` after changing this file.
+
+(module
+  ;; Grown from JavaScript to fit the particles, target indices and accelerations
+  (memory (export "memory") 1)
+
+  ;; Particle struct, 32 bytes: position xyz at 0, mass at 12, velocity xyz at 16, attribute
+  ;; word at 28 (species in its low byte, see particle-attributes.js)
+
+  ;; The floats at offset within the four particles whose indices are the lanes of targets
+  (func $gather (param $particles i32) (param $targets v128) (param $offset i32) (result v128)
+    (local $base i32)
+    (local.set $base (i32.add (local.get $particles) (local.get $offset)))
+    (f32x4.replace_lane 3
+      (f32x4.replace_lane 2
+        (f32x4.replace_lane 1
+          (f32x4.splat
+            (f32.load (i32.add (local.get $base) (i32.shl (i32x4.extract_lane 0 (local.get $targets)) (i32.const 5)))))
+          (f32.load (i32.add (local.get $base) (i32.shl (i32x4.extract_lane 1 (local.get $targets)) (i32.const 5)))))
+        (f32.load (i32.add (local.get $base) (i32.shl (i32x4.extract_lane 2 (local.get $targets)) (i32.const 5)))))
+      (f32.load (i32.add (local.get $base) (i32.shl (i32x4.extract_lane 3 (local.get $targets)) (i32.const 5))))))
+
+  ;; Four accelerations, 3 floats each, from out onwards
+  (func $store (param $out i32) (param $x v128) (param $y v128) (param $z v128)
+    (f32.store offset=0 (local.get $out) (f32x4.extract_lane 0 (local.get $x)))
+    (f32.store offset=4 (local.get $out) (f32x4.extract_lane 0 (local.get $y)))
+    (f32.store offset=8 (local.get $out) (f32x4.extract_lane 0 (local.get $z)))
+    (f32.store offset=12 (local.get $out) (f32x4.extract_lane 1 (local.get $x)))
+    (f32.store offset=16 (local.get $out) (f32x4.extract_lane 1 (local.get $y)))
+    (f32.store offset=20 (local.get $out) (f32x4.extract_lane 1 (local.get $z)))
+    (f32.store offset=24 (local.get $out) (f32x4.extract_lane 2 (local.get $x)))
+    (f32.store offset=28 (local.get $out) (f32x4.extract_lane 2 (local.get $y)))
+    (f32.store offset=32 (local.get $out) (f32x4.extract_lane 2 (local.get $z)))
+    (f32.store offset=36 (local.get $out) (f32x4.extract_lane 3 (local.get $x)))
+    (f32.store offset=40 (local.get $out) (f32x4.extract_lane 3 (local.get $y)))
+    (f32.store offset=44 (local.get $out) (f32x4.extract_lane 3 (local.get $z))))
+
+  ;; Math.round: halves go up, where f32x4.nearest would go to even
+  (func $round (param $v v128) (result v128)
+    (f32x4.floor (f32x4.add (local.get $v) (f32x4.splat (f32.const 0.5)))))
+
+  ;; 1 / r^3; coincident bodies exert no force rather than an infinite one
+  (func $newtonian (param $r2 v128) (result v128)
+    (v128.and
+      (f32x4.div
+        (f32x4.splat (f32.const 1))
+        (f32x4.mul (local.get $r2) (f32x4.sqrt (local.get $r2))))
+      (f32x4.gt (local.get $r2) (f32x4.splat (f32.const 0)))))
+
+  (func $plummer (param $r2 v128) (param $length f32) (result v128)
+    (local $softened v128)
+    (local.set $softened
+      (f32x4.add (local.get $r2) (f32x4.splat (f32.mul (local.get $length) (local.get $length)))))
+    (f32x4.div
+      (f32x4.splat (f32.const 1))
+      (f32x4.mul (local.get $softened) (f32x4.sqrt (local.get $softened)))))
+
+  ;; Both spline pieces and the Newtonian tail are computed for every lane, then picked by r
+  (func $spline (param $r2 v128) (param $length f32) (result v128)
+    (local $h f32)
+    (local $r v128)
+    (local $u v128)
+    (local $u2 v128)
+    (local $u3 v128)
+    (local $inverseCube v128)
+    (local $inner v128)
+    (local $outer v128)
+    (local.set $h (f32.mul (f32.const 2.8) (local.get $length)))
+    (local.set $r (f32x4.sqrt (local.get $r2)))
+    (local.set $u (f32x4.div (local.get $r) (f32x4.splat (local.get $h))))
+    (local.set $u2 (f32x4.mul (local.get $u) (local.get $u)))
+    (local.set $u3 (f32x4.mul (local.get $u2) (local.get $u)))
+    (local.set $inverseCube
+      (f32x4.splat
+        (f32.div (f32.const 1) (f32.mul (f32.mul (local.get $h) (local.get $h)) (local.get $h)))))
+
+    (local.set $inner
+      (f32x4.mul
+        (local.get $inverseCube)
+        (f32x4.add
+          (f32x4.splat (f32.const 10.666666666667))
+          (f32x4.mul
+            (local.get $u2)
+            (f32x4.sub
+              (f32x4.mul (f32x4.splat (f32.const 32.0)) (local.get $u))
+              (f32x4.splat (f32.const 38.4)))))))
+
+    (local.set $outer
+      (f32x4.mul
+        (local.get $inverseCube)
+        (f32x4.sub
+          (f32x4.sub
+            (f32x4.add
+              (f32x4.sub
+                (f32x4.splat (f32.const 21.333333333333))
+                (f32x4.mul (f32x4.splat (f32.const 48.0)) (local.get $u)))
+              (f32x4.mul (f32x4.splat (f32.const 38.4)) (local.get $u2)))
+            (f32x4.mul (f32x4.splat (f32.const 10.666666666667)) (local.get $u3)))
+          (f32x4.div (f32x4.splat (f32.const 0.066666666667)) (local.get $u3)))))
+
+    (v128.bitselect
+      (local.get $inner)
+      (v128.bitselect
+        (local.get $outer)
+        (call $newtonian (local.get $r2))
+        (f32x4.lt (local.get $r) (f32x4.splat (local.get $h))))
+      (f32x4.lt (local.get $u) (f32x4.splat (f32.const 0.5)))))
+
+  ;; Accelerations of the particles listed at targets (targetCount indices, a multiple of 4) from
+  ;; all count particles at particles, written to out in list order, 3 floats each.
+  ;; kernel is the SOFTENING_KERNELS id; a period above 0 takes every separation as the minimum image.
+  (func (export "accelerations")
+    (param $particles i32) (param $count i32) (param $targets i32) (param $targetCount i32) (param $out i32)
+    (param $gravityStrength f32) (param $kernel i32) (param $softening f32) (param $period f32)
+    (local $k i32)
+    (local $j i32)
+    (local $source i32)
+    (local $mass f32)
+    (local $t v128)
+    (local $px v128)
+    (local $py v128)
+    (local $pz v128)
+    (local $ax v128)
+    (local $ay v128)
+    (local $az v128)
+    (local $dx v128)
+    (local $dy v128)
+    (local $dz v128)
+    (local $r2 v128)
+    (local $strength v128)
+    (local $periods v128)
+
+    (local.set $periods (f32x4.splat (local.get $period)))
+
+    (block $blocksDone
+      (loop $blocks
+        (br_if $blocksDone (i32.ge_u (local.get $k) (local.get $targetCount)))
+
+        (local.set $t (v128.load (i32.add (local.get $targets) (i32.shl (local.get $k) (i32.const 2)))))
+        (local.set $px (call $gather (local.get $particles) (local.get $t) (i32.const 0)))
+        (local.set $py (call $gather (local.get $particles) (local.get $t) (i32.const 4)))
+        (local.set $pz (call $gather (local.get $particles) (local.get $t) (i32.const 8)))
+        (local.set $ax (v128.const i32x4 0 0 0 0))
+        (local.set $ay (v128.const i32x4 0 0 0 0))
+        (local.set $az (v128.const i32x4 0 0 0 0))
+
+        (local.set $j (i32.const 0))
+        (block $sourcesDone
+          (loop $sources
+            (br_if $sourcesDone (i32.ge_u (local.get $j) (local.get $count)))
+            (local.set $source (i32.add (local.get $particles) (i32.shl (local.get $j) (i32.const 5))))
+
+            (local.set $dx (f32x4.sub (f32x4.splat (f32.load offset=0 (local.get $source))) (local.get $px)))
+            (local.set $dy (f32x4.sub (f32x4.splat (f32.load offset=4 (local.get $source))) (local.get $py)))
+            (local.set $dz (f32x4.sub (f32x4.splat (f32.load offset=8 (local.get $source))) (local.get $pz)))
+            (if (f32.gt (local.get $period) (f32.const 0))
+              (then
+                (local.set $dx (f32x4.sub (local.get $dx)
+                  (f32x4.mul (local.get $periods) (call $round (f32x4.div (local.get $dx) (local.get $periods))))))
+                (local.set $dy (f32x4.sub (local.get $dy)
+                  (f32x4.mul (local.get $periods) (call $round (f32x4.div (local.get $dy) (local.get $periods))))))
+                (local.set $dz (f32x4.sub (local.get $dz)
+                  (f32x4.mul (local.get $periods) (call $round (f32x4.div (local.get $dz) (local.get $periods))))))))
+
+            (local.set $r2
+              (f32x4.add
+                (f32x4.add
+                  (f32x4.mul (local.get $dx) (local.get $dx))
+                  (f32x4.mul (local.get $dy) (local.get $dy)))
+                (f32x4.mul (local.get $dz) (local.get $dz))))
+
+            ;; Test particles (species 3) feel gravity but don't source it
+            (local.set $mass
+              (select
+                (f32.const 0)
+                (f32.load offset=12 (local.get $source))
+                (i32.eq (i32.and (i32.load offset=28 (local.get $source)) (i32.const 0xFF)) (i32.const 3))))
+
+            (local.set $strength
+              (f32x4.mul
+                (f32x4.splat (f32.mul (local.get $gravityStrength) (local.get $mass)))
+                (if (result v128) (i32.eq (local.get $kernel) (i32.const 1))
+                  (then (call $plummer (local.get $r2) (local.get $softening)))
+                  (else
+                    (if (result v128) (i32.eq (local.get $kernel) (i32.const 2))
+                      (then (call $spline (local.get $r2) (local.get $softening)))
+                      (else (call $newtonian (local.get $r2))))))))
+
+            ;; A particle doesn't pull on itself
+            (local.set $strength
+              (v128.andnot (local.get $strength) (i32x4.eq (local.get $t) (i32x4.splat (local.get $j)))))
+
+            (local.set $ax (f32x4.add (local.get $ax) (f32x4.mul (local.get $strength) (local.get $dx))))
+            (local.set $ay (f32x4.add (local.get $ay) (f32x4.mul (local.get $strength) (local.get $dy))))
+            (local.set $az (f32x4.add (local.get $az) (f32x4.mul (local.get $strength) (local.get $dz))))
+
+            (local.set $j (i32.add (local.get $j) (i32.const 1)))
+            (br $sources)))
+
+        (call $store
+          (i32.add (local.get $out) (i32.mul (local.get $k) (i32.const 12)))
+          (local.get $ax) (local.get $ay) (local.get $az))
+
+        (local.set $k (i32.add (local.get $k) (i32.const 4)))
+        (br $blocks)))))